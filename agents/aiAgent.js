@@ -19,7 +19,7 @@ class AIAgent {
         this.baseUrl = baseUrl;
         this.model = config.ollama.model || 'qwen2.5:7b';
         this.systemPrompt = `You are a helpful assistant that identifies local web applications.
-        Based on the page title, headings, and content, identify what application this is.
+        Based on the page title, headings, and content (and the command line of the process serving it, when known), identify what application this is.
         Return ONLY a JSON object with:
         - name: A short, descriptive name for the application (max 50 chars)
         - category: One of: Development, Database, API, CI/CD, Monitoring, IDE, Other
@@ -60,21 +60,24 @@ class AIAgent {
 
     /**
      * Identify an application from page content
+     * @param {Object} [context] - Extra identification context
+     * @param {Object} [context.process] - Process serving the port (see ProcessInspector)
      */
-    async identifyApp(url, title, content) {
+    async identifyApp(url, title, content, context = {}) {
         const pageInfo = {
             url,
             title: title || 'No title',
             bodyText: (content?.bodyText || '').substring(0, 500),
             headings: (content?.headings || []).join(', ')
         };
+        const processInfo = context.process || {};
 
         const prompt = `Identify this local web application:
 URL: ${pageInfo.url}
 Title: ${pageInfo.title}
 Headings: ${pageInfo.headings}
 Content preview: ${pageInfo.bodyText}
-
+${processInfo.command ? `Command line: ${processInfo.command.substring(0, 300)}\n` : ''}${processInfo.cwd ? `Working directory: ${processInfo.cwd}\n` : ''}
 What is this application? Respond with JSON only.`;
 
         const result = await this.callOllama(prompt);
@@ -109,13 +112,13 @@ What is this application? Respond with JSON only.`;
         }
 
         // Fallback identification based on URL patterns
-        return this.fallbackIdentify(url, title);
+        return this.fallbackIdentify(url, title, context.process);
     }
 
     /**
-     * Fallback identification using URL patterns
+     * Fallback identification using URL patterns, the page title or the serving process
      */
-    fallbackIdentify(url, title) {
+    fallbackIdentify(url, title, processInfo = null) {
         const hostname = new URL(url).hostname;
         const port = new URL(url).port;
         
@@ -174,6 +177,16 @@ What is this application? Respond with JSON only.`;
             };
         }
 
+        // Name it after the program serving the port, e.g. "python3 on port 8081"
+        if (processInfo && processInfo.command) {
+            const program = processInfo.command.split(' ')[0].split('/').pop();
+            return {
+                name: `${program} on port ${port}`,
+                category: 'Other',
+                description: processInfo.command.substring(0, 100)
+            };
+        }
+
         // Default
         const appName = `Port ${port}`;
         return {
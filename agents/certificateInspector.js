@@ -0,0 +1,131 @@
+const net = require('net');
+const tls = require('tls');
+const { X509Certificate } = require('crypto');
+
+// Certificates recorded per chain, leaf included
+const MAX_CHAIN_LENGTH = 5;
+
+/**
+ * Common name of a subject/issuer, else its organization
+ */
+function displayName(name) {
+    if (!name) return null;
+    const cn = Array.isArray(name.CN) ? name.CN[0] : name.CN;
+    const o = Array.isArray(name.O) ? name.O[0] : name.O;
+    return cn || o || null;
+}
+
+function toIso(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * "RSA 2048", "EC prime256v1", "ED25519", ...
+ */
+function describeKey(x509) {
+    const key = x509.publicKey;
+    const details = key.asymmetricKeyDetails || {};
+    if (key.asymmetricKeyType === 'rsa' || key.asymmetricKeyType === 'rsa-pss') {
+        return `RSA ${details.modulusLength}`;
+    }
+    if (key.asymmetricKeyType === 'ec') {
+        return `EC ${details.namedCurve}`;
+    }
+    return String(key.asymmetricKeyType).toUpperCase();
+}
+
+/**
+ * Whether a certificate signed itself
+ */
+function isSelfSigned(x509) {
+    try {
+        return x509.checkIssued(x509) && x509.verify(x509.publicKey);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Certificate Inspector Agent
+ * Reads the certificate chain an HTTPS server presents. Untrusted, self-signed and
+ * expired certificates are read too: judging them is up to the caller.
+ */
+class CertificateInspector {
+    /**
+     * @returns {Promise<Object|null>} { subject, subjectAltNames, issuer, serialNumber, fingerprint256,
+     *          validFrom, validTo, selfSigned, keyType, protocol, cipher, trusted, trustError,
+     *          hostnameMatches, chain: [{ subject, issuer, validTo, selfSigned }], checkedAt },
+     *          or null when no TLS handshake completed
+     */
+    inspect(hostname, port, { timeoutMs = 2000 } = {}) {
+        return new Promise((resolve) => {
+            const socket = tls.connect({
+                host: hostname,
+                port: parseInt(port, 10),
+                // SNI only carries host names
+                servername: net.isIP(hostname) ? undefined : hostname,
+                rejectUnauthorized: false
+            }, () => {
+                let certificate = null;
+                try {
+                    certificate = this.describe(socket, hostname);
+                } catch (error) {
+                    console.error(`[CertificateInspector] Could not read the certificate of ${hostname}:${port}:`, error.message);
+                }
+                socket.end();
+                resolve(certificate);
+            });
+            socket.setTimeout(timeoutMs, () => {
+                socket.destroy();
+                resolve(null);
+            });
+            socket.on('error', () => resolve(null));
+        });
+    }
+
+    describe(socket, hostname) {
+        const peer = socket.getPeerCertificate(true);
+        if (!peer || !peer.raw) return null;
+
+        const leaf = new X509Certificate(peer.raw);
+        const chain = [];
+        for (let cert = peer.issuerCertificate; cert && cert.raw && chain.length < MAX_CHAIN_LENGTH - 1; cert = cert.issuerCertificate) {
+            // A self-signed leaf is its own issuer
+            if (cert.raw.equals(peer.raw)) break;
+            const x509 = new X509Certificate(cert.raw);
+            chain.push({
+                subject: displayName(cert.subject),
+                issuer: displayName(cert.issuer),
+                validTo: toIso(cert.valid_to),
+                selfSigned: isSelfSigned(x509)
+            });
+            // Roots point at themselves
+            if (cert.issuerCertificate === cert) break;
+        }
+
+        const cipher = socket.getCipher();
+        return {
+            subject: displayName(peer.subject),
+            subjectAltNames: leaf.subjectAltName
+                ? leaf.subjectAltName.split(', ').map(name => name.replace(/^(DNS|IP Address):/, ''))
+                : [],
+            issuer: displayName(peer.issuer),
+            serialNumber: peer.serialNumber || null,
+            fingerprint256: peer.fingerprint256 || null,
+            validFrom: toIso(peer.valid_from),
+            validTo: toIso(peer.valid_to),
+            selfSigned: isSelfSigned(leaf),
+            keyType: describeKey(leaf),
+            protocol: socket.getProtocol(),
+            cipher: cipher ? cipher.name : null,
+            trusted: socket.authorized,
+            trustError: socket.authorized ? null : String(socket.authorizationError || 'unknown'),
+            hostnameMatches: !tls.checkServerIdentity(hostname, peer),
+            chain,
+            checkedAt: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = CertificateInspector;
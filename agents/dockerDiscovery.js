@@ -0,0 +1,208 @@
+const http = require('http');
+const config = require('../config.json');
+
+const DEFAULT_SOCKET_PATH = '/var/run/docker.sock';
+const DEFAULT_TIMEOUT_MS = 5000;
+
+// Container labels that override identification and the health check
+const LABEL_PREFIX = 'dashboard.';
+
+// Compose labels linking a container to its project and service
+const COMPOSE_PROJECT_LABEL = 'com.docker.compose.project';
+const COMPOSE_SERVICE_LABEL = 'com.docker.compose.service';
+
+// Published on every interface; reachable on the scan host
+const WILDCARD_IPS = ['', '0.0.0.0', '::'];
+
+/**
+ * Docker socket path: DOCKER_HOST (unix://...) wins over config.docker.socketPath
+ */
+function getSocketPath() {
+    const dockerHost = process.env.DOCKER_HOST;
+    if (dockerHost && dockerHost.startsWith('unix://')) {
+        return dockerHost.slice('unix://'.length);
+    }
+    return config.docker.socketPath || DEFAULT_SOCKET_PATH;
+}
+
+/**
+ * Docker Discovery Agent
+ * Lists running containers through the Docker Engine API on the Unix socket and
+ * turns their published TCP ports into scan endpoints, each linked to its container
+ * (name, image, compose project/service, health status and labels).
+ * Labels such as dashboard.name, dashboard.category, dashboard.description and
+ * dashboard.healthcheck override identification; dashboard.enable=false hides a container.
+ */
+class DockerDiscovery {
+    constructor() {
+        this.enabled = config.docker.discovery === true;
+        this.socketPath = getSocketPath();
+        this.timeout = config.docker.timeoutMs || DEFAULT_TIMEOUT_MS;
+    }
+
+    /**
+     * Call the Engine API and parse the JSON answer (null for empty answers such as 204)
+     */
+    request(path, { method = 'GET', timeout = this.timeout } = {}) {
+        return new Promise((resolve, reject) => {
+            const req = http.request({ socketPath: this.socketPath, path, method, timeout }, (res) => {
+                let body = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => { body += chunk; });
+                res.on('end', () => {
+                    if (res.statusCode < 200 || res.statusCode >= 300) {
+                        let message = '';
+                        try {
+                            message = JSON.parse(body).message || '';
+                        } catch (e) {
+                            // Not JSON; the status code says enough
+                        }
+                        return reject(new Error(`Docker API ${method} ${path} answered ${res.statusCode}${message ? `: ${message}` : ''}`));
+                    }
+                    if (!body) return resolve(null);
+                    try {
+                        resolve(JSON.parse(body));
+                    } catch (error) {
+                        reject(new Error(`Docker API ${path} returned invalid JSON`));
+                    }
+                });
+            });
+            req.on('timeout', () => req.destroy(new Error(`Docker API ${path} timed out`)));
+            req.on('error', reject);
+            req.end();
+        });
+    }
+
+    /**
+     * Start, stop or restart a container. Docker answers 304 when it already is in that state,
+     * which counts as success.
+     * @returns {Promise<string>} What Docker reported
+     */
+    async containerAction(container, action, timeout) {
+        try {
+            await this.request(`/containers/${encodeURIComponent(container)}/${action}`, { method: 'POST', timeout });
+            return `Container ${container}: ${action} done`;
+        } catch (error) {
+            if (/ answered 304/.test(error.message)) {
+                return `Container ${container}: already ${action === 'stop' ? 'stopped' : 'running'}`;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Health status from the list API's status text, e.g. "Up 2 hours (healthy)"
+     * @returns {string|null} healthy, unhealthy, starting or null without a HEALTHCHECK
+     */
+    parseHealth(status) {
+        const match = String(status || '').match(/\((healthy|unhealthy|health: starting)\)/);
+        if (!match) return null;
+        return match[1] === 'health: starting' ? 'starting' : match[1];
+    }
+
+    /**
+     * Container summary stored with each linked app
+     */
+    describeContainer(container) {
+        const labels = container.Labels || {};
+        return {
+            id: container.Id.substring(0, 12),
+            name: (container.Names?.[0] || container.Id.substring(0, 12)).replace(/^\//, ''),
+            image: container.Image,
+            state: container.State,
+            status: container.Status,
+            health: this.parseHealth(container.Status),
+            composeProject: labels[COMPOSE_PROJECT_LABEL] || null,
+            composeService: labels[COMPOSE_SERVICE_LABEL] || null,
+            labels
+        };
+    }
+
+    /**
+     * Running containers with their published TCP ports
+     * @returns {Promise<Array<{container: Object, ports: Array<{ip: string, port: number}>}>>}
+     */
+    async listContainers() {
+        const containers = await this.request('/containers/json');
+        return containers
+            .filter(container => (container.Labels || {})[`${LABEL_PREFIX}enable`] !== 'false')
+            .map(container => ({
+                container: this.describeContainer(container),
+                ports: (container.Ports || [])
+                    .filter(p => p.Type === 'tcp' && p.PublicPort)
+                    .map(p => ({ ip: p.IP || '', port: p.PublicPort }))
+            }));
+    }
+
+    /**
+     * Scan endpoints for every published port, linked to their container
+     * @param {string} scanHost - Host that ports published on all interfaces are reached on
+     * @returns {Promise<Array<{host: string, port: number, container: Object}>|null>} null when
+     *          discovery is disabled or Docker is unreachable (existing links are then kept)
+     */
+    async discover(scanHost) {
+        if (!this.enabled) return null;
+
+        let containers;
+        try {
+            containers = await this.listContainers();
+        } catch (error) {
+            console.warn(`[DockerDiscovery] Cannot reach Docker at ${this.socketPath}: ${error.message}`);
+            return null;
+        }
+
+        const endpoints = new Map();
+        for (const { container, ports } of containers) {
+            for (const { ip, port } of ports) {
+                const host = WILDCARD_IPS.includes(ip) || ip === '127.0.0.1' || ip === '::1' ? scanHost : ip;
+                // IPv4 and IPv6 bindings of the same port are one endpoint
+                const key = `${host}:${port}`;
+                if (!endpoints.has(key)) {
+                    endpoints.set(key, { host, port, container });
+                }
+            }
+        }
+
+        console.log(`[DockerDiscovery] ${containers.length} container(s) with ${endpoints.size} published port(s)`);
+        return [...endpoints.values()];
+    }
+
+    /**
+     * Identification fields set by dashboard.* labels (only those present)
+     * @returns {{name?: string, category?: string, description?: string}}
+     */
+    static labelIdentification(container) {
+        const labels = container?.labels || {};
+        const identification = {};
+        for (const field of ['name', 'category', 'description']) {
+            const value = String(labels[`${LABEL_PREFIX}${field}`] || '').trim();
+            if (value) identification[field] = value;
+        }
+        return identification;
+    }
+
+    /**
+     * Health check definition from the dashboard.healthcheck label: a path ("/health")
+     * or a JSON definition ('{"path": "/health", "expectedStatus": [200]}')
+     * @returns {Object|null} Raw definition for normalizeHealthCheck(), or null without the label
+     */
+    static labelHealthCheck(container) {
+        const value = String(container?.labels?.[`${LABEL_PREFIX}healthcheck`] || '').trim();
+        if (!value) return null;
+        return value.startsWith('{') ? JSON.parse(value) : { path: value };
+    }
+
+    /**
+     * Parse the container_info column
+     */
+    static parse(value) {
+        if (!value) return null;
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+module.exports = DockerDiscovery;
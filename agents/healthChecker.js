@@ -1,23 +1,15 @@
 const axios = require('axios');
+const https = require('https');
 const config = require('../config.json');
+const ServiceFingerprinter = require('./serviceFingerprinter');
+const CertificateInspector = require('./certificateInspector');
+const { isHttpUrl } = require('../utils/networkUtils');
+const { resolveHealthCheck, evaluateHealthCheck, parseHealthCheck } = require('../utils/healthAssertions');
+const { parseCheckSchedule } = require('../utils/checkSchedule');
 
 // Detect if running in Docker
 const isDocker = process.env.DOCKER_CONTAINER || false;
 
-// Common non-HTTP ports that should be marked as unknown
-const NON_HTTP_PORTS = [
-    // Databases
-    3306, 5432, 27017, 6379, 11211, 9042, 7000, 7001, 5000, 8888,
-    // Message brokers
-    5672, 1883, 8080, 61613, 61614,
-    // FTP/SSH
-    21, 22, 23,
-    // Mail
-    25, 110, 143, 465, 587, 993, 995,
-    // Other services
-    2049, 445, 139, 138, 137, 161, 162, 514, 515
-];
-
 // Get the correct host for health checks
 const getHealthCheckHost = (url) => {
     // Check config for target host
@@ -35,10 +27,17 @@ const getHealthCheckHost = (url) => {
     return url;
 };
 
-// Check if port is likely a non-HTTP service
-const isNonHttpPort = (port) => {
-    return NON_HTTP_PORTS.includes(parseInt(port));
-};
+/**
+ * Redirect hook: a check's own headers (API keys and the like) only go to the app's origin.
+ * follow-redirects strips just Authorization and Cookie when a redirect changes host.
+ */
+function dropHeadersOffOrigin(options, headers, checkUrl) {
+    if (new URL(options.href).origin === new URL(checkUrl).origin) return;
+    const names = Object.keys(headers || {}).map(name => name.toLowerCase());
+    for (const name of Object.keys(options.headers)) {
+        if (names.includes(name.toLowerCase())) delete options.headers[name];
+    }
+}
 
 /**
  * Health Checker Agent
@@ -47,14 +46,67 @@ const isNonHttpPort = (port) => {
 class HealthChecker {
     constructor() {
         this.timeout = config.scanning.timeoutMs;
+        // Checks running at once in checkAll()
+        this.concurrency = (config.scheduler && config.scheduler.concurrency) || 10;
+        this.fingerprinter = new ServiceFingerprinter();
+        this.certificateInspector = new CertificateInspector();
+        // Self-signed and expired certificates do not make an app unreachable;
+        // the certificate is inspected and judged separately
+        this.httpsAgent = new https.Agent({ rejectUnauthorized: false });
     }
 
     /**
-     * Check if a URL is responding
+     * Check a non-HTTP service by reconnecting and fingerprinting it.
+     * Online when the expected protocol answers, unknown when the port is open
+     * but speaks something else, offline when nothing accepts the connection.
      */
-    async check(url) {
+    async checkService(url, checkUrl) {
+        const startTime = Date.now();
+        const { hostname, port, protocol } = new URL(checkUrl);
+        const expected = protocol.replace(/:$/, '');
+
+        const service = await this.fingerprinter.verify(hostname, parseInt(port, 10), expected);
+        let status = 'offline';
+        if (service) {
+            status = service.protocol === expected ? 'online' : 'unknown';
+        }
+
+        return {
+            url,
+            status,
+            statusCode: null,
+            responseTime: Date.now() - startTime,
+            title: null,
+            redirectUrl: null,
+            isHttpResponse: false,
+            metaData: null,
+            service,
+            failures: [],
+            checkedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Check if a URL is responding.
+     * HTTP responses are evaluated against the app's health check definition
+     * (or the default one); failed assertions mark the app as 'degraded'.
+     * @param {number} [options.timeoutMs] - Overrides scanning.timeoutMs
+     */
+    async check(url, healthCheck = null, { timeoutMs = null } = {}) {
         // Use correct host for Docker
         const checkUrl = getHealthCheckHost(url);
+
+        if (!isHttpUrl(checkUrl)) {
+            return this.checkService(url, checkUrl);
+        }
+
+        const definition = resolveHealthCheck(healthCheck);
+        let requestUrl = definition.path ? new URL(definition.path, checkUrl).toString() : checkUrl;
+        // Definitions stored before "//host" paths were rejected must not send the check elsewhere
+        if (new URL(requestUrl).origin !== new URL(checkUrl).origin) {
+            requestUrl = checkUrl;
+        }
+        const timeout = timeoutMs || this.timeout;
         
         const startTime = Date.now();
         let status = 'unknown';
@@ -64,36 +116,48 @@ class HealthChecker {
         let redirectUrl = null;
         let isHttpResponse = true;
         let metaData = null;
+        let service = null;
+        let failures = [];
+        let certificate = null;
         
-        // Extract port from URL
+        // Extract host and port from URL
+        let hostname;
         let port;
         try {
-            port = new URL(checkUrl).port;
+            const parsed = new URL(checkUrl);
+            hostname = parsed.hostname;
+            port = parsed.port || (parsed.protocol === 'https:' ? 443 : 80);
         } catch (e) {
             port = 80;
         }
 
         try {
-            const response = await axios.get(checkUrl, {
-                timeout: this.timeout,
+            const response = await axios.request({
+                url: requestUrl,
+                method: definition.method,
+                timeout,
                 validateStatus: () => true,
                 maxRedirects: 5,
+                beforeRedirect: (options) => dropHeadersOffOrigin(options, definition.headers, checkUrl),
+                httpsAgent: this.httpsAgent,
+                // Keep the raw body so substring/regex assertions see what the server sent
+                responseType: 'text',
                 headers: {
-                    'User-Agent': 'LocalWebAppMonitor/1.0'
+                    'User-Agent': 'LocalWebAppMonitor/1.0',
+                    ...definition.headers
                 }
             });
 
             responseTime = Date.now() - startTime;
             statusCode = response.status;
 
-            // Determine status based on response code
-            if (response.status >= 200 && response.status < 400) {
-                status = 'online';
-            } else if (response.status >= 400 && response.status < 500) {
-                status = 'online'; // Client error, but server is responding
-            } else if (response.status >= 500) {
-                status = 'online'; // Server error, but responding
-            }
+            // The server answered; it is healthy only if every assertion holds
+            failures = evaluateHealthCheck(definition, {
+                statusCode,
+                body: response.data,
+                responseTime
+            });
+            status = failures.length > 0 ? 'degraded' : 'online';
 
             // Track redirects
             if (response.request?.res?.responseUrl) {
@@ -122,12 +186,14 @@ class HealthChecker {
                 isHttpResponse = false;
             } else if (error.response) {
                 // Server responded with error
-                status = 'online';
+                status = 'degraded';
                 statusCode = error.response.status;
+                failures = [`Request failed with status ${statusCode}`];
             } else {
-                // Check if it's likely a non-HTTP port
-                if (isNonHttpPort(port)) {
-                    status = 'unknown';
+                // Not an HTTP response: see whether a known non-HTTP service answers instead
+                service = hostname ? await this.fingerprinter.identify(hostname, parseInt(port, 10)) : null;
+                if (service) {
+                    status = service.protocol === 'tcp' ? 'unknown' : 'online';
                     isHttpResponse = false;
                 } else {
                     status = 'offline';
@@ -135,6 +201,11 @@ class HealthChecker {
             }
         }
 
+        // Read the certificate even when the request failed
+        if (checkUrl.startsWith('https:') && status !== 'offline') {
+            certificate = await this.certificateInspector.inspect(hostname, port, { timeoutMs: timeout });
+        }
+
         return {
             url,
             status,
@@ -144,6 +215,10 @@ class HealthChecker {
             redirectUrl,
             isHttpResponse,
             metaData,
+            service,
+            failures,
+            certificate,
+            tlsExpiresAt: certificate ? certificate.validTo : null,
             checkedAt: new Date().toISOString()
         };
     }
@@ -211,11 +286,27 @@ class HealthChecker {
     }
 
     /**
-     * Check all apps in database
+     * Check a stored app using its own health check definition and timeout
+     */
+    async checkApp(app) {
+        const schedule = parseCheckSchedule(app.check_schedule);
+        return this.check(app.url, parseHealthCheck(app.health_check), { timeoutMs: schedule && schedule.timeoutMs });
+    }
+
+    /**
+     * Check all apps in database, at most `concurrency` at a time.
+     * Results are in the order of `apps`.
      */
     async checkAll(apps) {
-        const urls = apps.map(app => app.url);
-        const results = await this.checkBatch(urls);
+        const results = new Array(apps.length);
+        let next = 0;
+        const worker = async () => {
+            while (next < apps.length) {
+                const index = next++;
+                results[index] = await this.checkApp(apps[index]);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, apps.length) }, worker));
         return results;
     }
 }
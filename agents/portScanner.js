@@ -1,6 +1,27 @@
 const net = require('net');
 const http = require('http');
+const https = require('https');
 const config = require('../config.json');
+const { expandHostSpec } = require('../utils/networkUtils');
+const ServiceFingerprinter = require('./serviceFingerprinter');
+const ProcessInspector = require('./processInspector');
+const CertificateInspector = require('./certificateInspector');
+
+// Ports probed by quickScan() on every target
+const COMMON_PORTS = [
+    80, 443, 8080, 3000, 5000, 8000, 8443, 8888, 9000, 9200,
+    10000, 1024, 1025, 1026, 1027, 1028, 1029, 1030, 1031, 1032,
+    1080, 3001, 4000, 5001, 5500, 5601, 6000, 6379, 7001, 8001,
+    8002, 8003, 8004, 8005, 8006, 8007, 8008, 8009, 8010, 8020,
+    8030, 8040, 8050, 8060, 8070, 8081, 8082, 8083, 8084, 8085,
+    8086, 8087, 8089, 8090, 8091, 8100, 8200, 8300, 8400, 8500,
+    8600, 8700, 8800, 9001, 9002, 9003, 9004, 9005, 9006, 9007,
+    9008, 9009, 9010, 9020, 9030, 9040, 9050, 9060, 9100, 9201,
+    9300, 9400, 9500, 9600, 9700, 9800, 9900, 10001, 10002, 10003,
+    11000, 12000, 13000, 14000, 15000, 16000, 17000, 18000
+];
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1', 'host.docker.internal'];
 
 // Get the target host from config or use default
 const getScanHost = () => {
@@ -26,9 +47,65 @@ const getScanHost = () => {
     return '127.0.0.1';
 };
 
+/**
+ * Resolve config.targets into a flat list of scan targets.
+ * Each entry may be a string ("nas.local", "192.168.1.0/28") or an object
+ * { host, ports?: number[], portRange?: { start, end } }. Without config.targets
+ * the single legacy scan host is used. "localhost" entries go through getScanHost()
+ * so SCAN_HOST and Docker mapping keep working.
+ */
+const getScanTargets = () => {
+    const configured = Array.isArray(config.targets) && config.targets.length > 0
+        ? config.targets
+        : [{ host: getScanHost() }];
+
+    const targets = [];
+    for (const entry of configured) {
+        const spec = typeof entry === 'string' ? { host: entry } : (entry || {});
+        try {
+            for (const host of expandHostSpec(spec.host)) {
+                targets.push({
+                    host: host === 'localhost' || host === '127.0.0.1' ? getScanHost() : host,
+                    ports: Array.isArray(spec.ports) ? spec.ports.map(Number) : null,
+                    portRange: spec.portRange || null
+                });
+            }
+        } catch (error) {
+            console.warn(`[PortScanner] Skipping scan target ${JSON.stringify(entry)}: ${error.message}`);
+        }
+    }
+    return targets;
+};
+
+/**
+ * Yield the ports of a number[] list or a { start, end } range
+ */
+function* eachPort(ports) {
+    if (Array.isArray(ports)) {
+        yield* ports;
+        return;
+    }
+    for (let port = ports.start; port <= ports.end; port++) {
+        yield port;
+    }
+}
+
+/**
+ * Take up to `size` items from an iterator
+ */
+function takeBatch(iterator, size) {
+    const batch = [];
+    while (batch.length < size) {
+        const { value, done } = iterator.next();
+        if (done) break;
+        batch.push(value);
+    }
+    return batch;
+}
+
 /**
  * Port Scanner Agent
- * Scans a range of ports on localhost to discover web servers
+ * Scans port ranges on one or more hosts (hostnames, IPs or CIDR ranges) to discover web servers
  */
 class PortScanner {
     constructor() {
@@ -37,17 +114,41 @@ class PortScanner {
         this.concurrency = config.scanning.concurrency;
         this.timeout = config.scanning.timeoutMs;
         this.discoveredPorts = [];
+        // Fingerprint open ports that do not speak HTTP (databases, brokers, SSH, ...)
+        this.fingerprintEnabled = config.scanning.fingerprint !== false;
+        this.fingerprinter = new ServiceFingerprinter();
+        // Attach the owning process (PID, command line, ...) to ports on this machine
+        this.processLookupEnabled = config.scanning.processLookup !== false;
+        this.processInspector = new ProcessInspector();
+        // HTTPS servers with self-signed or expired certificates are still found; their certificate is recorded
+        this.certificateInspector = new CertificateInspector();
+        this.httpsAgent = new https.Agent({ rejectUnauthorized: false });
         // Determine dashboard port to exclude from scanning
         this.dashboardPort = config.dashboardPort === 'auto' ? 3000 : parseInt(config.dashboardPort, 10);
         // Use correct host for scanning
         this.scanHost = getScanHost();
-        console.log(`[PortScanner] Scanning host: ${this.scanHost}`);
+        const hosts = this.getTargets().map(t => t.host);
+        console.log(`[PortScanner] Scanning ${hosts.length} host(s): ${hosts.slice(0, 5).join(', ')}${hosts.length > 5 ? ', ...' : ''}`);
+    }
+
+    /**
+     * Resolved scan targets (re-read on every scan so config edits apply)
+     */
+    getTargets() {
+        return getScanTargets();
+    }
+
+    /**
+     * The dashboard only listens on this machine, so only skip its port on local hosts
+     */
+    isDashboardEndpoint(host, port) {
+        return port === this.dashboardPort && (host === this.scanHost || LOCAL_HOSTS.includes(host));
     }
 
     /**
      * Check if a single port is open and has an HTTP server
      */
-    async checkPort(port) {
+    async checkPort(port, host = this.scanHost) {
         return new Promise((resolve) => {
             const socket = new net.Socket();
             let status = 'closed';
@@ -69,38 +170,44 @@ class PortScanner {
             });
 
             socket.on('close', () => {
-                resolve({ port, status });
+                resolve({ host, port, status });
             });
 
-            socket.connect(port, this.scanHost);
+            socket.connect(port, host);
         });
     }
 
     /**
-     * Check if an open port has an HTTP/HTTPS server
+     * Check if an open port has an HTTP/HTTPS server.
+     * HTTPS results carry the certificate the server presented.
      */
-    async checkHttpServer(port) {
+    async checkHttpServer(port, host = this.scanHost) {
         const protocols = ['http', 'https'];
         
         for (const protocol of protocols) {
             try {
                 const axios = require('axios');
-                const url = `${protocol}://${this.scanHost}:${port}`;
+                const url = `${protocol}://${host}:${port}`;
                 
                 const response = await axios.get(url, {
                     timeout: this.timeout,
                     validateStatus: () => true, // Accept all status codes
-                    maxRedirects: 5
+                    maxRedirects: 5,
+                    httpsAgent: this.httpsAgent
                 });
 
                 if (response.status >= 100 && response.status < 600) {
                     return {
+                        host,
                         port,
                         protocol,
                         url,
                         status: 'online',
                         statusCode: response.status,
-                        title: this.extractTitle(response.data)
+                        title: this.extractTitle(response.data),
+                        certificate: protocol === 'https'
+                            ? await this.certificateInspector.inspect(host, port, { timeoutMs: this.timeout })
+                            : null
                     };
                 }
             } catch (error) {
@@ -112,100 +219,221 @@ class PortScanner {
         return null;
     }
 
+    /**
+     * Identify a non-HTTP service on an open port.
+     * Returns a scan result shaped like checkHttpServer()'s, with a `service` fingerprint,
+     * or null when fingerprinting is disabled or nothing recognizable answered.
+     */
+    async fingerprintService(port, host = this.scanHost) {
+        if (!this.fingerprintEnabled) return null;
+
+        const fingerprint = await this.fingerprinter.identify(host, port);
+        if (!fingerprint || fingerprint.protocol === 'tcp') return null;
+
+        return {
+            host,
+            port,
+            protocol: fingerprint.protocol,
+            url: `${fingerprint.protocol}://${host}:${port}`,
+            status: 'online',
+            statusCode: null,
+            title: null,
+            service: fingerprint
+        };
+    }
+
     /**
      * Extract title from HTML response
      */
     extractTitle(html) {
+        if (!html || typeof html !== 'string') return null;
         const match = html.match(/<title[^>]*>([^<]+)<\/title>/i);
         return match ? match[1].trim() : null;
     }
 
     /**
-     * Scan a batch of ports concurrently
+     * Normalize a list of ports or { host, port } endpoints, dropping the dashboard itself
+     * and duplicates produced by overlapping targets
      */
-    async scanBatch(ports) {
-        // Filter out the dashboard port
-        const portsToScan = ports.filter(port => port !== this.dashboardPort);
-        
-        const results = await Promise.all(
-            portsToScan.map(port => this.checkPort(port))
-        );
+    toEndpoints(items) {
+        const seen = new Set();
+        return items
+            .map(item => (typeof item === 'number' ? { host: this.scanHost, port: item } : item))
+            .filter(({ host, port }) => {
+                const key = `${host}:${port}`;
+                if (seen.has(key) || this.isDashboardEndpoint(host, port)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
 
-        // Filter only open ports and check for HTTP servers
-        const openPorts = results.filter(r => r.status === 'open');
-        const httpServers = [];
+    /**
+     * Endpoints of a set of targets, generated host by host so a large range never
+     * exists as one list. A host listed by several targets (e.g. on its own and inside
+     * a CIDR range) is probed once per port; the dashboard itself is skipped.
+     * @param {Array} targets - Resolved scan targets
+     * @param {Function} portsFor - Ports of a target, as a number[] or a { start, end } range
+     * @returns {{endpoints: Iterable, total: number}}
+     */
+    targetEndpoints(targets, portsFor) {
+        const portListsByHost = new Map();
+        for (const target of targets) {
+            const portLists = portListsByHost.get(target.host) || [];
+            portLists.push(portsFor(target));
+            portListsByHost.set(target.host, portLists);
+        }
+
+        const scanner = this;
+        function* hostEndpoints(host, portLists) {
+            const seen = new Set();
+            for (const ports of portLists) {
+                for (const port of eachPort(ports)) {
+                    if (seen.has(port) || scanner.isDashboardEndpoint(host, port)) continue;
+                    seen.add(port);
+                    yield { host, port };
+                }
+            }
+        }
 
-        for (const result of openPorts) {
-            const httpResult = await this.checkHttpServer(result.port);
-            if (httpResult) {
-                httpServers.push(httpResult);
+        // hosts × ports, counted without listing them for the common single-range host
+        let total = 0;
+        for (const [host, portLists] of portListsByHost) {
+            const [ports] = portLists;
+            if (portLists.length === 1 && !Array.isArray(ports)) {
+                const dashboard = ports.start <= this.dashboardPort && this.dashboardPort <= ports.end
+                    && this.isDashboardEndpoint(host, this.dashboardPort);
+                total += Math.max(0, ports.end - ports.start + 1) - (dashboard ? 1 : 0);
+            } else {
+                for (const endpoint of hostEndpoints(host, portLists)) total++;
             }
         }
 
-        return httpServers;
+        function* endpoints() {
+            for (const [host, portLists] of portListsByHost) {
+                yield* hostEndpoints(host, portLists);
+            }
+        }
+
+        return { endpoints: endpoints(), total };
     }
 
     /**
-     * Main scan method - scans all ports in configured range
+     * TCP-probe endpoints in batches of `concurrency`, reporting progress after each batch.
+     * Accepts an array of plain ports (probed on the default scan host) or { host, port } pairs,
+     * or what targetEndpoints() returns. Stops early (returning what was found so far) when
+     * the abort signal fires.
      */
-    async scan() {
-        console.log(`[PortScanner] Starting scan of ports ${this.portStart}-${this.portEnd}...`);
-        const startTime = Date.now();
-        
-        const allPorts = [];
-        for (let port = this.portStart; port <= this.portEnd; port++) {
-            // Skip the dashboard port
-            if (port !== this.dashboardPort) {
-                allPorts.push(port);
+    async probePorts(items, { onProgress, signal } = {}) {
+        let { endpoints, total } = items;
+        if (Array.isArray(items)) {
+            endpoints = this.toEndpoints(items);
+            total = endpoints.length;
+        }
+        const iterator = endpoints[Symbol.iterator]();
+        const openEndpoints = [];
+        let completed = 0;
+
+        if (onProgress) onProgress({ phase: 'port_probe', completed, total });
+
+        while (!signal?.aborted) {
+            const batch = takeBatch(iterator, this.concurrency);
+            if (batch.length === 0) break;
+
+            const results = await Promise.all(batch.map(({ host, port }) => this.checkPort(port, host)));
+            openEndpoints.push(...results.filter(r => r.status === 'open').map(({ host, port }) => ({ host, port })));
+
+            completed += batch.length;
+            if (onProgress) {
+                onProgress({ phase: 'port_probe', completed, total, open: openEndpoints.length });
             }
         }
 
-        // Split into batches for concurrency control
-        const batches = [];
-        for (let i = 0; i < allPorts.length; i += this.concurrency) {
-            batches.push(allPorts.slice(i, i + this.concurrency));
+        return openEndpoints;
+    }
+
+    /**
+     * Check each open endpoint for an HTTP/HTTPS server (falling back to service
+     * fingerprinting), reporting progress per endpoint
+     */
+    async probeHttp(openEndpoints, { onProgress, signal } = {}) {
+        const httpServers = [];
+
+        if (onProgress) onProgress({ phase: 'http_probe', completed: 0, total: openEndpoints.length });
+
+        for (const [index, { host, port }] of openEndpoints.entries()) {
+            if (signal?.aborted) break;
+
+            const result = await this.checkHttpServer(port, host) || await this.fingerprintService(port, host);
+            if (result) {
+                httpServers.push(result);
+            }
+
+            if (onProgress) onProgress({ phase: 'http_probe', completed: index + 1, total: openEndpoints.length });
         }
 
-        const discoveredServers = [];
+        return httpServers;
+    }
 
-        for (const batch of batches) {
-            const servers = await this.scanBatch(batch);
-            discoveredServers.push(...servers);
-            
-            // Progress indicator
-            const progress = Math.round((batch[0] / allPorts.length) * 100);
-            process.stdout.write(`\r[PortScanner] Progress: ${progress}%`);
+    /**
+     * Probe a list of ports/endpoints and return the ones serving HTTP/HTTPS
+     */
+    async scanBatch(items, options = {}) {
+        const openEndpoints = await this.probePorts(items, options);
+        if (options.signal?.aborted) return [];
+
+        const servers = await this.probeHttp(openEndpoints, options);
+        if (this.processLookupEnabled) {
+            await this.processInspector.attach(servers);
         }
+        return servers;
+    }
+
+    /**
+     * Ports a target should be scanned on: its explicit list, its own range, or the global range
+     * @returns {number[]|{start: number, end: number}}
+     */
+    getTargetPorts(target) {
+        if (target.ports) return target.ports;
+        return target.portRange || { start: this.portStart, end: this.portEnd };
+    }
+
+    /**
+     * Main scan method - scans every target across its configured port range.
+     * Pass `onProgress` to receive per-batch progress and `signal` to cancel.
+     */
+    async scan(options = {}) {
+        const targets = this.getTargets();
+        const endpoints = this.targetEndpoints(targets, target => this.getTargetPorts(target));
 
-        console.log(`\n[PortScanner] Scan complete. Found ${discoveredServers.length} web servers in ${Date.now() - startTime}ms`);
+        console.log(`[PortScanner] Starting scan of ${endpoints.total} ports across ${targets.length} host(s)...`);
+        const startTime = Date.now();
+
+        const discoveredServers = await this.scanBatch(endpoints, options);
+
+        console.log(`[PortScanner] Scan complete. Found ${discoveredServers.length} web servers in ${Date.now() - startTime}ms`);
 
         return discoveredServers;
     }
 
     /**
-     * Quick scan - scan common ports only (for faster initial discovery)
+     * Quick scan - scan common ports only (for faster initial discovery).
+     * Targets with an explicit port list are probed on exactly those ports; targets
+     * with their own portRange only get the common ports inside it.
      */
-    async quickScan() {
-        const commonPorts = [
-            80, 443, 8080, 3000, 5000, 8000, 8443, 8888, 9000, 9200,
-            10000, 1024, 1025, 1026, 1027, 1028, 1029, 1030, 1031, 1032,
-            1080, 3001, 4000, 5001, 5500, 5601, 6000, 6379, 7001, 8001,
-            8002, 8003, 8004, 8005, 8006, 8007, 8008, 8009, 8010, 8020,
-            8030, 8040, 8050, 8060, 8070, 8081, 8082, 8083, 8084, 8085,
-            8086, 8087, 8089, 8090, 8091, 8100, 8200, 8300, 8400, 8500,
-            8600, 8700, 8800, 9001, 9002, 9003, 9004, 9005, 9006, 9007,
-            9008, 9009, 9010, 9020, 9030, 9040, 9050, 9060, 9100, 9201,
-            9300, 9400, 9500, 9600, 9700, 9800, 9900, 10001, 10002, 10003,
-            11000, 12000, 13000, 14000, 15000, 16000, 17000, 18000
-        ];
-
-        // Filter out the dashboard port to avoid scanning itself
-        const portsToScan = commonPorts.filter(port => port !== this.dashboardPort);
-
-        console.log(`[PortScanner] Quick scan of ${portsToScan.length} common ports...`);
+    async quickScan(options = {}) {
+        const targets = this.getTargets();
+        const endpoints = this.targetEndpoints(targets, target => {
+            if (target.ports) return target.ports;
+            if (target.portRange) {
+                return COMMON_PORTS.filter(port => port >= target.portRange.start && port <= target.portRange.end);
+            }
+            return COMMON_PORTS;
+        });
+
+        console.log(`[PortScanner] Quick scan of ${endpoints.total} common ports across ${targets.length} host(s)...`);
         const startTime = Date.now();
         
-        const servers = await this.scanBatch(portsToScan);
+        const servers = await this.scanBatch(endpoints, options);
         
         console.log(`[PortScanner] Quick scan complete. Found ${servers.length} web servers in ${Date.now() - startTime}ms`);
         
@@ -0,0 +1,217 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const PROC = '/proc';
+
+// /proc/net/tcp state of a listening socket
+const TCP_LISTEN = '0A';
+
+// USER_HZ: /proc/<pid>/stat counts start time in these ticks (100 on every mainstream kernel)
+const CLOCK_TICKS = 100;
+
+const MAX_COMMAND_LENGTH = 1000;
+
+// Hosts whose listening sockets are this machine's (host.docker.internal is the Docker host, not us)
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+/**
+ * Process Inspector Agent
+ * Maps listening TCP ports on this machine to the processes that own them (Linux only).
+ * Reads /proc/net/tcp{,6} for listening sockets, finds the owning PID through
+ * /proc/<pid>/fd and describes it from /proc/<pid>/{cmdline,cwd,exe,stat}.
+ * Processes of other users are only visible when running as root; their sockets
+ * still report the owning user.
+ */
+class ProcessInspector {
+    constructor() {
+        this.supported = process.platform === 'linux';
+        this.users = null;
+    }
+
+    /**
+     * Whether a scanned host is this machine, so its ports can be looked up in /proc
+     */
+    isLocalHost(host) {
+        if (LOOPBACK_HOSTS.includes(host)) return true;
+        return Object.values(os.networkInterfaces())
+            .flat()
+            .some(iface => iface && iface.address === host);
+    }
+
+    /**
+     * Listening sockets by port: Map<port, { inode, uid }>
+     */
+    async readListeningSockets() {
+        const sockets = new Map();
+
+        for (const file of ['tcp', 'tcp6']) {
+            let text;
+            try {
+                text = await fs.readFile(path.join(PROC, 'net', file), 'utf8');
+            } catch (e) {
+                continue;
+            }
+
+            for (const line of text.split('\n').slice(1)) {
+                const fields = line.trim().split(/\s+/);
+                if (fields.length < 10 || fields[3] !== TCP_LISTEN) continue;
+
+                const port = parseInt(fields[1].split(':')[1], 16);
+                if (!sockets.has(port)) {
+                    sockets.set(port, { inode: fields[9], uid: Number(fields[7]) });
+                }
+            }
+        }
+
+        return sockets;
+    }
+
+    /**
+     * Find the PIDs owning the given socket inodes: Map<inode, pid>
+     */
+    async findSocketOwners(inodes) {
+        const owners = new Map();
+        const wanted = new Set(inodes);
+
+        const pids = (await fs.readdir(PROC)).filter(name => /^\d+$/.test(name));
+        for (const pid of pids) {
+            if (owners.size === wanted.size) break;
+
+            let fds;
+            try {
+                fds = await fs.readdir(path.join(PROC, pid, 'fd'));
+            } catch (e) {
+                // Another user's process (or it exited)
+                continue;
+            }
+
+            for (const fd of fds) {
+                try {
+                    const match = (await fs.readlink(path.join(PROC, pid, 'fd', fd))).match(/^socket:\[(\d+)\]$/);
+                    if (match && wanted.has(match[1]) && !owners.has(match[1])) {
+                        owners.set(match[1], Number(pid));
+                    }
+                } catch (e) {
+                    // fd closed while reading
+                }
+            }
+        }
+
+        return owners;
+    }
+
+    /**
+     * User name for a UID, from /etc/passwd
+     */
+    async userName(uid) {
+        if (!this.users) {
+            this.users = new Map();
+            try {
+                const passwd = await fs.readFile('/etc/passwd', 'utf8');
+                for (const line of passwd.split('\n')) {
+                    const [name, , id] = line.split(':');
+                    if (name && id !== undefined) this.users.set(Number(id), name);
+                }
+            } catch (e) {
+                // No passwd file (minimal containers); fall back to numeric IDs
+            }
+        }
+        return this.users.get(uid) || String(uid);
+    }
+
+    /**
+     * Start time of a process as an ISO date
+     */
+    async startTime(pid) {
+        const stat = await fs.readFile(path.join(PROC, String(pid), 'stat'), 'utf8');
+        // Fields after "pid (comm)"; comm may contain spaces and parentheses
+        const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+        const startTicks = Number(fields[19]);
+
+        const bootTime = Number((await fs.readFile(path.join(PROC, 'stat'), 'utf8')).match(/^btime (\d+)$/m)[1]);
+        return new Date((bootTime + startTicks / CLOCK_TICKS) * 1000).toISOString();
+    }
+
+    /**
+     * Describe a process; fields that cannot be read are null
+     */
+    async describeProcess(pid) {
+        const read = async (reader) => {
+            try {
+                return await reader();
+            } catch (e) {
+                return null;
+            }
+        };
+
+        const args = await read(async () =>
+            (await fs.readFile(path.join(PROC, String(pid), 'cmdline'), 'utf8')).split('\0').filter(Boolean)
+        );
+
+        return {
+            pid,
+            command: args ? args.join(' ').substring(0, MAX_COMMAND_LENGTH) : null,
+            cwd: await read(() => fs.readlink(path.join(PROC, String(pid), 'cwd'))),
+            exe: await read(() => fs.readlink(path.join(PROC, String(pid), 'exe'))),
+            startedAt: await read(() => this.startTime(pid))
+        };
+    }
+
+    /**
+     * Owning process of each listening port
+     * @param {number[]} ports - Ports to look up
+     * @returns {Promise<Map<number, Object>>} port -> { pid, command, cwd, exe, user, startedAt, checkedAt }
+     */
+    async lookup(ports) {
+        const result = new Map();
+        if (!this.supported || ports.length === 0) return result;
+
+        try {
+            const sockets = await this.readListeningSockets();
+            const found = ports.filter(port => sockets.has(port));
+            const owners = await this.findSocketOwners(found.map(port => sockets.get(port).inode));
+            const checkedAt = new Date().toISOString();
+
+            for (const port of found) {
+                const { inode, uid } = sockets.get(port);
+                const pid = owners.get(inode);
+                const details = pid
+                    ? await this.describeProcess(pid)
+                    : { pid: null, command: null, cwd: null, exe: null, startedAt: null };
+                result.set(port, { ...details, user: await this.userName(uid), checkedAt });
+            }
+        } catch (error) {
+            console.warn(`[ProcessInspector] Could not read /proc: ${error.message}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Attach `process` to local scan results (those on other hosts are left alone)
+     * @param {Array} servers - Scan results with host and port
+     */
+    async attach(servers) {
+        const local = servers.filter(srv => this.isLocalHost(srv.host));
+        const processes = await this.lookup(local.map(srv => srv.port));
+        for (const srv of local) {
+            srv.process = processes.get(srv.port) || null;
+        }
+        return servers;
+    }
+
+    /**
+     * Parse the process_info column
+     */
+    static parse(value) {
+        if (!value) return null;
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+module.exports = ProcessInspector;
@@ -1,16 +1,33 @@
 const puppeteer = require('puppeteer');
-const sharp = require('sharp');
 const config = require('../config.json');
+const { fillValue } = require('../utils/captureRecipe');
 
-// Target dimensions for screenshots
+// Viewport screenshots are taken at; smaller sizes are rendered on request (services/screenshotRenderer.js)
 const CAPTURE_WIDTH = 800;
 const CAPTURE_HEIGHT = 600;
-const TARGET_WIDTH = 280;
-const TARGET_HEIGHT = 160;
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_CAPTURE_TIMEOUT_MS = 30000;
+
+// How long a capture recipe step may wait for its selector or URL
+const STEP_TIMEOUT_MS = 10000;
+
+// Errors Puppeteer raises when the browser went away under a page
+const BROWSER_GONE_PATTERN = /Target closed|Session closed|Connection closed|Protocol error|browser has disconnected/i;
 
 /**
  * Screenshot Agent
- * Uses Puppeteer to capture screenshots of web applications
+ * Uses Puppeteer to capture screenshots of web applications.
+ *
+ * Captures share one browser and run on a pool of at most `screenshot.concurrency` pages;
+ * further captures wait for a free page. Pages are reused once blanked. A capture taking
+ * longer than `screenshot.captureTimeoutMs` fails and its page is closed. When Chromium
+ * crashes or the `docker.chromeWsEndpoint` connection drops, the next capture launches
+ * (or connects) again, and a capture that failed because of it is tried once more.
+ *
+ * Apps with a capture recipe (utils/captureRecipe.js) are signed in before the capture.
+ * These captures get a fresh incognito page each, so sessions, cookies and headers
+ * never carry over to other apps; the headers are only sent to the app's own origin.
  */
 class ScreenshotAgent {
     constructor() {
@@ -22,23 +39,53 @@ class ScreenshotAgent {
         this.thumbnailHeight = config.screenshot.thumbnailHeight || 90;
         this.dockerMode = config.docker.enabled || process.env.DOCKER_CONTAINER === 'true';
         this.chromeWsEndpoint = config.docker.chromeWsEndpoint;
+        this.concurrency = config.screenshot.concurrency || DEFAULT_CONCURRENCY;
+        this.captureTimeoutMs = config.screenshot.captureTimeoutMs || DEFAULT_CAPTURE_TIMEOUT_MS;
         this.browser = null;
+        this.launching = null;
+        this.launches = 0;
+        // Page pool: blank pages ready for reuse, pages in use, and callers waiting for one
+        this.idlePages = [];
+        this.active = 0;
+        this.waiting = [];
+        // Capture outcomes since startup (exported on /metrics); timedOut counts towards failed
+        this.stats = { captured: 0, failed: 0, timedOut: 0, relaunches: 0 };
     }
 
     /**
-     * Initialize browser (reuse for performance)
+     * Initialize browser (reuse for performance); launches a new one when the last one is gone
      */
     async initBrowser() {
-        if (this.browser) return this.browser;
+        if (this.browser && this.browser.isConnected()) return this.browser;
 
+        // Concurrent captures wait for the same launch
+        if (!this.launching) {
+            this.launching = this.launchBrowser()
+                .then((browser) => {
+                    if (this.launches++ > 0) {
+                        this.stats.relaunches++;
+                        console.log('[ScreenshotAgent] Browser relaunched');
+                    }
+                    browser.on('disconnected', () => this.onDisconnected(browser));
+                    this.browser = browser;
+                    return browser;
+                })
+                .finally(() => {
+                    this.launching = null;
+                });
+        }
+        return this.launching;
+    }
+
+    launchBrowser() {
         if (this.dockerMode && this.chromeWsEndpoint) {
             // Connect to Chrome in Docker
-            this.browser = await puppeteer.connect({
+            return puppeteer.connect({
                 browserWSEndpoint: this.chromeWsEndpoint
             });
         } else if (this.dockerMode) {
             // Launch Chromium in Docker
-            this.browser = await puppeteer.launch({
+            return puppeteer.launch({
                 executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || '/usr/bin/chromium',
                 headless: 'new',
                 args: [
@@ -51,7 +98,7 @@ class ScreenshotAgent {
             });
         } else {
             // Launch local browser
-            this.browser = await puppeteer.launch({
+            return puppeteer.launch({
                 headless: 'new',
                 args: [
                     '--no-sandbox',
@@ -62,100 +109,232 @@ class ScreenshotAgent {
                 ]
             });
         }
-
-        return this.browser;
     }
 
     /**
-     * Process screenshot: resize to target width maintaining aspect ratio, then crop to target height
+     * Chromium crashed or the connection to it dropped: its pages are gone with it
      */
-    async processScreenshot(buffer) {
-        try {
-            const image = sharp(buffer);
-            const metadata = await image.metadata();
-            
-            // Calculate height to maintain aspect ratio when width is TARGET_WIDTH
-            const aspectRatio = metadata.height / metadata.width;
-            const resizedHeight = Math.round(TARGET_WIDTH * aspectRatio);
-            
-            // Resize to target width, maintaining aspect ratio
-            let processed = await image
-                .resize(TARGET_WIDTH, resizedHeight, {
-                    fit: 'fill'
-                })
-                .toBuffer();
-            
-            // Crop to target height (from top)
-            processed = await sharp(processed)
-                .extract({
-                    left: 0,
-                    top: 0,
-                    width: TARGET_WIDTH,
-                    height: TARGET_HEIGHT
-                })
-                .toBuffer();
-            
-            return processed;
-        } catch (error) {
-            console.error('[ScreenshotAgent] Error processing screenshot:', error.message);
-            return buffer; // Return original if processing fails
-        }
+    onDisconnected(browser) {
+        if (this.browser !== browser) return;
+        console.warn('[ScreenshotAgent] Browser disconnected; the next capture starts a new one');
+        this.browser = null;
+        this.idlePages = [];
     }
 
     /**
-     * Capture screenshot of a URL
+     * Take a page from the pool, waiting while all `concurrency` pages are in use.
+     * An isolated page is a new one in its own incognito context.
      */
-    async captureScreenshot(url, appId) {
-        let browser = null;
-        let page = null;
+    async acquirePage(isolated = false) {
+        if (this.active < this.concurrency) {
+            this.active++;
+        } else {
+            // releaseSlot() hands its slot straight to the next waiter
+            await new Promise(resolve => this.waiting.push(resolve));
+        }
 
         try {
-            browser = await this.initBrowser();
-            page = await browser.newPage();
-
-            // Set viewport to 800x600 for capture
+            const browser = await this.initBrowser();
+            while (!isolated && this.idlePages.length > 0) {
+                const page = this.idlePages.pop();
+                if (!page.isClosed() && page.browser() === browser) return page;
+            }
+            const page = isolated
+                ? await (await browser.createIncognitoBrowserContext()).newPage()
+                : await browser.newPage();
             await page.setViewport({
                 width: CAPTURE_WIDTH,
                 height: CAPTURE_HEIGHT
             });
+            return page;
+        } catch (error) {
+            this.releaseSlot();
+            throw error;
+        }
+    }
 
-            // Navigate to URL with timeout
-            await page.goto(url, {
-                waitUntil: 'networkidle2',
-                timeout: 15000
-            });
+    /**
+     * Return a page to the pool, or close it when it cannot be reused
+     */
+    releasePage(page, reusable) {
+        const context = page.browserContext();
+        if (context.isIncognito()) {
+            context.close().catch(() => {});
+        } else if (reusable && !page.isClosed() && this.browser && page.browser() === this.browser) {
+            this.idlePages.push(page);
+        } else if (!page.isClosed()) {
+            page.close().catch(() => {});
+        }
+        this.releaseSlot();
+    }
 
-            // Wait a bit for dynamic content
-            await new Promise(resolve => setTimeout(resolve, 1000));
+    releaseSlot() {
+        const next = this.waiting.shift();
+        if (next) {
+            next();
+        } else {
+            this.active--;
+        }
+    }
 
-            // Capture screenshot as buffer
-            const screenshotBuffer = await page.screenshot({
-                type: 'png',
-                fullPage: false
-            });
+    /**
+     * Run `work(page)` on a pooled page (or an isolated one) within `timeoutMs`. Tried once
+     * more on a new browser when the browser went away during the first attempt.
+     */
+    async withPage(work, { isolated = false, timeoutMs = this.captureTimeoutMs } = {}) {
+        for (let attempt = 1; ; attempt++) {
+            const page = await this.acquirePage(isolated);
+            let timer = null;
+            let reusable = false;
+            try {
+                const result = await Promise.race([
+                    work(page),
+                    new Promise((resolve, reject) => {
+                        timer = setTimeout(() => {
+                            const error = new Error(`Timed out after ${timeoutMs} ms`);
+                            error.timeout = true;
+                            reject(error);
+                        }, timeoutMs);
+                    })
+                ]);
+                // Blank the page so it holds no scripts or memory while idle; closed instead when that fails
+                reusable = !isolated && await page.goto('about:blank').then(() => true, () => false);
+                return result;
+            } catch (error) {
+                const browserGone = !this.browser || !this.browser.isConnected() || BROWSER_GONE_PATTERN.test(error.message);
+                if (attempt === 1 && browserGone && !error.timeout) {
+                    console.warn(`[ScreenshotAgent] Browser went away (${error.message}), retrying`);
+                    continue;
+                }
+                throw error;
+            } finally {
+                clearTimeout(timer);
+                this.releasePage(page, reusable);
+            }
+        }
+    }
 
-            // Process screenshot: resize to 280px width, then crop to 160px height
-            const processedBuffer = await this.processScreenshot(screenshotBuffer);
+    /**
+     * Open `url`, signed in by the app's capture recipe when it has one
+     */
+    async openPage(page, url, recipe, navigation) {
+        if (recipe) {
+            if (Object.keys(recipe.headers).length > 0) {
+                // Only requests to the app itself carry the headers, never CDNs, analytics or
+                // redirects elsewhere. The page is isolated and closed afterwards.
+                const origin = new URL(url).origin;
+                await page.setRequestInterception(true);
+                page.on('request', (request) => {
+                    let sameOrigin = false;
+                    try {
+                        sameOrigin = new URL(request.url()).origin === origin;
+                    } catch (e) {
+                        // data: and other URLs without an origin
+                    }
+                    const overrides = sameOrigin ? { headers: { ...request.headers(), ...recipe.headers } } : undefined;
+                    request.continue(overrides).catch(() => {});
+                });
+            }
+            const cookies = Object.entries(recipe.cookies).map(([name, value]) => ({ name, value, url }));
+            if (cookies.length > 0) {
+                await page.setCookie(...cookies);
+            }
+        }
+
+        await page.goto(url, navigation);
+        if (!recipe) return;
+
+        for (const [index, step] of recipe.steps.entries()) {
+            try {
+                await this.runStep(page, step, url, recipe, navigation);
+            } catch (error) {
+                throw new Error(`Login step ${index + 1} (${step.action}) failed: ${error.message}`);
+            }
+        }
+        if (recipe.waitForSelector) {
+            await page.waitForSelector(recipe.waitForSelector, { visible: true, timeout: STEP_TIMEOUT_MS });
+        }
+    }
 
-            console.log(`[ScreenshotAgent] Captured screenshot for ${url} (${processedBuffer.length} bytes)`);
+    async runStep(page, step, url, recipe, navigation) {
+        switch (step.action) {
+            case 'goto':
+                await page.goto(new URL(step.url, url).href, navigation);
+                break;
+            case 'fill':
+                await page.waitForSelector(step.selector, { visible: true, timeout: STEP_TIMEOUT_MS });
+                // Replace whatever the field holds (e.g. a remembered username)
+                await page.$eval(step.selector, element => { element.value = ''; });
+                await page.type(step.selector, fillValue(step.value, recipe));
+                break;
+            case 'click':
+                await page.waitForSelector(step.selector, { visible: true, timeout: STEP_TIMEOUT_MS });
+                await page.click(step.selector);
+                break;
+            case 'waitForSelector':
+                await page.waitForSelector(step.selector, { visible: true, timeout: STEP_TIMEOUT_MS });
+                break;
+            case 'waitForUrl':
+                await page.waitForFunction(part => window.location.href.includes(part), { timeout: STEP_TIMEOUT_MS }, step.url);
+                break;
+        }
+    }
+
+    /**
+     * Page pool and capture figures for GET /api/screenshots/status
+     */
+    queueStatus() {
+        return {
+            concurrency: this.concurrency,
+            active: this.active,
+            waiting: this.waiting.length,
+            idlePages: this.idlePages.length,
+            browserConnected: !!(this.browser && this.browser.isConnected()),
+            captureTimeoutMs: this.captureTimeoutMs,
+            ...this.stats
+        };
+    }
+
+    /**
+     * Capture screenshot of a URL, signing in first when the app has a capture recipe
+     */
+    async captureScreenshot(url, appId, recipe = null) {
+        try {
+            const screenshotBuffer = await this.withPage(async (page) => {
+                // Navigate to URL with timeout
+                await this.openPage(page, url, recipe, {
+                    waitUntil: 'networkidle2',
+                    timeout: 15000
+                });
+
+                // Wait a bit for dynamic content
+                await new Promise(resolve => setTimeout(resolve, 1000));
+
+                // Capture screenshot as buffer
+                return page.screenshot({
+                    type: 'png',
+                    fullPage: false
+                });
+            }, { isolated: !!recipe });
+
+            console.log(`[ScreenshotAgent] Captured screenshot for ${url} (${screenshotBuffer.length} bytes)`);
+            this.stats.captured++;
 
             return {
                 success: true,
-                buffer: processedBuffer,
-                thumbnail: null, // Thumbnail disabled, using main image
+                buffer: screenshotBuffer,
                 appId
             };
 
         } catch (error) {
             console.error(`[ScreenshotAgent] Failed to capture ${url}:`, error.message);
+            this.stats.failed++;
+            if (error.timeout) this.stats.timedOut++;
             return {
                 success: false,
                 error: error.message,
                 appId
             };
-        } finally {
-            if (page) await page.close();
-            // Keep browser open for reuse
         }
     }
 
@@ -176,68 +355,55 @@ class ScreenshotAgent {
     }
 
     /**
-     * Capture screenshots for multiple apps
+     * Capture screenshots for multiple apps, as many at once as the page pool allows
      */
     async captureBatch(urls, appIds) {
-        const results = [];
-        
-        for (let i = 0; i < urls.length; i++) {
-            const result = await this.captureScreenshot(urls[i], appIds[i]);
-            results.push(result);
-            
-            // Small delay between captures to avoid overwhelming servers
-            if (i < urls.length - 1) {
-                await new Promise(resolve => setTimeout(resolve, 500));
-            }
-        }
-
-        return results;
+        return Promise.all(urls.map((url, i) => this.captureScreenshot(url, appIds[i])));
     }
 
     /**
      * Close browser when done
      */
     async closeBrowser() {
-        if (this.browser) {
-            await this.browser.close();
+        const browser = this.browser;
+        if (browser) {
+            // Cleared first so the disconnect is not taken for a crash
             this.browser = null;
+            this.idlePages = [];
+            await browser.close();
         }
     }
 
     /**
-     * Get page content for AI analysis
+     * Get page content for AI analysis, signed in like captureScreenshot()
      */
-    async getPageContent(url) {
-        let browser = null;
-        let page = null;
-
+    async getPageContent(url, recipe = null) {
         try {
-            browser = await this.initBrowser();
-            page = await browser.newPage();
+            return await this.withPage(async (page) => {
+                await this.openPage(page, url, recipe, {
+                    waitUntil: 'domcontentloaded',
+                    timeout: 10000
+                });
 
-            await page.goto(url, {
-                waitUntil: 'domcontentloaded',
-                timeout: 10000
-            });
+                // Get page title and content
+                const title = await page.title();
+                const content = await page.evaluate(() => {
+                    return {
+                        bodyText: document.body?.innerText?.substring(0, 2000) || '',
+                        headings: Array.from(document.querySelectorAll('h1, h2, h3'))
+                            .slice(0, 5)
+                            .map(h => h.innerText),
+                        hasLoginForm: !!document.querySelector('input[type="password"]'),
+                        hasAdminPanel: document.body?.innerText?.toLowerCase().includes('admin') || false
+                    };
+                });
 
-            // Get page title and content
-            const title = await page.title();
-            const content = await page.evaluate(() => {
                 return {
-                    bodyText: document.body?.innerText?.substring(0, 2000) || '',
-                    headings: Array.from(document.querySelectorAll('h1, h2, h3'))
-                        .slice(0, 5)
-                        .map(h => h.innerText),
-                    hasLoginForm: !!document.querySelector('input[type="password"]'),
-                    hasAdminPanel: document.body?.innerText?.toLowerCase().includes('admin') || false
+                    url,
+                    title,
+                    ...content
                 };
-            });
-
-            return {
-                url,
-                title,
-                ...content
-            };
+            }, { isolated: !!recipe });
 
         } catch (error) {
             console.error(`[ScreenshotAgent] Failed to get content from ${url}:`, error.message);
@@ -245,8 +411,6 @@ class ScreenshotAgent {
                 url,
                 error: error.message
             };
-        } finally {
-            if (page) await page.close();
         }
     }
 }
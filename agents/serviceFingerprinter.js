@@ -0,0 +1,313 @@
+const net = require('net');
+const config = require('../config.json');
+
+// Which active probe to try first for well-known ports; everything else uses PROBE_ORDER
+const PORT_HINTS = {
+    6379: 'redis',
+    5432: 'postgresql',
+    3306: 'mysql',
+    1883: 'mqtt',
+    5672: 'amqp'
+};
+
+const PROBE_ORDER = ['redis', 'postgresql', 'mqtt', 'amqp'];
+
+// PostgreSQL SSLRequest: length 8, magic code 80877103. Servers answer with a single 'S' or 'N'.
+const POSTGRES_SSL_REQUEST = Buffer.from([0x00, 0x00, 0x00, 0x08, 0x04, 0xd2, 0x16, 0x2f]);
+
+// AMQP 0-9-1 protocol header. Brokers answer with Connection.Start (or their own header on mismatch).
+const AMQP_HEADER = Buffer.from('AMQP\x00\x00\x09\x01', 'binary');
+
+// Redis PING followed by INFO server, so a single round trip yields the version too
+const REDIS_PROBE = Buffer.from('*1\r\n$4\r\nPING\r\n*2\r\n$4\r\nINFO\r\n$6\r\nserver\r\n');
+
+/**
+ * Build a minimal MQTT 3.1.1 CONNECT packet with a clean session
+ */
+function buildMqttConnect(clientId) {
+    const id = Buffer.from(clientId);
+    const variableHeader = Buffer.from([0x00, 0x04, 0x4d, 0x51, 0x54, 0x54, 0x04, 0x02, 0x00, 0x3c]);
+    const payload = Buffer.concat([Buffer.from([id.length >> 8, id.length & 0xff]), id]);
+    const remaining = variableHeader.length + payload.length;
+    return Buffer.concat([Buffer.from([0x10, remaining]), variableHeader, payload]);
+}
+
+const MQTT_CONNECT = buildMqttConnect('webapp-monitor');
+
+// Display metadata for each detected protocol
+const SERVICE_INFO = {
+    redis: { name: 'Redis', category: 'Database', description: 'Redis key-value store' },
+    postgresql: { name: 'PostgreSQL', category: 'Database', description: 'PostgreSQL database server' },
+    mysql: { name: 'MySQL', category: 'Database', description: 'MySQL database server' },
+    ssh: { name: 'SSH Server', category: 'Infrastructure', description: 'Secure shell server' },
+    smtp: { name: 'SMTP Server', category: 'Infrastructure', description: 'Mail transfer server' },
+    ftp: { name: 'FTP Server', category: 'Infrastructure', description: 'File transfer server' },
+    mqtt: { name: 'MQTT Broker', category: 'Messaging', description: 'MQTT message broker' },
+    amqp: { name: 'AMQP Broker', category: 'Messaging', description: 'AMQP message broker (e.g. RabbitMQ)' }
+};
+
+/**
+ * A greeting is complete once a text line has ended (SSH/SMTP/FTP)
+ * or a whole length-prefixed MySQL packet has arrived
+ */
+function isBannerComplete(buffer) {
+    if (buffer.includes(0x0a)) return true;
+    return buffer.length >= 4 && buffer.length >= 4 + buffer.readUIntLE(0, 3);
+}
+
+/**
+ * Keep only printable ASCII so banners are safe to store and display
+ */
+function toPrintable(buffer, maxLength = 200) {
+    return buffer.toString('latin1').replace(/[^\x20-\x7e]+/g, ' ').trim().substring(0, maxLength);
+}
+
+/**
+ * Service Fingerprinter Agent
+ * Identifies non-HTTP services on open ports by reading their greeting banner
+ * (SSH, MySQL, SMTP, FTP) or speaking a minimal handshake (Redis, PostgreSQL,
+ * MQTT, AMQP). Never authenticates; every probe disconnects right after the
+ * server's first answer.
+ */
+class ServiceFingerprinter {
+    constructor() {
+        this.timeout = config.scanning.timeoutMs;
+        this.bannerTimeout = config.scanning.bannerTimeoutMs || 500;
+        // Local services answer a handshake in milliseconds; keep silent ports from stalling scans
+        this.probeTimeout = config.scanning.probeTimeoutMs || 1000;
+    }
+
+    /**
+     * Open a connection, optionally send a payload, and collect the response until
+     * `isComplete(buffer)` is satisfied, the server closes, or the timeout expires.
+     * Resolves { connected, data } and never rejects.
+     */
+    exchange(host, port, payload = null, { timeout = this.timeout, isComplete = () => false } = {}) {
+        return new Promise((resolve) => {
+            const socket = new net.Socket();
+            const chunks = [];
+            let connected = false;
+            let settled = false;
+
+            const finish = () => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                socket.destroy();
+                resolve({ connected, data: Buffer.concat(chunks) });
+            };
+
+            const timer = setTimeout(finish, timeout);
+
+            socket.setTimeout(timeout, finish);
+            socket.on('connect', () => {
+                connected = true;
+                if (payload) socket.write(payload);
+            });
+            socket.on('data', (chunk) => {
+                chunks.push(chunk);
+                if (isComplete(Buffer.concat(chunks))) finish();
+            });
+            socket.on('error', finish);
+            socket.on('close', finish);
+
+            socket.connect(port, host);
+        });
+    }
+
+    /**
+     * Passively read whatever a server-first protocol sends on connect
+     */
+    async grabBanner(host, port) {
+        const { connected, data } = await this.exchange(host, port, null, {
+            timeout: this.bannerTimeout,
+            isComplete: isBannerComplete
+        });
+        return { connected, banner: data };
+    }
+
+    /**
+     * Recognize server-first greetings: SSH, MySQL/MariaDB, SMTP and FTP
+     */
+    parseBanner(data) {
+        if (!data || data.length === 0) return null;
+        const text = data.toString('latin1');
+
+        const ssh = text.match(/^SSH-([\d.]+)-([^\s\r\n]+)/);
+        if (ssh) {
+            const [product, version] = ssh[2].split('_');
+            return { protocol: 'ssh', version: version || null, product, banner: toPrintable(data) };
+        }
+
+        // MySQL handshake: 3-byte length, sequence 0, protocol version 10, NUL-terminated server version
+        if (data.length > 5 && data[3] === 0x00 && data[4] === 0x0a) {
+            const end = data.indexOf(0x00, 5);
+            const version = data.toString('latin1', 5, end > 5 ? end : Math.min(data.length, 40));
+            const product = /mariadb/i.test(version) ? 'MariaDB' : 'MySQL';
+            // MariaDB prefixes "5.5.5-" for old clients and suffixes "-MariaDB"
+            const cleanVersion = version.replace(/^5\.5\.5-/, '').replace(/-MariaDB.*$/i, '');
+            return { protocol: 'mysql', version: cleanVersion, product, banner: toPrintable(data) };
+        }
+
+        // MySQL error packet sent instead of a greeting (e.g. "Host ... is not allowed to connect")
+        if (data.length > 5 && data[4] === 0xff && /mysql|mariadb/i.test(text)) {
+            return { protocol: 'mysql', version: null, product: 'MySQL', banner: toPrintable(data) };
+        }
+
+        if (/^220[ -]/.test(text)) {
+            if (/ftp/i.test(text)) {
+                return { protocol: 'ftp', version: null, product: null, banner: toPrintable(data) };
+            }
+            if (/smtp|mail|postfix|exim|sendmail/i.test(text)) {
+                const product = (text.match(/(Postfix|Exim \S+|Sendmail \S+|Microsoft ESMTP MAIL Service)/i) || [])[1] || null;
+                return { protocol: 'smtp', version: null, product, banner: toPrintable(data) };
+            }
+        }
+
+        return null;
+    }
+
+    async probeRedis(host, port) {
+        const { data } = await this.exchange(host, port, REDIS_PROBE, {
+            timeout: this.probeTimeout,
+            isComplete: (buffer) => /redis_version:[^\r\n]*\r\n|^-/m.test(buffer.toString('latin1'))
+        });
+        const text = data.toString('latin1');
+        if (!/^\+PONG|^-NOAUTH|^-DENIED|^-ERR.*(auth|protected mode)/i.test(text)) return null;
+
+        const version = (text.match(/redis_version:([^\r\n]+)/) || [])[1] || null;
+        return { protocol: 'redis', version, product: 'Redis', banner: toPrintable(data) };
+    }
+
+    async probePostgres(host, port) {
+        const { data } = await this.exchange(host, port, POSTGRES_SSL_REQUEST, {
+            timeout: this.probeTimeout,
+            isComplete: (buffer) => buffer.length >= 1
+        });
+        if (data.length !== 1 || (data[0] !== 0x53 && data[0] !== 0x4e)) return null;
+
+        // The server version is only revealed after authentication, so it stays unknown
+        return { protocol: 'postgresql', version: null, product: 'PostgreSQL', banner: data[0] === 0x53 ? 'SSL supported' : 'SSL not supported' };
+    }
+
+    async probeMqtt(host, port) {
+        const { data } = await this.exchange(host, port, MQTT_CONNECT, {
+            timeout: this.probeTimeout,
+            isComplete: (buffer) => buffer.length >= 4
+        });
+        if (data.length < 4 || data[0] !== 0x20 || data[1] !== 0x02) return null;
+
+        const returnCodes = ['accepted', 'bad protocol', 'id rejected', 'unavailable', 'bad credentials', 'not authorized'];
+        // MQTT does not reveal the broker version; record the protocol level we spoke instead
+        return { protocol: 'mqtt', version: null, product: null, banner: `MQTT 3.1.1 CONNACK ${returnCodes[data[3]] || data[3]}` };
+    }
+
+    async probeAmqp(host, port) {
+        const { data } = await this.exchange(host, port, AMQP_HEADER, {
+            timeout: this.probeTimeout,
+            isComplete: (buffer) => buffer.length >= 8 && (buffer.includes('version') || buffer.toString('latin1', 0, 4) === 'AMQP')
+        });
+        if (data.length < 8) return null;
+
+        // Broker does not speak 0-9-1 and replies with the header it supports
+        if (data.toString('latin1', 0, 4) === 'AMQP') {
+            return { protocol: 'amqp', version: `${data[5]}.${data[6]}.${data[7]}`, product: null, banner: toPrintable(data) };
+        }
+
+        // Connection.Start: frame type 1, class 10, method 10
+        if (data[0] !== 0x01 || data.readUInt16BE(7) !== 10 || data.readUInt16BE(9) !== 10) return null;
+
+        return {
+            protocol: 'amqp',
+            version: this.readAmqpProperty(data, 'version'),
+            product: this.readAmqpProperty(data, 'product'),
+            banner: toPrintable(data)
+        };
+    }
+
+    /**
+     * Pull a long-string value out of the Connection.Start server-properties table
+     */
+    readAmqpProperty(data, key) {
+        const keyBuffer = Buffer.from(key);
+        let index = data.indexOf(Buffer.concat([Buffer.from([keyBuffer.length]), keyBuffer, Buffer.from('S')]));
+        if (index === -1) return null;
+
+        index += 1 + keyBuffer.length + 1;
+        if (index + 4 > data.length) return null;
+        const length = data.readUInt32BE(index);
+        return data.toString('utf8', index + 4, Math.min(data.length, index + 4 + length)) || null;
+    }
+
+    /**
+     * Active handshake for a protocol, or undefined for server-first protocols
+     */
+    runProbe(protocol, host, port) {
+        const probes = {
+            redis: () => this.probeRedis(host, port),
+            postgresql: () => this.probePostgres(host, port),
+            mqtt: () => this.probeMqtt(host, port),
+            amqp: () => this.probeAmqp(host, port)
+        };
+        return probes[protocol] ? probes[protocol]() : undefined;
+    }
+
+    /**
+     * Try the active handshakes, starting with the one the port number suggests
+     */
+    async probeActive(host, port) {
+        const hint = PORT_HINTS[port];
+        const order = hint && PROBE_ORDER.includes(hint)
+            ? [hint, ...PROBE_ORDER.filter(p => p !== hint)]
+            : PROBE_ORDER;
+
+        for (const protocol of order) {
+            const result = await this.runProbe(protocol, host, port);
+            if (result) return result;
+        }
+        return null;
+    }
+
+    /**
+     * Re-check a service whose protocol is already known (used by health checks).
+     * Runs the matching handshake directly and only falls back to a full
+     * identify() when it does not answer as expected.
+     */
+    async verify(host, port, protocol) {
+        const result = await this.runProbe(protocol, host, port);
+        return result || this.identify(host, port);
+    }
+
+    /**
+     * Full fingerprint of a port: banner first, then active handshakes.
+     * Returns null if the port is not reachable, or { protocol: 'tcp' } when it is
+     * open but nothing recognizable answered.
+     */
+    async identify(host, port) {
+        const { connected, banner } = await this.grabBanner(host, port);
+        if (!connected) return null;
+
+        const fromBanner = this.parseBanner(banner);
+        if (fromBanner) return fromBanner;
+
+        const fromProbe = await this.probeActive(host, port);
+        if (fromProbe) return fromProbe;
+
+        return { protocol: 'tcp', version: null, product: null, banner: banner.length ? toPrintable(banner) : null };
+    }
+
+    /**
+     * Name/category/description for a fingerprinted service, used instead of AI identification
+     */
+    static describe(fingerprint) {
+        const info = SERVICE_INFO[fingerprint?.protocol] || { name: 'TCP Service', category: 'Other', description: 'Unidentified TCP service' };
+        const name = fingerprint?.product && fingerprint.product !== info.name ? fingerprint.product : info.name;
+        return {
+            name: fingerprint?.version ? `${name} ${fingerprint.version}`.substring(0, 50) : name,
+            category: info.category,
+            description: info.description
+        };
+    }
+}
+
+module.exports = ServiceFingerprinter;
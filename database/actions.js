@@ -0,0 +1,55 @@
+const { db } = require('./db');
+
+// Output kept per run in the audit trail (the end of it, where errors usually are)
+const MAX_STORED_OUTPUT = 20000;
+
+const insertRun = db.prepare(`
+    INSERT INTO action_runs (app_id, app_name, action, type, command, actor)
+    VALUES (@app_id, @app_name, @action, @type, @command, @actor)
+`);
+const finishRun = db.prepare(`
+    UPDATE action_runs
+    SET status = @status, exit_code = @exit_code, output = @output, finished_at = CURRENT_TIMESTAMP
+    WHERE id = @id
+`);
+const getRun = db.prepare(`SELECT * FROM action_runs WHERE id = ?`);
+const getRuns = db.prepare(`
+    SELECT * FROM action_runs
+    WHERE (@app_id IS NULL OR app_id = @app_id)
+    ORDER BY started_at DESC, id DESC
+    LIMIT @limit
+`);
+const interruptRuns = db.prepare(`
+    UPDATE action_runs SET status = 'interrupted', finished_at = CURRENT_TIMESTAMP WHERE status = 'running'
+`);
+
+// Audit trail of lifecycle actions (start/stop/restart)
+const actions = {
+    // Record a run as it starts
+    startRun: ({ appId, appName, action, type, command, actor }) => {
+        const result = insertRun.run({ app_id: appId, app_name: appName, action, type, command, actor });
+        return getRun.get(result.lastInsertRowid);
+    },
+
+    // Record how a run ended
+    finishRun: (id, { status, exitCode = null, output = '' }) => {
+        finishRun.run({ id, status, exit_code: exitCode, output: output.slice(-MAX_STORED_OUTPUT) });
+        return getRun.get(id);
+    },
+
+    getRun: (id) => {
+        return getRun.get(id);
+    },
+
+    // Newest runs first, for one app or all
+    getRuns: ({ appId = null, limit = 50 } = {}) => {
+        return getRuns.all({ app_id: appId, limit });
+    },
+
+    // Runs still marked running when the server starts were cut off by the restart
+    interruptStaleRuns: () => {
+        return interruptRuns.run().changes;
+    }
+};
+
+module.exports = actions;
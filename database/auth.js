@@ -0,0 +1,170 @@
+const { db } = require('./db');
+
+// Columns of a user that API responses may show (never the password hash)
+const USER_COLUMNS = 'id, username, role, created_at, last_login_at';
+const JOINED_USER_COLUMNS = 'users.id, users.username, users.role, users.created_at, users.last_login_at';
+const TOKEN_COLUMNS = 'api_tokens.id, api_tokens.user_id, users.username, api_tokens.name, api_tokens.prefix, api_tokens.scopes, api_tokens.created_at, api_tokens.expires_at, api_tokens.last_used_at';
+
+const countUsers = db.prepare(`SELECT COUNT(*) AS count FROM users`);
+const countAdmins = db.prepare(`SELECT COUNT(*) AS count FROM users WHERE role = 'admin'`);
+const getUsers = db.prepare(`SELECT ${USER_COLUMNS} FROM users ORDER BY username`);
+const getUser = db.prepare(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`);
+const getUserByName = db.prepare(`SELECT * FROM users WHERE username = ?`);
+const insertUser = db.prepare(`
+    INSERT INTO users (username, password_hash, role) VALUES (@username, @password_hash, @role)
+`);
+const updateUserRole = db.prepare(`UPDATE users SET role = ? WHERE id = ?`);
+const updateUserPassword = db.prepare(`UPDATE users SET password_hash = ? WHERE id = ?`);
+const getPasswordHash = db.prepare(`SELECT password_hash FROM users WHERE id = ?`);
+const markLogin = db.prepare(`UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?`);
+const deleteUser = db.prepare(`DELETE FROM users WHERE id = ?`);
+
+const insertSession = db.prepare(`
+    INSERT INTO sessions (id, user_id, ip, user_agent, expires_at)
+    VALUES (@id, @user_id, @ip, @user_agent, datetime('now', '+' || @ttl_hours || ' hours'))
+`);
+const getSessionUser = db.prepare(`
+    SELECT sessions.id AS session_id, ${JOINED_USER_COLUMNS}
+    FROM sessions JOIN users ON users.id = sessions.user_id
+    WHERE sessions.id = ? AND sessions.expires_at > datetime('now')
+`);
+const deleteSession = db.prepare(`DELETE FROM sessions WHERE id = ?`);
+const deleteUserSessions = db.prepare(`DELETE FROM sessions WHERE user_id = @user_id AND (@keep IS NULL OR id != @keep)`);
+const deleteExpiredSessions = db.prepare(`DELETE FROM sessions WHERE expires_at <= datetime('now')`);
+
+const insertToken = db.prepare(`
+    INSERT INTO api_tokens (user_id, name, token_hash, prefix, scopes, expires_at)
+    VALUES (@user_id, @name, @token_hash, @prefix, @scopes,
+        CASE WHEN @expires_in_days IS NULL THEN NULL ELSE datetime('now', '+' || @expires_in_days || ' days') END)
+`);
+const getTokens = db.prepare(`
+    SELECT ${TOKEN_COLUMNS} FROM api_tokens JOIN users ON users.id = api_tokens.user_id
+    WHERE (@user_id IS NULL OR api_tokens.user_id = @user_id)
+    ORDER BY api_tokens.created_at DESC, api_tokens.id DESC
+`);
+const getToken = db.prepare(`
+    SELECT ${TOKEN_COLUMNS} FROM api_tokens JOIN users ON users.id = api_tokens.user_id WHERE api_tokens.id = ?
+`);
+const getTokenUser = db.prepare(`
+    SELECT api_tokens.id AS token_id, api_tokens.name AS token_name, api_tokens.scopes AS token_scopes,
+        ${JOINED_USER_COLUMNS}
+    FROM api_tokens JOIN users ON users.id = api_tokens.user_id
+    WHERE api_tokens.token_hash = ? AND (api_tokens.expires_at IS NULL OR api_tokens.expires_at > datetime('now'))
+`);
+const markTokenUsed = db.prepare(`UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?`);
+const deleteToken = db.prepare(`DELETE FROM api_tokens WHERE id = ?`);
+const deleteUserTokens = db.prepare(`DELETE FROM api_tokens WHERE user_id = ?`);
+
+const removeUser = db.transaction((id) => {
+    deleteUserSessions.run({ user_id: id, keep: null });
+    deleteUserTokens.run(id);
+    return deleteUser.run(id).changes > 0;
+});
+
+// Parse the scopes column of token rows
+const withScopes = (token) => token && { ...token, scopes: JSON.parse(token.scopes) };
+
+// Users, login sessions and API tokens
+const auth = {
+    countUsers: () => {
+        return countUsers.get().count;
+    },
+
+    countAdmins: () => {
+        return countAdmins.get().count;
+    },
+
+    getUsers: () => {
+        return getUsers.all();
+    },
+
+    getUser: (id) => {
+        return getUser.get(id);
+    },
+
+    // Full row including the password hash, for logging in
+    getUserByName: (username) => {
+        return getUserByName.get(username);
+    },
+
+    createUser: ({ username, passwordHash, role }) => {
+        const result = insertUser.run({ username, password_hash: passwordHash, role });
+        return getUser.get(result.lastInsertRowid);
+    },
+
+    setRole: (id, role) => {
+        updateUserRole.run(role, id);
+        return getUser.get(id);
+    },
+
+    getPasswordHash: (id) => {
+        return getPasswordHash.get(id)?.password_hash;
+    },
+
+    setPasswordHash: (id, passwordHash) => {
+        updateUserPassword.run(passwordHash, id);
+    },
+
+    markLogin: (id) => {
+        markLogin.run(id);
+    },
+
+    // Remove a user with their sessions and tokens
+    removeUser: (id) => {
+        return removeUser(id);
+    },
+
+    createSession: ({ id, userId, ip, userAgent, ttlHours }) => {
+        deleteExpiredSessions.run();
+        insertSession.run({ id, user_id: userId, ip, user_agent: userAgent, ttl_hours: ttlHours });
+    },
+
+    // User of an unexpired session, with session_id
+    getSessionUser: (id) => {
+        return getSessionUser.get(id);
+    },
+
+    deleteSession: (id) => {
+        deleteSession.run(id);
+    },
+
+    // End every session of a user, except `keep` (the one making the change)
+    deleteUserSessions: (userId, keep = null) => {
+        return deleteUserSessions.run({ user_id: userId, keep }).changes;
+    },
+
+    createToken: ({ userId, name, tokenHash, prefix, scopes, expiresInDays }) => {
+        const result = insertToken.run({
+            user_id: userId,
+            name,
+            token_hash: tokenHash,
+            prefix,
+            scopes: JSON.stringify(scopes),
+            expires_in_days: expiresInDays
+        });
+        return withScopes(getToken.get(result.lastInsertRowid));
+    },
+
+    // Tokens of one user, or of everyone
+    getTokens: (userId = null) => {
+        return getTokens.all({ user_id: userId }).map(withScopes);
+    },
+
+    getToken: (id) => {
+        return withScopes(getToken.get(id));
+    },
+
+    // User of an unexpired token, with token_id, token_name and token_scopes (parsed)
+    getTokenUser: (tokenHash) => {
+        const row = getTokenUser.get(tokenHash);
+        if (!row) return undefined;
+        markTokenUsed.run(row.token_id);
+        return { ...row, token_scopes: JSON.parse(row.token_scopes) };
+    },
+
+    deleteToken: (id) => {
+        return deleteToken.run(id).changes > 0;
+    }
+};
+
+module.exports = auth;
@@ -0,0 +1,43 @@
+const { db } = require('./db');
+const secretBox = require('../utils/secretBox');
+
+const getRecipe = db.prepare(`SELECT * FROM capture_recipes WHERE app_id = ?`);
+const upsertRecipe = db.prepare(`
+    INSERT INTO capture_recipes (app_id, recipe, secrets, updated_at)
+    VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(app_id) DO UPDATE SET
+        recipe = excluded.recipe,
+        secrets = excluded.secrets,
+        updated_at = excluded.updated_at
+`);
+const deleteRecipe = db.prepare(`DELETE FROM capture_recipes WHERE app_id = ?`);
+
+// Capture recipes of apps; secrets are encrypted on the way in and decrypted on the way out
+const captureRecipes = {
+    // { recipe, secrets, updatedAt } of an app, or null. When the secrets cannot be
+    // decrypted, secrets is null and error says why.
+    get: (appId) => {
+        const row = getRecipe.get(appId);
+        if (!row) return null;
+
+        let secrets = null;
+        let error;
+        try {
+            secrets = secretBox.open(row.secrets);
+        } catch (e) {
+            error = e.message;
+        }
+        return { recipe: JSON.parse(row.recipe), secrets, error, updatedAt: row.updated_at };
+    },
+
+    // Store (or replace) an app's recipe and its secrets
+    set: (appId, recipe, secrets) => {
+        upsertRecipe.run(appId, JSON.stringify(recipe), secretBox.seal(secrets));
+    },
+
+    remove: (appId) => {
+        deleteRecipe.run(appId);
+    }
+};
+
+module.exports = captureRecipes;
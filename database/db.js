@@ -1,6 +1,9 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { getHostFromUrl } = require('../utils/networkUtils');
+const { LOCKABLE_FIELDS, parseLockedFields } = require('../utils/appFields');
+const imageStore = require('./imageStore');
 
 const DB_PATH = path.join(__dirname, '..', 'data', 'apps.db');
 
@@ -61,14 +64,409 @@ try {
     // Column already exists, ignore
 }
 
+// Add host column if it doesn't exist (migration)
+try {
+    db.exec(`ALTER TABLE apps ADD COLUMN host TEXT`);
+} catch (e) {
+    // Column already exists, ignore
+}
+db.exec(`CREATE INDEX IF NOT EXISTS idx_apps_host ON apps(host)`);
+
+// Backfill host for apps discovered before multi-host scanning
+const appsWithoutHost = db.prepare(`SELECT id, url FROM apps WHERE host IS NULL`).all();
+const setAppHost = db.prepare(`UPDATE apps SET host = ? WHERE id = ?`);
+for (const row of appsWithoutHost) {
+    setAppHost.run(getHostFromUrl(row.url), row.id);
+}
+
+// Add service fingerprint columns if they don't exist (migration).
+// protocol is the URL scheme (http, https, redis, postgresql, ssh, ...).
+for (const column of ['protocol TEXT', 'service_version TEXT', 'banner TEXT']) {
+    try {
+        db.exec(`ALTER TABLE apps ADD COLUMN ${column}`);
+    } catch (e) {
+        // Column already exists, ignore
+    }
+}
+db.exec(`
+    UPDATE apps SET protocol = lower(substr(url, 1, instr(url, '://') - 1))
+    WHERE protocol IS NULL AND instr(url, '://') > 0
+`);
+
+// Owning process of a port on this machine and the Docker container publishing it, as JSON;
+// lifecycle holds the start/stop/restart definition (see utils/lifecycle.js)
+for (const column of ['process_info TEXT', 'container_info TEXT', 'lifecycle TEXT']) {
+    try {
+        db.exec(`ALTER TABLE apps ADD COLUMN ${column}`);
+    } catch (e) {
+        // Column already exists, ignore
+    }
+}
+
+// Add health check columns if they don't exist (migration).
+// health_check holds the per-app assertion definition as JSON;
+// status_detail explains the last non-online result (e.g. failed assertions).
+for (const column of ['health_check TEXT', 'status_detail TEXT']) {
+    try {
+        db.exec(`ALTER TABLE apps ADD COLUMN ${column}`);
+    } catch (e) {
+        // Column already exists, ignore
+    }
+}
+
+// Details of the most recent check, exported on /metrics (migration)
+for (const column of ['last_status_code INTEGER', 'last_response_time_ms INTEGER', 'tls_expires_at TEXT']) {
+    try {
+        db.exec(`ALTER TABLE apps ADD COLUMN ${column}`);
+    } catch (e) {
+        // Column already exists, ignore
+    }
+}
+
+// Incidents: one row per outage (open until the app recovers), with a timeline of events.
+// Timestamps are ISO strings written by the incident tracker so durations are exact.
+db.exec(`
+    CREATE TABLE IF NOT EXISTS incidents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        app_id INTEGER,
+        status TEXT DEFAULT 'open',
+        severity TEXT,
+        flapping INTEGER DEFAULT 0,
+        failure_count INTEGER DEFAULT 0,
+        last_error TEXT,
+        started_at TEXT,
+        resolved_at TEXT,
+        duration_ms INTEGER,
+        FOREIGN KEY (app_id) REFERENCES apps(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS incident_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        incident_id INTEGER,
+        type TEXT,
+        status TEXT,
+        message TEXT,
+        created_at TEXT,
+        FOREIGN KEY (incident_id) REFERENCES incidents(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_incidents_app_id ON incidents(app_id);
+    CREATE INDEX IF NOT EXISTS idx_incidents_status ON incidents(status);
+    CREATE INDEX IF NOT EXISTS idx_incident_events_incident_id ON incident_events(incident_id);
+`);
+
+// Uptime/latency rollups built from scan_history (see database/metrics.js).
+// bucket_start uses the same UTC "YYYY-MM-DD HH:MM:SS" format as scan_history.checked_at.
+for (const table of ['metrics_hourly', 'metrics_daily']) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS ${table} (
+            app_id INTEGER,
+            bucket_start TEXT,
+            checks INTEGER,
+            online_checks INTEGER,
+            degraded_checks INTEGER,
+            offline_checks INTEGER,
+            uptime_pct REAL,
+            avg_ms REAL,
+            p50_ms INTEGER,
+            p95_ms INTEGER,
+            p99_ms INTEGER,
+            max_ms INTEGER,
+            PRIMARY KEY (app_id, bucket_start),
+            FOREIGN KEY (app_id) REFERENCES apps(id)
+        )
+    `);
+}
+db.exec(`CREATE INDEX IF NOT EXISTS idx_scan_history_checked_at ON scan_history(checked_at)`);
+
+// User edits: custom icon, last edit time and the fields automatic updates must not touch (migration)
+for (const column of ['icon TEXT', 'updated_at DATETIME', 'locked_fields TEXT']) {
+    try {
+        db.exec(`ALTER TABLE apps ADD COLUMN ${column}`);
+    } catch (e) {
+        // Column already exists, ignore
+    }
+}
+
+// Tags: many-to-many, names are unique ignoring case
+db.exec(`
+    CREATE TABLE IF NOT EXISTS tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE
+    );
+
+    CREATE TABLE IF NOT EXISTS app_tags (
+        app_id INTEGER NOT NULL,
+        tag_id INTEGER NOT NULL,
+        PRIMARY KEY (app_id, tag_id),
+        FOREIGN KEY (app_id) REFERENCES apps(id),
+        FOREIGN KEY (tag_id) REFERENCES tags(id)
+    );
+`);
+
+// Groups: named sections of the dashboard (e.g. one per project); an app belongs to at most one
+db.exec(`
+    CREATE TABLE IF NOT EXISTS groups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        description TEXT,
+        color TEXT,
+        sort_order INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+`);
+
+// Add group column (migration)
+try {
+    db.exec(`ALTER TABLE apps ADD COLUMN group_id INTEGER REFERENCES groups(id)`);
+} catch (e) {
+    // Column already exists, ignore
+}
+
+// Port registry: projects of the RULES_ports.md scheme and the ports handed out to them
+db.exec(`
+    CREATE TABLE IF NOT EXISTS port_projects (
+        id TEXT PRIMARY KEY,
+        name TEXT,
+        owner TEXT,
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS port_reservations (
+        port INTEGER PRIMARY KEY,
+        project_id TEXT,
+        role TEXT,
+        owner TEXT,
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (project_id) REFERENCES port_projects(id)
+    );
+`);
+
+// Audit trail of start/stop/restart actions: who ran what, and how it ended.
+// Kept when the app is removed, so the app name is stored with each run.
+db.exec(`
+    CREATE TABLE IF NOT EXISTS action_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        app_id INTEGER NOT NULL,
+        app_name TEXT,
+        action TEXT NOT NULL,
+        type TEXT NOT NULL,
+        command TEXT NOT NULL,
+        actor TEXT,
+        status TEXT NOT NULL DEFAULT 'running',
+        exit_code INTEGER,
+        output TEXT,
+        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        finished_at DATETIME
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_action_runs_app ON action_runs(app_id, started_at);
+`);
+
+// Dashboard users, their login sessions and API tokens. Session IDs and tokens are
+// stored as SHA-256 hashes; the plain values only ever exist in the cookie or client.
+db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT UNIQUE NOT NULL COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'viewer',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_login_at DATETIME
+    );
+
+    CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        ip TEXT,
+        user_agent TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS api_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        prefix TEXT NOT NULL,
+        scopes TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME,
+        last_used_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+    CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id);
+`);
+
+// Maintenance windows of an app or a group: one-off, or repeated daily/weekly (in server
+// local time) from the first occurrence until repeat_until. Times are ISO strings.
+db.exec(`
+    CREATE TABLE IF NOT EXISTS maintenance_windows (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        app_id INTEGER,
+        group_id INTEGER,
+        starts_at TEXT NOT NULL,
+        ends_at TEXT NOT NULL,
+        recurrence TEXT NOT NULL DEFAULT 'none',
+        repeat_until TEXT,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_maintenance_windows_app ON maintenance_windows(app_id);
+    CREATE INDEX IF NOT EXISTS idx_maintenance_windows_group ON maintenance_windows(group_id);
+`);
+
+// Checks made during maintenance are kept but left out of uptime (migration)
+try {
+    db.exec(`ALTER TABLE scan_history ADD COLUMN maintenance INTEGER DEFAULT 0`);
+} catch (e) {
+    // Column already exists, ignore
+}
+
+// Public status pages: a slug, texts shown on the page and the apps/groups it lists,
+// as JSON [{ type: 'app'|'group', id, name }] in display order
+db.exec(`
+    CREATE TABLE IF NOT EXISTS status_pages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        slug TEXT UNIQUE NOT NULL COLLATE NOCASE,
+        title TEXT NOT NULL,
+        description TEXT,
+        notice TEXT,
+        items TEXT NOT NULL DEFAULT '[]',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+`);
+
+// Per-app check interval and timeout as JSON { intervalMs, timeoutMs } (migration)
+try {
+    db.exec(`ALTER TABLE apps ADD COLUMN check_schedule TEXT`);
+} catch (e) {
+    // Column already exists, ignore
+}
+
+// TLS certificate of HTTPS apps as JSON, and the lowest days-before-expiry threshold
+// already alerted for it (0 = expired) (migration)
+for (const column of ['tls_certificate TEXT', 'tls_alerted_days INTEGER']) {
+    try {
+        db.exec(`ALTER TABLE apps ADD COLUMN ${column}`);
+    } catch (e) {
+        // Column already exists, ignore
+    }
+}
+
+// Screenshots kept per app to spot visual changes: each capture with its diff score
+// against the one before (0-1, null for the first) and whether that crossed the threshold
+db.exec(`
+    CREATE TABLE IF NOT EXISTS screenshot_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        app_id INTEGER NOT NULL,
+        image_hash TEXT NOT NULL,
+        diff_score REAL,
+        changed INTEGER DEFAULT 0,
+        captured_at TEXT NOT NULL,
+        FOREIGN KEY (app_id) REFERENCES apps(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_screenshot_history_app ON screenshot_history(app_id, id);
+`);
+
+// Unreviewed visual change of an app as JSON { captureId, score, detectedAt } (migration)
+try {
+    db.exec(`ALTER TABLE apps ADD COLUMN visual_change TEXT`);
+} catch (e) {
+    // Column already exists, ignore
+}
+
+// Screenshots are files in the image store (see database/imageStore.js); apps and history
+// rows only keep the hash. Move images stored as BLOBs there (migration).
+try {
+    db.exec(`ALTER TABLE apps ADD COLUMN screenshot_hash TEXT`);
+} catch (e) {
+    // Column already exists, ignore
+}
+
+const moveScreenshotBlobs = db.transaction(() => {
+    let moved = 0;
+    const appIds = db.prepare(`SELECT id FROM apps WHERE screenshot IS NOT NULL OR thumbnail IS NOT NULL`).pluck().all();
+    const getBlobs = db.prepare(`SELECT screenshot, thumbnail FROM apps WHERE id = ?`);
+    const setHash = db.prepare(`UPDATE apps SET screenshot_hash = ?, screenshot = NULL, thumbnail = NULL WHERE id = ?`);
+    for (const id of appIds) {
+        const { screenshot, thumbnail } = getBlobs.get(id);
+        setHash.run(imageStore.put(screenshot || thumbnail), id);
+        moved++;
+    }
+
+    const historyColumns = db.prepare(`PRAGMA table_info(screenshot_history)`).all().map(column => column.name);
+    if (historyColumns.includes('image')) {
+        db.exec(`
+            CREATE TABLE screenshot_history_migrated (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                app_id INTEGER NOT NULL,
+                image_hash TEXT NOT NULL,
+                diff_score REAL,
+                changed INTEGER DEFAULT 0,
+                captured_at TEXT NOT NULL,
+                FOREIGN KEY (app_id) REFERENCES apps(id)
+            )
+        `);
+        const captureIds = db.prepare(`SELECT id FROM screenshot_history ORDER BY id`).pluck().all();
+        const getCapture = db.prepare(`SELECT * FROM screenshot_history WHERE id = ?`);
+        const insertCapture = db.prepare(`
+            INSERT INTO screenshot_history_migrated (id, app_id, image_hash, diff_score, changed, captured_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `);
+        for (const id of captureIds) {
+            const row = getCapture.get(id);
+            insertCapture.run(row.id, row.app_id, imageStore.put(row.image), row.diff_score, row.changed, row.captured_at);
+            moved++;
+        }
+        db.exec(`
+            DROP TABLE screenshot_history;
+            ALTER TABLE screenshot_history_migrated RENAME TO screenshot_history;
+            CREATE INDEX IF NOT EXISTS idx_screenshot_history_app ON screenshot_history(app_id, id);
+        `);
+    }
+    return moved;
+});
+const movedScreenshots = moveScreenshotBlobs();
+if (movedScreenshots > 0) {
+    console.log(`[Database] Moved ${movedScreenshots} screenshot(s) to ${imageStore.directory}`);
+    db.exec('VACUUM');
+}
+
+// How the screenshot agent signs in to an app: steps and wait selector as JSON, and the
+// credentials, cookies and headers encrypted (see utils/secretBox.js). Kept out of the apps
+// table so app listings never carry them.
+db.exec(`
+    CREATE TABLE IF NOT EXISTS capture_recipes (
+        app_id INTEGER PRIMARY KEY,
+        recipe TEXT NOT NULL,
+        secrets TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (app_id) REFERENCES apps(id)
+    )
+`);
+
+// Columns PUT /api/apps/:id may write
+const EDITABLE_COLUMNS = ['name', 'description', 'category', 'notes', 'icon', 'url', 'port', 'host', 'protocol', 'group_id'];
+
 // Prepared statements for better performance
 const insertApp = db.prepare(`
-    INSERT OR IGNORE INTO apps (url, port, name, category, discovered_at)
-    VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+    INSERT OR IGNORE INTO apps (url, port, name, category, host, protocol, discovered_at)
+    VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
 `);
 
 const updateAppStatus = db.prepare(`
-    UPDATE apps SET status = ?, last_checked_at = CURRENT_TIMESTAMP WHERE url = ?
+    UPDATE apps SET status = ?, status_detail = ?, last_checked_at = CURRENT_TIMESTAMP WHERE url = ?
 `);
 
 const updateAppName = db.prepare(`UPDATE apps SET name = ? WHERE url = ?`);
@@ -83,21 +481,140 @@ const updateAppMetadata = db.prepare(`
 `);
 
 const updateScreenshot = db.prepare(`
-    UPDATE apps SET screenshot = ?, thumbnail = ?, screenshot_updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    UPDATE apps SET screenshot_hash = ?, screenshot_updated_at = CURRENT_TIMESTAMP WHERE id = ?
 `);
 
-const getScreenshot = db.prepare(`SELECT screenshot, thumbnail FROM apps WHERE id = ?`);
+const updateAppService = db.prepare(`
+    UPDATE apps SET service_version = COALESCE(?, service_version), banner = COALESCE(?, banner) WHERE url = ?
+`);
+
+const updateAppProcess = db.prepare(`UPDATE apps SET process_info = ? WHERE url = ?`);
+const updateAppContainer = db.prepare(`UPDATE apps SET container_info = ? WHERE url = ?`);
+
+const updateAppCheckDetails = db.prepare(`
+    UPDATE apps SET last_status_code = ?, last_response_time_ms = ?, tls_expires_at = COALESCE(?, tls_expires_at),
+        tls_certificate = COALESCE(?, tls_certificate)
+    WHERE url = ?
+`);
+const updateAppCertificate = db.prepare(`UPDATE apps SET tls_certificate = ?, tls_expires_at = ? WHERE url = ?`);
+const updateAppCertificateAlert = db.prepare(`UPDATE apps SET tls_alerted_days = ? WHERE id = ?`);
+
+const updateAppHealthCheck = db.prepare(`UPDATE apps SET health_check = ? WHERE id = ?`);
+const updateAppLifecycle = db.prepare(`UPDATE apps SET lifecycle = ? WHERE id = ?`);
+const updateAppCheckSchedule = db.prepare(`UPDATE apps SET check_schedule = ? WHERE id = ?`);
+const updateAppVisualChange = db.prepare(`UPDATE apps SET visual_change = ? WHERE id = ?`);
+
+const markAppEdited = db.prepare(`UPDATE apps SET locked_fields = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`);
+
+const insertTag = db.prepare(`INSERT OR IGNORE INTO tags (name) VALUES (?)`);
+const getTagByName = db.prepare(`SELECT id FROM tags WHERE name = ?`);
+const insertAppTag = db.prepare(`INSERT OR IGNORE INTO app_tags (app_id, tag_id) VALUES (?, ?)`);
+const deleteAppTags = db.prepare(`DELETE FROM app_tags WHERE app_id = ?`);
+const getAppTags = db.prepare(`
+    SELECT app_tags.app_id, tags.name FROM app_tags JOIN tags ON tags.id = app_tags.tag_id ORDER BY tags.name
+`);
+
+const insertIncident = db.prepare(`
+    INSERT INTO incidents (app_id, status, severity, flapping, failure_count, last_error, started_at)
+    VALUES (?, 'open', ?, ?, ?, ?, ?)
+`);
+const updateIncident = db.prepare(`
+    UPDATE incidents
+    SET status = ?, severity = ?, flapping = ?, failure_count = ?, last_error = ?, resolved_at = ?, duration_ms = ?
+    WHERE id = ?
+`);
+const insertIncidentEvent = db.prepare(`
+    INSERT INTO incident_events (incident_id, type, status, message, created_at) VALUES (?, ?, ?, ?, ?)
+`);
+const getIncidentById = db.prepare(`
+    SELECT incidents.*, apps.name AS app_name, apps.url AS app_url
+    FROM incidents LEFT JOIN apps ON apps.id = incidents.app_id
+    WHERE incidents.id = ?
+`);
+const getOpenIncident = db.prepare(`
+    SELECT * FROM incidents WHERE app_id = ? AND status = 'open' ORDER BY started_at DESC LIMIT 1
+`);
+const getIncidents = db.prepare(`
+    SELECT incidents.*, apps.name AS app_name, apps.url AS app_url
+    FROM incidents LEFT JOIN apps ON apps.id = incidents.app_id
+    WHERE (@appId IS NULL OR incidents.app_id = @appId)
+      AND (@status IS NULL OR incidents.status = @status)
+    ORDER BY incidents.started_at DESC
+    LIMIT @limit
+`);
+const getIncidentEvents = db.prepare(`
+    SELECT * FROM incident_events WHERE incident_id = ? ORDER BY created_at ASC, id ASC
+`);
+const deleteIncidentEvents = db.prepare(`
+    DELETE FROM incident_events WHERE incident_id IN (SELECT id FROM incidents WHERE app_id = ?)
+`);
+const deleteIncidents = db.prepare(`DELETE FROM incidents WHERE app_id = ?`);
 
 const deleteScanHistory = db.prepare(`DELETE FROM scan_history WHERE app_id = ?`);
+const deleteHourlyMetrics = db.prepare(`DELETE FROM metrics_hourly WHERE app_id = ?`);
+const deleteDailyMetrics = db.prepare(`DELETE FROM metrics_daily WHERE app_id = ?`);
+const deleteAppMaintenance = db.prepare(`DELETE FROM maintenance_windows WHERE app_id = ?`);
+const deleteScreenshotHistory = db.prepare(`DELETE FROM screenshot_history WHERE app_id = ?`);
+const deleteCaptureRecipe = db.prepare(`DELETE FROM capture_recipes WHERE app_id = ?`);
 const deleteApp = db.prepare(`DELETE FROM apps WHERE id = ?`);
 const getAppById = db.prepare(`SELECT * FROM apps WHERE id = ?`);
 const getAppByUrl = db.prepare(`SELECT * FROM apps WHERE url = ?`);
 const getAllApps = db.prepare(`SELECT * FROM apps ORDER BY discovered_at DESC`);
+
+/**
+ * Attach tag names and parse locked_fields for API consumers
+ */
+function withTags(apps) {
+    const tagsByApp = new Map();
+    for (const row of getAppTags.all()) {
+        if (!tagsByApp.has(row.app_id)) tagsByApp.set(row.app_id, []);
+        tagsByApp.get(row.app_id).push(row.name);
+    }
+    return apps.map(app => ({
+        ...app,
+        tags: tagsByApp.get(app.id) || [],
+        locked_fields: parseLockedFields(app.locked_fields)
+    }));
+}
+
+// Replace an app's tags, creating unknown tag names
+function replaceAppTags(appId, tags) {
+    deleteAppTags.run(appId);
+    for (const name of tags) {
+        insertTag.run(name);
+        insertAppTag.run(appId, getTagByName.get(name).id);
+    }
+}
+
+// Write user edits and lock the edited fields, in one transaction
+const applyAppUpdate = db.transaction((app, { fields, tags, unlock }) => {
+    const columns = Object.keys(fields).filter(column => EDITABLE_COLUMNS.includes(column));
+    if (columns.length > 0) {
+        db.prepare(`UPDATE apps SET ${columns.map(column => `${column} = @${column}`).join(', ')} WHERE id = @id`)
+            .run({ ...fields, id: app.id });
+    }
+    if (tags !== undefined) {
+        replaceAppTags(app.id, tags);
+    }
+
+    const locked = new Set(parseLockedFields(app.locked_fields));
+    columns.filter(column => LOCKABLE_FIELDS.includes(column)).forEach(column => locked.add(column));
+    unlock.forEach(field => locked.delete(field));
+    markAppEdited.run(locked.size > 0 ? JSON.stringify([...locked]) : null, app.id);
+});
+const getHosts = db.prepare(`
+    SELECT host,
+           COUNT(*) AS total,
+           SUM(CASE WHEN status = 'online' THEN 1 ELSE 0 END) AS online
+    FROM apps GROUP BY host ORDER BY host
+`);
 const getOnlineApps = db.prepare(`SELECT * FROM apps WHERE status = 'online' ORDER BY last_checked_at DESC`);
+// What the scheduler needs, without the screenshot blobs
+const getScheduledApps = db.prepare(`SELECT id, url, status, health_check, check_schedule FROM apps`);
 
 const insertScanHistory = db.prepare(`
-    INSERT INTO scan_history (app_id, status, response_time_ms)
-    VALUES (?, ?, ?)
+    INSERT INTO scan_history (app_id, status, response_time_ms, maintenance)
+    VALUES (?, ?, ?, ?)
 `);
 
 const getScanHistory = db.prepare(`
@@ -106,8 +623,8 @@ const getScanHistory = db.prepare(`
 
 // Database operations
 const database = {
-    // Add or ignore app (won't duplicate)
-    addApp: (url, port, name = null, category = null) => {
+    // Add or ignore app (won't duplicate). Host defaults to the URL's hostname.
+    addApp: (url, port, name = null, category = null, host = null) => {
         const existing = getAppByUrl.get(url);
         if (existing) {
             // Update name/category if provided and existing is null
@@ -115,7 +632,8 @@ const database = {
             if (category && !existing.category) updateAppCategory.run(category, url);
             return existing;
         }
-        insertApp.run(url, port, name || `Port ${port}`, category || 'Unknown');
+        const protocol = (url.match(/^([a-z][a-z0-9+.-]*):\/\//i) || [])[1] || null;
+        insertApp.run(url, port, name || `Port ${port}`, category || 'Unknown', host || getHostFromUrl(url), protocol && protocol.toLowerCase());
         return getAppByUrl.get(url);
     },
 
@@ -123,17 +641,19 @@ const database = {
     updateStatus: (url, status) => {
         const app = getAppByUrl.get(url);
         if (app) {
-            updateAppStatus.run(status, url);
-            insertScanHistory.run(app.id, status, app.responseTime || 0);
+            updateAppStatus.run(status, null, url);
+            insertScanHistory.run(app.id, status, app.responseTime || 0, 0);
         }
     },
 
-    // Record scan history with response time
-    recordScan: (url, status, responseTimeMs) => {
+    // Record scan history with response time and, for degraded apps, the failed assertions.
+    // Checks during a maintenance window are flagged so uptime leaves them out.
+    recordScan: (url, status, responseTimeMs, failures = [], maintenance = false) => {
         const app = getAppByUrl.get(url);
         if (app) {
-            updateAppStatus.run(status, url);
-            insertScanHistory.run(app.id, status, responseTimeMs);
+            const detail = failures && failures.length > 0 ? failures.join('; ') : null;
+            updateAppStatus.run(status, detail, url);
+            insertScanHistory.run(app.id, status, responseTimeMs, maintenance ? 1 : 0);
         }
     },
 
@@ -141,10 +661,11 @@ const database = {
     updateMetadata: (url, name, description, category) => {
         const app = getAppByUrl.get(url);
         if (app) {
-            // Only update if the new value is not null and existing is null or empty
-            const newName = name && (!app.name || app.name.startsWith('Port ')) ? name : null;
-            const newDesc = description && !app.description ? description : null;
-            const newCat = category && (!app.category || app.category === 'Unknown') ? category : null;
+            // Only update if the new value is not null, existing is null or empty, and the user has not locked it
+            const locked = parseLockedFields(app.locked_fields);
+            const newName = name && !locked.includes('name') && (!app.name || app.name.startsWith('Port ')) ? name : null;
+            const newDesc = description && !locked.includes('description') && !app.description ? description : null;
+            const newCat = category && !locked.includes('category') && (!app.category || app.category === 'Unknown') ? category : null;
             
             if (newName || newDesc || newCat) {
                 updateAppMetadata.run(newName, newDesc, newCat, url);
@@ -152,28 +673,108 @@ const database = {
         }
     },
 
-    // Update screenshot
-    updateScreenshot: (id, screenshotBuffer, thumbnailBuffer) => {
-        updateScreenshot.run(screenshotBuffer, thumbnailBuffer || null, id);
+    // Overwrite name/description/category with a fresh identification, except locked fields
+    applyIdentification: (id, { name, description, category }) => {
+        const app = getAppById.get(id);
+        if (!app) return;
+        const locked = parseLockedFields(app.locked_fields);
+        const pick = (field, value) => (value && !locked.includes(field) ? value : null);
+        updateAppMetadata.run(pick('name', name), pick('description', description), pick('category', category), app.url);
+    },
+
+    // Apply a validated edit ({ fields, tags, unlock } from normalizeAppUpdate); edited fields get locked
+    updateApp: (id, update) => {
+        const app = getAppById.get(id);
+        if (!app) return null;
+        applyAppUpdate(app, update);
+        return withTags([getAppById.get(id)])[0];
+    },
+
+    // Store the protocol fingerprint (version, banner) of a non-HTTP service
+    updateService: (url, service) => {
+        if (!service) return;
+        updateAppService.run(service.version || null, service.banner || null, url);
+    },
+
+    // Store the owning process of a local port; undefined (not looked up) leaves it unchanged
+    updateProcess: (url, processInfo) => {
+        if (processInfo === undefined) return;
+        updateAppProcess.run(processInfo ? JSON.stringify(processInfo) : null, url);
+    },
+
+    // Store the Docker container publishing an app's port; undefined (Docker not asked) leaves it unchanged
+    updateContainer: (url, container) => {
+        if (container === undefined) return;
+        updateAppContainer.run(container ? JSON.stringify(container) : null, url);
+    },
+
+    // Store status code, response time and certificate of the latest check (a check without one keeps the last)
+    updateCheckDetails: (url, { statusCode, responseTime, tlsExpiresAt, certificate }) => {
+        updateAppCheckDetails.run(
+            statusCode ?? null,
+            responseTime ?? null,
+            tlsExpiresAt || null,
+            certificate ? JSON.stringify(certificate) : null,
+            url
+        );
+    },
+
+    // Store the certificate a scan found
+    updateCertificate: (url, certificate) => {
+        if (!certificate) return;
+        updateAppCertificate.run(JSON.stringify(certificate), certificate.validTo, url);
+    },
+
+    // Remember the lowest expiry threshold alerted for the app's certificate (null after renewal)
+    setCertificateAlert: (id, days) => {
+        updateAppCertificateAlert.run(days, id);
+    },
+
+    // Store (or clear, with null) the app's health check definition
+    setHealthCheck: (id, healthCheck) => {
+        updateAppHealthCheck.run(healthCheck ? JSON.stringify(healthCheck) : null, id);
+    },
+
+    // Store (or clear, with null) the app's start/stop/restart definition
+    setLifecycle: (id, lifecycle) => {
+        updateAppLifecycle.run(lifecycle ? JSON.stringify(lifecycle) : null, id);
     },
 
-    // Get screenshot and thumbnail
-    getScreenshot: (id) => {
-        const app = getScreenshot.get(id);
-        return app;
+    // Store (or clear, with null) the app's check interval and timeout
+    setCheckSchedule: (id, schedule) => {
+        updateAppCheckSchedule.run(schedule ? JSON.stringify(schedule) : null, id);
+    },
+
+    // Flag (or clear, with null) an unreviewed visual change
+    setVisualChange: (id, change) => {
+        updateAppVisualChange.run(change ? JSON.stringify(change) : null, id);
+    },
+
+    // Point the app at its latest screenshot in the image store
+    updateScreenshot: (id, hash) => {
+        updateScreenshot.run(hash, id);
     },
 
     // Remove app and related scan history
     removeApp: (id) => {
-        // First delete related scan history records
+        // First delete related scan history, metrics and incident records
         deleteScanHistory.run(id);
+        deleteHourlyMetrics.run(id);
+        deleteDailyMetrics.run(id);
+        deleteIncidentEvents.run(id);
+        deleteIncidents.run(id);
+        deleteAppTags.run(id);
+        deleteAppMaintenance.run(id);
+        deleteScreenshotHistory.run(id);
+        deleteCaptureRecipe.run(id);
         // Then delete the app
         deleteApp.run(id);
     },
 
     // Get single app
     getApp: (id) => {
-        return getAppById.get(id);
+        const app = getAppById.get(id);
+        return app ? withTags([app])[0] : app;
     },
 
     // Get app by URL
@@ -188,7 +789,24 @@ const database = {
 
     // Get all apps
     getAllApps: () => {
-        return getAllApps.all();
+        return withTags(getAllApps.all());
+    },
+
+    // Get apps matching optional host/status/category/port/tag/group filters (group "none" = ungrouped)
+    findApps: ({ host, status, category, port, tag, group } = {}) => {
+        return withTags(getAllApps.all()).filter(app =>
+            (!host || app.host === host) &&
+            (!status || app.status === status) &&
+            (!category || app.category === category) &&
+            (!port || app.port === parseInt(port, 10)) &&
+            (!tag || app.tags.some(name => name.toLowerCase() === String(tag).toLowerCase())) &&
+            (!group || (group === 'none' ? app.group_id === null : app.group_id === parseInt(group, 10)))
+        );
+    },
+
+    // Get distinct hosts with app counts
+    getHosts: () => {
+        return getHosts.all();
     },
 
     // Get online apps only
@@ -196,16 +814,68 @@ const database = {
         return getOnlineApps.all();
     },
 
+    // Apps with only the columns health checks need (cheap enough to read every scheduler tick)
+    getScheduledApps: () => {
+        return getScheduledApps.all();
+    },
+
     // Get scan history for an app
     getScanHistory: (appId) => {
         return getScanHistory.all(appId);
     },
 
+    // Open a new incident and return it
+    createIncident: (appId, { severity, flapping = false, failureCount = 0, lastError = null, startedAt }) => {
+        const result = insertIncident.run(appId, severity, flapping ? 1 : 0, failureCount, lastError, startedAt);
+        return getIncidentById.get(result.lastInsertRowid);
+    },
+
+    // Save changed incident fields and return the updated row
+    updateIncident: (incident) => {
+        updateIncident.run(
+            incident.status,
+            incident.severity,
+            incident.flapping ? 1 : 0,
+            incident.failure_count,
+            incident.last_error,
+            incident.resolved_at || null,
+            incident.duration_ms ?? null,
+            incident.id
+        );
+        return getIncidentById.get(incident.id);
+    },
+
+    // Append an entry to an incident's timeline
+    addIncidentEvent: (incidentId, type, status, message, createdAt) => {
+        insertIncidentEvent.run(incidentId, type, status, message, createdAt);
+    },
+
+    // Get the currently open incident for an app, if any
+    getOpenIncident: (appId) => {
+        return getOpenIncident.get(appId);
+    },
+
+    // Get a single incident
+    getIncident: (id) => {
+        return getIncidentById.get(id);
+    },
+
+    // Get incidents, newest first, optionally filtered by app and status
+    getIncidents: ({ appId = null, status = null, limit = 50 } = {}) => {
+        return getIncidents.all({ appId, status, limit });
+    },
+
+    // Get an incident's timeline, oldest first
+    getIncidentEvents: (incidentId) => {
+        return getIncidentEvents.all(incidentId);
+    },
+
     // Get dashboard stats
     getStats: () => {
         const apps = getAllApps.all();
         const onlineApps = apps.filter(a => a.status === 'online').length;
         const offlineApps = apps.filter(a => a.status === 'offline').length;
+        const degradedApps = apps.filter(a => a.status === 'degraded').length;
         const lastChecked = apps.reduce((latest, app) => {
             if (app.last_checked_at && new Date(app.last_checked_at) > new Date(latest)) {
                 return app.last_checked_at;
@@ -217,9 +887,12 @@ const database = {
             totalApps: apps.length,
             onlineApps: onlineApps,
             offlineApps: offlineApps,
+            degradedApps: degradedApps,
             lastScan: lastChecked
         };
     }
 };
 
-module.exports = database;
\ No newline at end of file
+module.exports = database;
+// Shared connection for sibling modules (database/metrics.js)
+module.exports.db = db;
\ No newline at end of file
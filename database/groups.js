@@ -0,0 +1,128 @@
+const { db } = require('./db');
+
+// Columns a group create/update may write
+const GROUP_COLUMNS = ['name', 'description', 'color', 'sort_order'];
+
+const getGroups = db.prepare(`
+    SELECT groups.*,
+           COUNT(apps.id) AS total,
+           SUM(CASE WHEN apps.status = 'online' THEN 1 ELSE 0 END) AS online,
+           SUM(CASE WHEN apps.status = 'degraded' THEN 1 ELSE 0 END) AS degraded,
+           SUM(CASE WHEN apps.status = 'offline' THEN 1 ELSE 0 END) AS offline
+    FROM groups LEFT JOIN apps ON apps.group_id = groups.id
+    GROUP BY groups.id
+    ORDER BY groups.sort_order, groups.name
+`);
+const getGroup = db.prepare(`SELECT * FROM groups WHERE id = ?`);
+const getGroupByName = db.prepare(`SELECT * FROM groups WHERE name = ?`);
+const deleteGroup = db.prepare(`DELETE FROM groups WHERE id = ?`);
+const ungroupApps = db.prepare(`UPDATE apps SET group_id = NULL WHERE group_id = ?`);
+const setAppGroup = db.prepare(`UPDATE apps SET group_id = ? WHERE id = ?`);
+const deleteGroupMaintenance = db.prepare(`DELETE FROM maintenance_windows WHERE group_id = ?`);
+
+const getTags = db.prepare(`
+    SELECT tags.id, tags.name, COUNT(app_tags.app_id) AS apps
+    FROM tags LEFT JOIN app_tags ON app_tags.tag_id = tags.id
+    GROUP BY tags.id
+    ORDER BY tags.name
+`);
+const getTag = db.prepare(`SELECT * FROM tags WHERE id = ?`);
+const getTagByName = db.prepare(`SELECT * FROM tags WHERE name = ?`);
+const insertTag = db.prepare(`INSERT OR IGNORE INTO tags (name) VALUES (?)`);
+const renameTag = db.prepare(`UPDATE tags SET name = ? WHERE id = ?`);
+const deleteTag = db.prepare(`DELETE FROM tags WHERE id = ?`);
+const deleteTagLinks = db.prepare(`DELETE FROM app_tags WHERE tag_id = ?`);
+const insertAppTag = db.prepare(`INSERT OR IGNORE INTO app_tags (app_id, tag_id) VALUES (?, ?)`);
+const deleteAppTag = db.prepare(`DELETE FROM app_tags WHERE app_id = ? AND tag_id = ?`);
+
+const removeGroup = db.transaction((id) => {
+    ungroupApps.run(id);
+    deleteGroupMaintenance.run(id);
+    return deleteGroup.run(id).changes > 0;
+});
+
+const removeTag = db.transaction((id) => {
+    deleteTagLinks.run(id);
+    return deleteTag.run(id).changes > 0;
+});
+
+// Group and tag storage; apps point at their group through apps.group_id
+const groups = {
+    // Groups with app counts per status, in display order
+    getGroups: () => {
+        return getGroups.all();
+    },
+
+    getGroup: (id) => {
+        return getGroup.get(id);
+    },
+
+    // Group with this name (ignoring case), or undefined
+    getGroupByName: (name) => {
+        return getGroupByName.get(name);
+    },
+
+    // Create a group from validated fields (see normalizeGroup)
+    createGroup: (fields) => {
+        const columns = Object.keys(fields).filter(column => GROUP_COLUMNS.includes(column));
+        const result = db.prepare(`INSERT INTO groups (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})`)
+            .run(fields);
+        return getGroup.get(result.lastInsertRowid);
+    },
+
+    // Update a group from validated fields; returns the group or undefined
+    updateGroup: (id, fields) => {
+        const columns = Object.keys(fields).filter(column => GROUP_COLUMNS.includes(column));
+        db.prepare(`UPDATE groups SET ${columns.map(c => `${c} = @${c}`).join(', ')} WHERE id = @id`)
+            .run({ ...fields, id });
+        return getGroup.get(id);
+    },
+
+    // Delete a group with its maintenance windows; its apps become ungrouped. Returns false when it did not exist.
+    deleteGroup: (id) => {
+        return removeGroup(id);
+    },
+
+    // Move an app into a group without counting as a user edit (automatic grouping)
+    assignApp: (appId, groupId) => {
+        setAppGroup.run(groupId, appId);
+    },
+
+    // Tags with the number of apps using them
+    getTags: () => {
+        return getTags.all();
+    },
+
+    getTag: (id) => {
+        return getTag.get(id);
+    },
+
+    // Tag with this name (ignoring case), or undefined
+    getTagByName: (name) => {
+        return getTagByName.get(name);
+    },
+
+    renameTag: (id, name) => {
+        renameTag.run(name, id);
+        return getTag.get(id);
+    },
+
+    // Delete a tag everywhere. Returns false when it did not exist.
+    deleteTag: (id) => {
+        return removeTag(id);
+    },
+
+    // Tag one app, creating the tag if needed
+    addAppTag: (appId, name) => {
+        insertTag.run(name);
+        insertAppTag.run(appId, getTagByName.get(name).id);
+    },
+
+    // Untag one app. Returns false when the app did not have the tag.
+    removeAppTag: (appId, name) => {
+        const tag = getTagByName.get(name);
+        return tag ? deleteAppTag.run(appId, tag.id).changes > 0 : false;
+    }
+};
+
+module.exports = groups;
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const config = require('../config.json');
+
+const STORE_DIR = (config.screenshot && config.screenshot.storePath)
+    ? path.resolve(__dirname, '..', config.screenshot.storePath)
+    : path.join(__dirname, '..', 'data', 'screenshots');
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Files of an image live under the first two characters of its hash:
+ * <hash>.png for the original, <hash>.<variant> for renderings of it
+ */
+function filePath(hash, name = 'png') {
+    if (!HASH_PATTERN.test(hash)) {
+        throw new Error(`Invalid image hash "${hash}"`);
+    }
+    return path.join(STORE_DIR, hash.slice(0, 2), `${hash}.${name}`);
+}
+
+function readFile(file) {
+    try {
+        return fs.readFileSync(file);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// Write through a temporary file so readers never see half an image
+function writeFile(file, buffer) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, buffer);
+    fs.renameSync(temp, file);
+}
+
+// Content-addressed screenshot files: an image is stored once under its SHA-256,
+// however many apps or history entries refer to it
+const imageStore = {
+    directory: STORE_DIR,
+
+    // Store a PNG and return its hash
+    put: (buffer) => {
+        const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+        const file = filePath(hash);
+        if (!fs.existsSync(file)) {
+            writeFile(file, buffer);
+        }
+        return hash;
+    },
+
+    // The original PNG, or null when it is not stored
+    read: (hash) => {
+        return readFile(filePath(hash));
+    },
+
+    // A cached rendering such as "card.webp", or null
+    readVariant: (hash, name) => {
+        return readFile(filePath(hash, name));
+    },
+
+    writeVariant: (hash, name, buffer) => {
+        writeFile(filePath(hash, name), buffer);
+    },
+
+    // Delete the images (and their renderings) whose hash is not in `keep`; returns how many went
+    sweep: (keep) => {
+        if (!fs.existsSync(STORE_DIR)) return 0;
+        let removed = 0;
+        for (const prefix of fs.readdirSync(STORE_DIR)) {
+            const dir = path.join(STORE_DIR, prefix);
+            if (!fs.statSync(dir).isDirectory()) continue;
+            for (const name of fs.readdirSync(dir)) {
+                const hash = name.split('.')[0];
+                if (keep.has(hash)) continue;
+                fs.unlinkSync(path.join(dir, name));
+                if (name === `${hash}.png`) removed++;
+            }
+        }
+        return removed;
+    }
+};
+
+module.exports = imageStore;
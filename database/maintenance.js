@@ -0,0 +1,45 @@
+const { db } = require('./db');
+
+const getWindows = db.prepare(`
+    SELECT maintenance_windows.*, apps.name AS app_name, groups.name AS group_name
+    FROM maintenance_windows
+    LEFT JOIN apps ON apps.id = maintenance_windows.app_id
+    LEFT JOIN groups ON groups.id = maintenance_windows.group_id
+    ORDER BY maintenance_windows.starts_at
+`);
+const getWindow = db.prepare(`
+    SELECT maintenance_windows.*, apps.name AS app_name, groups.name AS group_name
+    FROM maintenance_windows
+    LEFT JOIN apps ON apps.id = maintenance_windows.app_id
+    LEFT JOIN groups ON groups.id = maintenance_windows.group_id
+    WHERE maintenance_windows.id = ?
+`);
+const insertWindow = db.prepare(`
+    INSERT INTO maintenance_windows (title, app_id, group_id, starts_at, ends_at, recurrence, repeat_until, created_by)
+    VALUES (@title, @app_id, @group_id, @starts_at, @ends_at, @recurrence, @repeat_until, @created_by)
+`);
+const deleteWindow = db.prepare(`DELETE FROM maintenance_windows WHERE id = ?`);
+
+// Maintenance windows of apps and groups, with the app or group name
+const maintenance = {
+    getWindows: () => {
+        return getWindows.all();
+    },
+
+    getWindow: (id) => {
+        return getWindow.get(id);
+    },
+
+    // Create a window from validated fields (see normalizeMaintenanceWindow)
+    createWindow: (fields, createdBy = null) => {
+        const result = insertWindow.run({ ...fields, created_by: createdBy });
+        return getWindow.get(result.lastInsertRowid);
+    },
+
+    // Returns false when the window did not exist
+    deleteWindow: (id) => {
+        return deleteWindow.run(id).changes > 0;
+    }
+};
+
+module.exports = maintenance;
@@ -0,0 +1,99 @@
+const { db } = require('./db');
+
+// Only real health results count towards uptime; 'unknown' rows and checks made
+// during a maintenance window are ignored
+const TRACKED_STATUSES = `('online', 'degraded', 'offline')`;
+
+const ROLLUP_TABLES = ['metrics_hourly', 'metrics_daily'];
+
+const iterateHistorySince = db.prepare(`
+    SELECT app_id, status, response_time_ms, checked_at FROM scan_history
+    WHERE checked_at >= ? AND status IN ${TRACKED_STATUSES} AND maintenance = 0
+    ORDER BY app_id, checked_at
+`);
+
+const getAppHistorySince = db.prepare(`
+    SELECT status, response_time_ms, checked_at FROM scan_history
+    WHERE app_id = ? AND checked_at >= ? AND status IN ${TRACKED_STATUSES} AND maintenance = 0
+    ORDER BY checked_at
+`);
+
+const getEarliestHistory = db.prepare(`SELECT MIN(checked_at) AS checked_at FROM scan_history`);
+
+const pruneHistory = db.prepare(`DELETE FROM scan_history WHERE checked_at < ?`);
+
+const statements = {};
+for (const table of ROLLUP_TABLES) {
+    statements[table] = {
+        upsert: db.prepare(`
+            INSERT INTO ${table} (app_id, bucket_start, checks, online_checks, degraded_checks, offline_checks,
+                                  uptime_pct, avg_ms, p50_ms, p95_ms, p99_ms, max_ms)
+            VALUES (@appId, @bucketStart, @checks, @onlineChecks, @degradedChecks, @offlineChecks,
+                    @uptimePct, @avgMs, @p50Ms, @p95Ms, @p99Ms, @maxMs)
+            ON CONFLICT (app_id, bucket_start) DO UPDATE SET
+                checks = excluded.checks,
+                online_checks = excluded.online_checks,
+                degraded_checks = excluded.degraded_checks,
+                offline_checks = excluded.offline_checks,
+                uptime_pct = excluded.uptime_pct,
+                avg_ms = excluded.avg_ms,
+                p50_ms = excluded.p50_ms,
+                p95_ms = excluded.p95_ms,
+                p99_ms = excluded.p99_ms,
+                max_ms = excluded.max_ms
+        `),
+        latest: db.prepare(`SELECT MAX(bucket_start) AS bucket_start FROM ${table}`),
+        range: db.prepare(`SELECT * FROM ${table} WHERE app_id = ? AND bucket_start >= ? ORDER BY bucket_start`),
+        prune: db.prepare(`DELETE FROM ${table} WHERE bucket_start < ?`)
+    };
+}
+
+const upsertRollups = db.transaction((table, buckets) => {
+    for (const bucket of buckets) {
+        statements[table].upsert.run(bucket);
+    }
+});
+
+// Rollup storage and raw-history access for the metrics service
+const metrics = {
+    // Stream raw checks since a timestamp, grouped by app then time
+    iterateHistorySince: (since) => {
+        return iterateHistorySince.iterate(since);
+    },
+
+    // Raw checks for one app since a timestamp
+    getAppHistorySince: (appId, since) => {
+        return getAppHistorySince.all(appId, since);
+    },
+
+    // Oldest raw check, or null when history is empty
+    getEarliestHistory: () => {
+        return getEarliestHistory.get().checked_at;
+    },
+
+    // Newest rollup bucket in a table, or null
+    getLatestBucket: (table) => {
+        return statements[table].latest.get().bucket_start;
+    },
+
+    // Insert or replace rollup buckets in one transaction
+    saveRollups: (table, buckets) => {
+        upsertRollups(table, buckets);
+    },
+
+    // Rollup buckets for one app since a timestamp
+    getRollups: (table, appId, since) => {
+        return statements[table].range.all(appId, since);
+    },
+
+    // Delete raw checks and rollups older than their cutoffs; returns deleted row counts
+    prune: ({ rawBefore, hourlyBefore, dailyBefore }) => {
+        return {
+            raw: pruneHistory.run(rawBefore).changes,
+            hourly: statements.metrics_hourly.prune.run(hourlyBefore).changes,
+            daily: statements.metrics_daily.prune.run(dailyBefore).changes
+        };
+    }
+};
+
+module.exports = metrics;
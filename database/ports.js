@@ -0,0 +1,70 @@
+const { db } = require('./db');
+
+// Columns a project create/update may write
+const PROJECT_COLUMNS = ['name', 'owner', 'description'];
+
+const getProjects = db.prepare(`
+    SELECT port_projects.*, COUNT(port_reservations.port) AS reservations
+    FROM port_projects LEFT JOIN port_reservations ON port_reservations.project_id = port_projects.id
+    GROUP BY port_projects.id
+    ORDER BY port_projects.id
+`);
+const getProject = db.prepare(`SELECT * FROM port_projects WHERE id = ?`);
+const insertProject = db.prepare(`
+    INSERT INTO port_projects (id, name, owner, description) VALUES (@id, @name, @owner, @description)
+`);
+const getReservations = db.prepare(`SELECT * FROM port_reservations ORDER BY port`);
+const getReservation = db.prepare(`SELECT * FROM port_reservations WHERE port = ?`);
+const insertReservation = db.prepare(`
+    INSERT INTO port_reservations (port, project_id, role, owner, description)
+    VALUES (@port, @project_id, @role, @owner, @description)
+`);
+const deleteReservation = db.prepare(`DELETE FROM port_reservations WHERE port = ?`);
+
+const reserve = db.transaction((reservation, project) => {
+    if (project && !getProject.get(project.id)) {
+        insertProject.run(project);
+    }
+    insertReservation.run(reservation);
+    return getReservation.get(reservation.port);
+});
+
+// Port registry storage: projects (keyed by their two-digit ID) and reserved ports
+const ports = {
+    // Projects with the number of ports reserved for each
+    getProjects: () => {
+        return getProjects.all();
+    },
+
+    getProject: (id) => {
+        return getProject.get(id);
+    },
+
+    // Update a project from validated fields; returns the project or undefined
+    updateProject: (id, fields) => {
+        const columns = Object.keys(fields).filter(column => PROJECT_COLUMNS.includes(column));
+        db.prepare(`UPDATE port_projects SET ${columns.map(c => `${c} = @${c}`).join(', ')} WHERE id = @id`)
+            .run({ ...fields, id });
+        return getProject.get(id);
+    },
+
+    getReservations: () => {
+        return getReservations.all();
+    },
+
+    getReservation: (port) => {
+        return getReservation.get(port);
+    },
+
+    // Reserve a port, registering its project first when it is new
+    reserve: (reservation, project = null) => {
+        return reserve(reservation, project);
+    },
+
+    // Release a port. Returns false when it was not reserved.
+    release: (port) => {
+        return deleteReservation.run(port).changes > 0;
+    }
+};
+
+module.exports = ports;
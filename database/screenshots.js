@@ -0,0 +1,75 @@
+const { db } = require('./db');
+
+const insertCapture = db.prepare(`
+    INSERT INTO screenshot_history (app_id, image_hash, diff_score, changed, captured_at)
+    VALUES (?, ?, ?, ?, ?)
+`);
+const getLatestCapture = db.prepare(`
+    SELECT * FROM screenshot_history WHERE app_id = ? ORDER BY id DESC LIMIT 1
+`);
+const getCaptures = db.prepare(`
+    SELECT id, diff_score, changed, captured_at FROM screenshot_history
+    WHERE app_id = ? ORDER BY id DESC
+`);
+const getCapture = db.prepare(`SELECT * FROM screenshot_history WHERE app_id = ? AND id = ?`);
+const getPreviousCapture = db.prepare(`
+    SELECT * FROM screenshot_history WHERE app_id = ? AND id < ? ORDER BY id DESC LIMIT 1
+`);
+const pruneCaptures = db.prepare(`
+    DELETE FROM screenshot_history WHERE app_id = ? AND id NOT IN (
+        SELECT id FROM screenshot_history WHERE app_id = ? ORDER BY id DESC LIMIT ?
+    )
+`);
+const getReferencedHashes = db.prepare(`
+    SELECT screenshot_hash FROM apps WHERE screenshot_hash IS NOT NULL
+    UNION SELECT image_hash FROM screenshot_history
+`).pluck();
+
+function toCapture(row) {
+    return {
+        id: row.id,
+        score: row.diff_score,
+        changed: !!row.changed,
+        capturedAt: row.captured_at
+    };
+}
+
+// Screenshot history of apps; the images themselves are in the image store
+const screenshots = {
+    // Store a capture and return its id
+    addCapture: (appId, imageHash, score, changed, capturedAt = new Date().toISOString()) => {
+        return insertCapture.run(appId, imageHash, score, changed ? 1 : 0, capturedAt).lastInsertRowid;
+    },
+
+    // Latest capture of an app, with its image hash
+    getLatest: (appId) => {
+        return getLatestCapture.get(appId);
+    },
+
+    // Captures of an app, newest first
+    getCaptures: (appId) => {
+        return getCaptures.all(appId).map(toCapture);
+    },
+
+    // One capture with its image hash
+    getCapture: (appId, id) => {
+        return getCapture.get(appId, id);
+    },
+
+    // The capture taken before the given one, with its image hash
+    getPrevious: (appId, id) => {
+        return getPreviousCapture.get(appId, id);
+    },
+
+    // Keep only the newest `keep` captures of an app
+    prune: (appId, keep) => {
+        pruneCaptures.run(appId, appId, keep);
+    },
+
+    // Hashes of all images apps and their history still show
+    referencedHashes: () => {
+        return new Set(getReferencedHashes.all());
+    }
+};
+
+module.exports = screenshots;
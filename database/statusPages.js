@@ -0,0 +1,59 @@
+const { db } = require('./db');
+
+// Columns a status page create/update may write
+const PAGE_COLUMNS = ['slug', 'title', 'description', 'notice', 'items'];
+
+const getPages = db.prepare(`SELECT * FROM status_pages ORDER BY title, slug`);
+const getPage = db.prepare(`SELECT * FROM status_pages WHERE id = ?`);
+const getPageBySlug = db.prepare(`SELECT * FROM status_pages WHERE slug = ?`);
+const deletePage = db.prepare(`DELETE FROM status_pages WHERE id = ?`);
+
+// Parse the items column of page rows
+const withItems = (page) => page && { ...page, items: JSON.parse(page.items) };
+
+// Serialize validated fields for the columns they go to
+const toColumns = (fields) => {
+    const columns = Object.keys(fields).filter(column => PAGE_COLUMNS.includes(column));
+    const values = { ...fields };
+    if (values.items !== undefined) values.items = JSON.stringify(values.items);
+    return { columns, values };
+};
+
+// Public status pages and the apps/groups they list
+const statusPages = {
+    getPages: () => {
+        return getPages.all().map(withItems);
+    },
+
+    getPage: (id) => {
+        return withItems(getPage.get(id));
+    },
+
+    // Page with this slug (ignoring case), or undefined
+    getPageBySlug: (slug) => {
+        return withItems(getPageBySlug.get(slug));
+    },
+
+    // Create a page from validated fields (see normalizeStatusPage)
+    createPage: (fields) => {
+        const { columns, values } = toColumns(fields);
+        const result = db.prepare(`INSERT INTO status_pages (${columns.join(', ')}) VALUES (${columns.map(c => `@${c}`).join(', ')})`)
+            .run(values);
+        return withItems(getPage.get(result.lastInsertRowid));
+    },
+
+    // Update a page from validated fields; returns the page or undefined
+    updatePage: (id, fields) => {
+        const { columns, values } = toColumns(fields);
+        db.prepare(`UPDATE status_pages SET ${columns.map(c => `${c} = @${c}`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = @id`)
+            .run({ ...values, id });
+        return withItems(getPage.get(id));
+    },
+
+    // Returns false when the page did not exist
+    deletePage: (id) => {
+        return deletePage.run(id).changes > 0;
+    }
+};
+
+module.exports = statusPages;
@@ -3,27 +3,46 @@
 class WebAppMonitor {
     constructor() {
         this.apps = [];
+        this.statusPages = [];
         this.currentView = 'dashboard';
         this.filter = {
             search: '',
             category: 'all',
-            status: 'all'
+            status: 'all',
+            host: 'all',
+            group: 'all',
+            tags: []
         };
+        this.hosts = [];
+        this.groups = [];
+        this.groupApps = false;
+        this.collapsedGroups = new Set();
         this.autoRefresh = false;
         this.autoRefreshTimer = null;
+        this.activeJobId = null;
+        this.metricsRange = '24h';
+        // Screenshot history shown in the app modal, and the selected capture/comparison mode
+        this.screenshotCompare = null;
+        this.user = null;
+        this.scopes = [];
         this.init();
     }
 
     async init() {
+        // Signed out (or the session expired): loadCurrentUser() sends us to the login page
+        if (!(await this.loadCurrentUser())) return;
         this.setupEventListeners();
         this.connectWebSocket();
         // Apply persisted theme if available
         this.loadTheme();
         // Load persisted auto-refresh setting
         this.loadAutoRefresh();
+        this.loadGroupLayout();
         await this.checkOllamaStatus();
         // Load apps on startup
         await this.loadApps();
+        // Re-attach the progress bar to a scan that was started before this page loaded
+        await this.restoreActiveJob();
     }
 
     // Allow user to configure the dashboard's target host used to convert localhost -> LAN IP
@@ -57,6 +76,24 @@ class WebAppMonitor {
         } catch (e) {}
     }
 
+    // Load "group by project" toggle and collapsed sections from localStorage
+    loadGroupLayout() {
+        try {
+            this.groupApps = localStorage.getItem('groupApps') === 'true';
+            this.collapsedGroups = new Set(JSON.parse(localStorage.getItem('collapsedGroups') || '[]'));
+        } catch (e) {}
+        document.getElementById('group-toggle').classList.toggle('active', this.groupApps);
+    }
+
+    saveGroupLayout() {
+        try {
+            localStorage.setItem('groupApps', String(this.groupApps));
+            localStorage.setItem('collapsedGroups', JSON.stringify([...this.collapsedGroups]));
+        } catch (e) {
+            // ignore storage errors
+        }
+    }
+
     // Load theme from localStorage and apply
     loadTheme() {
         const theme = localStorage.getItem('theme') || 'light';
@@ -98,7 +135,7 @@ class WebAppMonitor {
         document.querySelectorAll('.nav-item').forEach(item => {
             item.addEventListener('click', (e) => {
                 // Skip items with dedicated click handlers
-                if (item.id === 'add-app-nav' || item.id === 'settings-nav') {
+                if (item.id === 'add-app-nav' || item.id === 'settings-nav' || item.id === 'ports-nav' || item.id === 'certificates-nav' || item.id === 'account-nav') {
                     return;
                 }
                 const view = item.dataset.view;
@@ -119,9 +156,75 @@ class WebAppMonitor {
         if (settingsNav) {
             settingsNav.addEventListener('click', () => {
                 document.getElementById('settings-modal').classList.add('active');
+                this.renderGroupSettings();
+                this.loadStatusPages();
+                this.loadNotificationChannels();
+                this.loadScreenshotQueue();
             });
         }
 
+        // Port registry nav - uses modal instead of view
+        document.getElementById('ports-nav').addEventListener('click', () => {
+            document.getElementById('ports-modal').classList.add('active');
+            this.loadPortRegistry();
+        });
+        document.getElementById('ports-modal-close').addEventListener('click', () => this.closeModal('ports-modal'));
+
+        // Certificate overview nav - uses modal instead of view
+        document.getElementById('certificates-nav').addEventListener('click', () => {
+            document.getElementById('certificates-modal').classList.add('active');
+            this.loadCertificates();
+        });
+        document.getElementById('certificates-modal-close').addEventListener('click', () => this.closeModal('certificates-modal'));
+        document.getElementById('certificate-overview').addEventListener('click', (e) => {
+            const row = e.target.closest('[data-certificate-app]');
+            if (!row) return;
+            this.closeModal('certificates-modal');
+            this.showAppDetails(parseInt(row.dataset.certificateApp, 10));
+        });
+        document.getElementById('port-reserve-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.reservePort();
+        });
+        document.getElementById('port-registry').addEventListener('click', (e) => {
+            const release = e.target.closest('[data-release-port]');
+            const claim = e.target.closest('[data-claim-port]');
+            if (release) this.releasePort(release.dataset.releasePort);
+            if (claim) this.claimPort(claim.dataset.claimProject, claim.dataset.claimRole);
+        });
+
+        // Account nav - password, API tokens and users
+        document.getElementById('account-nav').addEventListener('click', () => {
+            document.getElementById('account-modal').classList.add('active');
+            document.getElementById('token-created').classList.add('d-none');
+            this.loadAccount();
+        });
+        document.getElementById('account-modal-close').addEventListener('click', () => this.closeModal('account-modal'));
+        document.getElementById('password-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.changePassword();
+        });
+        document.getElementById('token-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createToken();
+        });
+        document.getElementById('user-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addUser();
+        });
+        document.getElementById('account-modal').addEventListener('click', (e) => {
+            const revoke = e.target.closest('[data-revoke-token]');
+            const remove = e.target.closest('[data-remove-user]');
+            if (revoke) this.revokeToken(revoke.dataset.revokeToken);
+            if (remove) this.removeUser(remove.dataset.removeUser, remove.dataset.username);
+        });
+        document.getElementById('account-modal').addEventListener('change', (e) => {
+            if (e.target.dataset.userRole) this.setUserRole(e.target.dataset.userRole, e.target.value);
+        });
+        document.getElementById('current-user').addEventListener('click', (e) => {
+            if (e.target.closest('#logout-btn')) this.logout();
+        });
+
         // Settings modal close
         document.getElementById('settings-modal-close').addEventListener('click', () => {
             this.closeModal('settings-modal');
@@ -132,6 +235,7 @@ class WebAppMonitor {
         document.getElementById('full-scan-btn').addEventListener('click', () => this.startFullScan());
         document.getElementById('health-check-btn').addEventListener('click', () => this.runHealthCheck());
         document.getElementById('empty-scan-btn').addEventListener('click', () => this.startQuickScan());
+        document.getElementById('scan-cancel-btn').addEventListener('click', () => this.cancelActiveJob());
 
         // Search
         document.getElementById('search-input').addEventListener('input', (e) => {
@@ -140,15 +244,72 @@ class WebAppMonitor {
         });
 
         // Filter buttons
-        document.querySelectorAll('.filter-btn').forEach(btn => {
+        document.querySelectorAll('.filter-btn[data-filter]').forEach(btn => {
             btn.addEventListener('click', () => {
-                document.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
+                document.querySelectorAll('.filter-btn[data-filter]').forEach(b => b.classList.remove('active'));
                 btn.classList.add('active');
                 this.filter.status = btn.dataset.filter;
                 this.renderApps();
             });
         });
 
+        // Host filter
+        document.getElementById('host-filter').addEventListener('change', (e) => {
+            this.filter.host = e.target.value;
+            this.renderApps();
+        });
+
+        // Group sections toggle
+        document.getElementById('group-toggle').addEventListener('click', (e) => {
+            this.groupApps = !this.groupApps;
+            e.currentTarget.classList.toggle('active', this.groupApps);
+            this.saveGroupLayout();
+            this.renderApps();
+        });
+
+        // Group and tag chips
+        document.getElementById('filter-chips').addEventListener('click', (e) => {
+            const chip = e.target.closest('.filter-chip');
+            if (!chip) return;
+            const { chipType, chipValue } = chip.dataset;
+            if (chipType === 'clear') {
+                this.filter.group = 'all';
+                this.filter.tags = [];
+            } else if (chipType === 'group') {
+                this.filter.group = this.filter.group === chipValue ? 'all' : chipValue;
+            } else if (chipType === 'tag') {
+                this.filter.tags = this.filter.tags.includes(chipValue)
+                    ? this.filter.tags.filter(t => t !== chipValue)
+                    : [...this.filter.tags, chipValue];
+            }
+            this.renderFilterChips();
+            this.renderApps();
+        });
+
+        // Group management (settings)
+        document.getElementById('group-settings-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createGroup();
+        });
+        document.getElementById('group-settings-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-delete-group]');
+            if (button) this.deleteGroup(button.dataset.deleteGroup);
+        });
+        document.getElementById('apply-convention-btn').addEventListener('click', () => this.applyPortConvention());
+
+        // Status page management (settings)
+        document.getElementById('status-page-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveStatusPage();
+        });
+        document.getElementById('status-page-cancel').addEventListener('click', () => this.editStatusPage(null));
+        document.getElementById('status-page-list').addEventListener('click', (e) => {
+            const edit = e.target.closest('[data-edit-status-page]');
+            const remove = e.target.closest('[data-delete-status-page]');
+            if (edit) this.editStatusPage(this.statusPages.find(p => p.id === parseInt(edit.dataset.editStatusPage, 10)));
+            if (remove) this.deleteStatusPage(remove.dataset.deleteStatusPage);
+        });
+
         // Modal close buttons
         document.getElementById('modal-close').addEventListener('click', () => this.closeModal('app-modal'));
         document.getElementById('add-app-modal-close').addEventListener('click', () => this.closeModal('add-app-modal'));
@@ -172,6 +333,12 @@ class WebAppMonitor {
             }
         });
 
+        document.getElementById('modal-edit-btn').addEventListener('click', () => {
+            if (this.selectedApp) {
+                this.showAppEditForm(this.selectedApp);
+            }
+        });
+
         document.getElementById('modal-reidentify-btn').addEventListener('click', () => {
             if (this.selectedApp) {
                 this.reidentifyApp(this.selectedApp.id);
@@ -190,6 +357,7 @@ class WebAppMonitor {
         document.getElementById('theme-auto-btn').addEventListener('click', () => this.setTheme('auto'));
         document.getElementById('screenshot-refresh-btn').addEventListener('click', () => this.refreshScreenshots());
         document.getElementById('clear-data-btn').addEventListener('click', () => this.clearData());
+        document.getElementById('test-notification-btn').addEventListener('click', () => this.sendTestNotification());
         
         // Settings save button
         const settingsSaveBtn = document.getElementById('settings-save-btn');
@@ -297,12 +465,19 @@ class WebAppMonitor {
             this.handleWebSocketMessage(data);
         });
 
-        this.socket.on('disconnect', () => {
+        this.socket.on('disconnect', (reason) => {
             console.log('[Socket.IO] Disconnected, reconnecting...');
+            // The server drops clients whose sign-in changed (role, password, logout); reconnecting re-checks it
+            if (reason === 'io server disconnect') {
+                this.loadCurrentUser().then(signedIn => signedIn && this.socket.connect());
+            }
         });
 
         this.socket.on('connect_error', (error) => {
             console.error('[Socket.IO] Error:', error);
+            if (error.message === 'Unauthorized') {
+                window.location.href = '/login.html';
+            }
         });
     }
 
@@ -328,13 +503,23 @@ class WebAppMonitor {
                 this.showToast('error', `Scan error: ${data.error}`);
                 break;
 
+            case 'scan_cancelled':
+                this.hideLoading();
+                this.showToast('warning', 'Scan cancelled');
+                this.loadApps();
+                break;
+
+            case 'job_update':
+                this.updateJobProgress(data.job);
+                break;
+
             case 'health_check_start':
                 this.showLoading('Running health checks...');
                 break;
 
             case 'health_check_complete':
                 this.hideLoading();
-                this.showToast('success', `Health check complete: ${data.online} online, ${data.offline} offline`);
+                this.showToast('success', `Health check complete: ${data.online} online, ${data.degraded || 0} degraded, ${data.offline} offline`);
                 this.loadApps();
                 break;
 
@@ -342,7 +527,22 @@ class WebAppMonitor {
                 this.updateAppStatus(data);
                 break;
 
-            case 'periodic_health_check':
+            case 'incident_update':
+                this.handleIncidentUpdate(data);
+                break;
+
+            case 'certificate_alert':
+                this.showToast(data.event === 'certificate_expired' ? 'error' : 'warning',
+                    data.event === 'certificate_expired'
+                        ? `TLS certificate of ${this.escapeHtml(data.name)} expired`
+                        : `TLS certificate of ${this.escapeHtml(data.name)} expires in ${data.daysLeft} days`);
+                this.loadApps();
+                break;
+
+            case 'visual_change':
+                if (!data.reviewed) {
+                    this.showToast('warning', `${this.escapeHtml(data.name)} looks different: ${Math.round(data.score * 100)}% of its screenshot changed`);
+                }
                 this.loadApps();
                 break;
 
@@ -352,13 +552,16 @@ class WebAppMonitor {
 
             case 'screenshot_updated':
                 if (data.success) {
-                    const appCard = document.querySelector(`[data-app-id="${data.appId}"]`);
-                    if (appCard) {
-                        this.loadApps();
-                    }
+                    this.updateAppScreenshot(data.appId, data.screenshots);
                 }
                 break;
 
+            case 'screenshot_progress':
+                this.showLoading(`Updating screenshots... ${data.done}/${data.total} (${data.active} running, ${data.waiting} queued)`);
+                document.getElementById('scan-progress-fill').style.width = `${Math.round((data.done / data.total) * 100)}%`;
+                this.renderScreenshotQueue(data);
+                break;
+
             case 'screenshot_update_complete':
                 this.hideLoading();
                 this.showToast('success', 'Screenshots updated');
@@ -371,7 +574,39 @@ class WebAppMonitor {
 
             case 'app_updated':
             case 'app_removed':
+            case 'tags_updated':
+                this.loadApps();
+                break;
+
+            case 'groups_updated':
+                this.loadApps().then(() => this.renderGroupSettings());
+                break;
+
+            case 'action_start':
+            case 'action_complete':
+                if (this.selectedApp && this.selectedApp.id === data.run.app_id) {
+                    this.loadAppActions(data.run.app_id);
+                }
+                if (data.type === 'action_complete' && data.run.status !== 'succeeded') {
+                    this.showToast('error', `${this.escapeHtml(data.run.action)} of ${this.escapeHtml(data.run.app_name || 'app')} ${this.escapeHtml(data.run.status)}`);
+                }
+                break;
+
+            case 'action_output':
+                this.appendActionOutput(data);
+                break;
+
+            case 'maintenance_updated':
                 this.loadApps();
+                if (this.selectedApp && document.getElementById('app-maintenance')) {
+                    this.loadAppMaintenance(this.selectedApp);
+                }
+                break;
+
+            case 'ports_updated':
+                if (document.getElementById('ports-modal').classList.contains('active')) {
+                    this.loadPortRegistry();
+                }
                 break;
         }
     }
@@ -381,14 +616,127 @@ class WebAppMonitor {
             const response = await fetch('/api/apps');
             const data = await response.json();
             this.apps = data.apps;
+            this.hosts = data.hosts || [];
+            this.groups = data.groups || [];
             this.updateStats(data.stats);
+            this.renderHostFilter();
+            this.renderFilterChips();
             this.renderApps();
+            this.loadConventionWarnings();
         } catch (error) {
             console.error('Failed to load apps:', error);
             this.showToast('error', 'Failed to load applications');
         }
     }
 
+    // Collapsed list of port convention violations above the grid
+    async loadConventionWarnings() {
+        const container = document.getElementById('convention-warnings');
+        try {
+            const response = await fetch('/api/ports/convention');
+            const data = await response.json();
+            const violations = data.violations || [];
+
+            container.classList.toggle('d-none', violations.length === 0);
+            if (violations.length === 0) return;
+
+            const errors = violations.filter(v => v.severity === 'error').length;
+            container.classList.toggle('has-errors', errors > 0);
+            container.innerHTML = `
+                <summary>
+                    <i class="fas fa-exclamation-triangle"></i>
+                    ${violations.length} port convention issue${violations.length === 1 ? '' : 's'}${errors > 0 ? ` (${errors} collision${errors === 1 ? '' : 's'})` : ''}
+                </summary>
+                <ul>
+                    ${violations.map(v => `<li class="convention-violation ${v.severity}">${this.escapeHtml(v.message)}</li>`).join('')}
+                </ul>
+            `;
+        } catch (error) {
+            console.error('Failed to load port convention:', error);
+        }
+    }
+
+    // Detail rows for the local process serving an app's port (from /proc)
+    renderProcessRows(processInfo) {
+        if (!processInfo) return '';
+
+        const row = (label, value) => `
+            <div class="detail-row" style="display:flex;justify-content:space-between;padding:8px 0;border-bottom:1px solid var(--border-color);">
+                <span style="color:var(--text-secondary);font-size:13px;">${label}</span>
+                ${value}
+            </div>`;
+        const code = (text) => `<code style="font-size:12px;max-width:70%;text-align:right;word-break:break-all;">${this.escapeHtml(text)}</code>`;
+
+        return row('Process', `<span style="font-size:14px;">${processInfo.pid ? `PID ${processInfo.pid}` : 'PID not visible'} · ${this.escapeHtml(processInfo.user || 'unknown user')}</span>`) +
+            (processInfo.command ? row('Command', code(processInfo.command)) : '') +
+            (processInfo.cwd ? row('Working Directory', code(processInfo.cwd)) : '') +
+            (processInfo.startedAt ? row('Process Started', `<span style="font-size:14px;" title="${new Date(processInfo.startedAt).toLocaleString()}">${this.formatTimeAgo(new Date(processInfo.startedAt))}</span>`) : '');
+    }
+
+    // Detail rows for the Docker container publishing an app's port
+    renderContainerRows(container) {
+        if (!container) return '';
+
+        const row = (label, value) => `
+            <div class="detail-row" style="display:flex;justify-content:space-between;padding:8px 0;border-bottom:1px solid var(--border-color);">
+                <span style="color:var(--text-secondary);font-size:13px;">${label}</span>
+                ${value}
+            </div>`;
+        const text = (value) => `<span style="font-size:14px;">${this.escapeHtml(value)}</span>`;
+        const labels = Object.entries(container.labels || {}).filter(([name]) => !name.startsWith('com.docker.compose.'));
+
+        return row('Container', text(`${container.name} (${container.id})`)) +
+            row('Image', `<code style="font-size:12px;max-width:70%;text-align:right;word-break:break-all;">${this.escapeHtml(container.image)}</code>`) +
+            (container.composeProject ? row('Compose', text(`${container.composeProject} / ${container.composeService || '?'}`)) : '') +
+            row('Container Status', text(container.status)) +
+            (labels.length > 0 ? row('Labels', `<span class="app-tags">${labels.map(([name, value]) => `<span class="tag-chip" title="${this.escapeHtml(value).replace(/"/g, '&quot;')}">${this.escapeHtml(name)}</span>`).join('')}</span>`) : '');
+    }
+
+    // Label and CSS class for a certificate's expiry status
+    getCertificateStatusInfo(certificate) {
+        if (certificate.status === 'expired') return { className: 'expired', label: 'Expired' };
+        const days = `${certificate.daysLeft} day${certificate.daysLeft === 1 ? '' : 's'} left`;
+        return { className: certificate.status, label: days };
+    }
+
+    renderCertificateRows(certificate) {
+        if (!certificate) return '';
+
+        const row = (label, value) => `
+            <div class="detail-row" style="display:flex;justify-content:space-between;padding:8px 0;border-bottom:1px solid var(--border-color);">
+                <span style="color:var(--text-secondary);font-size:13px;">${label}</span>
+                ${value}
+            </div>`;
+        const text = (value) => `<span style="font-size:14px;max-width:70%;text-align:right;word-break:break-all;">${this.escapeHtml(value)}</span>`;
+        const statusInfo = this.getCertificateStatusInfo(certificate);
+        const chain = (certificate.chain || []).map(c => `${c.subject}${c.selfSigned ? ' (root)' : ''}`);
+
+        return row('Certificate', `<span class="certificate-status ${statusInfo.className}">${this.escapeHtml(statusInfo.label)}</span>`) +
+            row('Subject', text(certificate.subject || 'Unknown')) +
+            ((certificate.subjectAltNames || []).length > 0 ? row('Alt Names', text(certificate.subjectAltNames.join(', '))) : '') +
+            row('Issuer', text(certificate.selfSigned ? 'Self-signed' : (certificate.issuer || 'Unknown'))) +
+            (chain.length > 0 ? row('Chain', text(chain.join(' → '))) : '') +
+            row('Valid', text(`${new Date(certificate.validFrom).toLocaleDateString()} – ${new Date(certificate.validTo).toLocaleDateString()}`)) +
+            row('Key', text(certificate.keyType || 'Unknown')) +
+            row('TLS', text(`${certificate.protocol || '?'} · ${certificate.cipher || '?'}`)) +
+            (certificate.problems.length > 0 ? row('Certificate Issues', `<span style="font-size:13px;max-width:70%;text-align:right;color:var(--warning);">${this.escapeHtml(certificate.problems.join('; '))}</span>`) : '');
+    }
+
+    // Describe where an app's port sits in the port convention
+    formatConvention(convention) {
+        if (!convention) return null;
+        switch (convention.kind) {
+            case 'project':
+                return `Project ${convention.projectId} · ${convention.roleLabel}${convention.reserved ? ' (reserved)' : ''}`;
+            case 'global':
+                return `Global · ${convention.label}`;
+            case 'exempt':
+                return 'Exempt';
+            default:
+                return 'Outside convention';
+        }
+    }
+
     updateStats(stats) {
         document.getElementById('total-apps').textContent = stats.totalApps || 0;
         document.getElementById('stat-online').textContent = stats.onlineApps || 0;
@@ -404,6 +752,83 @@ class WebAppMonitor {
         }
     }
 
+    // Host dropdown is only shown once apps live on more than one machine
+    renderHostFilter() {
+        const select = document.getElementById('host-filter');
+        const hosts = this.hosts.filter(h => h.host);
+
+        if (this.filter.host !== 'all' && !hosts.some(h => h.host === this.filter.host)) {
+            this.filter.host = 'all';
+        }
+
+        select.innerHTML = '<option value="all">All hosts</option>' + hosts.map(h => `
+            <option value="${this.escapeHtml(h.host)}" ${h.host === this.filter.host ? 'selected' : ''}>
+                ${this.escapeHtml(h.host)} (${h.online}/${h.total} online)
+            </option>
+        `).join('');
+        select.classList.toggle('d-none', hosts.length < 2);
+    }
+
+    // Chips for each group and tag; groups filter to one section, tags must all match
+    renderFilterChips() {
+        const container = document.getElementById('filter-chips');
+        const tags = [...new Set(this.apps.flatMap(app => app.tags || []))].sort((a, b) => a.localeCompare(b));
+
+        if (this.filter.group !== 'all' && this.filter.group !== 'none' && !this.groups.some(g => String(g.id) === this.filter.group)) {
+            this.filter.group = 'all';
+        }
+        this.filter.tags = this.filter.tags.filter(tag => tags.includes(tag));
+
+        const chip = (type, value, label, active, color = null) => `
+            <button class="filter-chip ${type} ${active ? 'active' : ''}" data-chip-type="${type}" data-chip-value="${this.escapeHtml(value).replace(/"/g, '&quot;')}">
+                ${color ? `<span class="group-color-dot" style="background:${color}"></span>` : ''}${label}
+            </button>`;
+
+        const groupChips = this.groups.map(g => chip('group', String(g.id), this.escapeHtml(g.name), this.filter.group === String(g.id), g.color));
+        if (this.groups.length > 0 && this.apps.some(app => !app.group_id)) {
+            groupChips.push(chip('group', 'none', 'Ungrouped', this.filter.group === 'none'));
+        }
+        const tagChips = tags.map(tag => chip('tag', tag, `<i class="fas fa-tag"></i> ${this.escapeHtml(tag)}`, this.filter.tags.includes(tag)));
+        const filtering = this.filter.group !== 'all' || this.filter.tags.length > 0;
+
+        container.innerHTML = groupChips.join('') + tagChips.join('') +
+            (filtering ? chip('clear', '', '<i class="fas fa-times"></i> Clear', false) : '');
+        container.classList.toggle('d-none', groupChips.length + tagChips.length === 0);
+    }
+
+    // Collapsible section per group (ordered like the groups list), ungrouped apps last
+    renderGroupSections(apps) {
+        const sections = [...this.groups, { id: null, name: 'Ungrouped', color: null }];
+
+        return sections.map(group => {
+            const members = apps.filter(app => (app.group_id ?? null) === group.id);
+            if (members.length === 0) return '';
+
+            // Counters cover the whole group, not just the apps matching the filters
+            const all = this.apps.filter(app => (app.group_id ?? null) === group.id);
+            const count = (status) => all.filter(app => app.status === status).length;
+            const key = String(group.id ?? 'none');
+            const collapsed = this.collapsedGroups.has(key);
+
+            return `
+                <section class="app-group ${collapsed ? 'collapsed' : ''}">
+                    <button class="app-group-header" data-group-key="${key}" aria-expanded="${!collapsed}">
+                        <i class="fas fa-chevron-${collapsed ? 'right' : 'down'}"></i>
+                        ${group.color ? `<span class="group-color-dot" style="background:${group.color}"></span>` : ''}
+                        <span class="app-group-name">${this.escapeHtml(group.name)}</span>
+                        <span class="app-group-count">${all.length}</span>
+                        <span class="app-group-stats">
+                            <span class="online"><span class="status-dot online"></span>${count('online')}</span>
+                            ${count('degraded') > 0 ? `<span class="degraded"><span class="status-dot degraded"></span>${count('degraded')}</span>` : ''}
+                            <span class="offline"><span class="status-dot offline"></span>${count('offline')}</span>
+                        </span>
+                    </button>
+                    ${collapsed ? '' : `<div class="apps-grid">${members.map(app => this.createAppCard(app)).join('')}</div>`}
+                </section>
+            `;
+        }).join('');
+    }
+
     renderApps() {
         const grid = document.getElementById('apps-grid');
         const emptyState = document.getElementById('empty-state');
@@ -417,9 +842,16 @@ class WebAppMonitor {
             let matchesStatus = true;
             if (this.filter.status === 'online') matchesStatus = app.status === 'online';
             if (this.filter.status === 'offline') matchesStatus = app.status === 'offline';
+            if (this.filter.status === 'degraded') matchesStatus = app.status === 'degraded';
             if (this.filter.status === 'unknown') matchesStatus = app.status === 'unknown';
+
+            const matchesHost = this.filter.host === 'all' || app.host === this.filter.host;
+
+            const matchesGroup = this.filter.group === 'all' ||
+                (this.filter.group === 'none' ? !app.group_id : String(app.group_id) === this.filter.group);
+            const matchesTags = this.filter.tags.every(tag => (app.tags || []).includes(tag));
             
-            return matchesSearch && matchesStatus;
+            return matchesSearch && matchesStatus && matchesHost && matchesGroup && matchesTags;
         });
 
         if (filteredApps.length === 0) {
@@ -429,8 +861,25 @@ class WebAppMonitor {
         }
 
         emptyState.classList.remove('active');
-        
-        grid.innerHTML = filteredApps.map(app => this.createAppCard(app)).join('');
+
+        const grouped = this.groupApps && this.groups.length > 0;
+        grid.classList.toggle('grouped', grouped);
+        grid.innerHTML = grouped
+            ? this.renderGroupSections(filteredApps)
+            : filteredApps.map(app => this.createAppCard(app)).join('');
+
+        grid.querySelectorAll('.app-group-header').forEach(header => {
+            header.addEventListener('click', () => {
+                const key = header.dataset.groupKey;
+                if (this.collapsedGroups.has(key)) {
+                    this.collapsedGroups.delete(key);
+                } else {
+                    this.collapsedGroups.add(key);
+                }
+                this.saveGroupLayout();
+                this.renderApps();
+            });
+        });
         
         // Add click listeners to cards
         grid.querySelectorAll('.app-card').forEach(card => {
@@ -441,39 +890,69 @@ class WebAppMonitor {
         });
     }
 
+    // Fingerprinted services (redis://, ssh://, ...) have no web UI to link to or screenshot
+    isWebApp(app) {
+        return /^https?:\/\//i.test(app.url || '');
+    }
+
     createAppCard(app) {
-        const screenshotHtml = app.thumbnail 
-            ? `<img src="${app.thumbnail}" alt="${app.name}" class="app-screenshot" onerror="this.parentElement.innerHTML='<div class=\\'app-screenshot-placeholder\\'>🌐</div>'">`
-            : (app.screenshot 
-                ? `<img src="${app.screenshot}" alt="${app.name}" class="app-screenshot" onerror="this.parentElement.innerHTML='<div class=\\'app-screenshot-placeholder\\'>🌐</div>'">`
-                : `<div class="app-screenshot-placeholder"><i class="fas fa-globe"></i></div>`);
-
-        const statusDot = app.isOnline ? 'online' : 'offline';
-        const statusText = app.isOnline ? 'Online' : 'Offline';
+        const isWeb = this.isWebApp(app);
+        const placeholderIcon = isWeb ? 'fa-globe' : (app.category === 'Database' ? 'fa-database' : 'fa-plug');
+        const screenshotHtml = app.screenshots
+            ? `<img src="${app.screenshots.card}" alt="${app.name}" class="app-screenshot" loading="lazy" onerror="this.parentElement.innerHTML='<div class=\\'app-screenshot-placeholder\\'>🌐</div>'">`
+            : `<div class="app-screenshot-placeholder"><i class="fas ${placeholderIcon}"></i></div>`;
+
+        const urlHtml = isWeb
+            ? `<a href="${app.url}" target="_blank" onclick="event.stopPropagation()">
+                    <i class="fas fa-external-link-alt"></i>
+                    ${this.escapeHtml(app.url)}
+                </a>`
+            : `<span class="app-url-text">
+                    <i class="fas fa-plug"></i>
+                    ${this.escapeHtml(app.url)}
+                </span>`;
+        const protocolBadge = !isWeb && app.protocol
+            ? `<span class="protocol-badge">${this.escapeHtml(app.protocol.toUpperCase())}${app.service_version ? ' ' + this.escapeHtml(app.service_version) : ''}</span>`
+            : '';
+
+        const statusInfo = this.getStatusInfo(app.status);
         
         return `
-            <div class="app-card ${app.isOnline ? '' : 'offline'}" data-app-id="${app.id}">
+            <div class="app-card ${app.isOnline ? '' : statusInfo.className}" data-app-id="${app.id}">
                 <div class="app-card-header">
                     ${screenshotHtml}
-                    <div class="app-status-badge">
-                        <span class="status-dot ${statusDot}"></span>
-                        ${statusText}
+                    <div class="app-status-badge" ${app.status_detail ? `title="${this.escapeHtml(app.status_detail)}"` : ''}>
+                        <span class="status-dot ${statusInfo.className}"></span>
+                        ${statusInfo.label}
                     </div>
                     <span class="category-badge">${app.category}</span>
+                    ${protocolBadge}
+                    ${app.certificate && app.certificate.status !== 'ok' ? `
+                    <span class="certificate-badge ${app.certificate.status}" title="TLS certificate ${app.certificate.status === 'expired' ? 'expired' : `expires ${new Date(app.certificate.validTo).toLocaleDateString()}`}">
+                        <i class="fas fa-lock"></i> ${this.escapeHtml(this.getCertificateStatusInfo(app.certificate).label)}
+                    </span>` : ''}
+                    ${app.visualChange ? `
+                    <span class="visual-change-badge" title="${Math.round(app.visualChange.score * 100)}% of the screenshot changed ${this.formatTimeAgo(new Date(app.visualChange.detectedAt))}">
+                        <i class="fas fa-images"></i> Changed
+                    </span>` : ''}
+                    ${app.maintenance ? `
+                    <span class="maintenance-badge" title="${this.escapeHtml(app.maintenance.title).replace(/"/g, '&quot;')} until ${new Date(app.maintenance.endsAt).toLocaleString()}">
+                        <i class="fas fa-tools"></i> Maintenance
+                    </span>` : ''}
                 </div>
                 <div class="app-card-body">
                     <div class="app-card-title">
-                        <i class="fas fa-cube"></i>
+                        ${this.renderAppIcon(app)}
                         ${this.escapeHtml(app.name)}
                     </div>
                     <div class="app-url">
-                        <a href="${app.url}" target="_blank" onclick="event.stopPropagation()">
-                            <i class="fas fa-external-link-alt"></i>
-                            ${this.escapeHtml(app.url)}
-                        </a>
+                        ${urlHtml}
                     </div>
                     ${app.description ? `<div class="app-description">${this.escapeHtml(app.description)}</div>` : ''}
+                    ${(app.tags || []).length > 0 ? `<div class="app-tags">${app.tags.map(tag => `<span class="tag-chip">${this.escapeHtml(tag)}</span>`).join('')}</div>` : ''}
                     <div class="app-meta-row">
+                        ${app.host ? `<div class="app-host" title="Host"><i class="fas fa-server"></i> ${this.escapeHtml(app.host)}</div>` : ''}
+                        ${app.container ? `<div class="app-container" title="Docker container (${this.escapeHtml(app.container.image).replace(/"/g, '&quot;')})"><i class="fab fa-docker"></i> ${this.escapeHtml(app.container.name)}</div>` : ''}
                         <div class="app-response-time">
                             <i class="fas fa-clock"></i>
                             ${app.responseTime ? app.responseTime + 'ms' : 'N/A'}
@@ -488,6 +967,318 @@ class WebAppMonitor {
         `;
     }
 
+    // Custom icon (emoji/text or image URL), else the default cube
+    renderAppIcon(app) {
+        if (!app.icon) return '<i class="fas fa-cube"></i>';
+        if (/^(https?:|data:image\/)/i.test(app.icon)) {
+            return `<img class="app-icon" src="${this.escapeHtml(app.icon).replace(/"/g, '&quot;')}" alt="">`;
+        }
+        return `<span class="app-icon">${this.escapeHtml(app.icon)}</span>`;
+    }
+
+    // Degraded apps answer but fail their health assertions; anything else that is not online shows as offline
+    getStatusInfo(status) {
+        if (status === 'online') return { className: 'online', label: 'Online' };
+        if (status === 'degraded') return { className: 'degraded', label: 'Degraded' };
+        return { className: 'offline', label: 'Offline' };
+    }
+
+    renderHealthCheckForm(app) {
+        const hc = app.healthCheck || {};
+        const method = hc.method || 'GET';
+        const headers = Object.entries(hc.headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+        const assertions = (hc.jsonAssertions || [])
+            .map(a => a.equals !== undefined ? `${a.path} == ${a.equals}` : a.path)
+            .join('\n');
+        const value = (v) => v === undefined || v === null ? '' : this.escapeHtml(String(v));
+
+        return `
+            <form id="health-check-form" class="health-check-form requires-write">
+                <div class="health-check-title">
+                    <i class="fas fa-heartbeat"></i> Health Check
+                    <span class="health-check-hint">${app.healthCheck ? 'Custom' : 'Default: any status below 500'}</span>
+                </div>
+                <div class="health-check-grid">
+                    <div class="form-group">
+                        <label class="form-label" for="hc-method">Method</label>
+                        <select class="form-select" id="hc-method">
+                            ${['GET', 'HEAD', 'POST', 'PUT', 'OPTIONS'].map(m => `<option value="${m}" ${m === method ? 'selected' : ''}>${m}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="hc-path">Path</label>
+                        <input type="text" class="form-input" id="hc-path" placeholder="/healthz" value="${value(hc.path)}">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="hc-status">Expected status</label>
+                        <input type="text" class="form-input" id="hc-status" placeholder="200-299, 301" value="${value((hc.expectedStatus || []).join(', '))}">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="hc-latency">Max latency (ms)</label>
+                        <input type="number" min="1" class="form-input" id="hc-latency" placeholder="1000" value="${value(hc.maxLatencyMs)}">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="hc-contains">Body contains</label>
+                        <input type="text" class="form-input" id="hc-contains" placeholder="OK" value="${value(hc.bodyContains)}">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="hc-regex">Body regex</label>
+                        <input type="text" class="form-input" id="hc-regex" placeholder="&quot;status&quot;:\\s*&quot;up&quot;" value="${value(hc.bodyRegex)}">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="hc-headers">Headers (one "Name: value" per line)</label>
+                    <textarea class="form-input" id="hc-headers" rows="2" placeholder="Authorization: Bearer token">${value(headers)}</textarea>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="hc-json">JSON assertions (one per line: "$.path" or "$.path == value")</label>
+                    <textarea class="form-input" id="hc-json" rows="2" placeholder="$.status == ok">${value(assertions)}</textarea>
+                </div>
+                <div class="health-check-actions">
+                    <button type="button" class="btn btn-secondary" id="hc-reset-btn" ${app.healthCheck ? '' : 'disabled'}>
+                        <i class="fas fa-undo"></i> Use Default
+                    </button>
+                    <button type="submit" class="btn btn-primary">
+                        <i class="fas fa-save"></i> Save &amp; Check
+                    </button>
+                </div>
+            </form>
+        `;
+    }
+
+    readHealthCheckForm() {
+        const headers = {};
+        document.getElementById('hc-headers').value.split('\n').forEach(line => {
+            const index = line.indexOf(':');
+            if (index > 0) headers[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+        });
+
+        const jsonAssertions = document.getElementById('hc-json').value.split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const [path, ...rest] = line.split('==');
+                return rest.length > 0
+                    ? { path: path.trim(), equals: rest.join('==').trim() }
+                    : { path: path.trim() };
+            });
+
+        return {
+            method: document.getElementById('hc-method').value,
+            path: document.getElementById('hc-path').value.trim() || null,
+            expectedStatus: document.getElementById('hc-status').value.trim() || null,
+            maxLatencyMs: document.getElementById('hc-latency').value || null,
+            bodyContains: document.getElementById('hc-contains').value || null,
+            bodyRegex: document.getElementById('hc-regex').value || null,
+            headers: Object.keys(headers).length > 0 ? headers : null,
+            jsonAssertions: jsonAssertions.length > 0 ? jsonAssertions : null
+        };
+    }
+
+    async saveHealthCheck(appId, healthCheck) {
+        try {
+            const response = await fetch(`/api/apps/${appId}/health-check`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ healthCheck })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+
+            const statusInfo = this.getStatusInfo(data.health.status);
+            const detail = data.health.failures.length > 0 ? `: ${data.health.failures.join('; ')}` : '';
+            this.showToast(data.health.status === 'online' ? 'success' : 'warning', `Health check saved. Status ${statusInfo.label}${this.escapeHtml(detail)}`);
+            this.loadApps();
+            this.showAppDetails(appId);
+        } catch (error) {
+            this.showToast('error', `Failed to save health check: ${this.escapeHtml(error.message)}`);
+        }
+    }
+
+    // Fields left empty use the server defaults, shown as placeholders
+    renderCheckScheduleForm(app) {
+        const schedule = app.schedule;
+        const custom = schedule.custom || {};
+        let hint = `Every ${this.formatDuration(schedule.intervalMs)}`;
+        if (schedule.backoffMs) {
+            hint = `Offline for ${this.formatDuration(Date.now() - new Date(schedule.offlineSince))}, checked every ${this.formatDuration(schedule.backoffMs)}`;
+        }
+        if (schedule.nextCheckAt) {
+            hint += `, next in ${this.formatDuration(Math.max(0, new Date(schedule.nextCheckAt) - Date.now()))}`;
+        }
+
+        return `
+            <form id="check-schedule-form" class="health-check-form requires-write">
+                <div class="health-check-title">
+                    <i class="fas fa-stopwatch"></i> Check Schedule
+                    <span class="health-check-hint">${this.escapeHtml(hint)}</span>
+                </div>
+                <div class="health-check-grid">
+                    <div class="form-group">
+                        <label class="form-label" for="cs-interval">Interval (seconds)</label>
+                        <input type="number" min="10" class="form-input" id="cs-interval" placeholder="${schedule.intervalMs / 1000}" value="${custom.intervalMs ? custom.intervalMs / 1000 : ''}">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="cs-timeout">Timeout (ms)</label>
+                        <input type="number" min="500" class="form-input" id="cs-timeout" placeholder="${schedule.timeoutMs}" value="${custom.timeoutMs || ''}">
+                    </div>
+                </div>
+                <div class="health-check-actions">
+                    <button type="button" class="btn btn-secondary" id="cs-reset-btn" ${schedule.custom ? '' : 'disabled'}>
+                        <i class="fas fa-undo"></i> Use Default
+                    </button>
+                    <button type="submit" class="btn btn-primary">
+                        <i class="fas fa-save"></i> Save
+                    </button>
+                </div>
+            </form>
+        `;
+    }
+
+    async saveCheckSchedule(appId, schedule) {
+        try {
+            const response = await fetch(`/api/apps/${appId}/schedule`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ schedule })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+
+            this.showToast('success', `Check schedule saved: every ${this.formatDuration(data.schedule.intervalMs)}`);
+            this.showAppDetails(appId);
+        } catch (error) {
+            this.showToast('error', `Failed to save check schedule: ${this.escapeHtml(error.message)}`);
+        }
+    }
+
+    // Steps are edited one per line: "<action> <selector or URL>", fill as "fill <selector> => <text>"
+    renderCaptureRecipeForm(recipe) {
+        const r = recipe || { steps: [], cookies: {}, headers: {} };
+        const attr = (v) => v === undefined || v === null ? '' : this.escapeHtml(String(v)).replace(/"/g, '&quot;');
+        const steps = r.steps.map(step => {
+            if (step.action === 'fill') return `fill ${step.selector} => ${step.value}`;
+            return `${step.action} ${step.selector || step.url}`;
+        }).join('\n');
+        const cookies = Object.entries(r.cookies).map(([name, value]) => `${name}=${value}`).join('\n');
+        const headers = Object.entries(r.headers).map(([name, value]) => `${name}: ${value}`).join('\n');
+        const hint = r.error || (recipe ? `${r.steps.length} step${r.steps.length === 1 ? '' : 's'}` : 'Screenshots show the page as a visitor sees it');
+
+        return `
+            <form id="capture-recipe-form" class="health-check-form requires-admin">
+                <div class="health-check-title">
+                    <i class="fas fa-sign-in-alt"></i> Login for Screenshots
+                    <span class="health-check-hint">${this.escapeHtml(hint)}</span>
+                </div>
+                <div class="health-check-grid">
+                    <div class="form-group">
+                        <label class="form-label" for="cr-username">Username</label>
+                        <input type="text" class="form-input" id="cr-username" autocomplete="off" value="${attr(r.username)}">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="cr-password">Password</label>
+                        <input type="password" class="form-input" id="cr-password" autocomplete="new-password" placeholder="${r.password ? 'Stored, leave empty to keep' : ''}">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="cr-wait">Wait for selector before capture</label>
+                        <input type="text" class="form-input" id="cr-wait" placeholder=".dashboard" value="${attr(r.waitForSelector)}">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="cr-steps">Steps (one per line: goto, fill, click, waitForSelector, waitForUrl)</label>
+                    <textarea class="form-input" id="cr-steps" rows="4" placeholder="fill #username => {{username}}&#10;fill #password => {{password}}&#10;click button[type=submit]&#10;waitForUrl /dashboard">${this.escapeHtml(steps)}</textarea>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="cr-cookies">Cookies (one "name=value" per line)</label>
+                    <textarea class="form-input" id="cr-cookies" rows="2" placeholder="session=abc123">${this.escapeHtml(cookies)}</textarea>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="cr-headers">Headers (one "Name: value" per line)</label>
+                    <textarea class="form-input" id="cr-headers" rows="2" placeholder="Authorization: Bearer token">${this.escapeHtml(headers)}</textarea>
+                </div>
+                <div class="health-check-actions">
+                    <button type="button" class="btn btn-secondary" id="cr-remove-btn" ${recipe ? '' : 'disabled'}>
+                        <i class="fas fa-trash"></i> Remove
+                    </button>
+                    <button type="submit" class="btn btn-primary">
+                        <i class="fas fa-save"></i> Save
+                    </button>
+                </div>
+            </form>
+        `;
+    }
+
+    readCaptureRecipeForm() {
+        const lines = (id) => document.getElementById(id).value.split('\n').map(line => line.trim()).filter(Boolean);
+        const pairs = (id, separator) => {
+            const result = {};
+            lines(id).forEach(line => {
+                const index = line.indexOf(separator);
+                if (index > 0) result[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+            });
+            return result;
+        };
+
+        const steps = lines('cr-steps').map(line => {
+            const [action, ...rest] = line.split(/\s+/);
+            const target = rest.join(' ');
+            if (action === 'fill') {
+                const index = target.indexOf(' => ');
+                return index >= 0
+                    ? { action, selector: target.slice(0, index).trim(), value: target.slice(index + 4) }
+                    : { action, selector: target, value: '' };
+            }
+            return ['goto', 'waitForUrl'].includes(action) ? { action, url: target } : { action, selector: target };
+        });
+
+        return {
+            steps,
+            waitForSelector: document.getElementById('cr-wait').value.trim() || null,
+            username: document.getElementById('cr-username').value.trim(),
+            // Left empty: the stored password is kept
+            password: document.getElementById('cr-password').value || undefined,
+            cookies: pairs('cr-cookies', '='),
+            headers: pairs('cr-headers', ':')
+        };
+    }
+
+    async loadCaptureRecipe(appId) {
+        const container = document.getElementById('capture-recipe');
+        try {
+            const response = await fetch(`/api/apps/${appId}/capture-recipe`);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+
+            container.innerHTML = this.renderCaptureRecipeForm(data.recipe);
+            document.getElementById('capture-recipe-form').addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveCaptureRecipe(appId, this.readCaptureRecipeForm());
+            });
+            document.getElementById('cr-remove-btn').addEventListener('click', () => {
+                this.saveCaptureRecipe(appId, null);
+            });
+        } catch (error) {
+            console.error('Failed to load capture recipe:', error);
+        }
+    }
+
+    async saveCaptureRecipe(appId, recipe) {
+        try {
+            const response = await fetch(`/api/apps/${appId}/capture-recipe`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ recipe })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+
+            this.showToast('success', recipe ? 'Login for screenshots saved' : 'Login for screenshots removed');
+            this.loadCaptureRecipe(appId);
+        } catch (error) {
+            this.showToast('error', `Failed to save login: ${this.escapeHtml(error.message)}`);
+        }
+    }
+
     async showAppDetails(appId) {
         try {
             const response = await fetch(`/api/apps/${appId}`);
@@ -499,8 +1290,8 @@ class WebAppMonitor {
             
             modalTitle.textContent = app.name;
             
-            const screenshotHtml = app.screenshot 
-                ? `<img src="${app.screenshot}" alt="${app.name}" style="width:100%;border-radius:8px;margin-bottom:16px;" onerror="this.style.display='none'">`
+            const screenshotHtml = app.screenshots
+                ? `<img src="${app.screenshots.full}" alt="${app.name}" style="width:100%;border-radius:8px;margin-bottom:16px;" onerror="this.style.display='none'">`
                 : '';
             
             modalBody.innerHTML = `
@@ -510,21 +1301,58 @@ class WebAppMonitor {
                         <span style="color:var(--text-secondary);font-size:13px;">URL</span>
                         <a href="${app.url}" target="_blank" style="color:var(--accent);font-size:14px;">${app.url}</a>
                     </div>
+                    <div class="detail-row" style="display:flex;justify-content:space-between;padding:8px 0;border-bottom:1px solid var(--border-color);">
+                        <span style="color:var(--text-secondary);font-size:13px;">Host</span>
+                        <span style="font-size:14px;">${this.escapeHtml(app.host || 'Unknown')}</span>
+                    </div>
                     <div class="detail-row" style="display:flex;justify-content:space-between;padding:8px 0;border-bottom:1px solid var(--border-color);">
                         <span style="color:var(--text-secondary);font-size:13px;">Port</span>
                         <span style="font-size:14px;">${app.port}</span>
                     </div>
+                    ${!this.isWebApp(app) ? `
+                    <div class="detail-row" style="display:flex;justify-content:space-between;padding:8px 0;border-bottom:1px solid var(--border-color);">
+                        <span style="color:var(--text-secondary);font-size:13px;">Protocol</span>
+                        <span style="font-size:14px;">${this.escapeHtml((app.protocol || 'unknown').toUpperCase())}${app.service_version ? ' ' + this.escapeHtml(app.service_version) : ''}</span>
+                    </div>
+                    ${app.banner ? `
+                    <div class="detail-row" style="display:flex;justify-content:space-between;padding:8px 0;border-bottom:1px solid var(--border-color);">
+                        <span style="color:var(--text-secondary);font-size:13px;">Banner</span>
+                        <code style="font-size:12px;max-width:70%;text-align:right;word-break:break-all;">${this.escapeHtml(app.banner)}</code>
+                    </div>` : ''}` : ''}
+                    ${this.renderProcessRows(app.process)}
+                    ${this.renderContainerRows(app.container)}
+                    ${this.renderCertificateRows(app.certificate)}
                     <div class="detail-row" style="display:flex;justify-content:space-between;padding:8px 0;border-bottom:1px solid var(--border-color);">
                         <span style="color:var(--text-secondary);font-size:13px;">Category</span>
-                        <span style="font-size:14px;">${app.category}</span>
+                        <span style="font-size:14px;">${this.escapeHtml(app.category || 'Unknown')}</span>
                     </div>
+                    ${(app.tags || []).length > 0 ? `
+                    <div class="detail-row" style="display:flex;justify-content:space-between;padding:8px 0;border-bottom:1px solid var(--border-color);">
+                        <span style="color:var(--text-secondary);font-size:13px;">Tags</span>
+                        <span class="app-tags">${app.tags.map(tag => `<span class="tag-chip">${this.escapeHtml(tag)}</span>`).join('')}</span>
+                    </div>` : ''}
+                    ${app.description ? `
+                    <div class="detail-row" style="display:flex;justify-content:space-between;padding:8px 0;border-bottom:1px solid var(--border-color);">
+                        <span style="color:var(--text-secondary);font-size:13px;">Description</span>
+                        <span style="font-size:14px;max-width:70%;text-align:right;">${this.escapeHtml(app.description)}</span>
+                    </div>` : ''}
+                    ${app.notes ? `
+                    <div class="detail-row" style="display:flex;justify-content:space-between;padding:8px 0;border-bottom:1px solid var(--border-color);">
+                        <span style="color:var(--text-secondary);font-size:13px;">Notes</span>
+                        <span style="font-size:14px;max-width:70%;text-align:right;white-space:pre-wrap;">${this.escapeHtml(app.notes)}</span>
+                    </div>` : ''}
                     <div class="detail-row" style="display:flex;justify-content:space-between;padding:8px 0;border-bottom:1px solid var(--border-color);">
                         <span style="color:var(--text-secondary);font-size:13px;">Status</span>
                         <span style="font-size:14px;">
-                            <span class="status-indicator ${app.isOnline ? 'online' : 'offline'}"></span>
-                            ${app.isOnline ? 'Online' : 'Offline'}
+                            <span class="status-indicator ${this.getStatusInfo(app.status).className}"></span>
+                            ${this.getStatusInfo(app.status).label}
                         </span>
                     </div>
+                    ${app.status_detail ? `
+                    <div class="detail-row" style="display:flex;justify-content:space-between;padding:8px 0;border-bottom:1px solid var(--border-color);">
+                        <span style="color:var(--text-secondary);font-size:13px;">Failed Checks</span>
+                        <span style="font-size:13px;max-width:70%;text-align:right;color:var(--warning);">${this.escapeHtml(app.status_detail)}</span>
+                    </div>` : ''}
                     <div class="detail-row" style="display:flex;justify-content:space-between;padding:8px 0;border-bottom:1px solid var(--border-color);">
                         <span style="color:var(--text-secondary);font-size:13px;">Response Time</span>
                         <span style="font-size:14px;">${app.responseTime ? app.responseTime + 'ms' : 'N/A'}</span>
@@ -537,10 +1365,63 @@ class WebAppMonitor {
                         <span style="color:var(--text-secondary);font-size:13px;">Discovered</span>
                         <span style="font-size:14px;">${app.createdAt ? this.formatTimeAgo(new Date(app.createdAt)) : 'Unknown'}</span>
                     </div>
+                    ${app.convention ? `
+                    <div class="detail-row" style="display:flex;justify-content:space-between;padding:8px 0;border-bottom:1px solid var(--border-color);">
+                        <span style="color:var(--text-secondary);font-size:13px;">Port Convention</span>
+                        <span style="font-size:14px;">${this.escapeHtml(this.formatConvention(app.convention))}</span>
+                    </div>` : ''}
+                    ${app.updated_at ? `
+                    <div class="detail-row" style="display:flex;justify-content:space-between;padding:8px 0;border-bottom:1px solid var(--border-color);">
+                        <span style="color:var(--text-secondary);font-size:13px;">Last Edited</span>
+                        <span style="font-size:14px;">${this.formatTimeAgo(new Date(app.updated_at))}</span>
+                    </div>` : ''}
                 </div>
+                <div id="app-actions" class="app-actions"></div>
+                <div id="app-maintenance" class="app-actions"></div>
+                <div id="screenshot-history" class="screenshot-history"></div>
+                <div id="app-metrics" class="app-metrics"></div>
+                <div id="incident-timeline" class="incident-timeline"></div>
             `;
             
+            // Web-only actions make no sense for fingerprinted services
+            const isWeb = this.isWebApp(app);
+            document.getElementById('modal-open-btn').classList.toggle('d-none', !isWeb);
+            document.getElementById('modal-screenshot-btn').classList.toggle('d-none', !isWeb);
+
+            modalBody.insertAdjacentHTML('beforeend', this.renderCheckScheduleForm(app));
+            document.getElementById('check-schedule-form').addEventListener('submit', (e) => {
+                e.preventDefault();
+                const interval = document.getElementById('cs-interval').value;
+                this.saveCheckSchedule(app.id, {
+                    intervalMs: interval ? Math.round(interval * 1000) : null,
+                    timeoutMs: document.getElementById('cs-timeout').value || null
+                });
+            });
+            document.getElementById('cs-reset-btn').addEventListener('click', () => {
+                this.saveCheckSchedule(app.id, null);
+            });
+
+            if (isWeb) {
+                modalBody.insertAdjacentHTML('beforeend', this.renderHealthCheckForm(app));
+                document.getElementById('health-check-form').addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    this.saveHealthCheck(app.id, this.readHealthCheckForm());
+                });
+                document.getElementById('hc-reset-btn').addEventListener('click', () => {
+                    this.saveHealthCheck(app.id, null);
+                });
+                modalBody.insertAdjacentHTML('beforeend', '<div id="capture-recipe"></div>');
+            }
+
             document.getElementById('app-modal').classList.add('active');
+            this.loadAppActions(app.id);
+            this.loadAppMaintenance(app);
+            if (isWeb) {
+                this.loadScreenshotHistory(app.id);
+                this.loadCaptureRecipe(app.id);
+            }
+            this.loadAppMetrics(app.id);
+            this.loadIncidentTimeline(app.id);
             
         } catch (error) {
             console.error('Failed to load app details:', error);
@@ -548,13 +1429,661 @@ class WebAppMonitor {
         }
     }
 
-    switchView(view) {
-        this.currentView = view;
-        
-        // Update nav
-        document.querySelectorAll('.nav-item').forEach(item => {
-            item.classList.toggle('active', item.dataset.view === view);
-        });
+    /**
+     * Edit mode of the app modal. Name, description and category are locked once edited
+     * so scans and AI re-identification keep the user's values; untick the lock to release them.
+     */
+    renderAppEditForm(app) {
+        const value = (v) => v === undefined || v === null ? '' : this.escapeHtml(String(v)).replace(/"/g, '&quot;');
+        const locked = app.locked_fields || [];
+        const lockToggle = (field) => `
+            <label class="lock-toggle" title="Locked fields are not overwritten by scans or AI re-identification">
+                <input type="checkbox" id="edit-lock-${field}" ${locked.includes(field) ? 'checked' : ''}>
+                <i class="fas fa-lock"></i> Locked
+            </label>`;
+        const categories = [...new Set(['Development', 'Database', 'API', 'CI/CD', 'Monitoring', 'AI/ML', 'Other',
+            ...this.apps.map(a => a.category).filter(Boolean)])];
+
+        return `
+            <form id="app-edit-form" class="app-edit-form">
+                <div class="form-group">
+                    <div class="app-edit-label"><label class="form-label" for="edit-name">Name</label>${lockToggle('name')}</div>
+                    <input type="text" class="form-input" id="edit-name" maxlength="100" required value="${value(app.name)}">
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="edit-url">URL</label>
+                    <input type="text" class="form-input" id="edit-url" required value="${value(app.url)}">
+                </div>
+                <div class="app-edit-grid">
+                    <div class="form-group">
+                        <div class="app-edit-label"><label class="form-label" for="edit-category">Category</label>${lockToggle('category')}</div>
+                        <input type="text" class="form-input" id="edit-category" maxlength="50" list="edit-category-options" value="${value(app.category)}">
+                        <datalist id="edit-category-options">
+                            ${categories.map(c => `<option value="${value(c)}">`).join('')}
+                        </datalist>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="edit-icon">Icon (emoji or image URL)</label>
+                        <input type="text" class="form-input" id="edit-icon" placeholder="🚀" value="${value(app.icon)}">
+                    </div>
+                </div>
+                <div class="app-edit-grid">
+                    <div class="form-group">
+                        <label class="form-label" for="edit-group">Group</label>
+                        <select class="form-select" id="edit-group">
+                            <option value="">No group</option>
+                            ${this.groups.map(g => `<option value="${g.id}" ${g.id === app.group_id ? 'selected' : ''}>${this.escapeHtml(g.name)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="edit-tags">Tags (comma-separated)</label>
+                        <input type="text" class="form-input" id="edit-tags" placeholder="homelab, media" value="${value((app.tags || []).join(', '))}">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <div class="app-edit-label"><label class="form-label" for="edit-description">Description</label>${lockToggle('description')}</div>
+                    <textarea class="form-input" id="edit-description" rows="2" maxlength="1000">${value(app.description)}</textarea>
+                </div>
+                <div class="form-group">
+                    <label class="form-label" for="edit-notes">Notes</label>
+                    <textarea class="form-input" id="edit-notes" rows="3" maxlength="5000">${value(app.notes)}</textarea>
+                </div>
+                <div class="health-check-actions">
+                    <button type="button" class="btn btn-secondary" id="edit-cancel-btn">Cancel</button>
+                    <button type="submit" class="btn btn-primary">
+                        <i class="fas fa-save"></i> Save
+                    </button>
+                </div>
+            </form>
+        `;
+    }
+
+    showAppEditForm(app) {
+        document.getElementById('modal-title').textContent = `Edit ${app.name}`;
+        document.getElementById('modal-body').innerHTML = this.renderAppEditForm(app);
+
+        // Editing a lockable field locks it unless the user unticks the box again
+        ['name', 'category', 'description'].forEach(field => {
+            document.getElementById(`edit-${field}`).addEventListener('input', () => {
+                document.getElementById(`edit-lock-${field}`).checked = true;
+            });
+        });
+
+        document.getElementById('app-edit-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveAppEdit(app, this.readAppEditForm(app));
+        });
+        document.getElementById('edit-cancel-btn').addEventListener('click', () => {
+            this.showAppDetails(app.id);
+        });
+    }
+
+    /**
+     * Only changed fields are sent, so untouched ones are not locked
+     */
+    readAppEditForm(app) {
+        const changes = {};
+        const fields = { name: 'edit-name', url: 'edit-url', category: 'edit-category', icon: 'edit-icon', description: 'edit-description', notes: 'edit-notes' };
+        for (const [field, id] of Object.entries(fields)) {
+            const value = document.getElementById(id).value.trim();
+            if (value !== (app[field] || '')) changes[field] = value;
+        }
+
+        const tags = document.getElementById('edit-tags').value.split(',').map(t => t.trim()).filter(Boolean);
+        if (tags.join(',') !== (app.tags || []).join(',')) changes.tags = tags;
+
+        const groupId = document.getElementById('edit-group').value;
+        if ((groupId ? parseInt(groupId, 10) : null) !== (app.group_id ?? null)) changes.groupId = groupId || null;
+
+        const unlock = ['name', 'category', 'description'].filter(field =>
+            !document.getElementById(`edit-lock-${field}`).checked &&
+            ((app.locked_fields || []).includes(field) || changes[field] !== undefined));
+        if (unlock.length > 0) changes.unlock = unlock;
+
+        return changes;
+    }
+
+    async saveAppEdit(app, changes) {
+        if (Object.keys(changes).length === 0) {
+            this.showAppDetails(app.id);
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/apps/${app.id}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(changes)
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+
+            this.showToast('success', `Saved ${this.escapeHtml(data.app.name)}`);
+            this.showAppDetails(app.id);
+        } catch (error) {
+            this.showToast('error', `Failed to save: ${this.escapeHtml(error.message)}`);
+        }
+    }
+
+    async loadAppMetrics(appId, range = this.metricsRange) {
+        const container = document.getElementById('app-metrics');
+        if (!container) return;
+        this.metricsRange = range;
+
+        try {
+            const response = await fetch(`/api/apps/${appId}/metrics?range=${range}`);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+
+            const summary = data.summary;
+            const statLabel = (value, unit = 'ms') => (value === null || value === undefined ? 'N/A' : `${value}${unit}`);
+            const events = data.events.slice(0, 10);
+
+            container.innerHTML = `
+                <div class="app-metrics-header">
+                    <div class="app-metrics-title"><i class="fas fa-chart-line"></i> Performance</div>
+                    <div class="range-selector">
+                        ${['24h', '7d', '30d'].map(r => `<button class="range-btn ${r === range ? 'active' : ''}" data-range="${r}">${r}</button>`).join('')}
+                    </div>
+                </div>
+                <div class="metrics-summary">
+                    <div><span class="metrics-summary-value">${statLabel(summary.uptimePct, '%')}</span><span class="metrics-summary-label">Uptime</span></div>
+                    <div><span class="metrics-summary-value">${statLabel(summary.avgMs)}</span><span class="metrics-summary-label">Avg</span></div>
+                    <div><span class="metrics-summary-value">${statLabel(summary.p95Ms)}</span><span class="metrics-summary-label">p95</span></div>
+                    <div><span class="metrics-summary-value">${summary.checks}</span><span class="metrics-summary-label">Checks</span></div>
+                </div>
+                <div class="chart-title">Response time</div>
+                ${MonitorCharts.latencyChart(data.buckets, range)}
+                <div class="chart-title">Uptime</div>
+                ${MonitorCharts.uptimeStrip(data.buckets, range)}
+                <div class="chart-title">Status changes</div>
+                ${events.length === 0 ? '<div class="chart-empty">No status changes in this range</div>' : `
+                <ul class="status-events">
+                    ${events.map(event => `
+                        <li>
+                            <span class="history-status ${event.from}">${event.from}</span>
+                            <i class="fas fa-arrow-right"></i>
+                            <span class="history-status ${event.to}">${event.to}</span>
+                            <span class="history-time">${new Date(event.at).toLocaleString()}</span>
+                        </li>
+                    `).join('')}
+                </ul>`}
+            `;
+
+            container.querySelectorAll('.range-btn').forEach(btn => {
+                btn.addEventListener('click', () => this.loadAppMetrics(appId, btn.dataset.range));
+            });
+        } catch (error) {
+            console.error('Failed to load metrics:', error);
+            container.innerHTML = '';
+        }
+    }
+
+    // Start/stop/restart buttons, live output, lifecycle editor and recent runs (app details modal)
+    async loadAppActions(appId) {
+        const container = document.getElementById('app-actions');
+        if (!container) return;
+
+        try {
+            const response = await fetch(`/api/apps/${appId}/actions`);
+            const state = await response.json();
+            if (!response.ok) throw new Error(state.error);
+
+            container.innerHTML = this.renderAppActions(state);
+            container.querySelectorAll('[data-action]').forEach(btn => {
+                btn.addEventListener('click', () => this.runAppAction(appId, btn.dataset.action));
+            });
+            const typeSelect = document.getElementById('lc-type');
+            const showFields = () => container.querySelectorAll('[data-lc-type]').forEach(el => {
+                el.classList.toggle('d-none', el.dataset.lcType !== typeSelect.value);
+            });
+            typeSelect.addEventListener('change', showFields);
+            showFields();
+            document.getElementById('lifecycle-form').addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveLifecycle(appId, this.readLifecycleForm());
+            });
+            document.getElementById('lc-remove-btn').addEventListener('click', () => this.saveLifecycle(appId, null));
+        } catch (error) {
+            console.error('Failed to load actions:', error);
+            container.innerHTML = '';
+        }
+    }
+
+    renderAppActions(state) {
+        const lifecycle = state.lifecycle || {};
+        const value = (v) => v === undefined || v === null ? '' : this.escapeHtml(String(v)).replace(/"/g, '&quot;');
+        const icons = { start: 'fa-play', stop: 'fa-stop', restart: 'fa-redo' };
+        const lastRun = state.running || state.runs[0];
+        const describe = {
+            shell: () => 'Shell commands',
+            systemd: () => `systemd unit ${lifecycle.unit}`,
+            docker: () => `Docker container ${state.container || '(not linked)'}`
+        };
+
+        let hint = state.lifecycle ? describe[lifecycle.type]() : 'No start/stop definition';
+        if (!state.enabled) hint += ' · actions are disabled on the server';
+
+        return `
+            <div class="app-actions-title">
+                <i class="fas fa-power-off"></i> Lifecycle
+                <span class="health-check-hint">${this.escapeHtml(hint)}</span>
+            </div>
+            <div class="app-actions-buttons requires-write">
+                ${['start', 'stop', 'restart'].map(action => `
+                    <button type="button" class="btn btn-secondary" data-action="${action}"
+                        ${state.enabled && state.actions.includes(action) && !state.running ? '' : 'disabled'}>
+                        <i class="fas ${icons[action]}"></i> ${action.charAt(0).toUpperCase() + action.slice(1)}
+                    </button>
+                `).join('')}
+            </div>
+            ${lastRun ? `
+            <div class="action-output-header">
+                <span class="history-status ${this.actionStatusClass(lastRun.status)}">${this.escapeHtml(lastRun.status)}</span>
+                <code>${this.escapeHtml(lastRun.command)}</code>
+            </div>
+            <pre class="action-output" id="action-output" data-run-id="${lastRun.id}">${this.escapeHtml(lastRun.output || '')}</pre>` : ''}
+            ${state.runs.length > 0 ? `
+            <ul class="action-runs">
+                ${state.runs.map(run => `
+                    <li>
+                        <span class="history-status ${this.actionStatusClass(run.status)}">${this.escapeHtml(run.status)}</span>
+                        <span class="incident-event-type">${this.escapeHtml(run.action)}</span>
+                        ${this.escapeHtml(run.actor || 'unknown')}
+                        <span class="history-time">${this.formatTimeAgo(new Date(run.started_at))}</span>
+                    </li>
+                `).join('')}
+            </ul>` : ''}
+            <details class="lifecycle-editor requires-admin" ${state.lifecycle ? '' : 'open'}>
+                <summary>Edit start/stop definition</summary>
+                <form id="lifecycle-form" class="health-check-form">
+                    <div class="form-group">
+                        <label class="form-label" for="lc-type">Type</label>
+                        <select class="form-select" id="lc-type">
+                            ${[['shell', 'Shell commands'], ['systemd', 'systemd unit (user)'], ['docker', 'Docker container']]
+                                .map(([type, label]) => `<option value="${type}" ${type === (lifecycle.type || 'shell') ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                    </div>
+                    ${['start', 'stop', 'restart'].map(action => `
+                    <div class="form-group" data-lc-type="shell">
+                        <label class="form-label" for="lc-${action}">${action.charAt(0).toUpperCase() + action.slice(1)} command${action === 'restart' ? ' (optional: stop + start otherwise)' : ''}</label>
+                        <input type="text" class="form-input" id="lc-${action}" value="${value(lifecycle[action])}">
+                    </div>`).join('')}
+                    <div class="form-group" data-lc-type="systemd">
+                        <label class="form-label" for="lc-unit">Unit</label>
+                        <input type="text" class="form-input" id="lc-unit" placeholder="myapp.service" value="${value(lifecycle.unit)}">
+                    </div>
+                    <div class="form-group" data-lc-type="docker">
+                        <label class="form-label" for="lc-container">Container (empty: the linked container)</label>
+                        <input type="text" class="form-input" id="lc-container" placeholder="${value(state.container)}" value="${value(lifecycle.container)}">
+                    </div>
+                    <p class="health-check-hint">Commands, units and containers must match the server's allow-list (actions.allow in config.json).</p>
+                    <div class="health-check-actions">
+                        <button type="button" class="btn btn-secondary" id="lc-remove-btn" ${state.lifecycle ? '' : 'disabled'}>
+                            <i class="fas fa-trash"></i> Remove
+                        </button>
+                        <button type="submit" class="btn btn-primary">
+                            <i class="fas fa-save"></i> Save
+                        </button>
+                    </div>
+                </form>
+            </details>
+        `;
+    }
+
+    // Maintenance windows covering an app, and a form to start or schedule one (app details modal)
+    async loadAppMaintenance(app) {
+        const container = document.getElementById('app-maintenance');
+        if (!container) return;
+
+        try {
+            const response = await fetch(`/api/maintenance?appId=${app.id}`);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+
+            container.innerHTML = this.renderAppMaintenance(app, data.windows);
+            container.querySelectorAll('[data-delete-maintenance]').forEach(btn => {
+                btn.addEventListener('click', () => this.deleteMaintenance(btn.dataset.deleteMaintenance));
+            });
+            document.getElementById('maintenance-form').addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.createMaintenance(app);
+            });
+        } catch (error) {
+            console.error('Failed to load maintenance windows:', error);
+            container.innerHTML = '';
+        }
+    }
+
+    renderAppMaintenance(app, windows) {
+        const time = (iso) => new Date(iso).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+        const active = windows.find(w => w.active);
+
+        return `
+            <div class="app-actions-title">
+                <i class="fas fa-tools"></i> Maintenance
+                <span class="health-check-hint">${active
+                    ? `In maintenance until ${time(active.next.endsAt)}: no incidents or alerts, not counted in uptime`
+                    : 'Checks keep running during a window, but raise no incidents or alerts and do not count towards uptime'}</span>
+            </div>
+            ${windows.length > 0 ? `
+            <ul class="action-runs">
+                ${windows.map(w => `
+                    <li>
+                        <span class="history-status ${w.active ? 'degraded' : 'unknown'}">${w.active ? 'active' : 'scheduled'}</span>
+                        ${this.escapeHtml(w.title)}
+                        <span class="setting-description">
+                            ${time(w.next.startsAt)} - ${time(w.next.endsAt)}${w.recurrence !== 'none' ? ` · ${w.recurrence}` : ''}${w.group_id ? ` · group ${this.escapeHtml(w.group_name || '')}` : ''}
+                        </span>
+                        <button type="button" class="btn btn-secondary requires-write history-time" data-delete-maintenance="${w.id}" title="${w.active ? 'End now' : 'Cancel'}">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </li>
+                `).join('')}
+            </ul>` : ''}
+            <details class="lifecycle-editor requires-write">
+                <summary>Start or schedule maintenance</summary>
+                <form id="maintenance-form" class="health-check-form">
+                    <div class="form-group">
+                        <label class="form-label" for="mw-title">Title</label>
+                        <input type="text" class="form-input" id="mw-title" placeholder="Maintenance" maxlength="100">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="mw-start">Start (empty: now)</label>
+                        <input type="datetime-local" class="form-input" id="mw-start">
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="mw-duration">Duration (minutes)</label>
+                        <input type="number" class="form-input" id="mw-duration" value="60" min="1" required>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="mw-recurrence">Repeat</label>
+                        <select class="form-select" id="mw-recurrence">
+                            <option value="none">Once</option>
+                            <option value="daily">Daily</option>
+                            <option value="weekly">Weekly</option>
+                        </select>
+                    </div>
+                    ${app.group_id ? `
+                    <label class="health-check-hint">
+                        <input type="checkbox" id="mw-group"> For every app in this app's group
+                    </label>` : ''}
+                    <div class="health-check-actions">
+                        <button type="submit" class="btn btn-primary">
+                            <i class="fas fa-tools"></i> Save
+                        </button>
+                    </div>
+                </form>
+            </details>
+        `;
+    }
+
+    async createMaintenance(app) {
+        const start = document.getElementById('mw-start').value;
+        const forGroup = document.getElementById('mw-group')?.checked;
+        try {
+            const response = await fetch('/api/maintenance', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    title: document.getElementById('mw-title').value,
+                    appId: forGroup ? null : app.id,
+                    groupId: forGroup ? app.group_id : null,
+                    // datetime-local has no zone, so send it as the browser's local time
+                    startsAt: start ? new Date(start).toISOString() : null,
+                    durationMinutes: parseInt(document.getElementById('mw-duration').value, 10),
+                    recurrence: document.getElementById('mw-recurrence').value
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+
+            this.showToast('success', data.window.active ? 'Maintenance started' : 'Maintenance scheduled');
+        } catch (error) {
+            this.showToast('error', `Failed to save maintenance: ${this.escapeHtml(error.message)}`);
+        }
+    }
+
+    async deleteMaintenance(id) {
+        try {
+            const response = await fetch(`/api/maintenance/${id}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+            this.showToast('success', 'Maintenance window removed');
+        } catch (error) {
+            this.showToast('error', `Failed to remove maintenance: ${this.escapeHtml(error.message)}`);
+        }
+    }
+
+    actionStatusClass(status) {
+        if (status === 'succeeded') return 'online';
+        if (status === 'running') return 'degraded';
+        return 'offline';
+    }
+
+    readLifecycleForm() {
+        const type = document.getElementById('lc-type').value;
+        const field = (id) => document.getElementById(id).value.trim() || null;
+        if (type === 'systemd') return { type, unit: field('lc-unit') };
+        if (type === 'docker') return { type, container: field('lc-container') };
+        return { type, start: field('lc-start'), stop: field('lc-stop'), restart: field('lc-restart') };
+    }
+
+    async saveLifecycle(appId, lifecycle) {
+        try {
+            const response = await fetch(`/api/apps/${appId}/lifecycle`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ lifecycle })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+
+            this.showToast('success', lifecycle ? 'Start/stop definition saved' : 'Start/stop definition removed');
+            this.loadAppActions(appId);
+        } catch (error) {
+            this.showToast('error', `Failed to save: ${this.escapeHtml(error.message)}`);
+        }
+    }
+
+    async runAppAction(appId, action) {
+        if (action === 'stop' && !confirm('Stop this application?')) return;
+
+        try {
+            const response = await fetch(`/api/apps/${appId}/actions/${action}`, { method: 'POST' });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+            this.showToast('info', `${action.charAt(0).toUpperCase() + action.slice(1)} requested`);
+        } catch (error) {
+            this.showToast('error', `Failed to ${action}: ${this.escapeHtml(error.message)}`);
+        }
+    }
+
+    // Live output of the action shown in the open app modal
+    appendActionOutput(data) {
+        const output = document.getElementById('action-output');
+        if (!output || Number(output.dataset.runId) !== data.runId) return;
+        output.textContent += data.text;
+        output.scrollTop = output.scrollHeight;
+    }
+
+    async loadScreenshotHistory(appId) {
+        const container = document.getElementById('screenshot-history');
+        if (!container) return;
+
+        try {
+            const response = await fetch(`/api/apps/${appId}/screenshots`);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+            if (data.captures.length === 0) {
+                container.innerHTML = '';
+                return;
+            }
+
+            const flagged = data.visualChange && data.captures.find(c => c.id === data.visualChange.captureId);
+            this.screenshotCompare = {
+                appId,
+                ...data,
+                captureId: flagged ? flagged.id : data.captures[0].id,
+                mode: this.screenshotCompare?.mode || 'side'
+            };
+            this.renderScreenshotHistory();
+        } catch (error) {
+            console.error('Failed to load screenshot history:', error);
+            container.innerHTML = '';
+        }
+    }
+
+    // Capture strip plus a comparison of the selected capture with the one before it
+    renderScreenshotHistory() {
+        const container = document.getElementById('screenshot-history');
+        const { appId, threshold, visualChange, captures, captureId, mode } = this.screenshotCompare;
+        const percent = (score) => `${Math.round(score * 100)}%`;
+        const imageUrl = (id) => `/api/apps/${appId}/screenshots/${id}`;
+        const index = captures.findIndex(c => c.id === captureId);
+        const capture = captures[index];
+        const previous = captures[index + 1];
+
+        let comparison;
+        if (!previous) {
+            comparison = `
+                <img src="${imageUrl(capture.id)}" alt="Screenshot">
+                <div class="setting-description">Oldest screenshot kept, nothing to compare it with</div>`;
+        } else if (mode === 'overlay') {
+            comparison = `
+                <div class="screenshot-overlay">
+                    <img src="${imageUrl(previous.id)}" alt="Before">
+                    <img src="${imageUrl(capture.id)}" alt="After" id="screenshot-overlay-top" style="opacity:0.5;">
+                </div>
+                <input type="range" min="0" max="100" value="50" id="screenshot-overlay-opacity" class="screenshot-overlay-slider" title="Before / after">`;
+        } else if (mode === 'diff') {
+            comparison = `
+                <img src="${imageUrl(capture.id)}/diff" alt="Differences">
+                <div class="setting-description">Differences to the screenshot before are shown in red</div>`;
+        } else {
+            comparison = `
+                <div class="screenshot-side-by-side">
+                    <figure><img src="${imageUrl(previous.id)}" alt="Before"><figcaption>${new Date(previous.capturedAt).toLocaleString()}</figcaption></figure>
+                    <figure><img src="${imageUrl(capture.id)}" alt="After"><figcaption>${new Date(capture.capturedAt).toLocaleString()}</figcaption></figure>
+                </div>`;
+        }
+
+        container.innerHTML = `
+            <div class="app-actions-title">
+                <i class="fas fa-images"></i> Visual Changes
+                <span class="health-check-hint">Flagged when ${percent(threshold)} or more of the screenshot changes</span>
+            </div>
+            ${visualChange ? `
+            <div class="visual-change-alert">
+                <span><i class="fas fa-exclamation-triangle"></i> ${percent(visualChange.score)} changed ${this.formatTimeAgo(new Date(visualChange.detectedAt))}</span>
+                <button type="button" class="btn btn-secondary requires-write" id="visual-change-review-btn">
+                    <i class="fas fa-check"></i> Mark as Reviewed
+                </button>
+            </div>` : ''}
+            ${previous ? `
+            <div class="screenshot-compare-modes">
+                <div class="range-selector">
+                    ${[['side', 'Side by side'], ['overlay', 'Overlay'], ['diff', 'Differences']].map(([value, label]) => `
+                        <button type="button" class="range-btn ${mode === value ? 'active' : ''}" data-compare-mode="${value}">${label}</button>
+                    `).join('')}
+                </div>
+                <span class="health-check-hint">${percent(capture.score)} changed</span>
+            </div>` : ''}
+            <div class="screenshot-compare">${comparison}</div>
+            <div class="screenshot-strip">
+                ${captures.map(c => `
+                    <button type="button" class="screenshot-strip-item ${c.changed ? 'changed' : ''} ${c.id === captureId ? 'active' : ''}" data-capture-id="${c.id}" title="${new Date(c.capturedAt).toLocaleString()}">
+                        <img src="${imageUrl(c.id)}?size=thumb" alt="" loading="lazy">
+                        <span>${c.score === null ? '–' : percent(c.score)}</span>
+                    </button>
+                `).join('')}
+            </div>
+        `;
+
+        container.querySelectorAll('[data-capture-id]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.screenshotCompare.captureId = parseInt(btn.dataset.captureId, 10);
+                this.renderScreenshotHistory();
+            });
+        });
+        container.querySelectorAll('[data-compare-mode]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.screenshotCompare.mode = btn.dataset.compareMode;
+                this.renderScreenshotHistory();
+            });
+        });
+        const slider = document.getElementById('screenshot-overlay-opacity');
+        if (slider) {
+            slider.addEventListener('input', () => {
+                document.getElementById('screenshot-overlay-top').style.opacity = slider.value / 100;
+            });
+        }
+        const reviewBtn = document.getElementById('visual-change-review-btn');
+        if (reviewBtn) {
+            reviewBtn.addEventListener('click', () => this.reviewVisualChange(appId));
+        }
+    }
+
+    async reviewVisualChange(appId) {
+        try {
+            const response = await fetch(`/api/apps/${appId}/visual-change`, { method: 'DELETE' });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+
+            this.screenshotCompare.visualChange = null;
+            this.renderScreenshotHistory();
+            this.loadApps();
+        } catch (error) {
+            this.showToast('error', `Failed to mark as reviewed: ${this.escapeHtml(error.message)}`);
+        }
+    }
+
+    async loadIncidentTimeline(appId) {
+        const container = document.getElementById('incident-timeline');
+        if (!container) return;
+
+        try {
+            const response = await fetch(`/api/incidents?appId=${appId}&limit=10`);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+
+            const incidents = data.incidents || [];
+            container.innerHTML = `
+                <div class="incident-timeline-title"><i class="fas fa-history"></i> Incidents</div>
+                ${incidents.length === 0 ? '<div class="incident-empty">No incidents recorded</div>' : incidents.map(incident => `
+                    <div class="incident-item ${incident.status}">
+                        <div class="incident-header">
+                            <span class="history-status ${incident.status === 'open' ? incident.severity : 'online'}">
+                                ${incident.status === 'open' ? 'Open' : 'Resolved'}${incident.flapping ? ' · Flapping' : ''}
+                            </span>
+                            <span class="incident-duration">${this.formatDuration(incident.duration_ms)}</span>
+                            <span class="history-time">${this.formatTimeAgo(new Date(incident.started_at))}</span>
+                        </div>
+                        <ul class="incident-events">
+                            ${incident.events.map(event => `
+                                <li>
+                                    <span class="incident-event-time">${new Date(event.created_at).toLocaleString()}</span>
+                                    <span class="incident-event-type">${this.escapeHtml(event.type.replace('_', ' '))}</span>
+                                    ${event.message ? this.escapeHtml(event.message) : ''}
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                `).join('')}
+            `;
+        } catch (error) {
+            console.error('Failed to load incidents:', error);
+            container.innerHTML = '';
+        }
+    }
+
+    switchView(view) {
+        this.currentView = view;
+        
+        // Update nav
+        document.querySelectorAll('.nav-item').forEach(item => {
+            item.classList.toggle('active', item.dataset.view === view);
+        });
         
         // Update title and subtitle
         const titles = {
@@ -581,7 +2110,7 @@ class WebAppMonitor {
         
         // Reset filter buttons for non-status views
         if (view !== 'online' && view !== 'offline') {
-            document.querySelectorAll('.filter-btn').forEach(b => {
+            document.querySelectorAll('.filter-btn[data-filter]').forEach(b => {
                 b.classList.toggle('active', b.dataset.filter === 'all');
             });
             this.filter.status = 'all';
@@ -591,22 +2120,82 @@ class WebAppMonitor {
     }
 
     async startQuickScan() {
+        await this.startScan('quick');
+    }
+
+    async startFullScan() {
+        await this.startScan('full');
+    }
+
+    // Scans run as background jobs: the request returns a job ID and progress arrives via job_update
+    async startScan(mode) {
+        const label = mode === 'quick' ? 'Quick' : 'Full';
         try {
-            const response = await fetch('/api/scan/quick', { method: 'POST' });
+            const response = await fetch(`/api/scan/${mode}`, { method: 'POST' });
             const data = await response.json();
             if (!response.ok) throw new Error(data.error);
+
+            if (data.deduplicated) {
+                this.showToast('info', `${label} scan is already ${data.job.status}`);
+            }
+            this.updateJobProgress(data.job);
         } catch (error) {
-            this.showToast('error', `Quick scan failed: ${error.message}`);
+            this.showToast('error', `${label} scan failed: ${this.escapeHtml(error.message)}`);
         }
     }
 
-    async startFullScan() {
+    async restoreActiveJob() {
         try {
-            const response = await fetch('/api/scan/full', { method: 'POST' });
+            const response = await fetch('/api/jobs');
+            const data = await response.json();
+            const active = (data.jobs || []).find(job => job.status === 'running' || job.status === 'queued');
+            if (active) this.updateJobProgress(active);
+        } catch (error) {
+            console.error('Failed to load jobs:', error);
+        }
+    }
+
+    // Drive the loading overlay and scan-progress bar from a job snapshot
+    updateJobProgress(job) {
+        if (!job || job.type !== 'scan') return;
+
+        const finished = ['completed', 'failed', 'cancelled'].includes(job.status);
+        const cancelBtn = document.getElementById('scan-cancel-btn');
+
+        if (finished) {
+            if (this.activeJobId === job.id) {
+                this.activeJobId = null;
+                cancelBtn.classList.add('d-none');
+            }
+            return;
+        }
+
+        this.activeJobId = job.id;
+        const phaseLabels = {
+            port_probe: 'Probing ports',
+            http_probe: 'Probing HTTP servers',
+            identify: 'Identifying applications',
+            health: 'Checking health'
+        };
+        const mode = job.params?.mode === 'full' ? 'Full scan' : 'Quick scan';
+        const text = job.status === 'queued'
+            ? `${mode} queued...`
+            : `${mode}: ${phaseLabels[job.phase] || 'Starting'} (${job.progress}%)`;
+
+        this.showLoading(text);
+        document.getElementById('scan-progress-fill').style.width = `${job.progress}%`;
+        cancelBtn.classList.remove('d-none');
+    }
+
+    async cancelActiveJob() {
+        if (!this.activeJobId) return;
+        try {
+            const response = await fetch(`/api/jobs/${this.activeJobId}`, { method: 'DELETE' });
             const data = await response.json();
             if (!response.ok) throw new Error(data.error);
+            document.getElementById('loading-text').textContent = 'Cancelling scan...';
         } catch (error) {
-            this.showToast('error', `Full scan failed: ${error.message}`);
+            this.showToast('error', `Cancel failed: ${this.escapeHtml(error.message)}`);
         }
     }
 
@@ -644,7 +2233,7 @@ class WebAppMonitor {
             const data = await response.json();
             if (!response.ok) throw new Error(data.error || 'Failed to update screenshot');
             this.showToast('success', 'Screenshot updated');
-            this.loadApps();
+            this.updateAppScreenshot(appId, data.screenshots);
             this.closeModal();
         } catch (error) {
             this.showToast('error', `Screenshot update failed: ${error.message}`);
@@ -728,17 +2317,599 @@ class WebAppMonitor {
         const app = this.apps.find(a => a.url === data.url);
         if (app) {
             app.isOnline = data.status === 'online';
+            app.status = data.status;
+            app.status_detail = data.failures && data.failures.length > 0 ? data.failures.join('; ') : null;
             app.responseTime = data.responseTime;
             app.lastSeen = new Date().toISOString();
             this.renderApps();
             this.updateStats({
                 totalApps: this.apps.length,
                 onlineApps: this.apps.filter(a => a.isOnline).length,
-                offlineApps: this.apps.filter(a => !a.isOnline).length
+                offlineApps: this.apps.filter(a => a.status === 'offline').length
+            });
+        }
+    }
+
+    // New screenshot URLs change with the image, so only the changed card loads anything
+    updateAppScreenshot(appId, screenshots) {
+        const app = this.apps.find(a => a.id === appId);
+        if (app) {
+            app.screenshots = screenshots;
+            this.renderApps();
+        }
+    }
+
+    handleIncidentUpdate(data) {
+        const name = this.escapeHtml(data.incident.app_name || data.incident.app_url || 'App');
+        if (data.event === 'opened') {
+            this.showToast(data.incident.severity === 'offline' ? 'error' : 'warning', `Incident opened: ${name} is ${data.incident.severity}`);
+        } else if (data.event === 'resolved') {
+            this.showToast('success', `Incident resolved: ${name} recovered after ${this.formatDuration(data.incident.duration_ms)}`);
+        } else if (data.event === 'flapping_started') {
+            this.showToast('warning', `${name} is flapping`);
+        }
+
+        const modalOpen = document.getElementById('app-modal').classList.contains('active');
+        if (modalOpen && this.selectedApp && this.selectedApp.id === data.incident.app_id) {
+            this.loadIncidentTimeline(this.selectedApp.id);
+        }
+    }
+
+    renderGroupSettings() {
+        const list = document.getElementById('group-settings-list');
+        if (this.groups.length === 0) {
+            list.innerHTML = '<div class="setting-description">No groups yet. Assign apps to a group from their Edit form.</div>';
+            return;
+        }
+        list.innerHTML = this.groups.map(g => `
+            <div class="setting-item">
+                <div class="setting-info">
+                    <div class="setting-label">
+                        ${g.color ? `<span class="group-color-dot" style="background:${g.color}"></span>` : ''}${this.escapeHtml(g.name)}
+                    </div>
+                    <div class="setting-description">${g.total} app${g.total === 1 ? '' : 's'}: ${g.online} online, ${g.offline} offline</div>
+                </div>
+                <button class="btn btn-secondary requires-write" data-delete-group="${g.id}" title="Delete group (apps stay, ungrouped)">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `).join('');
+    }
+
+    async createGroup() {
+        const nameInput = document.getElementById('new-group-name');
+        try {
+            const response = await fetch('/api/groups', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: nameInput.value, color: document.getElementById('new-group-color').value })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+
+            nameInput.value = '';
+            this.showToast('success', `Group "${this.escapeHtml(data.group.name)}" created`);
+        } catch (error) {
+            this.showToast('error', `Failed to create group: ${this.escapeHtml(error.message)}`);
+        }
+    }
+
+    async applyPortConvention() {
+        try {
+            const response = await fetch('/api/ports/convention/apply', { method: 'POST' });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+
+            this.showToast('success', data.assigned > 0
+                ? `Grouped ${data.assigned} app${data.assigned === 1 ? '' : 's'} by project`
+                : 'No ungrouped project apps found');
+        } catch (error) {
+            this.showToast('error', `Failed to group by project: ${this.escapeHtml(error.message)}`);
+        }
+    }
+
+    async loadStatusPages() {
+        try {
+            const response = await fetch('/api/status-pages');
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+            this.statusPages = data.pages;
+        } catch (error) {
+            console.error('Failed to load status pages:', error);
+            this.statusPages = [];
+        }
+        this.renderStatusPages();
+        this.editStatusPage(null);
+    }
+
+    renderStatusPages() {
+        const list = document.getElementById('status-page-list');
+        if (this.statusPages.length === 0) {
+            list.innerHTML = '<div class="setting-description">No status pages yet.</div>';
+            return;
+        }
+        list.innerHTML = this.statusPages.map(p => `
+            <div class="setting-item">
+                <div class="setting-info">
+                    <div class="setting-label">${this.escapeHtml(p.title)}</div>
+                    <div class="setting-description">
+                        <a href="/status/${encodeURIComponent(p.slug)}" target="_blank" rel="noopener">/status/${this.escapeHtml(p.slug)}</a>
+                        · ${p.items.length} item${p.items.length === 1 ? '' : 's'}${p.notice ? ' · notice shown' : ''}
+                    </div>
+                </div>
+                <button class="btn btn-secondary requires-admin" data-edit-status-page="${p.id}" title="Edit status page">
+                    <i class="fas fa-pen"></i>
+                </button>
+                <button class="btn btn-secondary requires-admin" data-delete-status-page="${p.id}" title="Delete status page">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `).join('');
+    }
+
+    // Fill the status page form with a page to edit, or reset it for a new one (null)
+    editStatusPage(page) {
+        const selected = new Set((page ? page.items : []).map(item => `${item.type}:${item.id}`));
+        const option = (type, id, label) => `
+            <option value="${type}:${id}" ${selected.has(`${type}:${id}`) ? 'selected' : ''}>${this.escapeHtml(label)}</option>
+        `;
+        document.getElementById('status-page-items').innerHTML = `
+            ${this.groups.length > 0 ? `<optgroup label="Groups (all their apps)">${this.groups.map(g => option('group', g.id, g.name)).join('')}</optgroup>` : ''}
+            <optgroup label="Apps">${this.apps.map(a => option('app', a.id, a.name || a.url)).join('')}</optgroup>
+        `;
+        document.getElementById('status-page-id').value = page ? page.id : '';
+        document.getElementById('status-page-slug').value = page ? page.slug : '';
+        document.getElementById('status-page-title').value = page ? page.title : '';
+        document.getElementById('status-page-notice').value = page ? page.notice || '' : '';
+        document.getElementById('status-page-submit').innerHTML = page
+            ? '<i class="fas fa-save"></i> Save'
+            : '<i class="fas fa-plus"></i> Create';
+        document.getElementById('status-page-cancel').classList.toggle('d-none', !page);
+    }
+
+    async saveStatusPage() {
+        const id = document.getElementById('status-page-id').value;
+        const existing = id ? this.statusPages.find(p => p.id === parseInt(id, 10)) : null;
+        // Keep display names already given to items that stay on the page
+        const names = new Map((existing ? existing.items : []).map(item => [`${item.type}:${item.id}`, item.name]));
+        const items = [...document.getElementById('status-page-items').selectedOptions].map(option => {
+            const [type, itemId] = option.value.split(':');
+            return { type, id: parseInt(itemId, 10), name: names.get(option.value) || null };
+        });
+
+        try {
+            const data = await this.authRequest(id ? 'PUT' : 'POST', id ? `/api/status-pages/${id}` : '/api/status-pages', {
+                slug: document.getElementById('status-page-slug').value,
+                title: document.getElementById('status-page-title').value,
+                notice: document.getElementById('status-page-notice').value,
+                items
+            });
+            this.showToast('success', `Status page "${this.escapeHtml(data.page.title)}" ${id ? 'saved' : 'created'}`);
+            this.loadStatusPages();
+        } catch (error) {
+            this.showToast('error', `Failed to save status page: ${this.escapeHtml(error.message)}`);
+        }
+    }
+
+    async deleteStatusPage(id) {
+        if (!confirm('Delete this status page? Its public link stops working.')) return;
+        try {
+            await this.authRequest('DELETE', `/api/status-pages/${id}`);
+            this.showToast('success', 'Status page deleted');
+            this.loadStatusPages();
+        } catch (error) {
+            this.showToast('error', `Failed to delete status page: ${this.escapeHtml(error.message)}`);
+        }
+    }
+
+    /**
+     * Who is signed in. Hides what their scopes do not allow (body.no-write / body.no-admin)
+     * and sends them to the login page when the session is gone.
+     * @returns {Promise<boolean>} Whether the dashboard may be shown
+     */
+    async loadCurrentUser() {
+        try {
+            const response = await fetch('/api/auth/me');
+            if (response.status === 401) {
+                window.location.href = '/login.html';
+                return false;
+            }
+            const data = await response.json();
+            this.user = data.user;
+            this.scopes = data.scopes;
+        } catch (error) {
+            console.error('Failed to load the signed-in user:', error);
+            return true;
+        }
+
+        document.body.classList.toggle('no-write', !this.scopes.includes('write'));
+        document.body.classList.toggle('no-admin', !this.scopes.includes('admin'));
+
+        // Without auth (auth.enabled: false) there is no account to show
+        const userBox = document.getElementById('current-user');
+        document.getElementById('account-nav').classList.toggle('d-none', !this.user);
+        userBox.classList.toggle('d-none', !this.user);
+        if (this.user) {
+            userBox.innerHTML = `
+                <span><i class="fas fa-user"></i> ${this.escapeHtml(this.user.username)} <span class="setting-description">${this.escapeHtml(this.user.role)}</span></span>
+                <button class="btn btn-secondary" id="logout-btn" title="Sign out"><i class="fas fa-sign-out-alt"></i></button>
+            `;
+        }
+        return true;
+    }
+
+    async logout() {
+        await fetch('/api/auth/logout', { method: 'POST' });
+        window.location.href = '/login.html';
+    }
+
+    // API tokens and, for admins, users (account modal)
+    async loadAccount() {
+        try {
+            const requests = [fetch('/api/auth/tokens')];
+            if (this.scopes.includes('admin')) requests.push(fetch('/api/auth/users'));
+            const [tokens, users] = await Promise.all(requests.map(async r => r.json()));
+
+            const date = (value) => value ? this.formatTimeAgo(new Date(value)) : 'never';
+            document.getElementById('token-list').innerHTML = tokens.tokens.length === 0
+                ? '<div class="setting-description">No API tokens yet.</div>'
+                : `<table class="data-table port-table"><tbody>${tokens.tokens.map(t => `
+                    <tr>
+                        <td>${this.escapeHtml(t.name)}<div class="setting-description"><code>${this.escapeHtml(t.prefix)}…</code>${t.user_id !== this.user.id ? ` · ${this.escapeHtml(t.username)}` : ''}</div></td>
+                        <td>${t.scopes.map(scope => `<span class="tag-chip">${scope}</span>`).join('')}</td>
+                        <td class="setting-description">Used ${date(t.last_used_at)}${t.expires_at ? `<br>Expires ${new Date(t.expires_at).toLocaleDateString()}` : ''}</td>
+                        <td>
+                            <button class="btn btn-secondary" data-revoke-token="${t.id}" title="Revoke token">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </td>
+                    </tr>
+                `).join('')}</tbody></table>`;
+
+            if (users) {
+                document.getElementById('user-list').innerHTML = `<table class="data-table port-table"><tbody>${users.users.map(u => `
+                    <tr>
+                        <td>${this.escapeHtml(u.username)}${u.id === this.user.id ? ' <span class="setting-description">(you)</span>' : ''}</td>
+                        <td>
+                            <select class="form-select" data-user-role="${u.id}">
+                                ${['viewer', 'admin'].map(role => `<option value="${role}" ${role === u.role ? 'selected' : ''}>${role}</option>`).join('')}
+                            </select>
+                        </td>
+                        <td class="setting-description">Last sign-in ${date(u.last_login_at)}</td>
+                        <td>
+                            <button class="btn btn-secondary" data-remove-user="${u.id}" data-username="${this.escapeHtml(u.username)}" title="Remove user">
+                                <i class="fas fa-user-minus"></i>
+                            </button>
+                        </td>
+                    </tr>
+                `).join('')}</tbody></table>`;
+            }
+        } catch (error) {
+            console.error('Failed to load account:', error);
+            this.showToast('error', 'Failed to load account');
+        }
+    }
+
+    // Send a JSON request to the auth API; throws the server's error message
+    async authRequest(method, url, body = undefined) {
+        const response = await fetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+        return data;
+    }
+
+    async changePassword() {
+        try {
+            await this.authRequest('PUT', '/api/auth/password', {
+                currentPassword: document.getElementById('current-password').value,
+                newPassword: document.getElementById('new-password').value
+            });
+            document.getElementById('password-form').reset();
+            this.showToast('success', 'Password changed; other sessions were signed out');
+        } catch (error) {
+            this.showToast('error', `Failed to change password: ${this.escapeHtml(error.message)}`);
+        }
+    }
+
+    async createToken() {
+        const level = document.getElementById('token-scope').value;
+        const scopes = { read: ['read'], write: ['read', 'write'], admin: ['read', 'write', 'admin'] }[level];
+
+        try {
+            const data = await this.authRequest('POST', '/api/auth/tokens', {
+                name: document.getElementById('token-name').value,
+                scopes,
+                expiresInDays: document.getElementById('token-expiry').value || null
+            });
+            document.getElementById('token-form').reset();
+            const created = document.getElementById('token-created');
+            created.innerHTML = `Copy this token now, it is not shown again:<code>${this.escapeHtml(data.token)}</code>`;
+            created.classList.remove('d-none');
+            this.loadAccount();
+        } catch (error) {
+            this.showToast('error', `Failed to create token: ${this.escapeHtml(error.message)}`);
+        }
+    }
+
+    async revokeToken(id) {
+        if (!confirm('Revoke this API token? Scripts using it stop working.')) return;
+        try {
+            await this.authRequest('DELETE', `/api/auth/tokens/${id}`);
+            this.showToast('success', 'Token revoked');
+            this.loadAccount();
+        } catch (error) {
+            this.showToast('error', `Failed to revoke token: ${this.escapeHtml(error.message)}`);
+        }
+    }
+
+    async addUser() {
+        try {
+            const data = await this.authRequest('POST', '/api/auth/users', {
+                username: document.getElementById('user-name').value,
+                password: document.getElementById('user-password').value,
+                role: document.getElementById('user-role').value
+            });
+            document.getElementById('user-form').reset();
+            this.showToast('success', `Added ${this.escapeHtml(data.user.username)}`);
+            this.loadAccount();
+        } catch (error) {
+            this.showToast('error', `Failed to add user: ${this.escapeHtml(error.message)}`);
+        }
+    }
+
+    async setUserRole(id, role) {
+        try {
+            await this.authRequest('PUT', `/api/auth/users/${id}`, { role });
+            this.showToast('success', `Role changed to ${role}`);
+        } catch (error) {
+            this.showToast('error', `Failed to change role: ${this.escapeHtml(error.message)}`);
+        }
+        this.loadAccount();
+    }
+
+    async removeUser(id, username) {
+        if (!confirm(`Remove user "${username}"? Their sessions and API tokens end too.`)) return;
+        try {
+            await this.authRequest('DELETE', `/api/auth/users/${id}`);
+            this.showToast('success', `Removed ${this.escapeHtml(username)}`);
+            this.loadAccount();
+        } catch (error) {
+            this.showToast('error', `Failed to remove user: ${this.escapeHtml(error.message)}`);
+        }
+    }
+
+    async loadCertificates() {
+        try {
+            const response = await fetch('/api/certificates');
+            this.renderCertificates(await response.json());
+        } catch (error) {
+            console.error('Failed to load certificates:', error);
+            this.showToast('error', 'Failed to load certificates');
+        }
+    }
+
+    // Certificates of all HTTPS apps, soonest expiry first
+    renderCertificates(data) {
+        const container = document.getElementById('certificate-overview');
+        if (data.certificates.length === 0) {
+            container.innerHTML = '<div class="setting-description">No HTTPS apps have been checked yet.</div>';
+            return;
+        }
+
+        const rows = data.certificates.map(({ appId, name, url, certificate }) => {
+            const statusInfo = this.getCertificateStatusInfo(certificate);
+            return `
+                <tr data-certificate-app="${appId}">
+                    <td>${this.escapeHtml(name || url)}<div class="setting-description">${this.escapeHtml(url)}</div></td>
+                    <td>${this.escapeHtml(certificate.subject || '')}<div class="setting-description">${this.escapeHtml(certificate.selfSigned ? 'Self-signed' : (certificate.issuer || ''))}</div></td>
+                    <td>${new Date(certificate.validTo).toLocaleDateString()}</td>
+                    <td><span class="certificate-status ${statusInfo.className}">${this.escapeHtml(statusInfo.label)}</span></td>
+                    <td>${certificate.problems.length > 0 ? this.escapeHtml(certificate.problems.join('; ')) : ''}</td>
+                </tr>
+            `;
+        });
+
+        container.innerHTML = `
+            <div class="setting-description">Alerts go out ${data.warnDays.join(', ')} days before expiry and when a certificate has expired.</div>
+            <table class="data-table port-table certificate-table">
+                <thead><tr><th>App</th><th>Subject / Issuer</th><th>Expires</th><th>Status</th><th>Issues</th></tr></thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+        `;
+    }
+
+    async loadPortRegistry() {
+        try {
+            const response = await fetch('/api/ports/registry');
+            this.renderPortRegistry(await response.json());
+        } catch (error) {
+            console.error('Failed to load port registry:', error);
+            this.showToast('error', 'Failed to load port registry');
+        }
+    }
+
+    // Registry compared with the scan: conflicts, reserved-but-unused, used-but-unreserved, all reservations
+    renderPortRegistry(data) {
+        const roleSelect = document.getElementById('reserve-role');
+        const selectedRole = roleSelect.value || 'web';
+        roleSelect.innerHTML = data.roles.map(r => `
+            <option value="${r.role}" ${r.role === selectedRole ? 'selected' : ''}>${this.escapeHtml(r.label)}${r.reserved ? ' (reserved)' : ''}</option>
+        `).join('');
+
+        const appList = (apps) => apps.map(a => `${this.escapeHtml(a.name || a.url)} (${this.escapeHtml(a.host)})`).join(', ');
+        const section = (title, rows, empty) => `
+            <h4 class="settings-section-title">${title}</h4>
+            ${rows.length > 0 ? `<table class="data-table port-table"><tbody>${rows.join('')}</tbody></table>` : `<div class="setting-description">${empty}</div>`}
+        `;
+
+        const conflicts = data.conflicts.map(c => `
+            <tr class="port-conflict"><td>${c.port}</td><td colspan="3">${this.escapeHtml(c.message)}</td></tr>
+        `);
+        const unused = data.reservedUnused.map(r => `
+            <tr><td>${r.port}</td><td>${this.escapeHtml(r.projectName || '')}</td><td>${this.escapeHtml(r.role || '')}</td><td>${this.escapeHtml(r.owner || '')}</td></tr>
+        `);
+        const unreserved = data.usedUnreserved.map(a => `
+            <tr>
+                <td>${a.port}</td>
+                <td>${this.escapeHtml(a.name || a.url)} (${this.escapeHtml(a.host)})</td>
+                <td>${a.role ? this.escapeHtml(a.role) : 'outside convention'}</td>
+                <td>${a.projectId ? `
+                    <button class="btn btn-secondary requires-write" data-claim-port="${a.port}" data-claim-project="${a.projectId}" data-claim-role="${a.role}" title="Record this port in the registry">
+                        <i class="fas fa-bookmark"></i>
+                    </button>` : ''}
+                </td>
+            </tr>
+        `);
+        const reservations = data.reservations.map(r => `
+            <tr>
+                <td>${r.port}</td>
+                <td>${this.escapeHtml(r.projectName || '')}</td>
+                <td>${this.escapeHtml(r.role || '')}${r.owner ? ` · ${this.escapeHtml(r.owner)}` : ''}${r.description ? `<div class="setting-description">${this.escapeHtml(r.description)}</div>` : ''}</td>
+                <td>${r.inUse ? appList(r.apps) : '<span class="setting-description">unused</span>'}</td>
+                <td>
+                    <button class="btn btn-secondary requires-write" data-release-port="${r.port}" title="Release port">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `);
+
+        document.getElementById('port-registry').innerHTML =
+            (conflicts.length > 0 ? section('Conflicts', conflicts, '') : '') +
+            section('Reserved but unused', unused, 'Every reserved port is in use.') +
+            section('Used but unreserved', unreserved, 'Every port in use is reserved.') +
+            section('All reservations', reservations, 'No ports reserved yet.');
+    }
+
+    async reservePort(body = null) {
+        const value = (id) => document.getElementById(id).value.trim() || null;
+        const request = body || {
+            role: value('reserve-role'),
+            projectId: value('reserve-project'),
+            projectName: value('reserve-project-name'),
+            owner: value('reserve-owner'),
+            description: value('reserve-description')
+        };
+
+        try {
+            const response = await fetch('/api/ports/reserve', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(request)
             });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.conflicts && data.conflicts.length > 0 ? data.conflicts.map(c => c.message).join('; ') : data.error);
+            }
+
+            if (!body) document.getElementById('port-reserve-form').reset();
+            this.showToast('success', `Reserved port ${data.port}`);
+        } catch (error) {
+            this.showToast('error', `Failed to reserve port: ${this.escapeHtml(error.message)}`);
+        }
+    }
+
+    // Record a port that is already in use under its convention project and role
+    claimPort(projectId, role) {
+        return this.reservePort({ role, projectId, claim: true });
+    }
+
+    async releasePort(port) {
+        if (!confirm(`Release port ${port}?`)) return;
+        try {
+            const response = await fetch(`/api/ports/reservations/${port}`, { method: 'DELETE' });
+            if (!response.ok) throw new Error((await response.json()).error);
+        } catch (error) {
+            this.showToast('error', `Failed to release port: ${this.escapeHtml(error.message)}`);
+        }
+    }
+
+    async deleteGroup(groupId) {
+        const group = this.groups.find(g => String(g.id) === String(groupId));
+        if (!group || !confirm(`Delete group "${group.name}"? Its apps are kept and become ungrouped.`)) return;
+
+        try {
+            const response = await fetch(`/api/groups/${groupId}`, { method: 'DELETE' });
+            if (!response.ok) throw new Error((await response.json()).error);
+        } catch (error) {
+            this.showToast('error', `Failed to delete group: ${this.escapeHtml(error.message)}`);
+        }
+    }
+
+    async loadNotificationChannels() {
+        const text = document.getElementById('notification-channels-text');
+        try {
+            const response = await fetch('/api/notifications/channels');
+            const data = await response.json();
+            const channels = data.channels || [];
+            const active = channels.filter(c => c.enabled);
+
+            if (channels.length === 0) {
+                text.textContent = 'No channels configured (see "notifications" in config.json)';
+            } else {
+                text.textContent = `${active.length} of ${channels.length} active: ${channels.map(c => `${c.id} (${c.type})`).join(', ')}`;
+            }
+            document.getElementById('test-notification-btn').disabled = active.length === 0;
+        } catch (error) {
+            console.error('Failed to load notification channels:', error);
         }
     }
 
+    async loadScreenshotQueue() {
+        try {
+            const response = await fetch('/api/screenshots/status');
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+            this.renderScreenshotQueue(data);
+        } catch (error) {
+            console.error('Failed to load screenshot queue:', error);
+        }
+    }
+
+    renderScreenshotQueue(status) {
+        const parts = [
+            `${status.active} of ${status.concurrency} pages busy`,
+            `${status.waiting} queued`,
+            `${status.captured} captured, ${status.failed} failed (${status.timedOut} timed out)`
+        ];
+        if (status.relaunches > 0) {
+            parts.push(`browser restarted ${status.relaunches}x`);
+        }
+        document.getElementById('screenshot-queue-text').textContent = parts.join(' · ');
+    }
+
+    async sendTestNotification() {
+        const btn = document.getElementById('test-notification-btn');
+        btn.disabled = true;
+        btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...';
+
+        try {
+            const response = await fetch('/api/notifications/test', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({})
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+
+            const failed = data.results.filter(r => !r.success);
+            if (failed.length === 0) {
+                this.showToast('success', `Test notification sent to ${data.results.length} channel(s)`);
+            } else {
+                this.showToast('warning', `Failed: ${this.escapeHtml(failed.map(r => `${r.channel} (${r.error})`).join(', '))}`);
+            }
+        } catch (error) {
+            this.showToast('error', `Test notification failed: ${this.escapeHtml(error.message)}`);
+        }
+
+        btn.disabled = false;
+        btn.innerHTML = '<i class="fas fa-paper-plane"></i> Send Test';
+    }
+
     async checkOllamaStatus() {
         try {
             const response = await fetch('/api/ai/status');
@@ -791,6 +2962,8 @@ class WebAppMonitor {
 
     hideLoading() {
         document.getElementById('loading-overlay').classList.remove('active');
+        document.getElementById('scan-progress-fill').style.width = '0%';
+        document.getElementById('scan-cancel-btn').classList.add('d-none');
     }
 
     closeModal(modalId) {
@@ -835,6 +3008,17 @@ class WebAppMonitor {
         return date.toLocaleDateString();
     }
 
+    formatDuration(ms) {
+        if (ms === null || ms === undefined) return '';
+        const seconds = Math.floor(ms / 1000);
+
+        if (seconds < 60) return `${seconds}s`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+        if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+
+        return `${Math.floor(seconds / 86400)}d ${Math.floor((seconds % 86400) / 3600)}h`;
+    }
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
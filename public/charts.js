@@ -0,0 +1,121 @@
+/**
+ * Monitor Charts
+ * Dependency-free SVG/HTML charts for the app details modal, so the dashboard
+ * works without internet access. Each function takes the `buckets` array from
+ * GET /api/apps/:id/metrics and returns an HTML string.
+ */
+const MonitorCharts = {
+    /**
+     * Round an axis maximum up to 1, 2 or 5 times a power of ten
+     */
+    niceMax(value) {
+        if (!value || value <= 0) return 10;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        const step = [1, 2, 5, 10].find(s => s * magnitude >= value);
+        return step * magnitude;
+    },
+
+    formatBucketTime(iso, range) {
+        const date = new Date(iso);
+        return range === '24h'
+            ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+            : date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+    },
+
+    /**
+     * SVG path for a series, broken into separate segments at missing values
+     */
+    linePath(points) {
+        let path = '';
+        let drawing = false;
+        for (const point of points) {
+            if (point === null) {
+                drawing = false;
+                continue;
+            }
+            path += `${drawing ? 'L' : 'M'}${point.x.toFixed(1)},${point.y.toFixed(1)} `;
+            drawing = true;
+        }
+        return path.trim();
+    },
+
+    /**
+     * Response time line chart: p50 solid, p95 dashed
+     */
+    latencyChart(buckets, range) {
+        if (!buckets.some(b => b.p50Ms !== null)) {
+            return '<div class="chart-empty">No response time data for this range</div>';
+        }
+
+        const width = 600;
+        const height = 180;
+        const pad = { top: 10, right: 10, bottom: 22, left: 48 };
+        const plotW = width - pad.left - pad.right;
+        const plotH = height - pad.top - pad.bottom;
+        const maxY = this.niceMax(Math.max(...buckets.map(b => b.p95Ms ?? b.p50Ms ?? 0)));
+        const step = plotW / Math.max(buckets.length - 1, 1);
+
+        const x = (i) => pad.left + i * step;
+        const y = (v) => pad.top + plotH - (v / maxY) * plotH;
+        const series = (field) => buckets.map((b, i) => (b[field] === null ? null : { x: x(i), y: y(b[field]) }));
+
+        const grid = [0, maxY / 2, maxY].map(v => `
+            <line class="chart-grid" x1="${pad.left}" x2="${width - pad.right}" y1="${y(v)}" y2="${y(v)}"></line>
+            <text class="chart-label" x="${pad.left - 6}" y="${y(v) + 4}" text-anchor="end">${Math.round(v)}ms</text>
+        `).join('');
+
+        const labelIndexes = [...new Set([0, Math.floor((buckets.length - 1) / 2), buckets.length - 1])];
+        const xLabels = labelIndexes.map(i => `
+            <text class="chart-label" x="${x(i)}" y="${height - 6}" text-anchor="${i === 0 ? 'start' : (i === buckets.length - 1 ? 'end' : 'middle')}">${this.formatBucketTime(buckets[i].start, range)}</text>
+        `).join('');
+
+        // Invisible hover targets give each bucket a native tooltip
+        const hoverWidth = Math.max(step, 2);
+        const hovers = buckets.map((b, i) => `
+            <rect class="chart-hover" x="${x(i) - hoverWidth / 2}" y="${pad.top}" width="${hoverWidth}" height="${plotH}">
+                <title>${new Date(b.start).toLocaleString()}\n${b.checks} checks${b.p50Ms !== null ? `\np50 ${b.p50Ms}ms · p95 ${b.p95Ms}ms · max ${b.maxMs}ms` : ''}</title>
+            </rect>
+        `).join('');
+
+        return `
+            <svg class="latency-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Response time chart">
+                ${grid}
+                <path class="chart-line p95" d="${this.linePath(series('p95Ms'))}"></path>
+                <path class="chart-line p50" d="${this.linePath(series('p50Ms'))}"></path>
+                ${xLabels}
+                ${hovers}
+            </svg>
+            <div class="chart-legend">
+                <span><span class="legend-swatch p50"></span> p50</span>
+                <span><span class="legend-swatch p95"></span> p95</span>
+            </div>
+        `;
+    },
+
+    uptimeLevel(bucket) {
+        if (bucket.checks === 0 || bucket.uptimePct === null) return 'none';
+        if (bucket.uptimePct >= 99.9) return 'up';
+        if (bucket.offlineChecks === 0 || bucket.uptimePct >= 95) return 'partial';
+        return 'down';
+    },
+
+    /**
+     * Status-page style strip: one bar per bucket coloured by uptime
+     */
+    uptimeStrip(buckets, range) {
+        const bars = buckets.map(b => {
+            const label = b.checks === 0
+                ? 'No data'
+                : `${b.uptimePct}% uptime (${b.onlineChecks}/${b.checks} online${b.degradedChecks ? `, ${b.degradedChecks} degraded` : ''})`;
+            return `<span class="uptime-bar ${this.uptimeLevel(b)}" title="${new Date(b.start).toLocaleString()}: ${label}"></span>`;
+        }).join('');
+
+        return `
+            <div class="uptime-strip">${bars}</div>
+            <div class="uptime-strip-labels">
+                <span>${buckets.length > 0 ? this.formatBucketTime(buckets[0].start, range) : ''}</span>
+                <span>Now</span>
+            </div>
+        `;
+    }
+};
@@ -0,0 +1,50 @@
+// Local WebApp Monitor - Sign-in and first-admin setup page
+
+(async () => {
+    const form = document.getElementById('login-form');
+    const errorBox = document.getElementById('login-error');
+    let setup = false;
+
+    document.body.classList.add(localStorage.getItem('theme') || 'light');
+
+    try {
+        const status = await (await fetch('/api/auth/status')).json();
+        if (!status.enabled || status.user) {
+            window.location.replace('/');
+            return;
+        }
+        setup = status.setupRequired;
+    } catch (error) {
+        // Server unreachable; the form reports it on submit
+    }
+
+    if (setup) {
+        document.getElementById('login-subtitle').textContent = 'Create the first admin';
+        document.getElementById('setup-hint').classList.remove('d-none');
+        document.getElementById('login-password').autocomplete = 'new-password';
+        document.getElementById('login-password').minLength = 8;
+        document.getElementById('login-submit').innerHTML = '<i class="fas fa-user-shield"></i> Create Admin';
+    }
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        errorBox.classList.add('d-none');
+
+        try {
+            const response = await fetch(setup ? '/api/auth/setup' : '/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    username: document.getElementById('login-username').value,
+                    password: document.getElementById('login-password').value
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+            window.location.replace('/');
+        } catch (error) {
+            errorBox.textContent = error.message;
+            errorBox.classList.remove('d-none');
+        }
+    });
+})();
@@ -0,0 +1,136 @@
+// Local WebApp Monitor - Public status page, rendered from /status/<slug>.json
+
+(() => {
+    const REFRESH_MS = 60000;
+
+    const slug = decodeURIComponent(window.location.pathname.split('/').filter(Boolean).pop() || '');
+
+    const OVERALL = {
+        operational: { icon: 'fa-check-circle', text: 'All systems operational' },
+        degraded: { icon: 'fa-exclamation-circle', text: 'Some systems are degraded' },
+        partial_outage: { icon: 'fa-exclamation-triangle', text: 'Partial outage' },
+        major_outage: { icon: 'fa-times-circle', text: 'Major outage' }
+    };
+
+    const STATUS_LABELS = {
+        online: 'Operational',
+        degraded: 'Degraded',
+        offline: 'Outage',
+        maintenance: 'Maintenance',
+        unknown: 'No data'
+    };
+
+    const escapeHtml = (value) => String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+    const formatDuration = (ms) => {
+        const minutes = Math.max(1, Math.round(ms / 60000));
+        if (minutes < 60) return `${minutes} min`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 48) return `${hours} h ${minutes % 60} min`;
+        return `${Math.floor(hours / 24)} days`;
+    };
+
+    const formatTime = (iso) => new Date(iso).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+
+    const renderNotice = (notice) => {
+        if (notice.type !== 'maintenance') {
+            return `
+                <div class="status-notice notice">
+                    <i class="fas fa-info-circle"></i>
+                    <div>${escapeHtml(notice.message)}</div>
+                </div>
+            `;
+        }
+        return `
+            <div class="status-notice maintenance">
+                <i class="fas fa-tools"></i>
+                <div>
+                    <strong>${notice.active ? 'Maintenance in progress' : 'Scheduled maintenance'}:</strong> ${escapeHtml(notice.message)}
+                    <div class="status-incident-time">
+                        ${notice.active ? `Until ${formatTime(notice.endsAt)}` : `${formatTime(notice.startsAt)} - ${formatTime(notice.endsAt)}`}
+                        · ${notice.services.map(escapeHtml).join(', ')}
+                    </div>
+                </div>
+            </div>
+        `;
+    };
+
+    // Color class of one day's bar
+    const dayClass = (uptimePct) => {
+        if (uptimePct === null) return 'none';
+        if (uptimePct >= 99.5) return 'up';
+        if (uptimePct >= 95) return 'partial';
+        return 'down';
+    };
+
+    const renderService = (service) => `
+        <div class="status-service">
+            <div class="status-service-header">
+                <span class="status-service-name">${escapeHtml(service.name)}</span>
+                <span class="status-service-state ${service.status}">${STATUS_LABELS[service.status]}</span>
+            </div>
+            <div class="status-bars">
+                ${service.days.map(day => `
+                    <span class="status-bar ${dayClass(day.uptimePct)}" title="${day.date}: ${day.uptimePct === null ? 'no data' : `${day.uptimePct}% uptime`}"></span>
+                `).join('')}
+            </div>
+            <div class="status-bars-legend">
+                <span>${service.days.length} days ago</span>
+                <span>${service.uptimePct === null ? 'No data' : `${service.uptimePct}% uptime`}</span>
+                <span>Today</span>
+            </div>
+        </div>
+    `;
+
+    const render = (view) => {
+        document.title = `${view.title} - Status`;
+        document.getElementById('status-title').textContent = view.title;
+        document.getElementById('status-description').textContent = view.description || '';
+
+        const overall = OVERALL[view.status];
+        const overallBox = document.getElementById('status-overall');
+        overallBox.className = `status-overall ${view.status}`;
+        overallBox.innerHTML = `<i class="fas ${overall.icon}"></i> ${overall.text}`;
+
+        document.getElementById('status-notices').innerHTML = view.notices.map(renderNotice).join('');
+
+        document.getElementById('status-incidents').innerHTML = view.incidents.length === 0 ? '' : `
+            <h2 class="status-heading">Active incidents</h2>
+            ${view.incidents.map(incident => `
+                <div class="status-incident ${incident.severity}">
+                    <strong>${escapeHtml(incident.service)}</strong>
+                    ${incident.severity === 'degraded' ? 'is degraded' : 'is down'}
+                    <span class="status-incident-time">since ${new Date(incident.startedAt).toLocaleString()} (${formatDuration(incident.durationMs)})</span>
+                </div>
+            `).join('')}
+        `;
+
+        document.getElementById('status-sections').innerHTML = view.sections.map(section => `
+            <section class="status-section">
+                ${section.name ? `<h2 class="status-heading">${escapeHtml(section.name)}</h2>` : ''}
+                ${section.services.length > 0 ? section.services.map(renderService).join('') : '<div class="status-empty">No services</div>'}
+            </section>
+        `).join('');
+
+        document.getElementById('status-updated').textContent = `Updated ${new Date(view.generatedAt).toLocaleString()}`;
+    };
+
+    const load = async () => {
+        try {
+            const response = await fetch(`/status/${encodeURIComponent(slug)}.json`);
+            if (!response.ok) throw new Error(response.status === 404 ? 'This status page does not exist' : 'Status unavailable');
+            render(await response.json());
+        } catch (error) {
+            const overallBox = document.getElementById('status-overall');
+            overallBox.className = 'status-overall unknown';
+            overallBox.textContent = error.message;
+        }
+    };
+
+    load();
+    setInterval(load, REFRESH_MS);
+})();
@@ -3,29 +3,98 @@ const http = require('http');
 const { Server } = require('socket.io');
 let config = require('./config.json');
 const database = require('./database/db');
-const { getTargetIP, getLANIpAddress, convertToLANUrl, isLocalhostUrl, isDockerContainer } = require('./utils/networkUtils');
+const groups = require('./database/groups');
+const ports = require('./database/ports');
+const actions = require('./database/actions');
+const auth = require('./database/auth');
+const statusPages = require('./database/statusPages');
+const maintenance = require('./database/maintenance');
+const screenshots = require('./database/screenshots');
+const imageStore = require('./database/imageStore');
+const captureRecipes = require('./database/captureRecipes');
+const { getTargetIP, getLANIpAddress, convertToLANUrl, isLocalhostUrl, isDockerContainer, isHttpUrl } = require('./utils/networkUtils');
+const { normalizeHealthCheck, parseHealthCheck } = require('./utils/healthAssertions');
+const { normalizeAppUpdate, normalizeGroup, normalizeTagName } = require('./utils/appFields');
+const { normalizeReservation, normalizeProject, normalizeProjectId } = require('./utils/portFields');
+const { ACTIONS, normalizeLifecycle, parseLifecycle } = require('./utils/lifecycle');
+const { normalizeCredentials, normalizeNewUser, normalizeUserUpdate, normalizePasswordChange, normalizeTokenRequest } = require('./utils/authFields');
+const { normalizeStatusPage } = require('./utils/statusPageFields');
+const { normalizeMaintenanceWindow } = require('./utils/maintenanceFields');
+const { normalizeCheckSchedule } = require('./utils/checkSchedule');
+const { normalizeCaptureRecipe, resolveCaptureRecipe, describeCaptureRecipe } = require('./utils/captureRecipe');
 
 // Import agents
 const PortScanner = require('./agents/portScanner');
 const HealthChecker = require('./agents/healthChecker');
 const ScreenshotAgent = require('./agents/screenshotAgent');
 const AIAgent = require('./agents/aiAgent');
+const ServiceFingerprinter = require('./agents/serviceFingerprinter');
+const ProcessInspector = require('./agents/processInspector');
+const DockerDiscovery = require('./agents/dockerDiscovery');
+const JobManager = require('./services/jobManager');
+const IncidentTracker = require('./services/incidentTracker');
+const Notifier = require('./services/notifier');
+const MetricsService = require('./services/metricsService');
+const PrometheusExporter = require('./services/prometheusExporter');
+const PortConvention = require('./services/portConvention');
+const PortRegistry = require('./services/portRegistry');
+const ActionRunner = require('./services/actionRunner');
+const AuthService = require('./services/authService');
+const StatusPageService = require('./services/statusPageService');
+const MaintenanceService = require('./services/maintenanceService');
+const Scheduler = require('./services/scheduler');
+const CertificateMonitor = require('./services/certificateMonitor');
+const VisualChangeMonitor = require('./services/visualChangeMonitor');
+const ScreenshotRenderer = require('./services/screenshotRenderer');
+const { MetricsQueryError } = MetricsService;
+const { PortConflictError } = PortRegistry;
+const { ActionNotAllowedError, ActionBusyError } = ActionRunner;
+const { AuthError } = AuthService;
 
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server);
 
+const authService = new AuthService({ auth });
+
 // Middleware
 app.use(express.json());
+
+// The dashboard itself needs a session; its static assets and the login page do not
+app.get(['/', '/index.html'], (req, res, next) => {
+    if (authService.enabled && !authService.identify(req.headers)) {
+        return res.redirect('/login.html');
+    }
+    next();
+});
 app.use(express.static('public'));
 
+// Every API call needs a session or API token: read for GET, write for the rest.
+// /api/auth/* (login, setup, account) checks access per route.
+app.use('/api', authService.protect({ publicPrefix: '/auth/' }));
+app.use('/metrics', authService.protect());
+
 // Initialize agents
 const portScanner = new PortScanner();
 const healthChecker = new HealthChecker();
 const screenshotAgent = new ScreenshotAgent();
 const aiAgent = new AIAgent();
+const dockerDiscovery = new DockerDiscovery();
+const incidentTracker = new IncidentTracker(database);
+const notifier = new Notifier(database);
+const metricsService = new MetricsService();
+const portConvention = new PortConvention(undefined, { lookupProject: (id) => ports.getProject(id)?.name });
+const portRegistry = new PortRegistry({ database, ports, portConvention, portScanner });
+const actionRunner = new ActionRunner({ database, actions, dockerDiscovery });
+const maintenanceService = new MaintenanceService({ maintenance });
+const statusPageService = new StatusPageService({ database, groups, statusPages, metricsService, maintenanceService });
+const scheduler = new Scheduler({ database, healthChecker });
+const certificateMonitor = new CertificateMonitor({ database });
+const screenshotRenderer = new ScreenshotRenderer({ imageStore });
+const visualChangeMonitor = new VisualChangeMonitor({ database, screenshots, renderer: screenshotRenderer });
 
-// WebSocket for real-time updates (Socket.IO)
+// WebSocket for real-time updates (Socket.IO); clients authenticate like API calls
+io.use(authService.socketMiddleware());
 io.on('connection', (socket) => {
     console.log('[Server] Socket.IO client connected');
     
@@ -38,6 +107,241 @@ function broadcast(data) {
     io.emit('message', data);
 }
 
+/**
+ * Drop Socket.IO clients whose identity no longer holds (logged out, user removed or demoted)
+ */
+function disconnectSockets(predicate) {
+    for (const socket of io.sockets.sockets.values()) {
+        if (socket.data.auth && predicate(socket.data.auth)) {
+            socket.disconnect(true);
+        }
+    }
+}
+
+/**
+ * Persist a health check result and feed it to the incident tracker.
+ * Every health check path goes through here so incidents see all results.
+ * Results of apps in a maintenance window are kept out of uptime and incidents.
+ */
+function recordHealth(health) {
+    const app = database.getAppByUrl(health.url);
+    const inMaintenance = !!(app && maintenanceService.activeWindow(app));
+    database.recordScan(health.url, health.status, health.responseTime, health.failures, inMaintenance);
+    database.updateService(health.url, health.service);
+    database.updateCheckDetails(health.url, health);
+    certificateMonitor.observe(app, health.certificate, { maintenance: inMaintenance });
+    incidentTracker.observe(health, { maintenance: inMaintenance });
+}
+
+scheduler.on('result', (health) => {
+    recordHealth(health);
+    broadcast({ type: 'health_update', ...health });
+});
+
+incidentTracker.on('incident', ({ event, incident }) => {
+    broadcast({ type: 'incident_update', event, incident });
+    notifier.notifyIncident({ event, incident });
+});
+
+certificateMonitor.on('alert', (alert) => {
+    broadcast({ type: 'certificate_alert', event: alert.event, appId: alert.app.id, name: alert.app.name, daysLeft: alert.daysLeft });
+    notifier.notifyCertificate(alert);
+});
+
+visualChangeMonitor.on('change', (change) => {
+    broadcast({ type: 'visual_change', appId: change.app.id, name: change.app.name, score: change.score });
+    notifier.notifyVisualChange(change);
+});
+
+actionRunner.on('output', (chunk) => {
+    broadcast({ type: 'action_output', ...chunk });
+});
+
+// Check the app right after an action so its status reflects the change
+actionRunner.on('finish', async ({ run }) => {
+    broadcast({ type: 'action_complete', run });
+
+    const app = database.getApp(run.app_id);
+    if (!app) return;
+    try {
+        const health = await healthChecker.checkApp(app);
+        recordHealth(health);
+        broadcast({ type: 'health_update', ...health });
+    } catch (error) {
+        console.error('[Server] Health check after action failed:', error.message);
+    }
+});
+
+/**
+ * Look up the process owning a local app's port again and store it.
+ * Remote apps (and disabled lookups) keep what they have.
+ * @returns {Promise<Object|null|undefined>} Process details, null when none was found, undefined when not looked up
+ */
+async function refreshProcess(app) {
+    if (!portScanner.processLookupEnabled) return undefined;
+    const [result] = await portScanner.processInspector.attach([{ host: app.host, port: Number(app.port) }]);
+    database.updateProcess(app.url, result.process);
+    return result.process;
+}
+
+/**
+ * Link scan results to the Docker containers publishing their ports, probing published
+ * ports the port scan did not cover. Without Docker, `container` stays undefined.
+ */
+async function linkContainers(discovered, signal) {
+    const endpoints = await dockerDiscovery.discover(portScanner.scanHost);
+    if (!endpoints) return;
+
+    const key = ({ host, port }) => `${host}:${port}`;
+    const scanned = new Set(discovered.map(key));
+    const missing = endpoints.filter(endpoint => !scanned.has(key(endpoint)));
+    if (missing.length > 0) {
+        discovered.push(...await portScanner.scanBatch(missing.map(({ host, port }) => ({ host, port })), { signal }));
+    }
+
+    const containers = new Map(endpoints.map(endpoint => [key(endpoint), endpoint.container]));
+    for (const srv of discovered) {
+        srv.container = containers.get(key(srv)) || null;
+    }
+}
+
+/**
+ * Apply a container's dashboard.* labels to its app: identification fields (user edits
+ * still win) and the health check definition
+ */
+function applyContainerLabels(app, container) {
+    const identification = DockerDiscovery.labelIdentification(container);
+    if (Object.keys(identification).length > 0) {
+        database.applyIdentification(app.id, identification);
+    }
+
+    try {
+        const healthCheck = DockerDiscovery.labelHealthCheck(container);
+        if (healthCheck) {
+            database.setHealthCheck(app.id, normalizeHealthCheck(healthCheck));
+        }
+    } catch (error) {
+        console.warn(`[Server] Ignoring dashboard.healthcheck label of ${container.name}: ${error.message}`);
+    }
+}
+
+/**
+ * Scan job runner: port probe -> HTTP probe -> identify -> health.
+ * Checks for cancellation between units of work so a cancelled scan never
+ * leaves an app half-written.
+ */
+async function runScanJob(job, { mode }) {
+    console.log(`[Server] Starting ${mode} scan (job ${job.id})...`);
+    broadcast({ type: 'scan_start', mode, jobId: job.id });
+
+    let currentPhase = null;
+    const scanOptions = {
+        signal: job.signal,
+        onProgress: ({ phase, completed, total }) => {
+            if (phase !== currentPhase) {
+                currentPhase = phase;
+                job.setPhase(phase, total);
+            }
+            job.reportProgress(completed, total);
+        }
+    };
+
+    const discovered = mode === 'full'
+        ? await portScanner.scan(scanOptions)
+        : await portScanner.quickScan(scanOptions);
+    job.throwIfCancelled();
+    await linkContainers(discovered, job.signal);
+    job.throwIfCancelled();
+
+    // Identify every server before health-checking so the DB rows exist first
+    job.setPhase('identify', discovered.length);
+    const identified = [];
+    for (const [index, srv] of discovered.entries()) {
+        job.throwIfCancelled();
+
+        // Fingerprinted services (databases, brokers, ...) have no page to read;
+        // dashboard.* container labels override whatever was identified
+        const labelled = DockerDiscovery.labelIdentification(srv.container);
+        let identification;
+        if (srv.service) {
+            identification = ServiceFingerprinter.describe(srv.service);
+        } else if (labelled.name && labelled.category) {
+            identification = { description: null, ...labelled };
+        } else {
+            // Known apps are read signed in, like their screenshots
+            const known = database.getAppByUrl(srv.url);
+            const content = await screenshotAgent.getPageContent(srv.url, known ? captureRecipeFor(known) : null);
+            identification = await aiAgent.identifyApp(srv.url, content.title, content, { process: srv.process });
+        }
+        identification = { ...identification, ...labelled };
+
+        let app = database.addApp(srv.url, srv.port, identification.name, identification.category, srv.host);
+        database.updateService(srv.url, srv.service);
+        database.updateProcess(srv.url, srv.process);
+        database.updateContainer(srv.url, srv.container);
+        database.updateCertificate(srv.url, srv.certificate);
+        if (srv.container) {
+            applyContainerLabels(app, srv.container);
+            app = database.getApp(app.id);
+        }
+        identified.push({ srv, app, identification });
+
+        job.reportProgress(index + 1, discovered.length, `Identified ${identification.name}`);
+    }
+
+    job.setPhase('health', identified.length);
+    const lanIp = getPreferredTarget();
+    for (const [index, { srv, app, identification }] of identified.entries()) {
+        job.throwIfCancelled();
+
+        const health = await healthChecker.checkApp(app);
+        recordHealth(health);
+
+        // Update metadata if available
+        if (health.metaData) {
+            database.updateMetadata(
+                srv.url,
+                health.metaData.name,
+                health.metaData.description,
+                health.metaData.category
+            );
+        }
+
+        // Convert URL to LAN IP for network accessibility
+        const appWithLanUrl = {
+            ...app,
+            ...identification,
+            url: convertToLANUrl(app.url, lanIp)
+        };
+        broadcast({ type: 'app_discovered', app: appWithLanUrl });
+        console.log(`[Server] Discovered: ${identification.name} at ${srv.url}`);
+
+        job.reportProgress(index + 1, identified.length);
+    }
+
+    if (portConvention.applyGroups(database, groups) > 0) {
+        broadcast({ type: 'groups_updated' });
+    }
+
+    broadcast({ type: 'scan_complete', mode, jobId: job.id, found: discovered.length });
+    console.log(`[Server] ${mode} scan found ${discovered.length} applications`);
+    return { found: discovered.length };
+}
+
+const jobManager = new JobManager({ scan: runScanJob });
+const prometheusExporter = new PrometheusExporter({ database, jobManager, screenshotAgent, aiAgent, maintenanceService });
+
+// Relay job state to clients; failed/cancelled scans also get their legacy events
+jobManager.on('update', (job) => {
+    broadcast({ type: 'job_update', job });
+
+    if (job.type === 'scan' && job.status === 'failed') {
+        broadcast({ type: 'scan_error', jobId: job.id, error: job.error });
+    } else if (job.type === 'scan' && job.status === 'cancelled') {
+        broadcast({ type: 'scan_cancelled', jobId: job.id, mode: job.params.mode });
+    }
+});
+
 // Prefer a configured target host (from config.json) when converting URLs —
 // falls back to auto-detected LAN IP
 function getPreferredTarget() {
@@ -87,15 +391,171 @@ function getResponseTargetHost(req) {
     return getTargetIP();
 }
 
+// ==================== AUTH ENDPOINTS ====================
+
+// Whether auth is on, whether the first admin still has to be created, and who is signed in
+app.get('/api/auth/status', (req, res) => {
+    res.json({
+        enabled: authService.enabled,
+        setupRequired: authService.needsSetup(),
+        user: req.auth ? req.auth.user : null
+    });
+});
+
+// Create the first admin (only while there are no users) and sign them in
+app.post('/api/auth/setup', async (req, res) => {
+    try {
+        const { username, password } = normalizeNewUser({ ...req.body, role: 'admin' });
+        await authService.setup({ username, password });
+        const { user, sessionToken } = await authService.login({ username, password }, { ip: req.ip, userAgent: req.get('user-agent') });
+        res.set('Set-Cookie', authService.sessionCookie(req, sessionToken));
+        res.status(201).json({ success: true, user });
+    } catch (error) {
+        res.status(error instanceof AuthError ? error.status : 400).json({ error: error.message });
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const credentials = normalizeCredentials(req.body);
+        const { user, sessionToken } = await authService.login(credentials, { ip: req.ip, userAgent: req.get('user-agent') });
+        res.set('Set-Cookie', authService.sessionCookie(req, sessionToken));
+        res.json({ success: true, user });
+    } catch (error) {
+        res.status(error instanceof AuthError ? error.status : 400).json({ error: error.message });
+    }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    authService.logout(req.headers);
+    if (req.auth && req.auth.sessionId) {
+        disconnectSockets(identity => identity.sessionId === req.auth.sessionId);
+    }
+    res.set('Set-Cookie', authService.sessionCookie(req));
+    res.json({ success: true });
+});
+
+// The signed-in user with their effective scopes
+app.get('/api/auth/me', authService.require(), (req, res) => {
+    const { user, scopes, via, tokenName } = req.auth;
+    res.json({ user, scopes, via, tokenName: tokenName || null });
+});
+
+// Change your own password; other sessions of the user are signed out
+app.put('/api/auth/password', authService.require(null, { sessionOnly: true }), async (req, res) => {
+    try {
+        await authService.changePassword(req.auth, normalizePasswordChange(req.body));
+        disconnectSockets(identity => identity.via === 'session' && identity.user.id === req.auth.user.id && identity.sessionId !== req.auth.sessionId);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error instanceof AuthError ? error.status : 400).json({ error: error.message });
+    }
+});
+
+// API tokens: admins see everyone's, others their own
+app.get('/api/auth/tokens', authService.require(), (req, res) => {
+    const all = !req.auth.user || req.auth.scopes.includes('admin');
+    res.json({ tokens: auth.getTokens(all ? null : req.auth.user.id) });
+});
+
+// Create an API token for yourself ({ name, scopes: ['read', 'write', 'admin'], expiresInDays });
+// the token is only shown in this response
+app.post('/api/auth/tokens', authService.require(null, { sessionOnly: true }), (req, res) => {
+    let request;
+    try {
+        request = normalizeTokenRequest(req.body, req.auth.user.role);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const { token, record } = authService.createToken(req.auth.user, request);
+    res.status(201).json({ success: true, token, record });
+});
+
+// Revoke a token (your own, or anyone's as an admin)
+app.delete('/api/auth/tokens/:id', authService.require(), (req, res) => {
+    const token = auth.getToken(req.params.id);
+    const isAdmin = req.auth.scopes.includes('admin');
+    if (!token || (!isAdmin && token.user_id !== req.auth.user.id)) {
+        return res.status(404).json({ error: 'Token not found' });
+    }
+    auth.deleteToken(token.id);
+    disconnectSockets(identity => identity.tokenId === token.id);
+    console.log(`[Auth] API token "${token.name}" of ${token.username} revoked`);
+    res.json({ success: true });
+});
+
+app.get('/api/auth/users', authService.require('admin'), (req, res) => {
+    res.json({ users: auth.getUsers() });
+});
+
+// Add a user ({ username, password, role: 'viewer'|'admin' })
+app.post('/api/auth/users', authService.require('admin'), async (req, res) => {
+    try {
+        const user = await authService.createUser(normalizeNewUser(req.body));
+        console.log(`[Auth] ${authService.actorName(req.auth)} added ${user.role} "${user.username}"`);
+        res.status(201).json({ success: true, user });
+    } catch (error) {
+        res.status(error instanceof AuthError ? error.status : 400).json({ error: error.message });
+    }
+});
+
+// Change a user's role or set a new password ({ role, password }); the last admin cannot be demoted
+app.put('/api/auth/users/:id', authService.require('admin'), async (req, res) => {
+    const user = auth.getUser(req.params.id);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    let update;
+    try {
+        update = normalizeUserUpdate(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (update.role && update.role !== 'admin' && user.role === 'admin' && auth.countAdmins() === 1) {
+        return res.status(409).json({ error: 'The last admin cannot be demoted' });
+    }
+
+    if (update.role) {
+        auth.setRole(user.id, update.role);
+    }
+    if (update.password) {
+        await authService.resetPassword(user.id, update.password);
+    }
+    // Connected dashboards pick up the new role (or the new password) when they reconnect
+    disconnectSockets(identity => identity.user && identity.user.id === user.id);
+
+    res.json({ success: true, user: auth.getUser(user.id) });
+});
+
+// Remove a user with their sessions and tokens; the last admin cannot be removed
+app.delete('/api/auth/users/:id', authService.require('admin'), (req, res) => {
+    const user = auth.getUser(req.params.id);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.role === 'admin' && auth.countAdmins() === 1) {
+        return res.status(409).json({ error: 'The last admin cannot be removed' });
+    }
+
+    auth.removeUser(user.id);
+    disconnectSockets(identity => identity.user && identity.user.id === user.id);
+    console.log(`[Auth] ${authService.actorName(req.auth)} removed user "${user.username}"`);
+    res.json({ success: true });
+});
+
 // ==================== API ENDPOINTS ====================
 
-// Get all apps
+// Get all apps (optionally filtered by ?host=, ?status=, ?category=, ?port=, ?tag=, ?group=)
 app.get('/api/apps', (req, res) => {
-    const apps = database.getAllApps();
+    const { host, status, category, port, tag, group } = req.query;
+    const apps = database.findApps({ host, status, category, port, tag, group });
     const stats = database.getStats();
+    const hosts = database.getHosts();
+    const appGroups = groups.getGroups();
     const lanIp = getResponseTargetHost(req);
     
-    // Convert screenshots to base64 data URLs and add computed fields
+    // Link screenshots instead of embedding them and add computed fields
     // Also convert localhost URLs to LAN IP for external access
     const appsWithScreenshots = apps.map(app => ({
         ...app,
@@ -103,15 +563,16 @@ app.get('/api/apps', (req, res) => {
         isOnline: app.status === 'online',
         lastSeen: app.last_checked_at,
         createdAt: app.discovered_at,
-        screenshot: app.screenshot 
-            ? `data:image/png;base64,${app.screenshot.toString('base64')}` 
-            : null,
-        thumbnail: app.thumbnail 
-            ? `data:image/png;base64,${app.thumbnail.toString('base64')}` 
-            : (app.screenshot ? `data:image/png;base64,${app.screenshot.toString('base64')}` : null)
+        screenshot: undefined,
+        thumbnail: undefined,
+        screenshots: screenshotUrls(app),
+        container: DockerDiscovery.parse(app.container_info),
+        maintenance: maintenanceService.activeWindow(app),
+        certificate: certificateMonitor.describe(CertificateMonitor.parse(app.tls_certificate)),
+        visualChange: VisualChangeMonitor.parse(app.visual_change)
     }));
     
-    res.json({ apps: appsWithScreenshots, stats });
+    res.json({ apps: appsWithScreenshots, stats, hosts, groups: appGroups });
 });
 
 // Get single app
@@ -130,16 +591,96 @@ app.get('/api/apps/:id', (req, res) => {
         isOnline: app.status === 'online',
         lastSeen: app.last_checked_at,
         createdAt: app.discovered_at,
-        screenshot: app.screenshot 
-            ? `data:image/png;base64,${app.screenshot.toString('base64')}` 
-            : null,
-        thumbnail: app.thumbnail 
-            ? `data:image/png;base64,${app.thumbnail.toString('base64')}` 
-            : (app.screenshot ? `data:image/png;base64,${app.screenshot.toString('base64')}` : null),
+        screenshot: undefined,
+        thumbnail: undefined,
+        screenshots: screenshotUrls(app),
+        healthCheck: parseHealthCheck(app.health_check),
+        process: ProcessInspector.parse(app.process_info),
+        container: DockerDiscovery.parse(app.container_info),
+        convention: portConvention.enabled ? portConvention.classify(app.port) : null,
+        lifecycle: parseLifecycle(app.lifecycle),
+        maintenance: maintenanceService.activeWindow(app),
+        certificate: certificateMonitor.describe(CertificateMonitor.parse(app.tls_certificate)),
+        schedule: scheduler.describe(app),
+        visualChange: VisualChangeMonitor.parse(app.visual_change),
         history
     });
 });
 
+// Uptime/latency time series (?range=24h|7d|30d|90d, ?bucket=5m|15m|1h|1d)
+app.get('/api/apps/:id/metrics', (req, res) => {
+    const app = database.getApp(req.params.id);
+    if (!app) {
+        return res.status(404).json({ error: 'App not found' });
+    }
+
+    try {
+        res.json(metricsService.getMetrics(app.id, req.query));
+    } catch (error) {
+        if (error instanceof MetricsQueryError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('[Server] Metrics error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Set or clear (healthCheck: null) an app's health check definition, then re-check it
+app.put('/api/apps/:id/health-check', async (req, res) => {
+    const app = database.getApp(req.params.id);
+    if (!app) {
+        return res.status(404).json({ error: 'App not found' });
+    }
+    if (!isHttpUrl(app.url)) {
+        return res.status(400).json({ error: 'Health checks can only be configured for HTTP applications' });
+    }
+
+    let healthCheck;
+    try {
+        healthCheck = normalizeHealthCheck(req.body.healthCheck);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        database.setHealthCheck(app.id, healthCheck);
+
+        // Checked like the scheduler does, with the app's own timeout
+        const health = await healthChecker.checkApp(database.getApp(app.id));
+        recordHealth(health);
+        broadcast({ type: 'health_update', ...health });
+
+        res.json({ success: true, healthCheck, health });
+    } catch (error) {
+        console.error('[Server] Health check update error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Set or clear (schedule: null) how often an app is checked and how long a check may take
+app.put('/api/apps/:id/schedule', (req, res) => {
+    const app = database.getApp(req.params.id);
+    if (!app) {
+        return res.status(404).json({ error: 'App not found' });
+    }
+
+    let schedule;
+    try {
+        schedule = normalizeCheckSchedule(req.body.schedule);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    database.setCheckSchedule(app.id, schedule);
+    scheduler.reschedule(app.id);
+    res.json({ success: true, schedule: scheduler.describe(database.getApp(app.id)) });
+});
+
+// Check queue and the next runs of scheduled tasks
+app.get('/api/scheduler', (req, res) => {
+    res.json(scheduler.status());
+});
+
 // Delete app
 app.delete('/api/apps/:id', (req, res) => {
     const appId = parseInt(req.params.id, 10);
@@ -147,126 +688,469 @@ app.delete('/api/apps/:id', (req, res) => {
         return res.status(400).json({ error: 'Invalid app ID' });
     }
     database.removeApp(appId);
+    incidentTracker.forget(appId);
+    maintenanceService.reload();
     res.json({ success: true });
 });
 
-// Update app
-app.put('/api/apps/:id', (req, res) => {
-    const { name, notes } = req.body;
+// Update app (name, description, category, notes, icon, tags, url); edited metadata fields get locked
+app.put('/api/apps/:id', async (req, res) => {
+    const app = database.getApp(req.params.id);
+    if (!app) {
+        return res.status(404).json({ error: 'App not found' });
+    }
+
+    let update;
+    try {
+        update = normalizeAppUpdate(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    // The client sees URLs rewritten to the LAN IP; sending one back unchanged is not an edit
+    const lanIp = getResponseTargetHost(req);
+    if (update.fields.url !== undefined) {
+        if (update.fields.url === app.url || update.fields.url === convertToLANUrl(app.url, lanIp)) {
+            ['url', 'port', 'host', 'protocol'].forEach(field => delete update.fields[field]);
+        } else if (database.getAppByUrl(update.fields.url)) {
+            return res.status(409).json({ error: 'Another app already uses this URL' });
+        }
+    }
+    if (update.fields.group_id && !groups.getGroup(update.fields.group_id)) {
+        return res.status(400).json({ error: 'Group not found' });
+    }
+
+    try {
+        let updatedApp = database.updateApp(app.id, update);
+
+        // A new URL is a new target: check it right away
+        if (update.fields.url !== undefined) {
+            const health = await healthChecker.checkApp(updatedApp);
+            recordHealth(health);
+            broadcast({ type: 'health_update', ...health });
+            updatedApp = database.getApp(app.id);
+        }
+
+        // Convert URL to LAN IP for network accessibility
+        const updatedAppWithLanUrl = {
+            ...updatedApp,
+            url: convertToLANUrl(updatedApp.url, lanIp),
+            // Image blobs are not part of an edit; clients reload them from GET /api/apps
+            screenshot: undefined,
+            thumbnail: undefined
+        };
+        broadcast({ type: 'app_updated', app: updatedAppWithLanUrl });
+        res.json({ success: true, app: updatedAppWithLanUrl });
+    } catch (error) {
+        console.error('[Server] Update app error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get stats
+app.get('/api/stats', (req, res) => {
+    res.json(database.getStats());
+});
+
+// ==================== SCAN ENDPOINTS ====================
+
+// Queue a scan job and answer immediately with its ID; progress arrives via Socket.IO `job_update`
+function startScanJob(mode, res) {
+    try {
+        const { job, deduplicated } = jobManager.enqueue('scan', { mode });
+        if (deduplicated) {
+            console.log(`[Server] ${mode} scan already queued/running as job ${job.id}`);
+        }
+        res.status(202).json({ success: true, jobId: job.id, deduplicated, job });
+    } catch (error) {
+        console.error(`[Server] Could not queue ${mode} scan:`, error);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+// Start quick scan
+app.post('/api/scan/quick', (req, res) => startScanJob('quick', res));
+
+// Start full scan
+app.post('/api/scan/full', (req, res) => startScanJob('full', res));
+
+// ==================== JOB ENDPOINTS ====================
+
+// List background jobs (queued, running and recently finished)
+app.get('/api/jobs', (req, res) => {
+    res.json({ jobs: jobManager.list() });
+});
+
+// Get job state, phase and progress
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobManager.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+});
+
+// Cancel a queued or running job
+app.delete('/api/jobs/:id', (req, res) => {
+    const cancelled = jobManager.cancel(req.params.id);
+    if (cancelled === null) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    if (cancelled === false) {
+        return res.status(409).json({ error: 'Job already finished', job: jobManager.get(req.params.id) });
+    }
+    res.json({ success: true, job: jobManager.get(req.params.id) });
+});
+
+// ==================== INCIDENT ENDPOINTS ====================
+
+// Open incidents report how long they have lasted so far
+function withDuration(incident) {
+    return {
+        ...incident,
+        flapping: !!incident.flapping,
+        duration_ms: incident.duration_ms ?? (Date.now() - new Date(incident.started_at).getTime())
+    };
+}
+
+// List incidents, newest first (filters: ?appId=, ?status=open|resolved, ?limit=)
+app.get('/api/incidents', (req, res) => {
+    const appId = req.query.appId ? parseInt(req.query.appId, 10) : null;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const status = req.query.status || null;
+    if (status && status !== 'open' && status !== 'resolved') {
+        return res.status(400).json({ error: 'Status must be "open" or "resolved"' });
+    }
+
+    const incidents = database.getIncidents({ appId, status, limit }).map(incident => ({
+        ...withDuration(incident),
+        events: database.getIncidentEvents(incident.id)
+    }));
+    res.json({ incidents });
+});
+
+// Get a single incident with its timeline
+app.get('/api/incidents/:id', (req, res) => {
+    const incident = database.getIncident(req.params.id);
+    if (!incident) {
+        return res.status(404).json({ error: 'Incident not found' });
+    }
+    res.json({ ...withDuration(incident), events: database.getIncidentEvents(incident.id) });
+});
+
+// ==================== TAG & GROUP ENDPOINTS ====================
+
+// List tags with the number of apps using each
+app.get('/api/tags', (req, res) => {
+    res.json({ tags: groups.getTags() });
+});
+
+// Rename a tag on every app that has it
+app.put('/api/tags/:id', (req, res) => {
+    const tag = groups.getTag(req.params.id);
+    if (!tag) {
+        return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    let name;
+    try {
+        name = normalizeTagName(req.body.name);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const existing = groups.getTagByName(name);
+    if (existing && existing.id !== tag.id) {
+        return res.status(409).json({ error: 'A tag with this name already exists' });
+    }
+
+    const renamed = groups.renameTag(tag.id, name);
+    broadcast({ type: 'tags_updated' });
+    res.json({ success: true, tag: renamed });
+});
+
+// Delete a tag from every app
+app.delete('/api/tags/:id', (req, res) => {
+    if (!groups.deleteTag(req.params.id)) {
+        return res.status(404).json({ error: 'Tag not found' });
+    }
+    broadcast({ type: 'tags_updated' });
+    res.json({ success: true });
+});
+
+// Add one tag to an app ({ tag: name })
+app.post('/api/apps/:id/tags', (req, res) => {
+    const app = database.getApp(req.params.id);
+    if (!app) {
+        return res.status(404).json({ error: 'App not found' });
+    }
+
+    let name;
+    try {
+        name = normalizeTagName(req.body.tag);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    groups.addAppTag(app.id, name);
+    const updatedApp = database.getApp(app.id);
+    broadcast({ type: 'app_updated', app: { id: app.id, tags: updatedApp.tags } });
+    res.json({ success: true, tags: updatedApp.tags });
+});
+
+// Remove one tag from an app
+app.delete('/api/apps/:id/tags/:tag', (req, res) => {
+    const app = database.getApp(req.params.id);
+    if (!app) {
+        return res.status(404).json({ error: 'App not found' });
+    }
+    if (!groups.removeAppTag(app.id, req.params.tag)) {
+        return res.status(404).json({ error: 'App does not have this tag' });
+    }
+
+    const updatedApp = database.getApp(app.id);
+    broadcast({ type: 'app_updated', app: { id: app.id, tags: updatedApp.tags } });
+    res.json({ success: true, tags: updatedApp.tags });
+});
+
+// List groups with per-status app counts
+app.get('/api/groups', (req, res) => {
+    res.json({ groups: groups.getGroups() });
+});
+
+// Create a group ({ name, description?, color?, sortOrder? })
+app.post('/api/groups', (req, res) => {
+    let fields;
+    try {
+        fields = normalizeGroup(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (groups.getGroupByName(fields.name)) {
+        return res.status(409).json({ error: 'A group with this name already exists' });
+    }
+
+    const group = groups.createGroup(fields);
+    broadcast({ type: 'groups_updated' });
+    res.status(201).json({ success: true, group });
+});
+
+// Update a group (any of name, description, color, sortOrder)
+app.put('/api/groups/:id', (req, res) => {
+    const group = groups.getGroup(req.params.id);
+    if (!group) {
+        return res.status(404).json({ error: 'Group not found' });
+    }
+
+    let fields;
+    try {
+        fields = normalizeGroup(req.body, true);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const existing = fields.name && groups.getGroupByName(fields.name);
+    if (existing && existing.id !== group.id) {
+        return res.status(409).json({ error: 'A group with this name already exists' });
+    }
+
+    const updated = groups.updateGroup(group.id, fields);
+    broadcast({ type: 'groups_updated' });
+    res.json({ success: true, group: updated });
+});
+
+// Delete a group with its maintenance windows; its apps become ungrouped
+app.delete('/api/groups/:id', (req, res) => {
+    if (!groups.deleteGroup(req.params.id)) {
+        return res.status(404).json({ error: 'Group not found' });
+    }
+    maintenanceService.reload();
+    broadcast({ type: 'groups_updated' });
+    res.json({ success: true });
+});
+
+// ==================== PORT CONVENTION ENDPOINTS ====================
+
+// Projects, roles and violations of the RULES_ports.md convention for all known apps
+app.get('/api/ports/convention', (req, res) => {
+    const lanIp = getResponseTargetHost(req);
+    const apps = database.getAllApps().map(app => ({ ...app, url: convertToLANUrl(app.url, lanIp) }));
+    res.json(portConvention.evaluate(apps));
+});
+
+// Group ungrouped convention apps by project now (scans do this automatically)
+app.post('/api/ports/convention/apply', (req, res) => {
+    const assigned = portConvention.applyGroups(database, groups, true);
+    if (assigned > 0) {
+        broadcast({ type: 'groups_updated' });
+    }
+    res.json({ success: true, assigned });
+});
+
+// Registry of reserved ports compared with the scan: reserved-but-unused, used-but-unreserved and conflicts
+app.get('/api/ports/registry', (req, res) => {
+    const lanIp = getResponseTargetHost(req);
+    const apps = database.getAllApps().map(app => ({ ...app, url: convertToLANUrl(app.url, lanIp) }));
+    res.json({
+        roles: portConvention.settings.roles.map(({ role, label, reserved }) => ({ role, label, reserved: !!reserved })),
+        ...portRegistry.report(apps)
+    });
+});
+
+// Hand out the port for a role: of the given project, or of the next free project
+app.post('/api/ports/reserve', async (req, res) => {
+    let request;
+    try {
+        request = normalizeReservation(req.body, portConvention.settings.roles.map(r => r.role));
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const result = await portRegistry.reserve(request);
+        broadcast({ type: 'ports_updated' });
+        res.status(201).json({ success: true, port: result.reservation.port, ...result });
+    } catch (error) {
+        if (error instanceof PortConflictError) {
+            return res.status(409).json({ error: error.message, conflicts: error.conflicts });
+        }
+        console.error('[Server] Port reservation error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Release a reserved port
+app.delete('/api/ports/reservations/:port', (req, res) => {
+    if (!ports.release(parseInt(req.params.port, 10))) {
+        return res.status(404).json({ error: 'Port not reserved' });
+    }
+    broadcast({ type: 'ports_updated' });
+    res.json({ success: true });
+});
+
+// Update a registered project's name, owner or description
+app.put('/api/ports/projects/:id', (req, res) => {
+    let id;
+    let fields;
+    try {
+        id = normalizeProjectId(req.params.id);
+        fields = normalizeProject(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    if (!ports.getProject(id)) {
+        return res.status(404).json({ error: 'Project not found' });
+    }
+    const project = ports.updateProject(id, fields);
+    broadcast({ type: 'ports_updated' });
+    res.json({ success: true, project });
+});
+
+// ==================== DOCKER ENDPOINTS ====================
+
+// Running containers with their published ports and the apps linked to them
+app.get('/api/docker/containers', async (req, res) => {
+    if (!dockerDiscovery.enabled) {
+        return res.json({ enabled: false, containers: [] });
+    }
+
+    try {
+        const apps = database.getAllApps().map(app => ({ app, container: DockerDiscovery.parse(app.container_info) }));
+        const containers = (await dockerDiscovery.listContainers()).map(({ container, ports }) => ({
+            ...container,
+            ports,
+            appIds: apps.filter(entry => entry.container && entry.container.id === container.id).map(entry => entry.app.id)
+        }));
+        res.json({ enabled: true, containers });
+    } catch (error) {
+        console.error('[Server] Docker error:', error.message);
+        res.status(502).json({ error: `Cannot reach Docker: ${error.message}` });
+    }
+});
+
+// ==================== ACTION ENDPOINTS ====================
+
+// Lifecycle, available actions, the running action and recent runs of an app
+app.get('/api/apps/:id/actions', (req, res) => {
     const app = database.getApp(req.params.id);
     if (!app) {
         return res.status(404).json({ error: 'App not found' });
     }
-    
-    // Update fields
-    const db = require('better-sqlite3')(database.db.name);
-    // Note: In real implementation, add proper update methods
-    
-    const updatedApp = database.getApp(req.params.id);
-    // Convert URL to LAN IP for network accessibility
-    const lanIp = getResponseTargetHost(req);
-    const updatedAppWithLanUrl = {
-        ...updatedApp,
-        url: convertToLANUrl(updatedApp.url, lanIp)
-    };
-    res.json({ success: true, app: updatedAppWithLanUrl });
-});
-
-// Get stats
-app.get('/api/stats', (req, res) => {
-    res.json(database.getStats());
+    res.json(actionRunner.describe(app));
 });
 
-// ==================== SCAN ENDPOINTS ====================
+// Set or remove (lifecycle: null) how an app is started and stopped; the target must be allow-listed
+app.put('/api/apps/:id/lifecycle', authService.require('admin'), (req, res) => {
+    const app = database.getApp(req.params.id);
+    if (!app) {
+        return res.status(404).json({ error: 'App not found' });
+    }
 
-// Start quick scan
-app.post('/api/scan/quick', async (req, res) => {
-    console.log('[Server] Starting quick scan...');
-    broadcast({ type: 'scan_start', mode: 'quick' });
-    
+    let lifecycle;
     try {
-        const discovered = await portScanner.quickScan();
-        
-        // Process discovered servers
-        for (const server of discovered) {
-            // Get page content for AI identification
-            const content = await screenshotAgent.getPageContent(server.url);
-            
-            // Identify using AI
-            const identification = await aiAgent.identifyApp(server.url, content.title, content);
-            
-            // Add to database
-            const app = database.addApp(server.url, server.port, identification.name, identification.category);
-            
-            // Check health
-            const health = await healthChecker.check(server.url);
-            database.recordScan(server.url, health.status, health.responseTime);
-            
-            // Convert URL to LAN IP for network accessibility
-            const lanIp = getResponseTargetHost(req);
-            const appWithLanUrl = {
-                ...app,
-                ...identification,
-                url: convertToLANUrl(app.url, lanIp)
-            };
-            broadcast({ type: 'app_discovered', app: appWithLanUrl });
-        }
-        
-        broadcast({ type: 'scan_complete', mode: 'quick', found: discovered.length });
-        res.json({ success: true, found: discovered.length });
-        
+        lifecycle = normalizeLifecycle(req.body.lifecycle);
+        if (lifecycle) actionRunner.check(app, lifecycle);
     } catch (error) {
-        console.error('[Server] Quick scan error:', error);
-        broadcast({ type: 'scan_error', error: error.message });
-        res.status(500).json({ error: error.message });
+        return res.status(error instanceof ActionNotAllowedError ? 403 : 400).json({ error: error.message });
     }
+
+    database.setLifecycle(app.id, lifecycle);
+    res.json({ success: true, ...actionRunner.describe(database.getApp(app.id)) });
 });
 
-// Start full scan
-app.post('/api/scan/full', async (req, res) => {
-    console.log('[Server] Starting full scan...');
-    broadcast({ type: 'scan_start', mode: 'full' });
-    
+// Start, stop or restart an app; output streams over Socket.IO (action_output, action_complete)
+app.post('/api/apps/:id/actions/:action', (req, res) => {
+    const app = database.getApp(req.params.id);
+    if (!app) {
+        return res.status(404).json({ error: 'App not found' });
+    }
+    if (!ACTIONS.includes(req.params.action)) {
+        return res.status(400).json({ error: `Action must be one of: ${ACTIONS.join(', ')}` });
+    }
+
     try {
-        const discovered = await portScanner.scan();
-        
-        // Process discovered servers
-        for (const server of discovered) {
-            const content = await screenshotAgent.getPageContent(server.url);
-            const identification = await aiAgent.identifyApp(server.url, content.title, content);
-            const app = database.addApp(server.url, server.port, identification.name, identification.category);
-            
-            const health = await healthChecker.check(server.url);
-            database.recordScan(server.url, health.status, health.responseTime);
-            
-            // Update metadata if available
-            if (health.metaData) {
-                database.updateMetadata(
-                    server.url,
-                    health.metaData.name,
-                    health.metaData.description,
-                    health.metaData.category
-                );
-            }
-            
-            // Convert URL to LAN IP for network accessibility
-            const lanIp = getResponseTargetHost(req);
-            const appWithLanUrl = {
-                ...app,
-                ...identification,
-                url: convertToLANUrl(app.url, lanIp)
-            };
-            broadcast({ type: 'app_discovered', app: appWithLanUrl });
-        }
-        
-        broadcast({ type: 'scan_complete', mode: 'full', found: discovered.length });
-        res.json({ success: true, found: discovered.length });
-        
+        const run = actionRunner.run(app, req.params.action, authService.actorName(req.auth, req.ip));
+        broadcast({ type: 'action_start', run });
+        res.status(202).json({ success: true, run });
     } catch (error) {
-        console.error('[Server] Full scan error:', error);
-        broadcast({ type: 'scan_error', error: error.message });
-        res.status(500).json({ error: error.message });
+        if (error instanceof ActionNotAllowedError) {
+            return res.status(403).json({ error: error.message });
+        }
+        if (error instanceof ActionBusyError) {
+            return res.status(409).json({ error: error.message, run: error.run });
+        }
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Audit trail of actions across all apps (?appId=, ?limit=)
+app.get('/api/actions/audit', (req, res) => {
+    const appId = req.query.appId ? parseInt(req.query.appId, 10) : null;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    if (Number.isNaN(appId)) {
+        return res.status(400).json({ error: 'Invalid app ID' });
+    }
+    res.json({ runs: actions.getRuns({ appId, limit }) });
+});
+
+// ==================== NOTIFICATION ENDPOINTS ====================
+
+// List configured notification channels (secrets masked)
+app.get('/api/notifications/channels', (req, res) => {
+    res.json({ enabled: notifier.enabled, channels: notifier.listChannels() });
+});
+
+// Send a test notification to one channel ({ channel: id }) or to all channels
+app.post('/api/notifications/test', async (req, res) => {
+    const channelId = req.body && req.body.channel;
+    if (channelId && !notifier.channels.has(channelId)) {
+        return res.status(404).json({ error: 'Channel not found' });
+    }
+    if (notifier.channels.size === 0) {
+        return res.status(400).json({ error: 'No notification channels configured' });
     }
+
+    const results = await notifier.sendTest(channelId || null);
+    res.json({ success: results.every(r => r.success), results });
 });
 
 // Health check all apps
@@ -280,9 +1164,10 @@ app.post('/api/health-check', async (req, res) => {
         
         let online = 0;
         let offline = 0;
+        let degraded = 0;
         
         for (const result of results) {
-            database.recordScan(result.url, result.status, result.responseTime);
+            recordHealth(result);
             
             // Update metadata if available
             if (result.metaData && result.status === 'online') {
@@ -295,13 +1180,14 @@ app.post('/api/health-check', async (req, res) => {
             }
             
             if (result.status === 'online') online++;
+            else if (result.status === 'degraded') degraded++;
             else offline++;
             
             broadcast({ type: 'health_update', ...result });
         }
         
-        broadcast({ type: 'health_check_complete', online, offline });
-        res.json({ success: true, online, offline });
+        broadcast({ type: 'health_check_complete', online, offline, degraded });
+        res.json({ success: true, online, offline, degraded });
         
     } catch (error) {
         console.error('[Server] Health check error:', error);
@@ -309,35 +1195,160 @@ app.post('/api/health-check', async (req, res) => {
     }
 });
 
+/**
+ * URLs of an app's current screenshot per size. The version parameter changes with the
+ * image, so browsers may cache each URL for good.
+ */
+function screenshotUrls(app) {
+    if (!app.screenshot_hash) return null;
+    const base = `/api/apps/${app.id}/screenshot?v=${app.screenshot_hash.slice(0, 12)}`;
+    return {
+        thumb: `${base}&size=thumb`,
+        card: `${base}&size=card`,
+        full: `${base}&size=full`
+    };
+}
+
+/**
+ * Answer an image request from the image store in the size and format asked for
+ * (?size=, ?format= or the Accept header), with an ETag for revalidation
+ * @param {boolean} immutable - The URL always shows this image, so it may be cached for good
+ */
+async function sendScreenshot(req, res, hash, { immutable = false, defaultSize = 'card' } = {}) {
+    let size, format;
+    try {
+        ({ size, format } = ScreenshotRenderer.negotiate({
+            size: req.query.size,
+            format: req.query.format,
+            accept: req.get('Accept')
+        }, defaultSize));
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    res.set({
+        ETag: `"${hash.slice(0, 16)}-${size}-${format}"`,
+        'Cache-Control': immutable ? 'private, max-age=31536000, immutable' : 'private, no-cache',
+        Vary: 'Accept'
+    });
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    try {
+        const image = await screenshotRenderer.render(hash, size, format);
+        if (!image) {
+            return res.status(404).json({ error: 'Screenshot file missing' });
+        }
+        res.type(image.contentType).send(image.buffer);
+    } catch (error) {
+        console.error('[Server] Screenshot render error:', error);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+/**
+ * The app's capture recipe with its secrets, or null to capture without signing in
+ */
+function captureRecipeFor(app) {
+    try {
+        return resolveCaptureRecipe(captureRecipes.get(app.id));
+    } catch (error) {
+        console.error(`[Server] Capture recipe of ${app.url} not usable:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Store a new screenshot of an app and add it to the app's history for change detection
+ */
+async function storeScreenshot(app, result) {
+    const hash = imageStore.put(result.buffer);
+    database.updateScreenshot(app.id, hash);
+    await visualChangeMonitor.record(app, hash, { maintenance: !!maintenanceService.activeWindow(app) });
+    return hash;
+}
+
+/**
+ * Delete screenshot files no app or history entry shows any more
+ */
+function sweepScreenshots() {
+    const removed = imageStore.sweep(screenshots.referencedHashes());
+    if (removed > 0) {
+        console.log(`[Server] Removed ${removed} unused screenshot file(s)`);
+    }
+}
+
+let screenshotRefresh = null;
+
+/**
+ * Capture new screenshots of all online web apps through the screenshot agent's page pool,
+ * announcing each one over Socket.IO. A refresh asked for while one runs joins the running one.
+ */
+function refreshScreenshots() {
+    if (!screenshotRefresh) {
+        screenshotRefresh = captureAllScreenshots().finally(() => {
+            screenshotRefresh = null;
+        });
+    }
+    return screenshotRefresh;
+}
+
+async function captureAllScreenshots() {
+    // Only web apps can be screenshotted; fingerprinted services have no UI
+    const apps = database.getOnlineApps().filter(app => isHttpUrl(app.url));
+    let done = 0;
+
+    await Promise.all(apps.map(async (app) => {
+        console.log(`[Server] Capturing screenshot for ${app.url}...`);
+        const result = await screenshotAgent.captureScreenshot(app.url, app.id, captureRecipeFor(app));
+
+        // A screenshot that cannot be stored fails on its own, not the whole refresh
+        let hash = null;
+        if (result.success) {
+            try {
+                hash = await storeScreenshot(app, result);
+            } catch (error) {
+                console.error(`[Server] Could not store screenshot of ${app.url}:`, error.message);
+                result.error = error.message;
+            }
+        }
+
+        if (hash) {
+            broadcast({
+                type: 'screenshot_updated',
+                appId: app.id,
+                success: true,
+                screenshots: screenshotUrls({ id: app.id, screenshot_hash: hash })
+            });
+        } else {
+            broadcast({
+                type: 'screenshot_updated',
+                appId: app.id,
+                success: false,
+                error: result.error
+            });
+        }
+
+        done++;
+        broadcast({
+            type: 'screenshot_progress',
+            done,
+            total: apps.length,
+            ...screenshotAgent.queueStatus()
+        });
+    }));
+    // Drop the files of captures that fell out of the history
+    sweepScreenshots();
+}
+
 // Update screenshots
 app.post('/api/screenshots/update', async (req, res) => {
     console.log('[Server] Updating screenshots...');
     broadcast({ type: 'screenshot_update_start' });
     
     try {
-        const apps = database.getOnlineApps();
-        
-        for (const app of apps) {
-            console.log(`[Server] Capturing screenshot for ${app.url}...`);
-            const result = await screenshotAgent.captureScreenshot(app.url, app.id);
-            
-            if (result.success) {
-                database.updateScreenshot(app.id, result.buffer, result.thumbnail);
-                broadcast({ 
-                    type: 'screenshot_updated', 
-                    appId: app.id,
-                    success: true 
-                });
-            } else {
-                broadcast({ 
-                    type: 'screenshot_updated', 
-                    appId: app.id,
-                    success: false,
-                    error: result.error
-                });
-            }
-        }
-        
+        await refreshScreenshots();
         broadcast({ type: 'screenshot_update_complete' });
         res.json({ success: true });
         
@@ -353,29 +1364,7 @@ app.post('/api/screenshots/refresh', async (req, res) => {
     broadcast({ type: 'screenshot_update_start' });
     
     try {
-        const apps = database.getOnlineApps();
-        
-        for (const app of apps) {
-            console.log(`[Server] Capturing screenshot for ${app.url}...`);
-            const result = await screenshotAgent.captureScreenshot(app.url, app.id);
-            
-            if (result.success) {
-                database.updateScreenshot(app.id, result.buffer, result.thumbnail);
-                broadcast({ 
-                    type: 'screenshot_updated', 
-                    appId: app.id,
-                    success: true 
-                });
-            } else {
-                broadcast({ 
-                    type: 'screenshot_updated', 
-                    appId: app.id,
-                    success: false,
-                    error: result.error
-                });
-            }
-        }
-        
+        await refreshScreenshots();
         broadcast({ type: 'screenshot_update_complete' });
         res.json({ success: true });
         
@@ -385,6 +1374,14 @@ app.post('/api/screenshots/refresh', async (req, res) => {
     }
 });
 
+// Page pool of the screenshot agent: captures running and queued, and outcomes since startup
+app.get('/api/screenshots/status', (req, res) => {
+    res.json({
+        refreshing: !!screenshotRefresh,
+        ...screenshotAgent.queueStatus()
+    });
+});
+
 // Update screenshot for a single app
 app.post('/api/apps/:id/screenshot', async (req, res) => {
     const { id } = req.params;
@@ -395,12 +1392,15 @@ app.post('/api/apps/:id/screenshot', async (req, res) => {
         if (!app) {
             return res.status(404).json({ error: 'App not found' });
         }
+        if (!isHttpUrl(app.url)) {
+            return res.status(400).json({ error: 'Screenshots are only available for HTTP applications' });
+        }
         
-        const result = await screenshotAgent.captureScreenshot(app.url, app.id);
+        const result = await screenshotAgent.captureScreenshot(app.url, app.id, captureRecipeFor(app));
         
         if (result.success) {
-            database.updateScreenshot(app.id, result.buffer, result.thumbnail);
-            res.json({ success: true });
+            const hash = await storeScreenshot(app, result);
+            res.json({ success: true, screenshots: screenshotUrls({ id: app.id, screenshot_hash: hash }) });
         } else {
             res.status(500).json({ error: result.error || 'Failed to capture screenshot' });
         }
@@ -411,6 +1411,112 @@ app.post('/api/apps/:id/screenshot', async (req, res) => {
     }
 });
 
+// Screenshot history of an app, newest first, with its unreviewed visual change
+app.get('/api/apps/:id/screenshots', (req, res) => {
+    const app = database.getAppById(req.params.id);
+    if (!app) {
+        return res.status(404).json({ error: 'App not found' });
+    }
+
+    res.json({
+        threshold: visualChangeMonitor.threshold,
+        visualChange: VisualChangeMonitor.parse(app.visual_change),
+        captures: screenshots.getCaptures(app.id)
+    });
+});
+
+// How the screenshot agent signs in to an app, with credentials, cookies and headers masked
+app.get('/api/apps/:id/capture-recipe', (req, res) => {
+    const app = database.getApp(req.params.id);
+    if (!app) {
+        return res.status(404).json({ error: 'App not found' });
+    }
+    res.json({ recipe: describeCaptureRecipe(captureRecipes.get(app.id)) });
+});
+
+// Set or remove (recipe: null) an app's capture recipe; masked secrets keep their stored values
+app.put('/api/apps/:id/capture-recipe', authService.require('admin'), (req, res) => {
+    const app = database.getApp(req.params.id);
+    if (!app) {
+        return res.status(404).json({ error: 'App not found' });
+    }
+    if (!isHttpUrl(app.url)) {
+        return res.status(400).json({ error: 'Capture recipes are only available for HTTP applications' });
+    }
+
+    let normalized;
+    try {
+        // Secrets that cannot be decrypted any more have to be entered again
+        const stored = captureRecipes.get(app.id);
+        normalized = normalizeCaptureRecipe(req.body.recipe, stored && !stored.error ? resolveCaptureRecipe(stored) : null);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    if (normalized) {
+        captureRecipes.set(app.id, normalized.recipe, normalized.secrets);
+    } else {
+        captureRecipes.remove(app.id);
+    }
+    res.json({ success: true, recipe: describeCaptureRecipe(captureRecipes.get(app.id)) });
+});
+
+// Current screenshot of an app (?size=thumb|card|full, ?format=png|webp|avif)
+app.get('/api/apps/:id/screenshot', (req, res) => {
+    const app = database.getAppById(req.params.id);
+    if (!app || !app.screenshot_hash) {
+        return res.status(404).json({ error: app ? 'No screenshot yet' : 'App not found' });
+    }
+    sendScreenshot(req, res, app.screenshot_hash, { immutable: req.query.v === app.screenshot_hash.slice(0, 12) });
+});
+
+// One capture of the history (?size=, ?format= as above); captures never change
+app.get('/api/apps/:id/screenshots/:captureId', (req, res) => {
+    const capture = screenshots.getCapture(req.params.id, req.params.captureId);
+    if (!capture) {
+        return res.status(404).json({ error: 'Screenshot not found' });
+    }
+    sendScreenshot(req, res, capture.image_hash, { immutable: true });
+});
+
+// A capture with what changed since the capture before it in red, as PNG
+app.get('/api/apps/:id/screenshots/:captureId/diff', async (req, res) => {
+    const capture = screenshots.getCapture(req.params.id, req.params.captureId);
+    if (!capture) {
+        return res.status(404).json({ error: 'Screenshot not found' });
+    }
+    const previous = screenshots.getPrevious(req.params.id, capture.id);
+    if (!previous) {
+        return res.status(404).json({ error: 'No earlier screenshot to compare with' });
+    }
+
+    res.set({
+        ETag: `"${previous.image_hash.slice(0, 16)}-${capture.image_hash.slice(0, 16)}-diff"`,
+        'Cache-Control': 'private, max-age=31536000, immutable'
+    });
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    try {
+        res.type('png').send(await visualChangeMonitor.renderDiff(previous.image_hash, capture.image_hash));
+    } catch (error) {
+        console.error('[Server] Screenshot diff error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Mark an app's visual change as reviewed
+app.delete('/api/apps/:id/visual-change', (req, res) => {
+    const app = database.getAppById(req.params.id);
+    if (!app) {
+        return res.status(404).json({ error: 'App not found' });
+    }
+    database.setVisualChange(app.id, null);
+    broadcast({ type: 'visual_change', appId: app.id, name: app.name, reviewed: true });
+    res.json({ success: true });
+});
+
 // Manually add app
 app.post('/api/apps', async (req, res) => {
     const { url, name, category } = req.body;
@@ -422,10 +1528,14 @@ app.post('/api/apps', async (req, res) => {
     try {
         const port = new URL(url).port;
         const app = database.addApp(url, port, name, category || 'Unknown');
+        await refreshProcess(app);
+        if (portConvention.applyGroups(database, groups) > 0) {
+            broadcast({ type: 'groups_updated' });
+        }
         
         // Health check
-        const health = await healthChecker.check(url);
-        database.recordScan(url, health.status, health.responseTime);
+        const health = await healthChecker.checkApp(app);
+        recordHealth(health);
         
         // Convert URL to LAN IP for network accessibility
         const lanIp = getResponseTargetHost(req);
@@ -450,12 +1560,25 @@ app.post('/api/ai/identify/:id', async (req, res) => {
             return res.status(404).json({ error: 'App not found' });
         }
         
-        const content = await screenshotAgent.getPageContent(app.url);
-        const identification = await aiAgent.identifyApp(app.url, content.title, content);
+        // Non-HTTP services are re-identified by fingerprinting them again
+        const processInfo = await refreshProcess(app);
+
+        let identification;
+        if (isHttpUrl(app.url)) {
+            const content = await screenshotAgent.getPageContent(app.url, captureRecipeFor(app));
+            identification = await aiAgent.identifyApp(app.url, content.title, content, {
+                process: processInfo === undefined ? ProcessInspector.parse(app.process_info) : processInfo
+            });
+            // dashboard.* labels of the app's container win over the AI
+            identification = { ...identification, ...DockerDiscovery.labelIdentification(DockerDiscovery.parse(app.container_info)) };
+        } else {
+            const health = await healthChecker.check(app.url);
+            database.updateService(app.url, health.service);
+            identification = ServiceFingerprinter.describe(health.service || { protocol: app.protocol });
+        }
         
-        // Update database
-        const db = require('./database/db');
-        db.addApp(app.url, app.port, identification.name, identification.category);
+        // Update database (fields the user edited stay as they are)
+        database.applyIdentification(app.id, identification);
         
         const updatedApp = database.getApp(req.params.id);
         
@@ -488,7 +1611,7 @@ app.get('/api/ai/status', async (req, res) => {
 });
 
 // Test Ollama connection
-app.post('/api/ai/test', async (req, res) => {
+app.post('/api/ai/test', authService.require('admin'), async (req, res) => {
     try {
         const { baseUrl } = req.body;
         const testAgent = new (require('./agents/aiAgent'))();
@@ -516,7 +1639,7 @@ app.get('/api/ui/config', (req, res) => {
     res.json({ targetHost: config.targetHost || 'localhost' });
 });
 
-app.post('/api/ui/config', (req, res) => {
+app.post('/api/ui/config', authService.require('admin'), (req, res) => {
     const { targetHost } = req.body || {};
     if (targetHost && typeof targetHost === 'string') {
         config.targetHost = targetHost;
@@ -534,7 +1657,7 @@ app.post('/api/ui/config', (req, res) => {
 });
 
 // Set Ollama model
-app.post('/api/ai/model', async (req, res) => {
+app.post('/api/ai/model', authService.require('admin'), async (req, res) => {
     try {
         const { model } = req.body;
         if (!model) {
@@ -552,11 +1675,190 @@ app.post('/api/ai/model', async (req, res) => {
     }
 });
 
+// ==================== CERTIFICATE ENDPOINTS ====================
+
+// TLS certificates of all HTTPS apps, soonest expiry first
+app.get('/api/certificates', (req, res) => {
+    const lanIp = getResponseTargetHost(req);
+    const certificates = certificateMonitor.overview(database.getAllApps())
+        .map(entry => ({ ...entry, url: convertToLANUrl(entry.url, lanIp) }));
+    res.json({ warnDays: certificateMonitor.warnDays, certificates });
+});
+
+// ==================== MAINTENANCE ENDPOINTS ====================
+
+// List maintenance windows that are running or still to come (?appId= covering one app, ?ended=true for past ones too)
+app.get('/api/maintenance', (req, res) => {
+    let app = null;
+    if (req.query.appId) {
+        app = database.getApp(req.query.appId);
+        if (!app) {
+            return res.status(404).json({ error: 'App not found' });
+        }
+    }
+    res.json({ windows: maintenanceService.list({ app, ended: req.query.ended === 'true' }) });
+});
+
+// Schedule a window, or start one now without startsAt
+// ({ title, appId | groupId, startsAt, endsAt | durationMinutes, recurrence, repeatUntil })
+app.post('/api/maintenance', (req, res) => {
+    let fields;
+    try {
+        fields = normalizeMaintenanceWindow(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (fields.app_id && !database.getApp(fields.app_id)) {
+        return res.status(400).json({ error: `No app with ID ${fields.app_id}` });
+    }
+    if (fields.group_id && !groups.getGroup(fields.group_id)) {
+        return res.status(400).json({ error: `No group with ID ${fields.group_id}` });
+    }
+
+    const window = maintenance.createWindow(fields, authService.actorName(req.auth, req.ip));
+    maintenanceService.reload();
+    statusPageService.invalidate();
+    console.log(`[Server] Maintenance "${window.title}" for ${window.app_name || window.group_name} from ${window.starts_at} (${window.recurrence})`);
+    broadcast({ type: 'maintenance_updated' });
+    res.status(201).json({ success: true, window: maintenanceService.describe(window) });
+});
+
+// Delete a window; ends it right away when it is running
+app.delete('/api/maintenance/:id', (req, res) => {
+    if (!maintenance.deleteWindow(req.params.id)) {
+        return res.status(404).json({ error: 'Maintenance window not found' });
+    }
+    maintenanceService.reload();
+    statusPageService.invalidate();
+    broadcast({ type: 'maintenance_updated' });
+    res.json({ success: true });
+});
+
+// ==================== STATUS PAGE ENDPOINTS ====================
+
+/**
+ * Check that the apps and groups a page lists exist
+ * @returns {string|null} Error message for the first missing one
+ */
+function findMissingStatusItem(items) {
+    const missing = (items || []).find(item =>
+        item.type === 'app' ? !database.getApp(item.id) : !groups.getGroup(item.id));
+    return missing ? `No ${missing.type} with ID ${missing.id}` : null;
+}
+
+// List status page definitions
+app.get('/api/status-pages', (req, res) => {
+    res.json({ pages: statusPages.getPages() });
+});
+
+// Create a status page ({ slug, title, description?, notice?, items: [{ type, id, name? }] })
+app.post('/api/status-pages', authService.require('admin'), (req, res) => {
+    let fields;
+    try {
+        fields = normalizeStatusPage(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const missing = findMissingStatusItem(fields.items);
+    if (missing) {
+        return res.status(400).json({ error: missing });
+    }
+    if (statusPages.getPageBySlug(fields.slug)) {
+        return res.status(409).json({ error: 'A status page with this slug already exists' });
+    }
+
+    const page = statusPages.createPage(fields);
+    statusPageService.invalidate(page.slug);
+    res.status(201).json({ success: true, page });
+});
+
+// Update a status page (any of slug, title, description, notice, items)
+app.put('/api/status-pages/:id', authService.require('admin'), (req, res) => {
+    const page = statusPages.getPage(req.params.id);
+    if (!page) {
+        return res.status(404).json({ error: 'Status page not found' });
+    }
+
+    let fields;
+    try {
+        fields = normalizeStatusPage(req.body, true);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const missing = findMissingStatusItem(fields.items);
+    if (missing) {
+        return res.status(400).json({ error: missing });
+    }
+    const existing = fields.slug && statusPages.getPageBySlug(fields.slug);
+    if (existing && existing.id !== page.id) {
+        return res.status(409).json({ error: 'A status page with this slug already exists' });
+    }
+
+    const updated = statusPages.updatePage(page.id, fields);
+    statusPageService.invalidate(page.slug);
+    statusPageService.invalidate(updated.slug);
+    res.json({ success: true, page: updated });
+});
+
+// Delete a status page; its public URL stops working
+app.delete('/api/status-pages/:id', authService.require('admin'), (req, res) => {
+    const page = statusPages.getPage(req.params.id);
+    if (!page || !statusPages.deletePage(page.id)) {
+        return res.status(404).json({ error: 'Status page not found' });
+    }
+    statusPageService.invalidate(page.slug);
+    res.json({ success: true });
+});
+
+// Public status page as JSON, for embedding elsewhere (no login, any origin)
+app.get('/status/:slug.json', (req, res) => {
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Cache-Control', 'public, max-age=30');
+    try {
+        const view = statusPageService.render(req.params.slug);
+        if (!view) {
+            return res.status(404).json({ error: 'Status page not found' });
+        }
+        res.json(view);
+    } catch (error) {
+        console.error('[Server] Status page error:', error);
+        res.status(500).json({ error: 'Status page unavailable' });
+    }
+});
+
+// Public status page (no login); status.js renders it from the JSON variant
+app.get('/status/:slug', (req, res) => {
+    if (!statusPages.getPageBySlug(req.params.slug)) {
+        return res.status(404).type('text').send('Status page not found');
+    }
+    res.sendFile('status.html', { root: 'public' });
+});
+
+// ==================== PROMETHEUS ENDPOINT ====================
+
+// Prometheus scrape target (text exposition format)
+app.get('/metrics', async (req, res) => {
+    try {
+        const body = await prometheusExporter.render();
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(body);
+    } catch (error) {
+        console.error('[Server] Error rendering Prometheus metrics:', error);
+        res.status(500).send(`# Error rendering metrics: ${error.message}\n`);
+    }
+});
+
 // ==================== INITIALIZATION ====================
 
 async function initialize() {
     console.log('[Server] Initializing Local WebApp Monitor...');
 
+    if (authService.enabled) {
+        await authService.seedFromEnv();
+    } else {
+        console.warn('[Server] Authentication is disabled (auth.enabled): anyone who can reach the dashboard can change it');
+    }
+
     // Start server ASAP so the dashboard/API is reachable even if scanning/screenshotting takes time.
     const port = config.dashboardPort === 'auto' ? 3000 : config.dashboardPort;
     const publicHost = getPreferredTarget();
@@ -568,45 +1870,21 @@ async function initialize() {
         console.log('[Server] Ready to monitor your local web applications!');
     });
     
-    // Run quick scan on startup (async, do not block server listen)
-    (async () => {
-        console.log('[Server] Running initial quick scan...');
-        try {
-            const discovered = await portScanner.quickScan();
-
-            for (const srv of discovered) {
-                const content = await screenshotAgent.getPageContent(srv.url);
-                const identification = await aiAgent.identifyApp(srv.url, content.title, content);
-                database.addApp(srv.url, srv.port, identification.name, identification.category);
-
-                const health = await healthChecker.check(srv.url);
-                database.recordScan(srv.url, health.status, health.responseTime);
-
-                console.log(`[Server] Discovered: ${identification.name} at ${srv.url}`);
-            }
+    // Queue a quick scan on startup (runs in the background, does not block server listen)
+    console.log('[Server] Queueing initial quick scan...');
+    jobManager.enqueue('scan', { mode: 'quick' });
+    
+    // Roll up uptime/latency metrics and apply the retention policy in the background
+    metricsService.start();
 
-            console.log(`[Server] Initial scan found ${discovered.length} applications`);
-        } catch (error) {
-            console.error('[Server] Initial scan error:', error);
-        }
-    })();
+    // Screenshot files of apps removed since the last refresh
+    sweepScreenshots();
     
-    // Start periodic health checks
-    setInterval(async () => {
-        console.log('[Server] Running periodic health check...');
-        try {
-            const apps = database.getAllApps();
-            const results = await healthChecker.checkAll(apps);
-            
-            for (const result of results) {
-                database.recordScan(result.url, result.status, result.responseTime);
-            }
-            
-            broadcast({ type: 'periodic_health_check', updated: results.length });
-        } catch (error) {
-            console.error('[Server] Periodic health check error:', error);
-        }
-    }, config.scanIntervalMs);
+    // Check every app on its own interval, and run the scheduled scans and screenshot refreshes
+    const schedules = (config.scheduler && config.scheduler.schedules) || {};
+    scheduler.schedule('fullScan', schedules.fullScan, () => jobManager.enqueue('scan', { mode: 'full' }));
+    scheduler.schedule('screenshots', schedules.screenshots, refreshScreenshots);
+    scheduler.start();
     
     // server.listen() is called above
 }
@@ -0,0 +1,255 @@
+const EventEmitter = require('events');
+const { spawn } = require('child_process');
+const os = require('os');
+const config = require('../config.json');
+const DockerDiscovery = require('../agents/dockerDiscovery');
+const { availableActions, assertAllowed, parseLifecycle } = require('../utils/lifecycle');
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+// Time a timed-out process gets between SIGTERM and SIGKILL
+const KILL_GRACE_MS = 5000;
+
+/**
+ * Error for an action the server refuses to run (reported as HTTP 403):
+ * actions are disabled or the target is not in the allow-list
+ */
+class ActionNotAllowedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ActionNotAllowedError';
+    }
+}
+
+/**
+ * Error for an app that already has an action running (reported as HTTP 409)
+ */
+class ActionBusyError extends Error {
+    constructor(message, run) {
+        super(message);
+        this.name = 'ActionBusyError';
+        this.run = run;
+    }
+}
+
+/**
+ * Action Runner
+ * Starts, stops and restarts apps through the lifecycle stored with them: shell
+ * commands, systemd units (systemctl --user) or Docker containers. Every target must
+ * match config.actions.allow, checked again when the action runs. One action runs per
+ * app at a time; output is emitted as 'output' events while it runs and every run is
+ * recorded in the action_runs audit trail ('finish' carries the final row).
+ */
+class ActionRunner extends EventEmitter {
+    constructor({ database, actions, dockerDiscovery }) {
+        super();
+        this.database = database;
+        this.actions = actions;
+        this.dockerDiscovery = dockerDiscovery;
+
+        const settings = config.actions || {};
+        this.enabled = settings.enabled === true;
+        this.timeout = settings.timeoutMs || DEFAULT_TIMEOUT_MS;
+        this.allow = { commands: [], systemdUnits: [], containers: [], ...settings.allow };
+
+        // appId -> run row of the action in progress
+        this.running = new Map();
+
+        const interrupted = this.actions.interruptStaleRuns();
+        if (interrupted > 0) {
+            console.log(`[ActionRunner] Marked ${interrupted} run(s) cut off by the last shutdown as interrupted`);
+        }
+    }
+
+    /**
+     * Container a docker lifecycle acts on: the configured one, else the one the app was discovered in
+     */
+    containerFor(app, lifecycle) {
+        if (!lifecycle || lifecycle.type !== 'docker') return null;
+        if (lifecycle.container) return lifecycle.container;
+        const linked = DockerDiscovery.parse(app.container_info);
+        return linked ? linked.name || linked.id : null;
+    }
+
+    /**
+     * Throw unless the lifecycle may be stored or run on this server
+     */
+    check(app, lifecycle) {
+        try {
+            assertAllowed(lifecycle, this.containerFor(app, lifecycle), this.allow);
+        } catch (error) {
+            throw new ActionNotAllowedError(error.message);
+        }
+    }
+
+    /**
+     * Action state for an app, as shown in its details
+     */
+    describe(app) {
+        const lifecycle = parseLifecycle(app.lifecycle);
+        return {
+            enabled: this.enabled,
+            lifecycle,
+            container: this.containerFor(app, lifecycle),
+            actions: availableActions(lifecycle),
+            running: this.running.get(app.id) || null,
+            runs: this.actions.getRuns({ appId: app.id, limit: 10 })
+        };
+    }
+
+    /**
+     * Steps an action is made of: [{ label, execute: (log) => Promise<exitCode> }]
+     */
+    plan(app, lifecycle, action) {
+        if (lifecycle.type === 'shell') {
+            // Restart without its own command is stop followed by start
+            const steps = lifecycle[action] ? [action] : ['stop', 'start'];
+            return steps.map(step => ({
+                label: lifecycle[step],
+                execute: (log) => this.spawnProcess(lifecycle[step], [], { shell: true }, log)
+            }));
+        }
+
+        if (lifecycle.type === 'systemd') {
+            const args = ['--user', action, lifecycle.unit];
+            return [{
+                label: `systemctl ${args.join(' ')}`,
+                execute: (log) => this.spawnProcess('systemctl', args, {}, log)
+            }];
+        }
+
+        const container = this.containerFor(app, lifecycle);
+        return [{
+            label: `docker ${action} ${container}`,
+            execute: async (log) => {
+                log('stdout', `${await this.dockerDiscovery.containerAction(container, action, this.timeout)}\n`);
+                return 0;
+            }
+        }];
+    }
+
+    /**
+     * Run a command, streaming its output to log(). Shell commands run in their own
+     * process group so a timeout also stops the processes they started.
+     * @returns {Promise<number>} Exit code
+     */
+    spawnProcess(command, args, options, log) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, args, { ...options, detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+            let timedOut = false;
+
+            const signal = (name) => {
+                try {
+                    process.kill(-child.pid, name);
+                } catch (e) {
+                    // Already gone
+                }
+            };
+            const timer = setTimeout(() => {
+                timedOut = true;
+                log('stderr', `\nTimed out after ${this.timeout} ms, stopping\n`);
+                signal('SIGTERM');
+                setTimeout(() => signal('SIGKILL'), KILL_GRACE_MS).unref();
+            }, this.timeout);
+
+            child.stdout.setEncoding('utf8');
+            child.stderr.setEncoding('utf8');
+            child.stdout.on('data', text => log('stdout', text));
+            child.stderr.on('data', text => log('stderr', text));
+
+            child.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+            child.on('close', (code, sig) => {
+                clearTimeout(timer);
+                if (timedOut) {
+                    const error = new Error('Timed out');
+                    error.timedOut = true;
+                    return reject(error);
+                }
+                resolve(code === null ? 128 + (os.constants.signals[sig] || 0) : code);
+            });
+        });
+    }
+
+    /**
+     * Start an action. Returns the audit row right away; the action finishes in the background.
+     * @param {Object} app - Row from the apps table
+     * @param {string} action - start, stop or restart
+     * @param {string|null} actor - Who asked for it
+     */
+    run(app, action, actor = null) {
+        if (!this.enabled) {
+            throw new ActionNotAllowedError('Actions are disabled on this server (actions.enabled)');
+        }
+
+        const lifecycle = parseLifecycle(app.lifecycle);
+        if (!lifecycle) {
+            throw new Error('This app has no start/stop definition');
+        }
+        if (!availableActions(lifecycle).includes(action)) {
+            throw new Error(`This app has no ${action} command`);
+        }
+        // The allow-list may have changed since the lifecycle was saved
+        this.check(app, lifecycle);
+
+        const busy = this.running.get(app.id);
+        if (busy) {
+            throw new ActionBusyError(`An action (${busy.action}) is already running for this app`, busy);
+        }
+
+        const steps = this.plan(app, lifecycle, action);
+        const run = this.actions.startRun({
+            appId: app.id,
+            appName: app.name,
+            action,
+            type: lifecycle.type,
+            command: steps.map(step => step.label).join(' && '),
+            actor
+        });
+        this.running.set(app.id, run);
+        console.log(`[ActionRunner] ${action} ${app.name || app.url} (${run.command}) by ${actor || 'unknown'}`);
+
+        this.execute(app, run, steps);
+        return run;
+    }
+
+    /**
+     * Run the steps in order, stopping at the first that fails, and record the result
+     */
+    async execute(app, run, steps) {
+        let output = '';
+        const log = (stream, text) => {
+            output += text;
+            this.emit('output', { runId: run.id, appId: app.id, stream, text });
+        };
+
+        let status = 'succeeded';
+        let exitCode = 0;
+        for (const step of steps) {
+            if (steps.length > 1) log('stdout', `$ ${step.label}\n`);
+            try {
+                exitCode = await step.execute(log);
+            } catch (error) {
+                exitCode = null;
+                status = error.timedOut ? 'timeout' : 'failed';
+                if (!error.timedOut) log('stderr', `${error.message}\n`);
+                break;
+            }
+            if (exitCode !== 0) {
+                status = 'failed';
+                break;
+            }
+        }
+
+        const finished = this.actions.finishRun(run.id, { status, exitCode, output });
+        this.running.delete(app.id);
+        console.log(`[ActionRunner] ${run.action} ${app.name || app.url}: ${status}${exitCode ? ` (exit ${exitCode})` : ''}`);
+        this.emit('finish', { run: finished });
+    }
+}
+
+module.exports = ActionRunner;
+module.exports.ActionNotAllowedError = ActionNotAllowedError;
+module.exports.ActionBusyError = ActionBusyError;
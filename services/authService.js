@@ -0,0 +1,336 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const config = require('../config.json');
+const { ROLE_SCOPES, normalizeNewUser } = require('../utils/authFields');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'wam_session';
+const TOKEN_PREFIX = 'wam_';
+const KEY_LENGTH = 64;
+
+const DEFAULTS = {
+    enabled: true,
+    sessionTtlHours: 168,
+    maxLoginAttempts: 5,
+    lockoutMinutes: 15
+};
+
+// Identity of every request while auth is switched off
+const UNAUTHENTICATED = { user: null, scopes: ROLE_SCOPES.admin, via: 'disabled' };
+
+/**
+ * Error with the HTTP status it should be reported as (401, 403, 409 or 429)
+ */
+class AuthError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Cookies of a request as an object
+ */
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of String(header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            try {
+                cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+            } catch (e) {
+                // Malformed cookie from another app on the same host; not ours
+            }
+        }
+    }
+    return cookies;
+}
+
+/**
+ * Auth Service
+ * Local users with scrypt-hashed passwords, cookie sessions for the dashboard and
+ * scoped API tokens (Authorization: Bearer wam_...) for scripts. Users are viewers
+ * (read only) or admins; a token has the scopes it was created with, limited to what
+ * its owner's role allows at the time of each request.
+ */
+class AuthService {
+    constructor({ auth }) {
+        this.auth = auth;
+        this.settings = { ...DEFAULTS, ...config.auth };
+        this.enabled = this.settings.enabled !== false;
+
+        // `${ip}|${username}` -> { count, since } of recent failed logins
+        this.failures = new Map();
+        // Compared against when the user does not exist, so timing does not reveal valid usernames
+        this.dummyHash = null;
+    }
+
+    static async hashPassword(password) {
+        const salt = crypto.randomBytes(16);
+        const hash = await scrypt(password, salt, KEY_LENGTH);
+        return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+    }
+
+    static async verifyPassword(password, stored) {
+        const [scheme, salt, hash] = String(stored || '').split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) return false;
+        const expected = Buffer.from(hash, 'base64');
+        const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * Whether the first admin still has to be created
+     */
+    needsSetup() {
+        return this.enabled && this.auth.countUsers() === 0;
+    }
+
+    /**
+     * Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when there are no users yet
+     */
+    async seedFromEnv() {
+        if (!this.needsSetup()) return;
+
+        const { ADMIN_USERNAME: username, ADMIN_PASSWORD: password } = process.env;
+        if (username && password) {
+            try {
+                await this.createUser(normalizeNewUser({ username, password, role: 'admin' }));
+                console.log(`[Auth] Created admin "${username}" from ADMIN_USERNAME/ADMIN_PASSWORD`);
+            } catch (error) {
+                console.error(`[Auth] Cannot create admin from ADMIN_USERNAME/ADMIN_PASSWORD: ${error.message}`);
+            }
+        } else {
+            console.warn('[Auth] No users yet: open the dashboard to create the first admin account');
+        }
+    }
+
+    async createUser({ username, password, role }) {
+        if (this.auth.getUserByName(username)) {
+            throw new AuthError(`User ${username} already exists`, 409);
+        }
+        return this.auth.createUser({ username, passwordHash: await AuthService.hashPassword(password), role });
+    }
+
+    /**
+     * Create the first admin; refused once any user exists
+     */
+    async setup({ username, password }) {
+        if (!this.needsSetup()) {
+            throw new AuthError('Setup is already done', 409);
+        }
+        const user = await this.createUser({ username, password, role: 'admin' });
+        console.log(`[Auth] Created first admin "${username}"`);
+        return user;
+    }
+
+    /**
+     * Check credentials and open a session
+     * @returns {Promise<{user: Object, sessionToken: string}>}
+     */
+    async login({ username, password }, { ip = null, userAgent = null } = {}) {
+        const key = `${ip}|${username.toLowerCase()}`;
+        const windowMs = this.settings.lockoutMinutes * 60000;
+        const failed = this.failures.get(key);
+        if (failed && Date.now() - failed.since < windowMs && failed.count >= this.settings.maxLoginAttempts) {
+            throw new AuthError(`Too many failed logins, try again in ${this.settings.lockoutMinutes} minutes`, 429);
+        }
+
+        const row = this.auth.getUserByName(username);
+        if (!row && !this.dummyHash) {
+            this.dummyHash = await AuthService.hashPassword(crypto.randomBytes(16).toString('hex'));
+        }
+        const valid = await AuthService.verifyPassword(password, row ? row.password_hash : this.dummyHash);
+
+        if (!row || !valid) {
+            this.pruneFailures(windowMs);
+            const entry = failed && Date.now() - failed.since < windowMs ? failed : { count: 0, since: Date.now() };
+            entry.count++;
+            this.failures.set(key, entry);
+            console.warn(`[Auth] Failed login for "${username}" from ${ip}`);
+            throw new AuthError('Invalid username or password');
+        }
+
+        this.failures.delete(key);
+        const sessionToken = crypto.randomBytes(32).toString('base64url');
+        this.auth.createSession({
+            id: sha256(sessionToken),
+            userId: row.id,
+            ip,
+            userAgent: userAgent ? String(userAgent).substring(0, 200) : null,
+            ttlHours: this.settings.sessionTtlHours
+        });
+        this.auth.markLogin(row.id);
+        console.log(`[Auth] ${row.username} logged in from ${ip}`);
+
+        return { user: this.auth.getUser(row.id), sessionToken };
+    }
+
+    /**
+     * Forget failed logins older than the lockout window
+     */
+    pruneFailures(windowMs) {
+        for (const [key, entry] of this.failures) {
+            if (Date.now() - entry.since >= windowMs) this.failures.delete(key);
+        }
+    }
+
+    /**
+     * Change a user's password after checking the current one; ends their other sessions
+     */
+    async changePassword(identity, { currentPassword, newPassword }) {
+        const valid = await AuthService.verifyPassword(currentPassword, this.auth.getPasswordHash(identity.user.id));
+        if (!valid) {
+            throw new AuthError('Current password is wrong', 403);
+        }
+        this.auth.setPasswordHash(identity.user.id, await AuthService.hashPassword(newPassword));
+        this.auth.deleteUserSessions(identity.user.id, identity.sessionId || null);
+    }
+
+    /**
+     * Set a user's password without the current one (admins); ends all their sessions
+     */
+    async resetPassword(userId, password) {
+        this.auth.setPasswordHash(userId, await AuthService.hashPassword(password));
+        this.auth.deleteUserSessions(userId);
+    }
+
+    /**
+     * Create an API token. The plain token is only returned here; the database keeps its hash.
+     * @returns {{token: string, record: Object}}
+     */
+    createToken(user, { name, scopes, expiresInDays }) {
+        const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+        const record = this.auth.createToken({
+            userId: user.id,
+            name,
+            tokenHash: sha256(token),
+            prefix: token.substring(0, TOKEN_PREFIX.length + 6),
+            scopes,
+            expiresInDays
+        });
+        console.log(`[Auth] ${user.username} created API token "${name}" (${scopes.join(', ')})`);
+        return { token, record };
+    }
+
+    /**
+     * Who is making a request: from an API token (Authorization: Bearer, or `token`
+     * for Socket.IO handshakes) or the session cookie
+     * @param {Object} headers - Request headers
+     * @param {string} [token] - Token passed outside the headers
+     * @returns {Object|null} { user, scopes, via: 'token'|'session', sessionId?, tokenId?, tokenName? }
+     */
+    identify(headers, token = null) {
+        if (!this.enabled) return UNAUTHENTICATED;
+
+        const bearer = String(headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+        const apiToken = bearer ? bearer[1] : token;
+        if (apiToken) {
+            const row = this.auth.getTokenUser(sha256(apiToken));
+            if (!row) return null;
+            const { token_id: tokenId, token_name: tokenName, token_scopes: tokenScopes, ...user } = row;
+            return {
+                user,
+                scopes: tokenScopes.filter(scope => (ROLE_SCOPES[user.role] || []).includes(scope)),
+                via: 'token',
+                tokenId,
+                tokenName
+            };
+        }
+
+        const sessionToken = parseCookies(headers.cookie)[SESSION_COOKIE];
+        if (!sessionToken) return null;
+        const row = this.auth.getSessionUser(sha256(sessionToken));
+        if (!row) return null;
+        const { session_id: sessionId, ...user } = row;
+        return { user, scopes: ROLE_SCOPES[user.role] || [], via: 'session', sessionId };
+    }
+
+    /**
+     * End the session a request was made with
+     */
+    logout(headers) {
+        const sessionToken = parseCookies(headers.cookie)[SESSION_COOKIE];
+        if (sessionToken) this.auth.deleteSession(sha256(sessionToken));
+    }
+
+    /**
+     * Name recorded as the actor of audited actions
+     */
+    actorName(identity, fallback = null) {
+        if (!identity || !identity.user) return fallback;
+        return identity.via === 'token' ? `${identity.user.username} (token ${identity.tokenName})` : identity.user.username;
+    }
+
+    /**
+     * Set-Cookie value for a session (or to clear it, without a token)
+     */
+    sessionCookie(req, sessionToken = null) {
+        const attributes = ['Path=/', 'HttpOnly', 'SameSite=Lax'];
+        if (req.secure) attributes.push('Secure');
+        if (!sessionToken) {
+            return [`${SESSION_COOKIE}=`, ...attributes, 'Max-Age=0'].join('; ');
+        }
+        return [`${SESSION_COOKIE}=${sessionToken}`, ...attributes, `Max-Age=${this.settings.sessionTtlHours * 3600}`].join('; ');
+    }
+
+    /**
+     * Express middleware for the API: identifies the caller as req.auth and requires
+     * the read scope for GET/HEAD and write for everything else. Routes under
+     * `publicPrefix` (login, setup) only get req.auth and check access themselves.
+     */
+    protect({ publicPrefix = null } = {}) {
+        return (req, res, next) => {
+            req.auth = this.identify(req.headers);
+            if (publicPrefix && req.path.startsWith(publicPrefix)) return next();
+
+            const scope = ['GET', 'HEAD'].includes(req.method) ? 'read' : 'write';
+            this.require(scope)(req, res, next);
+        };
+    }
+
+    /**
+     * Express middleware requiring a scope (or only a signed-in user, without one).
+     * `sessionOnly` refuses API tokens, for account changes such as passwords.
+     */
+    require(scope = null, { sessionOnly = false } = {}) {
+        return (req, res, next) => {
+            const identity = req.auth;
+            if (!identity) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+            if (scope && !identity.scopes.includes(scope)) {
+                return res.status(403).json({ error: `This needs the ${scope} permission` });
+            }
+            if (sessionOnly && identity.via === 'token') {
+                return res.status(403).json({ error: 'API tokens cannot do this; sign in to the dashboard' });
+            }
+            if (sessionOnly && !identity.user) {
+                return res.status(409).json({ error: 'Authentication is disabled on this server (auth.enabled)' });
+            }
+            next();
+        };
+    }
+
+    /**
+     * Socket.IO middleware: connections need a session cookie or a read token
+     * (io({ auth: { token } })); the identity is kept as socket.data.auth
+     */
+    socketMiddleware() {
+        return (socket, next) => {
+            const identity = this.identify(socket.request.headers, socket.handshake.auth?.token || null);
+            if (!identity || !identity.scopes.includes('read')) {
+                return next(new Error('Unauthorized'));
+            }
+            socket.data.auth = identity;
+            next();
+        };
+    }
+}
+
+module.exports = AuthService;
+module.exports.AuthError = AuthError;
@@ -0,0 +1,134 @@
+const EventEmitter = require('events');
+const config = require('../config.json');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_WARN_DAYS = [30, 14, 7];
+
+/**
+ * Certificate Monitor
+ * Judges the TLS certificates of HTTPS apps: how long until they expire and whether
+ * they are self-signed, untrusted or issued for another host name.
+ *
+ * An alert goes out each time a certificate gets within another of the
+ * `certificates.warnDays` thresholds, and once more when it has expired. The lowest
+ * threshold alerted is stored per app (tls_alerted_days, 0 = expired), so restarts
+ * do not repeat alerts and a renewed certificate starts over. During a maintenance
+ * window nothing is alerted or stored, so a threshold crossed then is alerted by the
+ * first check after the window.
+ *
+ * Emits 'alert' with { event: 'certificate_expiring'|'certificate_expired', app, certificate, daysLeft }.
+ */
+class CertificateMonitor extends EventEmitter {
+    constructor({ database }) {
+        super();
+        const settings = config.certificates || {};
+        this.database = database;
+        this.warnDays = (settings.warnDays || DEFAULT_WARN_DAYS)
+            .filter(days => Number.isFinite(days) && days > 0)
+            .sort((a, b) => b - a);
+    }
+
+    /**
+     * Parse the tls_certificate column
+     */
+    static parse(value) {
+        if (!value) return null;
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    static daysLeft(certificate, now = Date.now()) {
+        return (new Date(certificate.validTo).getTime() - now) / DAY_MS;
+    }
+
+    /**
+     * Lowest threshold a certificate with `daysLeft` is within (0 once expired),
+     * or null while it is further out than all of them
+     */
+    threshold(daysLeft) {
+        if (daysLeft <= 0) return 0;
+        const within = this.warnDays.filter(days => daysLeft <= days);
+        return within.length > 0 ? within[within.length - 1] : null;
+    }
+
+    /**
+     * A certificate with its rating: status ok, warning (within a threshold),
+     * critical (within the lowest one) or expired, and the problems found besides expiry
+     */
+    describe(certificate, now = Date.now()) {
+        if (!certificate || !certificate.validTo) return null;
+
+        const daysLeft = CertificateMonitor.daysLeft(certificate, now);
+        const threshold = this.threshold(daysLeft);
+        let status = 'ok';
+        if (threshold === 0) {
+            status = 'expired';
+        } else if (threshold !== null) {
+            status = threshold === this.warnDays[this.warnDays.length - 1] ? 'critical' : 'warning';
+        }
+
+        const problems = [];
+        if (certificate.selfSigned) {
+            problems.push('Self-signed');
+        } else if (!certificate.trusted) {
+            problems.push(`Not trusted (${certificate.trustError})`);
+        }
+        if (certificate.hostnameMatches === false) {
+            problems.push('Issued for another host name');
+        }
+        if (certificate.validFrom && new Date(certificate.validFrom).getTime() > now) {
+            problems.push('Not valid yet');
+        }
+
+        return { ...certificate, status, daysLeft: Math.floor(daysLeft), problems };
+    }
+
+    /**
+     * Feed the certificate an app's latest check found
+     * @param {Object} app - Row from the apps table (with tls_alerted_days as stored before this check)
+     * @param {Object} [options]
+     * @param {boolean} [options.maintenance=false] - The app is in a maintenance window
+     */
+    observe(app, certificate, { maintenance = false } = {}) {
+        if (!app || !certificate || !certificate.validTo || maintenance) return;
+
+        const daysLeft = CertificateMonitor.daysLeft(certificate);
+        const threshold = this.threshold(daysLeft);
+        const alerted = app.tls_alerted_days ?? null;
+        if (threshold === alerted) return;
+
+        this.database.setCertificateAlert(app.id, threshold);
+        // Further out than before: the certificate was renewed, which needs no alert
+        if (threshold === null || (alerted !== null && threshold > alerted)) return;
+
+        this.emit('alert', {
+            event: threshold === 0 ? 'certificate_expired' : 'certificate_expiring',
+            app,
+            certificate,
+            daysLeft: Math.floor(daysLeft)
+        });
+    }
+
+    /**
+     * Certificates of all apps that have one, soonest expiry first
+     */
+    overview(apps, now = Date.now()) {
+        return apps
+            .map(app => ({ app, certificate: this.describe(CertificateMonitor.parse(app.tls_certificate), now) }))
+            .filter(entry => entry.certificate)
+            .map(({ app, certificate }) => ({
+                appId: app.id,
+                name: app.name,
+                url: app.url,
+                status: app.status,
+                certificate
+            }))
+            .sort((a, b) => a.certificate.daysLeft - b.certificate.daysLeft);
+    }
+}
+
+module.exports = CertificateMonitor;
@@ -0,0 +1,63 @@
+const axios = require('axios');
+
+// Sidebar / embed colours per severity
+const COLORS = {
+    offline: '#ef4444',
+    degraded: '#f59e0b',
+    ok: '#10b981',
+    info: '#5046e5'
+};
+
+/**
+ * Incoming-webhook payloads for the supported chat services
+ */
+const FORMATTERS = {
+    slack: (n) => ({
+        text: n.title,
+        attachments: [{
+            color: COLORS[n.severity] || COLORS.info,
+            title: n.title,
+            title_link: n.app && n.app.url,
+            text: n.text,
+            ts: Math.floor(new Date(n.timestamp).getTime() / 1000)
+        }]
+    }),
+    discord: (n) => ({
+        content: n.title,
+        embeds: [{
+            title: n.app ? n.app.name : n.title,
+            url: n.app && /^https?:/.test(n.app.url) ? n.app.url : undefined,
+            description: n.text,
+            color: parseInt((COLORS[n.severity] || COLORS.info).slice(1), 16),
+            timestamp: n.timestamp
+        }]
+    }),
+    teams: (n) => ({
+        '@type': 'MessageCard',
+        '@context': 'http://schema.org/extensions',
+        themeColor: (COLORS[n.severity] || COLORS.info).slice(1),
+        summary: n.title,
+        title: n.title,
+        text: n.text.replace(/\n/g, '<br>')
+    })
+};
+
+/**
+ * Chat Channel
+ * Posts to a Slack, Discord or Microsoft Teams incoming webhook
+ */
+class ChatChannel {
+    constructor(options) {
+        this.type = options.type;
+        this.url = options.url;
+        this.timeout = options.timeoutMs || 10000;
+        if (!FORMATTERS[this.type]) throw new Error(`Unsupported chat service "${this.type}"`);
+        if (!this.url) throw new Error(`${this.type} channel requires a webhook url`);
+    }
+
+    async send(notification) {
+        await axios.post(this.url, FORMATTERS[this.type](notification), { timeout: this.timeout });
+    }
+}
+
+module.exports = ChatChannel;
@@ -0,0 +1,45 @@
+const { sendMail } = require('../../utils/smtpClient');
+
+/**
+ * Email Channel
+ * Sends plain-text alerts over SMTP
+ */
+class EmailChannel {
+    constructor(options) {
+        this.transport = {
+            host: options.host,
+            port: options.port,
+            secure: options.secure,
+            starttls: options.starttls,
+            user: options.user,
+            pass: options.pass,
+            rejectUnauthorized: options.rejectUnauthorized,
+            timeoutMs: options.timeoutMs
+        };
+        this.from = options.from || 'webapp-monitor@localhost';
+        this.to = options.to;
+        this.subjectPrefix = options.subjectPrefix ?? '[WebApp Monitor]';
+        if (!this.transport.host) throw new Error('Email channel requires an SMTP host');
+        if (!this.to || this.to.length === 0) throw new Error('Email channel requires at least one recipient');
+    }
+
+    async send(notification) {
+        const lines = [notification.text, ''];
+        if (notification.app) {
+            lines.push(`App:      ${notification.app.name}`);
+            lines.push(`URL:      ${notification.app.url}`);
+            if (notification.app.host) lines.push(`Host:     ${notification.app.host}`);
+            if (notification.app.category) lines.push(`Category: ${notification.app.category}`);
+        }
+        lines.push(`Time:     ${notification.timestamp}`);
+
+        await sendMail(this.transport, {
+            from: this.from,
+            to: this.to,
+            subject: `${this.subjectPrefix} ${notification.title}`.trim(),
+            text: lines.join('\n')
+        });
+    }
+}
+
+module.exports = EmailChannel;
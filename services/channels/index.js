@@ -0,0 +1,31 @@
+const WebhookChannel = require('./webhookChannel');
+const ChatChannel = require('./chatChannel');
+const EmailChannel = require('./emailChannel');
+const PushChannel = require('./pushChannel');
+
+// Channel "type" in config.json -> implementation
+const CHANNEL_TYPES = {
+    webhook: WebhookChannel,
+    slack: ChatChannel,
+    discord: ChatChannel,
+    teams: ChatChannel,
+    email: EmailChannel,
+    ntfy: PushChannel,
+    gotify: PushChannel
+};
+
+/**
+ * Build a channel from its config entry. Throws on unknown types or missing settings.
+ */
+function createChannel(definition) {
+    const Channel = CHANNEL_TYPES[definition.type];
+    if (!Channel) {
+        throw new Error(`Unknown notification channel type "${definition.type}"`);
+    }
+    return new Channel(definition);
+}
+
+module.exports = {
+    CHANNEL_TYPES,
+    createChannel
+};
@@ -0,0 +1,77 @@
+const axios = require('axios');
+
+// Push priorities: ntfy uses 1-5, Gotify 0-10
+const PRIORITIES = {
+    ntfy: { offline: 5, degraded: 4, ok: 3, info: 3 },
+    gotify: { offline: 8, degraded: 5, ok: 2, info: 2 }
+};
+
+const NTFY_TAGS = {
+    offline: 'rotating_light',
+    degraded: 'warning',
+    ok: 'white_check_mark',
+    info: 'information_source'
+};
+
+/**
+ * Push Channel
+ * Publishes to an ntfy topic or a Gotify server over plain HTTP
+ */
+class PushChannel {
+    constructor(options) {
+        this.type = options.type;
+        this.server = (options.server || (this.type === 'ntfy' ? 'https://ntfy.sh' : '')).replace(/\/+$/, '');
+        this.topic = options.topic;
+        this.token = options.token;
+        this.timeout = options.timeoutMs || 10000;
+        if (!PRIORITIES[this.type]) throw new Error(`Unsupported push service "${this.type}"`);
+        if (this.type === 'ntfy' && !this.topic) throw new Error('ntfy channel requires a topic');
+        if (this.type === 'gotify' && (!this.server || !this.token)) throw new Error('Gotify channel requires a server and an app token');
+    }
+
+    async send(notification) {
+        const priority = PRIORITIES[this.type][notification.severity] || PRIORITIES[this.type].info;
+
+        if (this.type === 'ntfy') {
+            const headers = {
+                Title: notification.title,
+                Priority: String(priority),
+                Tags: NTFY_TAGS[notification.severity] || NTFY_TAGS.info
+            };
+            if (notification.app && /^https?:/.test(notification.app.url)) headers.Click = notification.app.url;
+            if (this.token) headers.Authorization = `Bearer ${this.token}`;
+
+            // ntfy reads headers as latin1; fall back to the JSON API for anything else
+            if (/^[\x20-\xff]*$/.test(notification.title)) {
+                await axios.post(`${this.server}/${encodeURIComponent(this.topic)}`, notification.text, {
+                    timeout: this.timeout,
+                    headers: { ...headers, 'Content-Type': 'text/plain; charset=utf-8' }
+                });
+            } else {
+                await axios.post(this.server, {
+                    topic: this.topic,
+                    title: notification.title,
+                    message: notification.text,
+                    priority,
+                    tags: [headers.Tags],
+                    click: headers.Click
+                }, {
+                    timeout: this.timeout,
+                    headers: this.token ? { Authorization: headers.Authorization } : {}
+                });
+            }
+            return;
+        }
+
+        await axios.post(`${this.server}/message`, {
+            title: notification.title,
+            message: notification.text,
+            priority
+        }, {
+            timeout: this.timeout,
+            headers: { 'X-Gotify-Key': this.token }
+        });
+    }
+}
+
+module.exports = PushChannel;
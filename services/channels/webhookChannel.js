@@ -0,0 +1,56 @@
+const axios = require('axios');
+
+/**
+ * Look up a dotted path ("app.name") in the notification
+ */
+function lookup(notification, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), notification);
+}
+
+/**
+ * Replace {{path}} placeholders with values from the notification.
+ * Inside JSON templates values are JSON-escaped so quotes in app names
+ * or error messages cannot break the document.
+ */
+function renderTemplate(template, notification, json) {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+        const value = lookup(notification, path);
+        if (value === undefined || value === null) return '';
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return json ? JSON.stringify(text).slice(1, -1) : text;
+    });
+}
+
+/**
+ * Webhook Channel
+ * POSTs the notification as JSON, or renders `bodyTemplate` with {{placeholders}}
+ */
+class WebhookChannel {
+    constructor(options) {
+        this.url = options.url;
+        this.method = (options.method || 'POST').toUpperCase();
+        this.headers = options.headers || {};
+        this.bodyTemplate = options.bodyTemplate || null;
+        this.contentType = options.contentType || 'application/json';
+        this.timeout = options.timeoutMs || 10000;
+        if (!this.url) throw new Error('Webhook channel requires a url');
+    }
+
+    async send(notification) {
+        const isJson = this.contentType.includes('json');
+        const data = this.bodyTemplate
+            ? renderTemplate(this.bodyTemplate, notification, isJson)
+            : notification;
+
+        await axios.request({
+            url: this.url,
+            method: this.method,
+            data,
+            timeout: this.timeout,
+            headers: { 'Content-Type': this.contentType, ...this.headers }
+        });
+    }
+}
+
+module.exports = WebhookChannel;
+module.exports.renderTemplate = renderTemplate;
@@ -0,0 +1,184 @@
+const EventEmitter = require('events');
+const config = require('../config.json');
+
+const FAILING_STATES = ['offline', 'degraded'];
+const TRACKED_STATES = ['online', ...FAILING_STATES];
+
+// Fewer samples than this make the state-change ratio meaningless
+const MIN_FLAP_SAMPLES = 5;
+
+/**
+ * Incident Tracker
+ * Turns the stream of health check results into incidents.
+ *
+ * An incident opens once an app has failed `failureThreshold` checks in a row
+ * and resolves after `recoveryThreshold` consecutive successes, so a single
+ * blip neither opens nor closes one. Flapping is detected from the share of
+ * state changes over the last `flapWindow` checks: it starts above
+ * `flapHighThreshold` and only stops below `flapLowThreshold`. A flapping app
+ * keeps a single incident open instead of opening and closing one per flap.
+ * Failed checks during a maintenance window are ignored: they neither count
+ * towards a new incident nor escalate an open one, while passing checks can
+ * still resolve it.
+ *
+ * Emits 'incident' with { event, incident } where event is one of
+ * opened, escalated, flapping_started, flapping_stopped, resolved.
+ */
+class IncidentTracker extends EventEmitter {
+    constructor(database) {
+        super();
+        const settings = config.incidents || {};
+        this.database = database;
+        this.failureThreshold = settings.failureThreshold || 3;
+        this.recoveryThreshold = settings.recoveryThreshold || 2;
+        this.flapWindow = settings.flapWindow || 20;
+        this.flapHighThreshold = settings.flapHighThreshold || 0.5;
+        this.flapLowThreshold = settings.flapLowThreshold || 0.25;
+        // Per-app counters; rebuilt from scratch after a restart
+        this.states = new Map();
+    }
+
+    getState(appId) {
+        if (!this.states.has(appId)) {
+            this.states.set(appId, {
+                consecutiveFailures: 0,
+                consecutiveSuccesses: 0,
+                history: [],
+                flapping: false
+            });
+        }
+        return this.states.get(appId);
+    }
+
+    /**
+     * Share of consecutive checks whose failing/passing state differs
+     */
+    stateChangeRatio(history) {
+        if (history.length < MIN_FLAP_SAMPLES) return 0;
+        let changes = 0;
+        for (let i = 1; i < history.length; i++) {
+            if (history[i] !== history[i - 1]) changes++;
+        }
+        return changes / (history.length - 1);
+    }
+
+    /**
+     * Feed one health check result ({ url, status, failures }) into the tracker
+     * @param {Object} result
+     * @param {Object} [options]
+     * @param {boolean} [options.maintenance=false] - The app is in a maintenance window
+     */
+    observe(result, { maintenance = false } = {}) {
+        if (!TRACKED_STATES.includes(result.status)) return;
+
+        const app = this.database.getAppByUrl(result.url);
+        if (!app) return;
+
+        const state = this.getState(app.id);
+        const failing = FAILING_STATES.includes(result.status);
+        if (failing && maintenance) {
+            // Start counting afresh once the window is over
+            state.consecutiveFailures = 0;
+            state.consecutiveSuccesses = 0;
+            return;
+        }
+        const error = result.failures && result.failures.length > 0
+            ? result.failures.join('; ')
+            : (failing ? `App is ${result.status}` : null);
+        const now = new Date().toISOString();
+
+        if (failing) {
+            state.consecutiveFailures++;
+            state.consecutiveSuccesses = 0;
+        } else {
+            state.consecutiveSuccesses++;
+            state.consecutiveFailures = 0;
+        }
+        state.history.push(failing);
+        if (state.history.length > this.flapWindow) state.history.shift();
+
+        let incident = this.database.getOpenIncident(app.id);
+
+        // Flap detection with hysteresis
+        const ratio = this.stateChangeRatio(state.history);
+        if (!state.flapping && ratio >= this.flapHighThreshold) {
+            state.flapping = true;
+            const message = `Flapping: ${Math.round(ratio * 100)}% state changes over the last ${state.history.length} checks`;
+            if (incident) {
+                incident = this.save({ ...incident, flapping: 1 }, 'flapping_started', result.status, message, now);
+            } else {
+                incident = this.open(app, result.status, message, now, true);
+            }
+        } else if (state.flapping && ratio <= this.flapLowThreshold) {
+            state.flapping = false;
+            if (incident) {
+                incident = this.save({ ...incident, flapping: 0 }, 'flapping_stopped', result.status, 'Flapping stopped', now);
+            }
+        }
+
+        if (failing) {
+            if (!incident && state.consecutiveFailures >= this.failureThreshold) {
+                this.open(app, result.status, error, now, false);
+            } else if (incident) {
+                const escalated = incident.severity === 'degraded' && result.status === 'offline';
+                const updated = {
+                    ...incident,
+                    severity: escalated ? 'offline' : incident.severity,
+                    failure_count: incident.failure_count + 1,
+                    last_error: error
+                };
+                if (escalated) {
+                    this.save(updated, 'escalated', result.status, `Escalated to offline: ${error}`, now);
+                } else {
+                    this.database.updateIncident(updated);
+                }
+            }
+        } else if (incident && !state.flapping && state.consecutiveSuccesses >= this.recoveryThreshold) {
+            this.resolve(incident, now);
+        }
+    }
+
+    open(app, status, message, now, flapping) {
+        const incident = this.database.createIncident(app.id, {
+            // Flapping can be detected on a passing check; the outage itself is at least degraded
+            severity: FAILING_STATES.includes(status) ? status : 'degraded',
+            flapping,
+            failureCount: flapping ? 0 : this.getState(app.id).consecutiveFailures,
+            lastError: message,
+            startedAt: now
+        });
+        this.database.addIncidentEvent(incident.id, 'opened', status, message, now);
+        console.log(`[IncidentTracker] Opened incident ${incident.id} for ${app.name || app.url}: ${message}`);
+        this.emit('incident', { event: 'opened', incident });
+        return incident;
+    }
+
+    resolve(incident, now) {
+        const durationMs = new Date(now) - new Date(incident.started_at);
+        const resolved = this.save(
+            { ...incident, status: 'resolved', resolved_at: now, duration_ms: durationMs },
+            'resolved',
+            'online',
+            `Recovered after ${this.recoveryThreshold} successful checks`,
+            now
+        );
+        console.log(`[IncidentTracker] Resolved incident ${incident.id} after ${Math.round(durationMs / 1000)}s`);
+        return resolved;
+    }
+
+    save(incident, event, status, message, now) {
+        const updated = this.database.updateIncident(incident);
+        this.database.addIncidentEvent(incident.id, event, status, message, now);
+        this.emit('incident', { event, incident: updated });
+        return updated;
+    }
+
+    /**
+     * Drop in-memory counters for a removed app
+     */
+    forget(appId) {
+        this.states.delete(appId);
+    }
+}
+
+module.exports = IncidentTracker;
@@ -0,0 +1,230 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+// Finished jobs kept in memory so clients can still poll their final state
+const MAX_FINISHED_JOBS = 50;
+
+// Relative share of the overall progress bar that each scan phase occupies.
+// Port probing dominates wall-clock time on full scans, so it gets the largest slice.
+const PHASE_WEIGHTS = {
+    port_probe: 0.55,
+    http_probe: 0.15,
+    identify: 0.2,
+    health: 0.1
+};
+
+const FINISHED_STATES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Error thrown inside a job runner when the job has been cancelled.
+ * Runners can let it propagate; the manager treats it as a clean cancellation.
+ */
+class JobCancelledError extends Error {
+    constructor() {
+        super('Job cancelled');
+        this.name = 'JobCancelledError';
+    }
+}
+
+/**
+ * Job Manager
+ * Runs long-running work (scans) in the background, one job at a time.
+ * Identical jobs that are already queued or running are deduplicated, and
+ * every state change is emitted as an 'update' event with a job snapshot.
+ */
+class JobManager extends EventEmitter {
+    constructor(runners = {}) {
+        super();
+        this.runners = runners;
+        this.jobs = new Map();
+        this.queue = [];
+        this.current = null;
+    }
+
+    /**
+     * Queue a job. Returns the existing job instead if an identical one
+     * (same type and params) is already queued or running.
+     */
+    enqueue(type, params = {}) {
+        if (!this.runners[type]) {
+            throw new Error(`Unknown job type: ${type}`);
+        }
+
+        const key = `${type}:${JSON.stringify(params)}`;
+        const existing = [...this.jobs.values()].find(job =>
+            job.key === key && (job.status === 'queued' || job.status === 'running')
+        );
+        if (existing) {
+            return { job: this.serialize(existing), deduplicated: true };
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            key,
+            type,
+            params,
+            status: 'queued',
+            phase: null,
+            progress: 0,
+            phaseCompleted: 0,
+            phaseTotal: 0,
+            message: null,
+            result: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            controller: new AbortController()
+        };
+
+        this.jobs.set(job.id, job);
+        this.queue.push(job);
+        this.emitUpdate(job);
+        this.processQueue();
+
+        return { job: this.serialize(job), deduplicated: false };
+    }
+
+    /**
+     * Cancel a queued or running job.
+     * Queued jobs are dropped immediately; running jobs are signalled and
+     * finish as 'cancelled' once their runner reaches the next checkpoint.
+     * Returns null if the job does not exist, false if it already finished.
+     */
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+        if (FINISHED_STATES.includes(job.status)) return false;
+
+        if (job.status === 'queued') {
+            this.queue = this.queue.filter(j => j !== job);
+            this.finish(job, 'cancelled');
+            return true;
+        }
+
+        job.message = 'Cancelling...';
+        job.controller.abort();
+        this.emitUpdate(job);
+        return true;
+    }
+
+    /**
+     * Get a single job snapshot
+     */
+    get(id) {
+        const job = this.jobs.get(id);
+        return job ? this.serialize(job) : null;
+    }
+
+    /**
+     * List all known jobs, newest first
+     */
+    list() {
+        return [...this.jobs.values()]
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(job => this.serialize(job));
+    }
+
+    /**
+     * Start the next queued job if nothing is running.
+     * Jobs run strictly one at a time so scans never write to the database concurrently.
+     */
+    async processQueue() {
+        if (this.current || this.queue.length === 0) return;
+
+        const job = this.queue.shift();
+        this.current = job;
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        this.emitUpdate(job);
+
+        try {
+            job.result = await this.runners[job.type](this.createContext(job), job.params);
+            this.finish(job, job.controller.signal.aborted ? 'cancelled' : 'completed');
+        } catch (error) {
+            if (error instanceof JobCancelledError || job.controller.signal.aborted) {
+                this.finish(job, 'cancelled');
+            } else {
+                console.error(`[JobManager] Job ${job.id} (${job.type}) failed:`, error);
+                job.error = error.message;
+                this.finish(job, 'failed');
+            }
+        } finally {
+            this.current = null;
+            this.processQueue();
+        }
+    }
+
+    /**
+     * Build the handle a runner uses to report progress and observe cancellation
+     */
+    createContext(job) {
+        return {
+            id: job.id,
+            signal: job.controller.signal,
+            isCancelled: () => job.controller.signal.aborted,
+            throwIfCancelled: () => {
+                if (job.controller.signal.aborted) throw new JobCancelledError();
+            },
+            setPhase: (phase, total = 0) => {
+                job.phase = phase;
+                job.phaseCompleted = 0;
+                job.phaseTotal = total;
+                job.progress = this.computeProgress(job);
+                this.emitUpdate(job);
+            },
+            reportProgress: (completed, total, message = null) => {
+                job.phaseCompleted = completed;
+                job.phaseTotal = total;
+                if (message) job.message = message;
+                job.progress = this.computeProgress(job);
+                this.emitUpdate(job);
+            }
+        };
+    }
+
+    /**
+     * Overall percent done, derived from the weights of completed phases
+     * plus the fraction of the current phase
+     */
+    computeProgress(job) {
+        const phases = Object.keys(PHASE_WEIGHTS);
+        const index = phases.indexOf(job.phase);
+        if (index === -1) return job.progress;
+
+        const before = phases.slice(0, index).reduce((sum, p) => sum + PHASE_WEIGHTS[p], 0);
+        const fraction = job.phaseTotal > 0 ? Math.min(job.phaseCompleted / job.phaseTotal, 1) : 0;
+        return Math.round((before + PHASE_WEIGHTS[job.phase] * fraction) * 100);
+    }
+
+    finish(job, status) {
+        job.status = status;
+        job.finishedAt = new Date().toISOString();
+        if (status === 'completed') job.progress = 100;
+        if (status === 'cancelled') job.message = 'Cancelled';
+        this.emitUpdate(job);
+        this.pruneFinished();
+    }
+
+    pruneFinished() {
+        const finished = [...this.jobs.values()]
+            .filter(job => FINISHED_STATES.includes(job.status))
+            .sort((a, b) => a.finishedAt.localeCompare(b.finishedAt));
+
+        while (finished.length > MAX_FINISHED_JOBS) {
+            this.jobs.delete(finished.shift().id);
+        }
+    }
+
+    emitUpdate(job) {
+        this.emit('update', this.serialize(job));
+    }
+
+    serialize(job) {
+        const { controller, key, ...snapshot } = job;
+        return snapshot;
+    }
+}
+
+module.exports = JobManager;
+module.exports.JobCancelledError = JobCancelledError;
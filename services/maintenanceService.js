@@ -0,0 +1,131 @@
+const { RECURRENCES } = require('../utils/maintenanceFields');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A date the given number of calendar days later, at the same local wall-clock time
+ * (so a nightly 02:00 window stays at 02:00 across daylight saving changes)
+ */
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+}
+
+/**
+ * Maintenance Service
+ * Knows which apps are in maintenance. A window covers one app or every app of a
+ * group, once or repeated daily/weekly. During a window checks still run and the app
+ * keeps its real status, but failures open no incidents (so no alerts go out) and
+ * the checks are left out of uptime. Windows are kept in memory; call reload() after
+ * changing them.
+ */
+class MaintenanceService {
+    constructor({ maintenance }) {
+        this.maintenance = maintenance;
+        this.reload();
+    }
+
+    reload() {
+        this.windows = this.maintenance.getWindows();
+    }
+
+    /**
+     * The occurrence of a window that has not ended at `now`: the current one or the next
+     * @returns {{start: Date, end: Date}|null} null once the window is over for good
+     */
+    static occurrence(window, now = new Date()) {
+        const start = new Date(window.starts_at);
+        const end = new Date(window.ends_at);
+        const periodDays = RECURRENCES[window.recurrence];
+        if (!periodDays) {
+            return end > now ? { start, end } : null;
+        }
+
+        const duration = end - start;
+        const until = window.repeat_until ? new Date(window.repeat_until) : null;
+        // Estimate, then step forward; the estimate can be an occurrence early around DST changes
+        let index = Math.max(0, Math.floor((now - end) / (periodDays * DAY_MS)));
+        for (;;) {
+            const occurrenceStart = addDays(start, index * periodDays);
+            if (until && occurrenceStart > until) return null;
+            const occurrenceEnd = new Date(occurrenceStart.getTime() + duration);
+            if (occurrenceEnd > now) return { start: occurrenceStart, end: occurrenceEnd };
+            index++;
+        }
+    }
+
+    static appliesTo(window, app) {
+        return window.app_id === app.id || (window.group_id !== null && window.group_id === app.group_id);
+    }
+
+    /**
+     * A window as returned by the API, with its current or next occurrence
+     */
+    describe(window, now = new Date()) {
+        const occurrence = MaintenanceService.occurrence(window, now);
+        return {
+            ...window,
+            active: !!occurrence && occurrence.start <= now,
+            next: occurrence && { startsAt: occurrence.start.toISOString(), endsAt: occurrence.end.toISOString() }
+        };
+    }
+
+    /**
+     * Windows, optionally only those covering an app (directly or through its group)
+     * @param {Object} [options]
+     * @param {Object} [options.app] - Row from the apps table
+     * @param {boolean} [options.ended=false] - Include windows that are over for good
+     */
+    list({ app = null, ended = false } = {}) {
+        const now = new Date();
+        return this.windows
+            .filter(window => !app || MaintenanceService.appliesTo(window, app))
+            .map(window => this.describe(window, now))
+            .filter(window => ended || window.next);
+    }
+
+    /**
+     * The window an app is in right now, or null
+     * @returns {{id: number, title: string, startsAt: string, endsAt: string}|null}
+     */
+    activeWindow(app, now = new Date()) {
+        for (const window of this.windows) {
+            if (!MaintenanceService.appliesTo(window, app)) continue;
+            const occurrence = MaintenanceService.occurrence(window, now);
+            if (occurrence && occurrence.start <= now) {
+                return {
+                    id: window.id,
+                    title: window.title,
+                    startsAt: occurrence.start.toISOString(),
+                    endsAt: occurrence.end.toISOString()
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Occurrences covering any of the apps that are running or start within `withinMs`
+     * @returns {Array<{window: Object, startsAt: string, endsAt: string, active: boolean, appIds: number[]}>}
+     */
+    upcoming(apps, withinMs, now = new Date()) {
+        const result = [];
+        for (const window of this.windows) {
+            const occurrence = MaintenanceService.occurrence(window, now);
+            if (!occurrence || occurrence.start - now > withinMs) continue;
+            const covered = apps.filter(app => MaintenanceService.appliesTo(window, app));
+            if (covered.length === 0) continue;
+            result.push({
+                window,
+                startsAt: occurrence.start.toISOString(),
+                endsAt: occurrence.end.toISOString(),
+                active: occurrence.start <= now,
+                appIds: covered.map(app => app.id)
+            });
+        }
+        return result.sort((a, b) => a.startsAt.localeCompare(b.startsAt));
+    }
+}
+
+module.exports = MaintenanceService;
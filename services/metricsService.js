@@ -0,0 +1,353 @@
+const config = require('../config.json');
+const metrics = require('../database/metrics');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const RANGES = {
+    '24h': DAY_MS,
+    '7d': 7 * DAY_MS,
+    '30d': 30 * DAY_MS,
+    '90d': 90 * DAY_MS
+};
+
+// Sub-hour buckets are computed from raw history; 1h/1d read the rollup tables
+const BUCKETS = {
+    '5m': 5 * 60 * 1000,
+    '15m': 15 * 60 * 1000,
+    '1h': HOUR_MS,
+    '1d': DAY_MS
+};
+
+const DEFAULT_BUCKETS = { '24h': '1h', '7d': '1h', '30d': '1d', '90d': '1d' };
+
+// Cap on points per series so a bad bucket/range combination cannot return huge payloads
+const MAX_POINTS = 2000;
+
+// Newest status changes returned alongside a series
+const MAX_EVENTS = 100;
+
+// Raw rows are needed to compute the current day's rollup, so keep at least two days
+const MIN_RAW_RETENTION_DAYS = 2;
+
+/**
+ * Error for invalid ?range= / ?bucket= combinations (reported as HTTP 400)
+ */
+class MetricsQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MetricsQueryError';
+    }
+}
+
+/**
+ * Date -> "YYYY-MM-DD HH:MM:SS" (UTC), the format SQLite's CURRENT_TIMESTAMP uses
+ */
+function toSqlTime(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * "YYYY-MM-DD HH:MM:SS" (UTC) -> epoch milliseconds
+ */
+function fromSqlTime(value) {
+    return Date.parse(`${value.replace(' ', 'T')}Z`);
+}
+
+/**
+ * Nearest-rank percentile of an ascending array
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+/**
+ * Aggregate raw checks into one bucket. Latency only counts checks that got
+ * an answer; offline checks mostly measure the timeout.
+ */
+function summarize(rows) {
+    let online = 0;
+    let degraded = 0;
+    const latencies = [];
+    for (const row of rows) {
+        if (row.status === 'online') online++;
+        if (row.status === 'degraded') degraded++;
+        if (row.status !== 'offline' && row.response_time_ms !== null) {
+            latencies.push(row.response_time_ms);
+        }
+    }
+    latencies.sort((a, b) => a - b);
+    const total = latencies.reduce((sum, ms) => sum + ms, 0);
+
+    return {
+        checks: rows.length,
+        onlineChecks: online,
+        degradedChecks: degraded,
+        offlineChecks: rows.length - online - degraded,
+        uptimePct: rows.length > 0 ? Math.round((online / rows.length) * 10000) / 100 : null,
+        avgMs: latencies.length > 0 ? Math.round(total / latencies.length) : null,
+        p50Ms: percentile(latencies, 50),
+        p95Ms: percentile(latencies, 95),
+        p99Ms: percentile(latencies, 99),
+        maxMs: latencies.length > 0 ? latencies[latencies.length - 1] : null
+    };
+}
+
+/**
+ * Status transitions in raw checks, newest first
+ */
+function statusChanges(rows) {
+    const events = [];
+    for (let i = 1; i < rows.length; i++) {
+        if (rows[i].status !== rows[i - 1].status) {
+            events.push({
+                at: new Date(fromSqlTime(rows[i].checked_at)).toISOString(),
+                from: rows[i - 1].status,
+                to: rows[i].status
+            });
+        }
+    }
+    return events.reverse().slice(0, MAX_EVENTS);
+}
+
+/**
+ * Rollup row from the database -> API bucket
+ */
+function fromRollupRow(row) {
+    return {
+        start: new Date(fromSqlTime(row.bucket_start)).toISOString(),
+        checks: row.checks,
+        onlineChecks: row.online_checks,
+        degradedChecks: row.degraded_checks,
+        offlineChecks: row.offline_checks,
+        uptimePct: row.uptime_pct,
+        avgMs: row.avg_ms,
+        p50Ms: row.p50_ms,
+        p95Ms: row.p95_ms,
+        p99Ms: row.p99_ms,
+        maxMs: row.max_ms
+    };
+}
+
+/**
+ * Metrics Service
+ * Rolls scan_history up into hourly and daily uptime/latency buckets,
+ * prunes raw rows and old rollups, and serves time series for charts.
+ */
+class MetricsService {
+    constructor() {
+        const settings = config.metrics || {};
+        this.rollupIntervalMs = settings.rollupIntervalMs || 5 * 60 * 1000;
+        this.rawRetentionDays = Math.max(settings.rawRetentionDays || 7, MIN_RAW_RETENTION_DAYS);
+        this.hourlyRetentionDays = settings.hourlyRetentionDays || 90;
+        this.dailyRetentionDays = settings.dailyRetentionDays || 365;
+        this.lastRollupAt = 0;
+        this.timer = null;
+    }
+
+    /**
+     * Recompute rollups from the start of the day of the newest hourly bucket
+     * (or of the oldest raw row on first run). Partial buckets are simply
+     * overwritten on the next pass.
+     */
+    rollup() {
+        const latest = metrics.getLatestBucket('metrics_hourly') || metrics.getEarliestHistory();
+        this.lastRollupAt = Date.now();
+        if (!latest) return { hourly: 0, daily: 0 };
+
+        const since = `${latest.slice(0, 10)} 00:00:00`;
+        const hourly = [];
+        const daily = [];
+        const groups = { hourly: { key: null, rows: [] }, daily: { key: null, rows: [] } };
+
+        const flush = (group, target) => {
+            if (group.rows.length === 0) return;
+            const [appId, bucketStart] = group.key.split('|');
+            target.push({ appId: parseInt(appId, 10), bucketStart, ...summarize(group.rows) });
+            group.rows = [];
+        };
+
+        // Rows arrive ordered by app then time, so each bucket is contiguous
+        for (const row of metrics.iterateHistorySince(since)) {
+            const hourKey = `${row.app_id}|${row.checked_at.slice(0, 13)}:00:00`;
+            const dayKey = `${row.app_id}|${row.checked_at.slice(0, 10)} 00:00:00`;
+            if (hourKey !== groups.hourly.key) {
+                flush(groups.hourly, hourly);
+                groups.hourly.key = hourKey;
+            }
+            if (dayKey !== groups.daily.key) {
+                flush(groups.daily, daily);
+                groups.daily.key = dayKey;
+            }
+            groups.hourly.rows.push(row);
+            groups.daily.rows.push(row);
+        }
+        flush(groups.hourly, hourly);
+        flush(groups.daily, daily);
+
+        metrics.saveRollups('metrics_hourly', hourly);
+        metrics.saveRollups('metrics_daily', daily);
+        return { hourly: hourly.length, daily: daily.length };
+    }
+
+    /**
+     * Apply the retention policy
+     */
+    prune(now = new Date()) {
+        const cutoff = (days) => toSqlTime(new Date(now.getTime() - days * DAY_MS));
+        return metrics.prune({
+            rawBefore: cutoff(this.rawRetentionDays),
+            hourlyBefore: cutoff(this.hourlyRetentionDays),
+            dailyBefore: cutoff(this.dailyRetentionDays)
+        });
+    }
+
+    /**
+     * Roll up, then prune. Pruning runs second so no raw row is deleted before it was rolled up.
+     */
+    runCycle() {
+        try {
+            const rolled = this.rollup();
+            const pruned = this.prune();
+            if (pruned.raw || pruned.hourly || pruned.daily) {
+                console.log(`[Metrics] Rolled up ${rolled.hourly} hourly/${rolled.daily} daily buckets, pruned ${pruned.raw} raw, ${pruned.hourly} hourly, ${pruned.daily} daily rows`);
+            }
+        } catch (error) {
+            console.error('[Metrics] Rollup failed:', error);
+        }
+    }
+
+    start() {
+        this.runCycle();
+        this.timer = setInterval(() => this.runCycle(), this.rollupIntervalMs);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Validate ?range= and ?bucket=
+     */
+    parseQuery({ range = '24h', bucket } = {}) {
+        if (!RANGES[range]) {
+            throw new MetricsQueryError(`Invalid range "${range}" (use ${Object.keys(RANGES).join(', ')})`);
+        }
+        const bucketName = bucket || DEFAULT_BUCKETS[range];
+        if (!BUCKETS[bucketName]) {
+            throw new MetricsQueryError(`Invalid bucket "${bucketName}" (use ${Object.keys(BUCKETS).join(', ')})`);
+        }
+        if (RANGES[range] / BUCKETS[bucketName] > MAX_POINTS) {
+            throw new MetricsQueryError(`Bucket "${bucketName}" is too small for range "${range}"`);
+        }
+        if (BUCKETS[bucketName] < HOUR_MS && RANGES[range] > this.rawRetentionDays * DAY_MS) {
+            throw new MetricsQueryError(`Buckets under 1h need raw history, which is kept for ${this.rawRetentionDays} days`);
+        }
+        return { range, bucket: bucketName, rangeMs: RANGES[range], bucketMs: BUCKETS[bucketName] };
+    }
+
+    /**
+     * Time series plus a whole-range summary for one app
+     */
+    getMetrics(appId, query) {
+        const { range, bucket, rangeMs, bucketMs } = this.parseQuery(query);
+
+        // Serve reasonably fresh rollups without waiting for the next cycle
+        if (bucketMs >= HOUR_MS && Date.now() - this.lastRollupAt > 60 * 1000) {
+            this.rollup();
+        }
+
+        const now = Date.now();
+        const firstBucket = Math.floor((now - rangeMs) / bucketMs) * bucketMs + bucketMs;
+        const since = toSqlTime(new Date(firstBucket));
+
+        // Index existing data by bucket start
+        const byStart = new Map();
+        // Raw rows cover the whole range unless it reaches past the raw retention period
+        const rawCovered = rangeMs <= this.rawRetentionDays * DAY_MS;
+        const history = metrics.getAppHistorySince(appId, since);
+        const raw = bucketMs < HOUR_MS || rawCovered ? history : null;
+
+        if (bucketMs < HOUR_MS) {
+            const grouped = new Map();
+            for (const row of raw) {
+                const start = Math.floor(fromSqlTime(row.checked_at) / bucketMs) * bucketMs;
+                if (!grouped.has(start)) grouped.set(start, []);
+                grouped.get(start).push(row);
+            }
+            for (const [start, rows] of grouped) {
+                byStart.set(start, { start: new Date(start).toISOString(), ...summarize(rows) });
+            }
+        } else {
+            const table = bucketMs === DAY_MS ? 'metrics_daily' : 'metrics_hourly';
+            for (const row of metrics.getRollups(table, appId, since)) {
+                byStart.set(fromSqlTime(row.bucket_start), fromRollupRow(row));
+            }
+        }
+
+        // Fill gaps so charts get an evenly spaced series
+        const buckets = [];
+        for (let start = firstBucket; start <= now; start += bucketMs) {
+            buckets.push(byStart.get(start) || {
+                start: new Date(start).toISOString(),
+                checks: 0,
+                onlineChecks: 0,
+                degradedChecks: 0,
+                offlineChecks: 0,
+                uptimePct: null,
+                avgMs: null,
+                p50Ms: null,
+                p95Ms: null,
+                p99Ms: null,
+                maxMs: null
+            });
+        }
+
+        return {
+            appId,
+            range,
+            bucket,
+            from: new Date(firstBucket).toISOString(),
+            to: new Date(now).toISOString(),
+            summary: raw ? { ...summarize(raw), approximate: false } : this.summarizeBuckets(buckets),
+            buckets,
+            events: statusChanges(history)
+        };
+    }
+
+    /**
+     * Whole-range summary from rollups when raw rows have been pruned.
+     * Uptime and averages are exact; percentiles are check-weighted means of the buckets'.
+     */
+    summarizeBuckets(buckets) {
+        const filled = buckets.filter(b => b.checks > 0);
+        const checks = filled.reduce((sum, b) => sum + b.checks, 0);
+        const online = filled.reduce((sum, b) => sum + b.onlineChecks, 0);
+        const degraded = filled.reduce((sum, b) => sum + b.degradedChecks, 0);
+        const weighted = (field) => {
+            const withValue = filled.filter(b => b[field] !== null);
+            const weight = withValue.reduce((sum, b) => sum + b.checks, 0);
+            return weight > 0 ? Math.round(withValue.reduce((sum, b) => sum + b[field] * b.checks, 0) / weight) : null;
+        };
+
+        return {
+            checks,
+            onlineChecks: online,
+            degradedChecks: degraded,
+            offlineChecks: checks - online - degraded,
+            uptimePct: checks > 0 ? Math.round((online / checks) * 10000) / 100 : null,
+            avgMs: weighted('avgMs'),
+            p50Ms: weighted('p50Ms'),
+            p95Ms: weighted('p95Ms'),
+            p99Ms: weighted('p99Ms'),
+            maxMs: filled.reduce((max, b) => (b.maxMs !== null && b.maxMs > (max ?? -1) ? b.maxMs : max), null),
+            approximate: true
+        };
+    }
+}
+
+module.exports = MetricsService;
+module.exports.MetricsQueryError = MetricsQueryError;
@@ -0,0 +1,325 @@
+const config = require('../config.json');
+const { createChannel } = require('./channels');
+
+// Incident and certificate events that notify unless a route lists its own;
+// visual_change only notifies where listed in `events` or a route
+const DEFAULT_EVENTS = ['opened', 'escalated', 'flapping_started', 'resolved', 'certificate_expiring', 'certificate_expired'];
+
+const DEFAULT_RATE_LIMIT = { max: 10, windowMs: 60000 };
+
+// Channel settings that must never be returned by the API
+const SECRET_FIELDS = ['pass', 'token', 'headers'];
+
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+/**
+ * Notifier
+ * Sends incident, certificate and visual change alerts to the channels configured under `notifications` in config.json.
+ *
+ * Routes decide which channels hear about which apps: a route matches when every
+ * filter it sets (apps, categories, hosts, severities, events) matches; unset
+ * filters match everything. Without routes every channel gets every alert.
+ * Each channel is rate limited with a sliding window; dropped alerts are counted
+ * and mentioned in the next one that goes through.
+ */
+class Notifier {
+    constructor(database) {
+        const settings = config.notifications || {};
+        this.database = database;
+        this.enabled = settings.enabled !== false;
+        this.events = settings.events || DEFAULT_EVENTS;
+        this.routes = settings.routes || [];
+        this.rateLimit = { ...DEFAULT_RATE_LIMIT, ...(settings.rateLimit || {}) };
+        this.channels = new Map();
+        this.loadChannels(settings.channels || []);
+    }
+
+    loadChannels(definitions) {
+        definitions.forEach((definition, index) => {
+            const id = definition.id || `${definition.type}-${index + 1}`;
+            const entry = {
+                id,
+                definition,
+                channel: null,
+                error: null,
+                sentAt: [],
+                suppressed: 0
+            };
+            try {
+                entry.channel = createChannel(definition);
+            } catch (error) {
+                entry.error = error.message;
+                console.warn(`[Notifier] Channel "${id}" disabled: ${error.message}`);
+            }
+            this.channels.set(id, entry);
+        });
+    }
+
+    /**
+     * Channels (without secrets) for the API
+     */
+    listChannels() {
+        return [...this.channels.values()].map(entry => {
+            const settings = { ...entry.definition };
+            SECRET_FIELDS.forEach(field => {
+                if (settings[field]) settings[field] = '********';
+            });
+            // Chat webhook URLs embed their own secret token
+            if (['slack', 'discord', 'teams'].includes(settings.type) && settings.url) {
+                settings.url = settings.url.replace(/^(https?:\/\/[^/]+).*$/, '$1/********');
+            }
+            return {
+                id: entry.id,
+                type: entry.definition.type,
+                enabled: !!entry.channel && entry.definition.enabled !== false,
+                error: entry.error,
+                settings
+            };
+        });
+    }
+
+    /**
+     * Does a route's filter list match any of the given values?
+     */
+    matches(filter, ...values) {
+        if (!filter || filter.length === 0) return true;
+        return filter.some(item => values.some(value => value !== null && value !== undefined && String(item) === String(value)));
+    }
+
+    /**
+     * Channel ids that should receive a notification
+     */
+    resolveChannels(notification) {
+        const usable = [...this.channels.values()]
+            .filter(entry => entry.channel && entry.definition.enabled !== false)
+            .map(entry => entry.id);
+
+        if (this.routes.length === 0) {
+            return this.events.includes(notification.event) ? usable : [];
+        }
+
+        const app = notification.app || {};
+        const selected = new Set();
+        for (const route of this.routes) {
+            const matched =
+                this.matches(route.events || this.events, notification.event) &&
+                this.matches(route.apps, app.id, app.name, app.url) &&
+                this.matches(route.categories, app.category) &&
+                this.matches(route.hosts, app.host) &&
+                this.matches(route.severities, notification.severity);
+            if (matched) {
+                (route.channels || usable).forEach(id => selected.add(id));
+            }
+        }
+        return [...selected].filter(id => usable.includes(id));
+    }
+
+    /**
+     * Sliding-window rate limit per channel
+     */
+    takeSlot(entry) {
+        const limit = { ...this.rateLimit, ...(entry.definition.rateLimit || {}) };
+        const now = Date.now();
+        entry.sentAt = entry.sentAt.filter(time => now - time < limit.windowMs);
+        if (entry.sentAt.length >= limit.max) {
+            entry.suppressed++;
+            return false;
+        }
+        entry.sentAt.push(now);
+        return true;
+    }
+
+    /**
+     * Send to the given channels. Never throws; returns one result per channel.
+     */
+    async dispatch(notification, channelIds, { bypassRateLimit = false } = {}) {
+        const results = await Promise.all(channelIds.map(async (id) => {
+            const entry = this.channels.get(id);
+            if (!entry) return { channel: id, success: false, error: 'Unknown channel' };
+            if (!entry.channel) return { channel: id, success: false, error: entry.error };
+
+            if (!bypassRateLimit && !this.takeSlot(entry)) {
+                console.warn(`[Notifier] Rate limit reached for "${id}", dropping: ${notification.title}`);
+                return { channel: id, success: false, error: 'Rate limited' };
+            }
+
+            let message = notification;
+            if (entry.suppressed > 0) {
+                message = {
+                    ...notification,
+                    text: `${notification.text}\n\n(${entry.suppressed} earlier notification(s) were dropped by the rate limit)`
+                };
+            }
+
+            try {
+                await entry.channel.send(message);
+                entry.suppressed = 0;
+                return { channel: id, success: true };
+            } catch (error) {
+                console.error(`[Notifier] Failed to send via "${id}":`, error.message);
+                return { channel: id, success: false, error: error.message };
+            }
+        }));
+        return results;
+    }
+
+    /**
+     * Build the channel-neutral notification for an incident event
+     */
+    buildIncidentNotification(event, incident) {
+        const app = this.database.getAppById(incident.app_id) || {};
+        const name = app.name || incident.app_name || app.url || `App ${incident.app_id}`;
+        const severity = event === 'resolved' ? 'ok' : incident.severity;
+
+        const titles = {
+            opened: `${name} is ${incident.severity}`,
+            escalated: `${name} is now offline`,
+            flapping_started: `${name} is flapping`,
+            flapping_stopped: `${name} stopped flapping`,
+            resolved: `${name} recovered`
+        };
+        const texts = {
+            opened: `Incident #${incident.id} opened: ${incident.last_error || incident.severity}`,
+            escalated: `Incident #${incident.id} escalated: ${incident.last_error || 'offline'}`,
+            flapping_started: `Incident #${incident.id}: ${name} keeps switching between healthy and failing.`,
+            flapping_stopped: `Incident #${incident.id}: ${name} is no longer flapping.`,
+            resolved: `Incident #${incident.id} resolved after ${formatDuration(incident.duration_ms || 0)}.`
+        };
+
+        return {
+            event,
+            severity,
+            title: titles[event] || `${name}: ${event}`,
+            text: texts[event] || '',
+            timestamp: new Date().toISOString(),
+            app: {
+                id: app.id ?? incident.app_id,
+                name,
+                url: app.url || incident.app_url,
+                host: app.host || null,
+                category: app.category || null,
+                status: app.status || null
+            },
+            incident
+        };
+    }
+
+    /**
+     * Incident tracker hook
+     */
+    async notifyIncident({ event, incident }) {
+        if (!this.enabled || this.channels.size === 0) return [];
+        return this.send(this.buildIncidentNotification(event, incident));
+    }
+
+    /**
+     * Build the notification for a certificate that is about to expire or has expired
+     */
+    buildCertificateNotification(event, app, certificate, daysLeft) {
+        const name = app.name || app.url;
+        const expires = new Date(certificate.validTo).toUTCString();
+        const expired = event === 'certificate_expired';
+
+        return {
+            event,
+            severity: expired ? 'offline' : 'degraded',
+            title: expired
+                ? `${name}: TLS certificate expired`
+                : `${name}: TLS certificate expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`,
+            text: `The certificate for ${certificate.subject || 'this app'}, issued by ${certificate.issuer || 'an unknown issuer'}, `
+                + `${expired ? 'expired' : 'expires'} on ${expires}.`,
+            timestamp: new Date().toISOString(),
+            app: {
+                id: app.id,
+                name,
+                url: app.url,
+                host: app.host || null,
+                category: app.category || null,
+                status: app.status || null
+            },
+            incident: null,
+            certificate
+        };
+    }
+
+    /**
+     * Certificate monitor hook
+     */
+    async notifyCertificate({ event, app, certificate, daysLeft }) {
+        if (!this.enabled || this.channels.size === 0) return [];
+        return this.send(this.buildCertificateNotification(event, app, certificate, daysLeft));
+    }
+
+    /**
+     * Build the notification for an app whose screenshot changed noticeably
+     */
+    buildVisualChangeNotification(app, score) {
+        const name = app.name || app.url;
+
+        return {
+            event: 'visual_change',
+            severity: 'info',
+            title: `${name} looks different`,
+            text: `${Math.round(score * 100)}% of the latest screenshot differs from the one before. `
+                + 'It may have turned into an error page or a blank screen.',
+            timestamp: new Date().toISOString(),
+            app: {
+                id: app.id,
+                name,
+                url: app.url,
+                host: app.host || null,
+                category: app.category || null,
+                status: app.status || null
+            },
+            incident: null
+        };
+    }
+
+    /**
+     * Visual change monitor hook
+     */
+    async notifyVisualChange({ app, score }) {
+        if (!this.enabled || this.channels.size === 0) return [];
+        return this.send(this.buildVisualChangeNotification(app, score));
+    }
+
+    /**
+     * Route a notification and dispatch it to the matching channels
+     */
+    async send(notification) {
+        const channelIds = this.resolveChannels(notification);
+        if (channelIds.length === 0) return [];
+
+        const results = await this.dispatch(notification, channelIds);
+        const sent = results.filter(r => r.success).map(r => r.channel);
+        if (sent.length > 0) {
+            console.log(`[Notifier] Sent "${notification.title}" via ${sent.join(', ')}`);
+        }
+        return results;
+    }
+
+    /**
+     * Send a test notification to one channel, or to all of them.
+     * Ignores routing and rate limits.
+     */
+    async sendTest(channelId = null) {
+        const channelIds = channelId ? [channelId] : [...this.channels.keys()];
+        const notification = {
+            event: 'test',
+            severity: 'info',
+            title: 'Test notification',
+            text: 'This is a test notification from Local WebApp Monitor.',
+            timestamp: new Date().toISOString(),
+            app: null,
+            incident: null
+        };
+        return this.dispatch(notification, channelIds, { bypassRateLimit: true });
+    }
+}
+
+module.exports = Notifier;
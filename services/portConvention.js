@@ -0,0 +1,202 @@
+const config = require('../config.json');
+
+// RULES_ports.md: 8 + service category digit + two-digit project ID (8023 = project 23's dashboard)
+const DEFAULT_SETTINGS = {
+    enabled: true,
+    prefix: 8,
+    autoGroup: true,
+    globalPorts: { 8000: 'Overview dashboard' },
+    roles: [
+        { digit: 0, role: 'web', label: 'Web dashboard' },
+        { digit: 1, role: 'api', label: 'FastAPI service' },
+        { digit: 2, role: 'database', label: 'Database' },
+        { digit: 3, role: 'worker', label: 'Background workers', reserved: true },
+        { digit: 4, role: 'vector', label: 'Vector database', reserved: true },
+        { digit: 5, role: 'experimental', label: 'Experimental services', reserved: true },
+        { digit: 6, role: 'admin', label: 'Admin tools', reserved: true },
+        { digit: 9, role: 'llm', label: 'LLM' }
+    ],
+    projects: {},
+    exemptPorts: [11434]
+};
+
+/**
+ * Port Convention
+ * Maps ports to project IDs and service roles following RULES_ports.md and
+ * reports where the running services break the scheme:
+ *  - outside_scheme: a port that is not a global port and not 8<role><NN>
+ *  - collision: two apps (on different hosts) claim the same project role
+ *  - dashboard_down: a project's API answers while its web dashboard does not
+ * Settings live under `portConvention` in config.json.
+ */
+class PortConvention {
+    /**
+     * @param {Object} [settings] - Overrides for DEFAULT_SETTINGS
+     * @param {Object} [options]
+     * @param {Function} [options.lookupProject] - projectId => name from the port registry, if any
+     */
+    constructor(settings = config.portConvention || {}, { lookupProject = null } = {}) {
+        this.settings = { ...DEFAULT_SETTINGS, ...settings };
+        this.lookupProject = lookupProject;
+        this.enabled = this.settings.enabled !== false;
+        this.roles = new Map(this.settings.roles.map(r => [Number(r.digit), r]));
+
+        // The dashboard's own port is never a violation
+        this.exempt = new Set(this.settings.exemptPorts.map(Number));
+        this.exempt.add(Number(config.dashboardPort === 'auto' ? 3000 : config.dashboardPort));
+    }
+
+    /**
+     * Classify a port
+     * @returns {{kind: 'global'|'project'|'exempt'|'outside', projectId?: string, role?: string, roleLabel?: string, reserved?: boolean, label?: string}}
+     */
+    classify(port) {
+        port = Number(port);
+        if (this.settings.globalPorts[port]) {
+            return { kind: 'global', label: this.settings.globalPorts[port] };
+        }
+        if (this.exempt.has(port)) {
+            return { kind: 'exempt' };
+        }
+
+        const prefix = Number(this.settings.prefix);
+        const projectNumber = port % 100;
+        const role = this.roles.get(Math.floor(port / 100) % 10);
+        if (Math.floor(port / 1000) !== prefix || !role || projectNumber === 0) {
+            return { kind: 'outside' };
+        }
+
+        return {
+            kind: 'project',
+            projectId: String(projectNumber).padStart(2, '0'),
+            role: role.role,
+            roleLabel: role.label,
+            reserved: !!role.reserved
+        };
+    }
+
+    /**
+     * Display name of a project: "23 project-x" when named in the registry or config, else "Project 23"
+     */
+    projectName(projectId) {
+        const name = (this.lookupProject && this.lookupProject(projectId))
+            || this.settings.projects[projectId] || this.settings.projects[Number(projectId)];
+        return name ? `${projectId} ${name}` : `Project ${projectId}`;
+    }
+
+    /**
+     * Port that a project's role should use
+     */
+    portFor(projectId, role) {
+        const entry = this.settings.roles.find(r => r.role === role);
+        if (!entry) return null;
+        return Number(this.settings.prefix) * 1000 + Number(entry.digit) * 100 + Number(projectId);
+    }
+
+    /**
+     * Evaluate a list of apps against the convention
+     * @param {Array} apps - Rows from the apps table
+     * @returns {{projects: Array, globals: Array, violations: Array}}
+     */
+    evaluate(apps) {
+        if (!this.enabled) {
+            return { enabled: false, projects: [], globals: [], violations: [] };
+        }
+
+        const projects = new Map();
+        const globals = [];
+        const violations = [];
+
+        for (const app of apps) {
+            const info = this.classify(app.port);
+            const entry = { appId: app.id, name: app.name, url: app.url, host: app.host, port: app.port, status: app.status };
+
+            if (info.kind === 'global') {
+                globals.push({ ...entry, label: info.label });
+            } else if (info.kind === 'outside') {
+                violations.push({
+                    type: 'outside_scheme',
+                    severity: 'warning',
+                    appIds: [app.id],
+                    message: `Port ${app.port} (${app.name}) is outside the port convention`
+                });
+            } else if (info.kind === 'project') {
+                if (!projects.has(info.projectId)) {
+                    projects.set(info.projectId, { id: info.projectId, name: this.projectName(info.projectId), services: [] });
+                }
+                projects.get(info.projectId).services.push({ ...entry, role: info.role, roleLabel: info.roleLabel, reserved: info.reserved });
+            }
+        }
+
+        for (const project of projects.values()) {
+            project.services.sort((a, b) => a.port - b.port);
+
+            const byRole = new Map();
+            for (const service of project.services) {
+                if (!byRole.has(service.role)) byRole.set(service.role, []);
+                byRole.get(service.role).push(service);
+            }
+
+            for (const services of byRole.values()) {
+                if (services.length > 1) {
+                    violations.push({
+                        type: 'collision',
+                        severity: 'error',
+                        projectId: project.id,
+                        appIds: services.map(s => s.appId),
+                        message: `${project.name}: ${services.length} apps claim the ${services[0].roleLabel} slot (${services.map(s => `${s.host}:${s.port}`).join(', ')})`
+                    });
+                }
+            }
+
+            const apiUp = (byRole.get('api') || []).some(s => s.status === 'online' || s.status === 'degraded');
+            const webUp = (byRole.get('web') || []).some(s => s.status === 'online' || s.status === 'degraded');
+            if (apiUp && !webUp) {
+                const webPort = this.portFor(project.id, 'web');
+                violations.push({
+                    type: 'dashboard_down',
+                    severity: 'warning',
+                    projectId: project.id,
+                    appIds: (byRole.get('api') || []).concat(byRole.get('web') || []).map(s => s.appId),
+                    message: byRole.has('web')
+                        ? `${project.name}: the API is up but the dashboard on port ${webPort} is down`
+                        : `${project.name}: the API is up but nothing answers on dashboard port ${webPort}`
+                });
+            }
+        }
+
+        return {
+            enabled: this.enabled,
+            projects: [...projects.values()].sort((a, b) => a.id.localeCompare(b.id)),
+            globals,
+            violations
+        };
+    }
+
+    /**
+     * Put ungrouped convention apps into a group per project (created on demand).
+     * Apps the user already grouped are left alone.
+     * @param {boolean} [force=false] - Group even when autoGroup is off (manual request)
+     * @returns {number} Number of apps assigned
+     */
+    applyGroups(database, groups, force = false) {
+        if (!this.enabled || (!this.settings.autoGroup && !force)) return 0;
+
+        let assigned = 0;
+        for (const app of database.getAllApps()) {
+            const info = this.classify(app.port);
+            if (info.kind !== 'project' || app.group_id) continue;
+
+            const name = this.projectName(info.projectId);
+            const group = groups.getGroupByName(name) || groups.createGroup({ name, sort_order: Number(info.projectId) });
+            groups.assignApp(app.id, group.id);
+            assigned++;
+        }
+        if (assigned > 0) {
+            console.log(`[PortConvention] Grouped ${assigned} app(s) by project`);
+        }
+        return assigned;
+    }
+}
+
+module.exports = PortConvention;
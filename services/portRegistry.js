@@ -0,0 +1,186 @@
+const MAX_PROJECT_ID = 99;
+
+/**
+ * Error for a port that cannot be reserved (reported as HTTP 409).
+ * `conflicts` lists why: [{ type: 'reserved'|'app'|'open', message }]
+ */
+class PortConflictError extends Error {
+    constructor(message, conflicts = []) {
+        super(message);
+        this.name = 'PortConflictError';
+        this.conflicts = conflicts;
+    }
+}
+
+/**
+ * Port Registry
+ * The dashboard's record of which ports RULES_ports.md hands to which project.
+ * Reservations are checked against the apps the scanner has found and against a
+ * live PortScanner probe, and compared with the scan results in report().
+ */
+class PortRegistry {
+    constructor({ database, ports, portConvention, portScanner }) {
+        this.database = database;
+        this.ports = ports;
+        this.convention = portConvention;
+        this.portScanner = portScanner;
+    }
+
+    /**
+     * Why a port cannot be handed out; empty when it is free
+     * @param {number} port
+     * @param {Object} [options]
+     * @param {boolean} [options.claim=false] - The port is known to be in use and is being recorded
+     */
+    async findConflicts(port, { claim = false } = {}) {
+        const conflicts = [];
+
+        const reservation = this.ports.getReservation(port);
+        if (reservation) {
+            conflicts.push({
+                type: 'reserved',
+                message: `Port ${port} is already reserved${reservation.project_id ? ` for ${this.convention.projectName(reservation.project_id)}` : ''}`
+            });
+        }
+        if (claim) return conflicts;
+
+        const apps = this.database.findApps({ port }).filter(app => app.status !== 'offline');
+        for (const app of apps) {
+            conflicts.push({ type: 'app', appId: app.id, message: `Port ${port} is used by ${app.name || app.url} on ${app.host}` });
+        }
+
+        if (apps.length === 0) {
+            const { host, status } = await this.portScanner.checkPort(port);
+            if (status === 'open' || this.portScanner.isDashboardEndpoint(host, port)) {
+                conflicts.push({ type: 'open', message: `Port ${port} is open on ${host}` });
+            }
+        }
+
+        return conflicts;
+    }
+
+    /**
+     * Project IDs that are taken: registered, named in config, reserved or seen on a scanned port
+     */
+    takenProjectIds() {
+        const taken = new Set(this.ports.getProjects().map(project => project.id));
+        for (const id of Object.keys(this.convention.settings.projects)) {
+            taken.add(String(Number(id)).padStart(2, '0'));
+        }
+        for (const reservation of this.ports.getReservations()) {
+            if (reservation.project_id) taken.add(reservation.project_id);
+        }
+        for (const app of this.database.getAllApps()) {
+            const info = this.convention.classify(app.port);
+            if (info.kind === 'project') taken.add(info.projectId);
+        }
+        return taken;
+    }
+
+    /**
+     * Reserve the port of a role for a project. Without a project ID the next
+     * free project is used, skipping any whose port for this role is in use.
+     * @param {Object} request - Validated request (see normalizeReservation); `claim` records a port already in use
+     * @returns {Promise<{reservation: Object, project: Object}>}
+     */
+    async reserve({ role, projectId, projectName, owner, description, claim = false }) {
+        let port;
+        if (projectId) {
+            port = this.convention.portFor(projectId, role);
+            const conflicts = await this.findConflicts(port, { claim });
+            if (conflicts.length > 0) {
+                throw new PortConflictError(`Port ${port} is not free`, conflicts);
+            }
+        } else {
+            const taken = this.takenProjectIds();
+            for (let id = 1; id <= MAX_PROJECT_ID && !port; id++) {
+                const candidate = String(id).padStart(2, '0');
+                if (taken.has(candidate)) continue;
+
+                const candidatePort = this.convention.portFor(candidate, role);
+                if ((await this.findConflicts(candidatePort)).length === 0) {
+                    projectId = candidate;
+                    port = candidatePort;
+                }
+            }
+            if (!port) {
+                throw new PortConflictError(`No free project ID left for role "${role}"`);
+            }
+        }
+
+        let reservation;
+        try {
+            reservation = this.ports.reserve(
+                { port, project_id: projectId, role, owner, description },
+                { id: projectId, name: projectName, owner, description: null }
+            );
+        } catch (error) {
+            // Another request took the port while it was being probed
+            if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+                throw new PortConflictError(`Port ${port} is not free`, [{ type: 'reserved', message: `Port ${port} is already reserved` }]);
+            }
+            throw error;
+        }
+        console.log(`[PortRegistry] Reserved port ${port} (${role}) for ${this.convention.projectName(projectId)}`);
+
+        return { reservation, project: this.ports.getProject(projectId) };
+    }
+
+    /**
+     * Compare the registry with what the scanner found
+     * @param {Array} apps - Rows from the apps table
+     * @returns {{projects: Array, reservations: Array, reservedUnused: Array, usedUnreserved: Array, conflicts: Array}}
+     */
+    report(apps) {
+        const running = apps.filter(app => app.status !== 'offline');
+        const appsOn = (port) => running
+            .filter(app => app.port === port)
+            .map(app => ({ appId: app.id, name: app.name, url: app.url, host: app.host, status: app.status }));
+
+        const reservations = this.ports.getReservations().map(reservation => {
+            const used = appsOn(reservation.port);
+            return {
+                ...reservation,
+                projectName: reservation.project_id ? this.convention.projectName(reservation.project_id) : null,
+                apps: used,
+                inUse: used.length > 0
+            };
+        });
+        const reserved = new Set(reservations.map(r => r.port));
+
+        const usedUnreserved = running
+            .filter(app => !reserved.has(app.port) && this.convention.classify(app.port).kind !== 'exempt')
+            .map(app => {
+                const info = this.convention.classify(app.port);
+                return {
+                    appId: app.id,
+                    name: app.name,
+                    url: app.url,
+                    host: app.host,
+                    port: app.port,
+                    status: app.status,
+                    projectId: info.projectId || null,
+                    role: info.role || null
+                };
+            });
+
+        const conflicts = reservations
+            .filter(r => new Set(r.apps.map(app => app.host)).size > 1)
+            .map(r => ({
+                port: r.port,
+                appIds: r.apps.map(app => app.appId),
+                message: `Reserved port ${r.port} answers on ${r.apps.map(app => app.host).join(', ')}`
+            }));
+
+        return {
+            projects: this.ports.getProjects().map(project => ({ ...project, displayName: this.convention.projectName(project.id) })),
+            reservations,
+            reservedUnused: reservations.filter(r => !r.inUse),
+            usedUnreserved,
+            conflicts
+        };
+    }
+}
+
+module.exports = PortRegistry;
+module.exports.PortConflictError = PortConflictError;
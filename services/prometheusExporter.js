@@ -0,0 +1,210 @@
+const config = require('../config.json');
+
+const PREFIX = 'webapp_monitor';
+
+const APP_STATUSES = ['online', 'degraded', 'offline', 'unknown'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long an Ollama availability check is reused between scrapes
+const DEFAULT_OLLAMA_CACHE_MS = 60000;
+
+/**
+ * Escape a label value for the text exposition format
+ */
+function escapeLabel(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * One metric family: HELP/TYPE header plus its samples
+ */
+class MetricFamily {
+    constructor(name, type, help) {
+        this.name = `${PREFIX}_${name}`;
+        this.type = type;
+        this.help = help;
+        this.samples = [];
+    }
+
+    add(labels, value, suffix = '') {
+        if (value === null || value === undefined || Number.isNaN(value)) return this;
+        this.samples.push(`${this.name}${suffix}${formatLabels(labels)} ${value}`);
+        return this;
+    }
+
+    render() {
+        return [
+            `# HELP ${this.name} ${this.help}`,
+            `# TYPE ${this.name} ${this.type}`,
+            ...this.samples
+        ].join('\n');
+    }
+}
+
+/**
+ * Prometheus Exporter
+ * Renders GET /metrics in the Prometheus text exposition format (version 0.0.4).
+ * Per-app gauges come from the apps table (status and details of the latest check);
+ * scan, screenshot and Ollama figures are kept in memory since startup.
+ */
+class PrometheusExporter {
+    constructor({ database, jobManager, screenshotAgent, aiAgent, maintenanceService }) {
+        const settings = config.prometheus || {};
+        this.database = database;
+        this.maintenanceService = maintenanceService;
+        this.screenshotAgent = screenshotAgent;
+        this.aiAgent = aiAgent;
+        this.ollamaCacheMs = settings.ollamaCacheMs ?? DEFAULT_OLLAMA_CACHE_MS;
+        this.ollama = { up: null, checkedAt: 0 };
+        this.scans = new Map();
+
+        jobManager.on('update', (job) => this.observeJob(job));
+    }
+
+    /**
+     * Record finished scan jobs, per mode
+     */
+    observeJob(job) {
+        if (job.type !== 'scan' || !job.finishedAt || !job.startedAt) return;
+
+        const mode = job.params?.mode || 'unknown';
+        if (!this.scans.has(mode)) {
+            this.scans.set(mode, { results: {}, durationSum: 0, durationCount: 0, lastDuration: null, lastFound: null });
+        }
+        const stats = this.scans.get(mode);
+        const seconds = (new Date(job.finishedAt) - new Date(job.startedAt)) / 1000;
+
+        stats.results[job.status] = (stats.results[job.status] || 0) + 1;
+        stats.durationSum += seconds;
+        stats.durationCount++;
+        stats.lastDuration = seconds;
+        if (job.status === 'completed' && job.result) {
+            stats.lastFound = job.result.found;
+        }
+    }
+
+    /**
+     * Ollama availability, re-checked at most once per cache period
+     */
+    async isOllamaUp() {
+        if (this.ollama.up === null || Date.now() - this.ollama.checkedAt >= this.ollamaCacheMs) {
+            this.ollama = { up: await this.aiAgent.isAvailable(), checkedAt: Date.now() };
+        }
+        return this.ollama.up;
+    }
+
+    appLabels(app) {
+        return {
+            app: app.name || app.url,
+            category: app.category || '',
+            host: app.host || '',
+            port: app.port ?? ''
+        };
+    }
+
+    appFamilies(apps) {
+        const up = new MetricFamily('app_up', 'gauge', 'Whether the app passed its last health check (1 online, 0 otherwise).');
+        const status = new MetricFamily('app_status', 'gauge', 'Current app status, one series per possible status.');
+        const responseTime = new MetricFamily('app_response_time_seconds', 'gauge', 'Response time of the last health check.');
+        const statusCode = new MetricFamily('app_http_status_code', 'gauge', 'HTTP status code returned by the last health check.');
+        const tlsExpiry = new MetricFamily('app_tls_expiry_days', 'gauge', 'Days until the TLS certificate of an HTTPS app expires.');
+        const maintenance = new MetricFamily('app_maintenance', 'gauge', 'Whether the app is in a maintenance window (1) or not (0).');
+        const now = Date.now();
+
+        for (const app of apps) {
+            const labels = this.appLabels(app);
+            up.add(labels, app.status === 'online' ? 1 : 0);
+            for (const value of APP_STATUSES) {
+                status.add({ ...labels, status: value }, app.status === value ? 1 : 0);
+            }
+            if (app.last_response_time_ms !== null && app.last_response_time_ms !== undefined) {
+                responseTime.add(labels, app.last_response_time_ms / 1000);
+            }
+            statusCode.add(labels, app.last_status_code);
+            if (app.tls_expires_at) {
+                tlsExpiry.add(labels, ((new Date(app.tls_expires_at) - now) / DAY_MS).toFixed(2));
+            }
+            maintenance.add(labels, this.maintenanceService.activeWindow(app) ? 1 : 0);
+        }
+
+        return [up, status, responseTime, statusCode, tlsExpiry, maintenance];
+    }
+
+    countFamilies(apps) {
+        const counts = new MetricFamily('apps', 'gauge', 'Discovered apps by status.');
+        for (const value of APP_STATUSES) {
+            counts.add({ status: value }, apps.filter(app => (app.status || 'unknown') === value).length);
+        }
+
+        const incidents = new MetricFamily('open_incidents', 'gauge', 'Incidents that are currently open.');
+        incidents.add({}, this.database.getIncidents({ status: 'open', limit: -1 }).length);
+
+        return [counts, incidents];
+    }
+
+    scanFamilies() {
+        const total = new MetricFamily('scans_total', 'counter', 'Finished scans since startup by mode and result.');
+        const duration = new MetricFamily('scan_duration_seconds', 'summary', 'Duration of finished scans since startup.');
+        const lastDuration = new MetricFamily('last_scan_duration_seconds', 'gauge', 'Duration of the most recent finished scan.');
+        const lastFound = new MetricFamily('last_scan_apps_found', 'gauge', 'Apps found by the most recent completed scan.');
+
+        for (const [mode, stats] of this.scans) {
+            for (const [result, count] of Object.entries(stats.results)) {
+                total.add({ mode, result }, count);
+            }
+            duration.add({ mode }, stats.durationSum.toFixed(3), '_sum');
+            duration.add({ mode }, stats.durationCount, '_count');
+            lastDuration.add({ mode }, stats.lastDuration.toFixed(3));
+            lastFound.add({ mode }, stats.lastFound);
+        }
+
+        return [total, duration, lastDuration, lastFound];
+    }
+
+    async serviceFamilies() {
+        const screenshots = new MetricFamily('screenshots_total', 'counter', 'Screenshot captures since startup by result.');
+        screenshots.add({ result: 'success' }, this.screenshotAgent.stats.captured);
+        screenshots.add({ result: 'failure' }, this.screenshotAgent.stats.failed);
+
+        const timeouts = new MetricFamily('screenshot_timeouts_total', 'counter', 'Screenshot captures that hit the capture timeout (also counted as failures).');
+        timeouts.add({}, this.screenshotAgent.stats.timedOut);
+
+        const relaunches = new MetricFamily('screenshot_browser_relaunches_total', 'counter', 'Times the screenshot browser was started again after crashing or disconnecting.');
+        relaunches.add({}, this.screenshotAgent.stats.relaunches);
+
+        const queue = this.screenshotAgent.queueStatus();
+        const pages = new MetricFamily('screenshot_pages', 'gauge', 'Screenshot captures running (active) and waiting for a page (queued).');
+        pages.add({ state: 'active' }, queue.active);
+        pages.add({ state: 'queued' }, queue.waiting);
+
+        const ollama = new MetricFamily('ollama_up', 'gauge', 'Whether the Ollama API answered (1) or not (0).');
+        ollama.add({}, (await this.isOllamaUp()) ? 1 : 0);
+
+        return [screenshots, timeouts, relaunches, pages, ollama];
+    }
+
+    /**
+     * Full exposition text
+     */
+    async render() {
+        const apps = this.database.getAllApps();
+        const families = [
+            ...this.appFamilies(apps),
+            ...this.countFamilies(apps),
+            ...this.scanFamilies(),
+            ...(await this.serviceFamilies())
+        ];
+        return families.map(family => family.render()).join('\n') + '\n';
+    }
+}
+
+module.exports = PrometheusExporter;
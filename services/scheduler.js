@@ -0,0 +1,237 @@
+const EventEmitter = require('events');
+const config = require('../config.json');
+const { parseCron } = require('../utils/cron');
+const { parseCheckSchedule } = require('../utils/checkSchedule');
+
+// How often due checks and tasks are looked for
+const TICK_MS = 1000;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Scheduler
+ * Runs the periodic health checks and cron-scheduled tasks.
+ *
+ * Every app is checked on its own interval (its check schedule, else `scanIntervalMs`),
+ * with up to `jitter` of the interval added or taken off each time and the first checks
+ * spread over one interval, so apps do not all come due together. At most
+ * `concurrency` checks run at once; the rest wait their turn. An app that has been
+ * offline for longer than `backoffAfterMs` is checked half as often after every
+ * further failure, down to once per `maxBackoffMs`, and back on its interval as
+ * soon as it answers. The offline times are kept in memory and start over after a restart.
+ *
+ * Tasks (schedule()) run at the times of a cron expression; a run that comes due
+ * while the previous one is still going is skipped.
+ *
+ * Emits 'result' with each health check result.
+ */
+class Scheduler extends EventEmitter {
+    constructor({ database, healthChecker }) {
+        super();
+        const settings = config.scheduler || {};
+        this.database = database;
+        this.healthChecker = healthChecker;
+        this.defaultIntervalMs = config.scanIntervalMs;
+        this.concurrency = settings.concurrency || 10;
+        this.jitter = settings.jitter ?? 0.1;
+        this.backoffAfterMs = settings.backoffAfterMs || 10 * MINUTE_MS;
+        this.maxBackoffMs = settings.maxBackoffMs || 30 * MINUTE_MS;
+
+        // appId -> { nextCheckAt, offlineSince, backoffMs, pending }
+        this.states = new Map();
+        this.queue = [];
+        this.running = 0;
+        // name -> { cron, nextRunAt, lastRunAt, running }
+        this.tasks = new Map();
+        this.timer = null;
+    }
+
+    start() {
+        this.tick();
+        this.timer = setInterval(() => this.tick(), TICK_MS);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Run a task at the times of a cron expression (ignored when empty, logged when invalid)
+     * @param {string} name - Shown in logs and GET /api/scheduler
+     * @param {string|null} expression - e.g. "0 3 * * *"
+     * @param {Function} run - May return a promise
+     */
+    schedule(name, expression, run) {
+        if (!expression) return;
+        let cron;
+        try {
+            cron = parseCron(expression);
+        } catch (error) {
+            console.error(`[Scheduler] Ignoring schedule "${name}": ${error.message}`);
+            return;
+        }
+        this.tasks.set(name, { cron, run, nextRunAt: cron.next(new Date()), lastRunAt: null, running: false });
+        console.log(`[Scheduler] ${name} scheduled "${cron.expression}"`);
+    }
+
+    intervalOf(app) {
+        const schedule = parseCheckSchedule(app.check_schedule);
+        return (schedule && schedule.intervalMs) || this.defaultIntervalMs;
+    }
+
+    tick() {
+        const now = Date.now();
+        const ids = new Set();
+
+        for (const app of this.database.getScheduledApps()) {
+            ids.add(app.id);
+            let state = this.states.get(app.id);
+            if (!state) {
+                state = {
+                    nextCheckAt: now + Math.random() * this.intervalOf(app),
+                    offlineSince: null,
+                    backoffMs: null,
+                    pending: false
+                };
+                this.states.set(app.id, state);
+            }
+            if (!state.pending && state.nextCheckAt <= now) {
+                state.pending = true;
+                this.queue.push(app);
+            }
+        }
+
+        // Forget removed apps
+        for (const id of this.states.keys()) {
+            if (!ids.has(id)) this.states.delete(id);
+        }
+
+        this.runTasks(now);
+        this.drain();
+    }
+
+    /**
+     * Start queued checks while fewer than `concurrency` are running
+     */
+    drain() {
+        while (this.running < this.concurrency && this.queue.length > 0) {
+            const app = this.queue.shift();
+            this.running++;
+            this.check(app).finally(() => {
+                this.running--;
+                this.drain();
+            });
+        }
+    }
+
+    async check(app) {
+        let status = null;
+        try {
+            const health = await this.healthChecker.checkApp(app);
+            status = health.status;
+            this.emit('result', health);
+        } catch (error) {
+            console.error(`[Scheduler] Check of ${app.url} failed:`, error.message);
+        }
+
+        const state = this.states.get(app.id);
+        if (!state) return;
+        state.pending = false;
+        this.planNext(app, state, status);
+    }
+
+    /**
+     * Set when an app is checked next, after a check that ended with `status`
+     * (null when the check itself failed)
+     */
+    planNext(app, state, status, now = Date.now()) {
+        const intervalMs = this.intervalOf(app);
+        if (status === 'offline') {
+            state.offlineSince = state.offlineSince || now;
+        } else if (status) {
+            state.offlineSince = null;
+        }
+
+        if (state.offlineSince && now - state.offlineSince >= this.backoffAfterMs) {
+            const longest = Math.max(intervalMs, this.maxBackoffMs);
+            state.backoffMs = Math.min((state.backoffMs || intervalMs) * 2, longest);
+        } else {
+            state.backoffMs = null;
+        }
+
+        const delay = state.backoffMs || intervalMs;
+        state.nextCheckAt = now + delay + delay * this.jitter * (Math.random() * 2 - 1);
+    }
+
+    /**
+     * Check an app on the next tick, with its backoff reset (e.g. after its schedule changed)
+     */
+    reschedule(appId) {
+        const state = this.states.get(appId);
+        if (state) {
+            state.nextCheckAt = Date.now();
+            state.backoffMs = null;
+        }
+    }
+
+    runTasks(now) {
+        for (const [name, task] of this.tasks) {
+            if (task.nextRunAt.getTime() > now) continue;
+            task.nextRunAt = task.cron.next(new Date(now));
+            if (task.running) {
+                console.warn(`[Scheduler] Skipping ${name}: the previous run has not finished`);
+                continue;
+            }
+
+            task.running = true;
+            task.lastRunAt = new Date(now).toISOString();
+            console.log(`[Scheduler] Running ${name}`);
+            Promise.resolve()
+                .then(() => task.run())
+                .catch(error => console.error(`[Scheduler] ${name} failed:`, error.message))
+                .finally(() => {
+                    task.running = false;
+                });
+        }
+    }
+
+    /**
+     * When an app is checked and how often
+     * @returns {{intervalMs: number, timeoutMs: number, custom: (Object|null), nextCheckAt: (string|null),
+     *           offlineSince: (string|null), backoffMs: (number|null)}} Effective values, the app's own
+     *           schedule as `custom`; nextCheckAt is null while a check runs
+     */
+    describe(app) {
+        const custom = parseCheckSchedule(app.check_schedule);
+        const state = this.states.get(app.id);
+        return {
+            intervalMs: (custom && custom.intervalMs) || this.defaultIntervalMs,
+            timeoutMs: (custom && custom.timeoutMs) || this.healthChecker.timeout,
+            custom,
+            nextCheckAt: state && !state.pending ? new Date(state.nextCheckAt).toISOString() : null,
+            offlineSince: state && state.offlineSince ? new Date(state.offlineSince).toISOString() : null,
+            backoffMs: state ? state.backoffMs : null
+        };
+    }
+
+    /**
+     * Scheduler state for GET /api/scheduler
+     */
+    status() {
+        return {
+            concurrency: this.concurrency,
+            running: this.running,
+            queued: this.queue.length,
+            tasks: [...this.tasks].map(([name, task]) => ({
+                name,
+                expression: task.cron.expression,
+                nextRunAt: task.nextRunAt.toISOString(),
+                lastRunAt: task.lastRunAt,
+                running: task.running
+            }))
+        };
+    }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,87 @@
+const sharp = require('sharp');
+const config = require('../config.json');
+
+// Sizes served by GET /api/apps/:id/screenshot; card is what the dashboard grid shows,
+// full the page as captured. Smaller sizes keep the top of the page.
+const SIZES = {
+    thumb: {
+        width: (config.screenshot && config.screenshot.thumbnailWidth) || 120,
+        height: (config.screenshot && config.screenshot.thumbnailHeight) || 90
+    },
+    card: { width: 280, height: 160 },
+    full: null
+};
+
+const FORMATS = {
+    png: 'image/png',
+    webp: 'image/webp',
+    avif: 'image/avif'
+};
+
+/**
+ * Screenshot Renderer
+ * Turns stored screenshots into the size and format a client asks for. Renderings are
+ * cached next to the original in the image store, so each is only made once.
+ */
+class ScreenshotRenderer {
+    constructor({ imageStore }) {
+        this.imageStore = imageStore;
+        this.quality = (config.screenshot && config.screenshot.quality) || 70;
+    }
+
+    /**
+     * Size and format for a request: `size` defaults to `defaultSize`; `format` when
+     * given, else the best the Accept header allows (AVIF, then WebP, then PNG)
+     * @throws {Error} For an unknown size or format
+     */
+    static negotiate({ size, format, accept }, defaultSize = 'card') {
+        size = size || defaultSize;
+        if (!Object.prototype.hasOwnProperty.call(SIZES, size)) {
+            throw new Error(`Size must be one of ${Object.keys(SIZES).join(', ')}`);
+        }
+        if (format) {
+            if (!FORMATS[format]) {
+                throw new Error(`Format must be one of ${Object.keys(FORMATS).join(', ')}`);
+            }
+            return { size, format };
+        }
+        accept = accept || '';
+        if (accept.includes('image/avif')) return { size, format: 'avif' };
+        if (accept.includes('image/webp')) return { size, format: 'webp' };
+        return { size, format: 'png' };
+    }
+
+    /**
+     * @returns {Promise<{buffer: Buffer, contentType: string}|null>} null when the image is not stored
+     */
+    async render(hash, size = 'card', format = 'png') {
+        const variant = `${size}.${format}`;
+        if (variant === 'full.png') {
+            const original = this.imageStore.read(hash);
+            return original && { buffer: original, contentType: FORMATS.png };
+        }
+
+        let buffer = this.imageStore.readVariant(hash, variant);
+        if (!buffer) {
+            const original = this.imageStore.read(hash);
+            if (!original) return null;
+
+            let image = sharp(original);
+            if (SIZES[size]) {
+                image = image.resize(SIZES[size].width, SIZES[size].height, { fit: 'cover', position: 'top' });
+            }
+            if (format === 'webp') {
+                image = image.webp({ quality: this.quality });
+            } else if (format === 'avif') {
+                image = image.avif({ quality: this.quality });
+            } else {
+                image = image.png();
+            }
+            buffer = await image.toBuffer();
+            this.imageStore.writeVariant(hash, variant, buffer);
+        }
+        return { buffer, contentType: FORMATS[format] };
+    }
+}
+
+module.exports = ScreenshotRenderer;
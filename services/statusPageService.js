@@ -0,0 +1,186 @@
+// How long a rendered page is reused, so public traffic does not hit the database on every request
+const CACHE_MS = 30000;
+
+// Days of uptime history shown per service
+const HISTORY_RANGE = '90d';
+
+const STATUSES = ['online', 'degraded', 'offline'];
+
+// Maintenance starting within this time is announced on the page
+const MAINTENANCE_NOTICE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Status Page Service
+ * Builds the public view of a status page: current state, daily uptime for the last
+ * 90 days, open incidents, maintenance and notices of the apps and groups it lists. Only what is
+ * meant for outsiders leaves here: display names and statuses, never URLs, hosts,
+ * ports, screenshots, error messages or app IDs.
+ */
+class StatusPageService {
+    constructor({ database, groups, statusPages, metricsService, maintenanceService }) {
+        this.database = database;
+        this.groups = groups;
+        this.statusPages = statusPages;
+        this.metricsService = metricsService;
+        this.maintenanceService = maintenanceService;
+
+        // slug -> { at, view }
+        this.cache = new Map();
+    }
+
+    /**
+     * Forget rendered pages, e.g. after a page was edited (all of them without a slug)
+     */
+    invalidate(slug = null) {
+        if (slug) {
+            this.cache.delete(slug.toLowerCase());
+        } else {
+            this.cache.clear();
+        }
+    }
+
+    /**
+     * Public view of the page with this slug, or null when there is none
+     */
+    render(slug) {
+        const key = String(slug).toLowerCase();
+        const cached = this.cache.get(key);
+        if (cached && Date.now() - cached.at < CACHE_MS) return cached.view;
+
+        const page = this.statusPages.getPageBySlug(key);
+        if (!page) {
+            this.cache.delete(key);
+            return null;
+        }
+
+        const view = this.build(page);
+        this.cache.set(key, { at: Date.now(), view });
+        return view;
+    }
+
+    /**
+     * Sections of the page: each group item is a titled section with the group's apps,
+     * consecutive app items share an untitled one
+     * @returns {Array<{name: (string|null), apps: Array<{app: Object, name: string}>}>}
+     */
+    sections(page) {
+        const apps = this.database.getAllApps();
+        const byId = new Map(apps.map(app => [app.id, app]));
+        const sections = [];
+
+        for (const item of page.items) {
+            if (item.type === 'group') {
+                const group = this.groups.getGroup(item.id);
+                if (!group) continue;
+                sections.push({
+                    name: item.name || group.name,
+                    apps: apps
+                        .filter(app => app.group_id === group.id)
+                        .map(app => ({ app, name: app.name || 'Unnamed service' }))
+                        .sort((a, b) => a.name.localeCompare(b.name))
+                });
+                continue;
+            }
+
+            const app = byId.get(item.id);
+            if (!app) continue;
+            const last = sections[sections.length - 1];
+            const entry = { app, name: item.name || app.name || 'Unnamed service' };
+            if (last && last.untitled) {
+                last.apps.push(entry);
+            } else {
+                sections.push({ name: null, untitled: true, apps: [entry] });
+            }
+        }
+        return sections;
+    }
+
+    /**
+     * One service as shown publicly
+     */
+    describeService({ app, name }) {
+        const metrics = this.metricsService.getMetrics(app.id, { range: HISTORY_RANGE, bucket: '1d' });
+        let status = STATUSES.includes(app.status) ? app.status : 'unknown';
+        if (this.maintenanceService.activeWindow(app)) status = 'maintenance';
+        return {
+            name,
+            status,
+            lastCheckedAt: app.last_checked_at,
+            uptimePct: metrics.summary.uptimePct,
+            days: metrics.buckets.map(bucket => ({
+                date: bucket.start.substring(0, 10),
+                uptimePct: bucket.uptimePct
+            }))
+        };
+    }
+
+    /**
+     * Overall state: operational, degraded, partial_outage or major_outage.
+     * Services in maintenance do not count.
+     */
+    overallStatus(services) {
+        const checked = services.filter(service => STATUSES.includes(service.status));
+        const offline = checked.filter(service => service.status === 'offline').length;
+        if (offline > 0) {
+            return offline === checked.length ? 'major_outage' : 'partial_outage';
+        }
+        return checked.some(service => service.status === 'degraded') ? 'degraded' : 'operational';
+    }
+
+    build(page) {
+        const sections = this.sections(page);
+        const names = new Map();
+        const services = [];
+        const apps = [];
+
+        const publicSections = sections.map((section) => ({
+            name: section.name,
+            services: section.apps.map((entry) => {
+                const service = this.describeService(entry);
+                if (!names.has(entry.app.id)) {
+                    names.set(entry.app.id, entry.name);
+                    services.push(service);
+                    apps.push(entry.app);
+                }
+                return service;
+            })
+        }));
+
+        const incidents = this.database.getIncidents({ status: 'open', limit: 500 })
+            .filter(incident => names.has(incident.app_id))
+            .map(incident => ({
+                service: names.get(incident.app_id),
+                severity: incident.severity,
+                startedAt: incident.started_at,
+                durationMs: Date.now() - new Date(incident.started_at).getTime()
+            }));
+
+        const notices = [];
+        if (page.notice) {
+            notices.push({ type: 'notice', message: page.notice, updatedAt: `${page.updated_at.replace(' ', 'T')}Z` });
+        }
+        for (const occurrence of this.maintenanceService.upcoming(apps, MAINTENANCE_NOTICE_MS)) {
+            notices.push({
+                type: 'maintenance',
+                message: occurrence.window.title,
+                active: occurrence.active,
+                startsAt: occurrence.startsAt,
+                endsAt: occurrence.endsAt,
+                services: occurrence.appIds.map(id => names.get(id))
+            });
+        }
+
+        return {
+            slug: page.slug,
+            title: page.title,
+            description: page.description,
+            status: this.overallStatus(services),
+            notices,
+            incidents,
+            sections: publicSections,
+            generatedAt: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = StatusPageService;
@@ -0,0 +1,147 @@
+const EventEmitter = require('events');
+const sharp = require('sharp');
+const config = require('../config.json');
+
+// Captures are compared as small greyscale images, which evens out anti-aliasing
+// and sub-pixel rendering differences between otherwise identical pages
+const COMPARE_WIDTH = 70;
+const COMPARE_HEIGHT = 40;
+
+// Brightness difference (0-255) below which a pixel counts as unchanged
+const PIXEL_TOLERANCE = 24;
+
+const DEFAULT_DIFF_THRESHOLD = 0.1;
+const DEFAULT_HISTORY_SIZE = 20;
+
+async function greyscalePixels(image) {
+    return sharp(image)
+        .greyscale()
+        .resize(COMPARE_WIDTH, COMPARE_HEIGHT, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+}
+
+/**
+ * Visual Change Monitor
+ * Keeps the latest `screenshot.historySize` captures of every app and scores each one
+ * against the capture before it: the share of the page (0-1) that looks different.
+ * Captures are compared as the dashboard shows them, at card size.
+ * A score of `screenshot.diffThreshold` or more flags the app as visually changed (e.g. it
+ * turned into an error page or a blank screen) until someone reviews the change.
+ * Captures taken during a maintenance window are kept and scored but flag nothing,
+ * since a maintenance page is expected to look different.
+ *
+ * Emits 'change' with { app, captureId, score }.
+ */
+class VisualChangeMonitor extends EventEmitter {
+    constructor({ database, screenshots, renderer }) {
+        super();
+        const settings = config.screenshot || {};
+        this.database = database;
+        this.screenshots = screenshots;
+        this.renderer = renderer;
+        this.threshold = settings.diffThreshold ?? DEFAULT_DIFF_THRESHOLD;
+        this.historySize = settings.historySize || DEFAULT_HISTORY_SIZE;
+    }
+
+    /**
+     * Parse the visual_change column
+     */
+    static parse(value) {
+        if (!value) return null;
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Card-size PNGs of two stored images
+     * @throws {Error} When either is missing from the image store
+     */
+    async cards(previousHash, currentHash) {
+        const images = await Promise.all([previousHash, currentHash].map(hash => this.renderer.render(hash, 'card', 'png')));
+        if (images.includes(null)) {
+            throw new Error('Screenshot file missing');
+        }
+        return images.map(image => image.buffer);
+    }
+
+    /**
+     * Share of pixels (0-1, three decimals) that differ between two images
+     */
+    async compare(previous, current) {
+        const [a, b] = await Promise.all([greyscalePixels(previous), greyscalePixels(current)]);
+        let changed = 0;
+        for (let i = 0; i < a.length; i++) {
+            if (Math.abs(a[i] - b[i]) > PIXEL_TOLERANCE) changed++;
+        }
+        return Math.round((changed / a.length) * 1000) / 1000;
+    }
+
+    /**
+     * Card-size PNG of the current image, faded, with the pixels that differ from the previous one in red
+     */
+    async renderDiff(previousHash, currentHash) {
+        const [previous, current] = await this.cards(previousHash, currentHash);
+        const { width, height } = await sharp(current).metadata();
+        const [before, after] = await Promise.all([
+            sharp(previous).resize(width, height, { fit: 'fill' }).removeAlpha().raw().toBuffer(),
+            sharp(current).removeAlpha().raw().toBuffer()
+        ]);
+
+        const output = Buffer.alloc(after.length);
+        for (let i = 0; i < after.length; i += 3) {
+            const difference = Math.max(
+                Math.abs(after[i] - before[i]),
+                Math.abs(after[i + 1] - before[i + 1]),
+                Math.abs(after[i + 2] - before[i + 2])
+            );
+            if (difference > PIXEL_TOLERANCE) {
+                output[i] = 239;
+                output[i + 1] = 68;
+                output[i + 2] = 68;
+            } else {
+                const grey = 0.3 * after[i] + 0.59 * after[i + 1] + 0.11 * after[i + 2];
+                output.fill(Math.round(grey * 0.4 + 255 * 0.6), i, i + 3);
+            }
+        }
+
+        return sharp(output, { raw: { width, height, channels: 3 } }).png().toBuffer();
+    }
+
+    /**
+     * Add an app's new screenshot (already in the image store) to its history and score it
+     * against the previous one
+     * @param {Object} [options]
+     * @param {boolean} [options.maintenance=false] - The app is in a maintenance window
+     * @returns {Promise<{captureId: number, score: (number|null), changed: boolean}>}
+     */
+    async record(app, hash, { maintenance = false } = {}) {
+        const previous = this.screenshots.getLatest(app.id);
+        let score = null;
+        if (previous && previous.image_hash === hash) {
+            score = 0;
+        } else if (previous) {
+            try {
+                score = await this.compare(...await this.cards(previous.image_hash, hash));
+            } catch (error) {
+                console.error(`[VisualChangeMonitor] Could not compare screenshots of ${app.url}:`, error.message);
+            }
+        }
+
+        const changed = score !== null && score >= this.threshold;
+        const detectedAt = new Date().toISOString();
+        const captureId = this.screenshots.addCapture(app.id, hash, score, changed, detectedAt);
+        this.screenshots.prune(app.id, this.historySize);
+
+        if (changed && !maintenance) {
+            this.database.setVisualChange(app.id, { captureId, score, detectedAt });
+            this.emit('change', { app, captureId, score });
+        }
+        return { captureId, score, changed };
+    }
+}
+
+module.exports = VisualChangeMonitor;
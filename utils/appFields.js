@@ -0,0 +1,280 @@
+/**
+ * App Field Module
+ * Validates user edits to apps (PUT /api/apps/:id), their tags and groups
+ */
+
+// Fields that discovery, metadata extraction and AI identification also write.
+// Once a user edits one of them it is locked against those automatic updates.
+const LOCKABLE_FIELDS = ['name', 'description', 'category'];
+
+// Maximum length per free-text field; null means the field may be cleared
+const TEXT_FIELDS = {
+    name: { maxLength: 100, nullable: false },
+    category: { maxLength: 50, nullable: false },
+    description: { maxLength: 1000, nullable: true },
+    notes: { maxLength: 5000, nullable: true }
+};
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 32;
+
+// Emoji or a few characters; anything longer must be an image URL
+const MAX_ICON_TEXT_LENGTH = 16;
+const MAX_ICON_URL_LENGTH = 200000;
+
+const DEFAULT_PORTS = { 'http:': 80, 'https:': 443 };
+
+const MAX_GROUP_NAME_LENGTH = 50;
+const MAX_GROUP_DESCRIPTION_LENGTH = 500;
+
+/**
+ * Parse the locked_fields column
+ * @param {string|null} value - JSON array stored in the database
+ * @returns {string[]} Locked field names
+ */
+function parseLockedFields(value) {
+    if (!value) return [];
+    try {
+        const fields = JSON.parse(value);
+        return Array.isArray(fields) ? fields : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Validate a free-text field
+ * @param {string} field - Field name (key of TEXT_FIELDS)
+ * @param {*} value - Submitted value
+ * @returns {string|null} Trimmed value, or null for a cleared nullable field
+ */
+function normalizeText(field, value) {
+    const { maxLength, nullable } = TEXT_FIELDS[field];
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    if (!text) {
+        if (nullable) return null;
+        throw new Error(`${field.charAt(0).toUpperCase() + field.slice(1)} cannot be empty`);
+    }
+    if (text.length > maxLength) {
+        throw new Error(`${field.charAt(0).toUpperCase() + field.slice(1)} must be at most ${maxLength} characters`);
+    }
+    return text;
+}
+
+/**
+ * Validate a custom icon: an emoji/short text, an http(s) image URL or an image data URL
+ * @param {*} value - Submitted icon
+ * @returns {string|null} Icon, or null to use the default
+ */
+function normalizeIcon(value) {
+    const icon = value === null || value === undefined ? '' : String(value).trim();
+    if (!icon) return null;
+
+    if (/^data:image\//i.test(icon) || /^https?:\/\//i.test(icon)) {
+        if (icon.length > MAX_ICON_URL_LENGTH) {
+            throw new Error('Icon image is too large');
+        }
+        if (/^https?:\/\//i.test(icon)) {
+            try {
+                new URL(icon);
+            } catch (e) {
+                throw new Error('Icon URL is not a valid URL');
+            }
+        }
+        return icon;
+    }
+
+    if ([...icon].length > MAX_ICON_TEXT_LENGTH) {
+        throw new Error('Icon must be an emoji, an image URL or an image data URL');
+    }
+    return icon;
+}
+
+/**
+ * Validate a single tag name
+ * @param {*} value - Submitted tag
+ * @returns {string} Trimmed tag name
+ */
+function normalizeTagName(value) {
+    const tag = value === null || value === undefined ? '' : String(value).trim();
+    if (!tag) {
+        throw new Error('Tag cannot be empty');
+    }
+    if (tag.length > MAX_TAG_LENGTH) {
+        throw new Error(`Tag "${tag}" must be at most ${MAX_TAG_LENGTH} characters`);
+    }
+    if (/[,\p{Cc}]/u.test(tag)) {
+        throw new Error(`Tag "${tag}" contains invalid characters`);
+    }
+    return tag;
+}
+
+/**
+ * Validate tags: an array or a comma-separated string. Duplicates (ignoring case) are dropped.
+ * @param {string[]|string|null} value - Submitted tags
+ * @returns {string[]} Tag names in submitted order
+ */
+function normalizeTags(value) {
+    if (value === null || value === undefined || value === '') return [];
+    const entries = Array.isArray(value) ? value : String(value).split(',');
+
+    const tags = [];
+    const seen = new Set();
+    for (const entry of entries) {
+        if (!String(entry).trim()) continue;
+        const tag = normalizeTagName(entry);
+        if (!seen.has(tag.toLowerCase())) {
+            seen.add(tag.toLowerCase());
+            tags.push(tag);
+        }
+    }
+
+    if (tags.length > MAX_TAGS) {
+        throw new Error(`An app can have at most ${MAX_TAGS} tags`);
+    }
+    return tags;
+}
+
+/**
+ * Validate an app URL and derive its port, host and protocol
+ * @param {*} value - Submitted URL
+ * @returns {{url: string, port: number, host: string, protocol: string}} URL fields
+ */
+function normalizeUrl(value) {
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    let parsed;
+    try {
+        parsed = new URL(text);
+    } catch (e) {
+        throw new Error('URL is not valid');
+    }
+    if (!parsed.hostname) {
+        throw new Error('URL must include a host');
+    }
+
+    const port = parsed.port ? parseInt(parsed.port, 10) : DEFAULT_PORTS[parsed.protocol];
+    if (!port) {
+        throw new Error('URL must include a port');
+    }
+
+    return {
+        // "http://host:3000/" and "http://host:3000" are the same app
+        url: text.replace(/\/$/, ''),
+        port,
+        host: parsed.hostname,
+        protocol: parsed.protocol.slice(0, -1).toLowerCase()
+    };
+}
+
+/**
+ * Validate a group reference
+ * @param {*} value - Group ID, or null/"" for no group
+ * @returns {number|null} Group ID
+ */
+function normalizeGroupId(value) {
+    if (value === null || value === '') return null;
+    const id = Number(value);
+    if (!Number.isInteger(id) || id <= 0) {
+        throw new Error('Group ID must be a positive integer or null');
+    }
+    return id;
+}
+
+/**
+ * Validate a group definition
+ * @param {Object} input - Request body ({ name, description, color, sortOrder })
+ * @param {boolean} [partial=false] - Allow omitting the name (updates)
+ * @returns {Object} Column values to write (name, description, color, sort_order)
+ */
+function normalizeGroup(input, partial = false) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('Request body must be an object');
+    }
+
+    const group = {};
+    if (input.name !== undefined || !partial) {
+        const name = input.name === null || input.name === undefined ? '' : String(input.name).trim();
+        if (!name) {
+            throw new Error('Group name cannot be empty');
+        }
+        if (name.length > MAX_GROUP_NAME_LENGTH) {
+            throw new Error(`Group name must be at most ${MAX_GROUP_NAME_LENGTH} characters`);
+        }
+        group.name = name;
+    }
+    if (input.description !== undefined) {
+        const description = input.description === null ? '' : String(input.description).trim();
+        if (description.length > MAX_GROUP_DESCRIPTION_LENGTH) {
+            throw new Error(`Group description must be at most ${MAX_GROUP_DESCRIPTION_LENGTH} characters`);
+        }
+        group.description = description || null;
+    }
+    if (input.color !== undefined) {
+        if (input.color !== null && input.color !== '' && !/^#[0-9a-f]{6}$/i.test(String(input.color))) {
+            throw new Error('Group color must be a hex color like #4f46e5');
+        }
+        group.color = input.color || null;
+    }
+    if (input.sortOrder !== undefined) {
+        if (!Number.isInteger(input.sortOrder)) {
+            throw new Error('Group sortOrder must be an integer');
+        }
+        group.sort_order = input.sortOrder;
+    }
+
+    if (Object.keys(group).length === 0) {
+        throw new Error('No group fields given');
+    }
+    return group;
+}
+
+/**
+ * Validate an edit request. Only fields present in the input are changed.
+ * @param {Object} input - Request body
+ * @returns {{fields: Object, tags: (string[]|undefined), unlock: string[]}} Column values to write,
+ *          replacement tags (undefined when unchanged) and fields to unlock
+ */
+function normalizeAppUpdate(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('Request body must be an object');
+    }
+
+    const fields = {};
+    for (const field of Object.keys(TEXT_FIELDS)) {
+        if (input[field] !== undefined) {
+            fields[field] = normalizeText(field, input[field]);
+        }
+    }
+    if (input.icon !== undefined) {
+        fields.icon = normalizeIcon(input.icon);
+    }
+    if (input.url !== undefined) {
+        Object.assign(fields, normalizeUrl(input.url));
+    }
+    if (input.groupId !== undefined) {
+        fields.group_id = normalizeGroupId(input.groupId);
+    }
+
+    const tags = input.tags !== undefined ? normalizeTags(input.tags) : undefined;
+
+    const unlock = input.unlock === undefined ? [] : input.unlock;
+    if (!Array.isArray(unlock) || unlock.some(field => !LOCKABLE_FIELDS.includes(field))) {
+        throw new Error(`Unlock must be a list of: ${LOCKABLE_FIELDS.join(', ')}`);
+    }
+
+    if (Object.keys(fields).length === 0 && tags === undefined && unlock.length === 0) {
+        throw new Error('No editable fields given');
+    }
+
+    return { fields, tags, unlock };
+}
+
+module.exports = {
+    LOCKABLE_FIELDS,
+    parseLockedFields,
+    normalizeTagName,
+    normalizeTags,
+    normalizeUrl,
+    normalizeAppUpdate,
+    normalizeGroup
+};
@@ -0,0 +1,142 @@
+/**
+ * Auth Field Module
+ * Validates login, user and API token requests (/api/auth/*)
+ */
+
+// read: GET requests; write: everything else; admin: users, server settings and start/stop definitions
+const SCOPES = ['read', 'write', 'admin'];
+
+// Scopes each role grants; an API token never has more than its owner's role
+const ROLE_SCOPES = {
+    viewer: ['read'],
+    admin: ['read', 'write', 'admin']
+};
+const ROLES = Object.keys(ROLE_SCOPES);
+
+const USERNAME_PATTERN = /^[\w.@-]{1,50}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const MAX_TOKEN_NAME_LENGTH = 100;
+const MAX_TOKEN_DAYS = 3650;
+
+function assertObject(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('Request body must be an object');
+    }
+}
+
+function normalizeUsername(value) {
+    const username = value === null || value === undefined ? '' : String(value).trim();
+    if (!USERNAME_PATTERN.test(username)) {
+        throw new Error('Username must be 1-50 letters, digits or . _ @ -');
+    }
+    return username;
+}
+
+function normalizePassword(value) {
+    if (typeof value !== 'string' || value.length < MIN_PASSWORD_LENGTH || value.length > MAX_PASSWORD_LENGTH) {
+        throw new Error(`Password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`);
+    }
+    return value;
+}
+
+function normalizeRole(value) {
+    if (!ROLES.includes(value)) {
+        throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+    return value;
+}
+
+/**
+ * Validate a login request. Only checks the shape; wrong credentials are the service's job.
+ * @returns {{username: string, password: string}}
+ */
+function normalizeCredentials(input) {
+    assertObject(input);
+    if (typeof input.username !== 'string' || typeof input.password !== 'string' || !input.username.trim() || !input.password) {
+        throw new Error('Username and password are required');
+    }
+    return { username: input.username.trim(), password: input.password };
+}
+
+/**
+ * Validate a new user ({ username, password, role }); role defaults to viewer
+ */
+function normalizeNewUser(input) {
+    assertObject(input);
+    return {
+        username: normalizeUsername(input.username),
+        password: normalizePassword(input.password),
+        role: normalizeRole(input.role === undefined ? 'viewer' : input.role)
+    };
+}
+
+/**
+ * Validate a user update ({ role, password }); only fields present are changed
+ */
+function normalizeUserUpdate(input) {
+    assertObject(input);
+    const update = {};
+    if (input.role !== undefined) update.role = normalizeRole(input.role);
+    if (input.password !== undefined) update.password = normalizePassword(input.password);
+    if (Object.keys(update).length === 0) {
+        throw new Error('No user fields given');
+    }
+    return update;
+}
+
+/**
+ * Validate a password change ({ currentPassword, newPassword })
+ */
+function normalizePasswordChange(input) {
+    assertObject(input);
+    if (typeof input.currentPassword !== 'string' || !input.currentPassword) {
+        throw new Error('Current password is required');
+    }
+    return { currentPassword: input.currentPassword, newPassword: normalizePassword(input.newPassword) };
+}
+
+/**
+ * Validate an API token request ({ name, scopes, expiresInDays })
+ * @param {Object} input
+ * @param {string} role - Role of the token's owner; scopes beyond it are refused
+ * @returns {{name: string, scopes: string[], expiresInDays: (number|null)}}
+ */
+function normalizeTokenRequest(input, role) {
+    assertObject(input);
+
+    const name = input.name === null || input.name === undefined ? '' : String(input.name).trim();
+    if (!name || name.length > MAX_TOKEN_NAME_LENGTH) {
+        throw new Error(`Token name is required (at most ${MAX_TOKEN_NAME_LENGTH} characters)`);
+    }
+
+    const scopes = input.scopes === undefined ? ['read'] : input.scopes;
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+        throw new Error(`Scopes must be a list of: ${SCOPES.join(', ')}`);
+    }
+    const beyondRole = scopes.filter(scope => !ROLE_SCOPES[role].includes(scope));
+    if (beyondRole.length > 0) {
+        throw new Error(`A ${role} cannot create tokens with scope ${beyondRole.join(', ')}`);
+    }
+
+    let expiresInDays = null;
+    if (input.expiresInDays !== undefined && input.expiresInDays !== null && input.expiresInDays !== '') {
+        expiresInDays = Number(input.expiresInDays);
+        if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_TOKEN_DAYS) {
+            throw new Error(`Expiry must be 1-${MAX_TOKEN_DAYS} days, or empty for no expiry`);
+        }
+    }
+
+    return { name, scopes: SCOPES.filter(scope => scopes.includes(scope)), expiresInDays };
+}
+
+module.exports = {
+    SCOPES,
+    ROLES,
+    ROLE_SCOPES,
+    normalizeCredentials,
+    normalizeNewUser,
+    normalizeUserUpdate,
+    normalizePasswordChange,
+    normalizeTokenRequest
+};
@@ -0,0 +1,212 @@
+/**
+ * Capture Recipe Module
+ * Validates how the screenshot agent signs in to an app before it takes a screenshot
+ * or reads the page (PUT /api/apps/:id/capture-recipe). A recipe is a list of steps
+ * run after the app's URL is opened, plus cookies and headers sent with the app's requests
+ * and a selector to wait for before capturing. Credentials, cookies, headers and the text
+ * fill steps type are secrets: the API only shows them masked (fill texts made of nothing
+ * but {{username}}/{{password}} placeholders excepted), and a masked value sent back keeps
+ * the stored one.
+ */
+
+const STEP_ACTIONS = ['goto', 'fill', 'click', 'waitForSelector', 'waitForUrl'];
+const MAX_STEPS = 20;
+const MAX_LENGTH = 500;
+const MASK = '********';
+
+// Placeholders a fill step can type instead of writing the credentials into the step list
+const PLACEHOLDER_PATTERN = /\{\{(username|password)\}\}/g;
+
+function text(value, label, required = true) {
+    const result = value === undefined || value === null ? '' : String(value).trim();
+    if (required && !result) {
+        throw new Error(`${label} is required`);
+    }
+    if (result.length > MAX_LENGTH) {
+        throw new Error(`${label} must be at most ${MAX_LENGTH} characters`);
+    }
+    return result;
+}
+
+function isPlaceholderOnly(value) {
+    return value.replace(PLACEHOLDER_PATTERN, '') === '';
+}
+
+function normalizeStep(input, index) {
+    const label = `Step ${index + 1}`;
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error(`${label} must be an object`);
+    }
+    if (!STEP_ACTIONS.includes(input.action)) {
+        throw new Error(`${label}: action must be one of ${STEP_ACTIONS.join(', ')}`);
+    }
+
+    switch (input.action) {
+        case 'goto': {
+            // A path is resolved against the app's URL
+            const url = text(input.url, `${label}: URL`);
+            if (!url.startsWith('/') && !/^https?:\/\//i.test(url)) {
+                throw new Error(`${label}: URL must be a path starting with "/" or an http(s) URL`);
+            }
+            return { action: 'goto', url };
+        }
+        case 'fill':
+            return {
+                action: 'fill',
+                selector: text(input.selector, `${label}: selector`),
+                value: input.value === undefined || input.value === null ? '' : String(input.value)
+            };
+        case 'waitForUrl':
+            // Part of the URL to wait for, e.g. "/dashboard"
+            return { action: 'waitForUrl', url: text(input.url, `${label}: URL`) };
+        default:
+            return { action: input.action, selector: text(input.selector, `${label}: selector`) };
+    }
+}
+
+/**
+ * Cookies or headers as { name: value }; a masked or missing value keeps the stored one
+ */
+function normalizeSecretMap(input, stored, label) {
+    if (input === undefined || input === null) return {};
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error(`${label} must be an object of name/value pairs`);
+    }
+    const result = {};
+    for (const [rawName, value] of Object.entries(input)) {
+        const name = text(rawName, `${label} name`);
+        if (value === MASK || value === null || value === undefined) {
+            if (!Object.prototype.hasOwnProperty.call(stored, name)) {
+                throw new Error(`${label} "${name}" needs a value`);
+            }
+            result[name] = stored[name];
+        } else {
+            result[name] = String(value);
+        }
+    }
+    return result;
+}
+
+/**
+ * Validate a capture recipe
+ * @param {Object|null} input - { steps, waitForSelector, username, password, cookies, headers }
+ * @param {Object|null} previous - The recipe being replaced as resolveCaptureRecipe() returns it, for masked values
+ * @returns {{recipe: Object, secrets: Object}|null} Recipe and secrets to store (fill texts move
+ *   into secrets.fillValues, by step index), or null to remove the recipe
+ */
+function normalizeCaptureRecipe(input, previous = null) {
+    if (input === null) return null;
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('Capture recipe must be an object or null');
+    }
+    const stored = { username: '', password: '', cookies: {}, headers: {}, steps: [], ...(previous || {}) };
+
+    const steps = input.steps === undefined || input.steps === null ? [] : input.steps;
+    if (!Array.isArray(steps)) {
+        throw new Error('Steps must be an array');
+    }
+    if (steps.length > MAX_STEPS) {
+        throw new Error(`A recipe can have at most ${MAX_STEPS} steps`);
+    }
+
+    const normalizedSteps = steps.map(normalizeStep);
+    // A masked fill text keeps what the stored fill step with the same selector types
+    const fillValues = normalizedSteps.map((step, index) => {
+        if (step.action !== 'fill') return null;
+        if (step.value !== MASK) return step.value;
+        const match = stored.steps.find(s => s.action === 'fill' && s.selector === step.selector);
+        if (!match) {
+            throw new Error(`Step ${index + 1}: enter the text to fill in again`);
+        }
+        return match.value;
+    });
+    const recipe = {
+        steps: normalizedSteps.map(step => step.action === 'fill' ? { action: 'fill', selector: step.selector } : step),
+        waitForSelector: text(input.waitForSelector, 'Wait for selector', false) || null
+    };
+
+    // Leaving the password out (or sending it masked) keeps the stored one
+    const password = input.password === undefined || input.password === null || input.password === MASK
+        ? stored.password
+        : String(input.password);
+    const secrets = {
+        username: text(input.username, 'Username', false),
+        password,
+        cookies: normalizeSecretMap(input.cookies, stored.cookies, 'Cookie'),
+        headers: normalizeSecretMap(input.headers, stored.headers, 'Header'),
+        fillValues
+    };
+
+    const usesCredentials = fillValues.some(value => value !== null && value.match(PLACEHOLDER_PATTERN));
+    if (usesCredentials && !secrets.username && !secrets.password) {
+        throw new Error('Steps type {{username}} or {{password}}, but no credentials are set');
+    }
+    if (recipe.steps.length === 0 && !recipe.waitForSelector
+        && Object.keys(secrets.cookies).length === 0 && Object.keys(secrets.headers).length === 0) {
+        throw new Error('A recipe needs steps, a selector to wait for, cookies or headers');
+    }
+    return { recipe, secrets };
+}
+
+/**
+ * A stored recipe joined with its decrypted secrets, as the screenshot agent runs it
+ * @param {{recipe: Object, secrets: (Object|null), error: (string|undefined)}|null} stored
+ * @returns {Object|null}
+ * @throws {Error} When the secrets could not be decrypted
+ */
+function resolveCaptureRecipe(stored) {
+    if (!stored) return null;
+    if (stored.error) {
+        throw new Error(stored.error);
+    }
+    const { fillValues = [], ...secrets } = stored.secrets || {};
+    return {
+        username: '',
+        password: '',
+        cookies: {},
+        headers: {},
+        ...stored.recipe,
+        ...secrets,
+        steps: stored.recipe.steps.map((step, index) => step.action === 'fill' ? { ...step, value: fillValues[index] || '' } : step)
+    };
+}
+
+/**
+ * A stored recipe for the API, with its secrets masked (the username is shown)
+ */
+function describeCaptureRecipe(stored) {
+    if (!stored) return null;
+    const secrets = stored.secrets || {};
+    const mask = (values) => Object.fromEntries(Object.keys(values || {}).map(name => [name, MASK]));
+    const fillValues = secrets.fillValues || [];
+    const steps = stored.recipe.steps.map((step, index) => {
+        if (step.action !== 'fill') return step;
+        const value = fillValues[index] || '';
+        return { ...step, value: isPlaceholderOnly(value) ? value : MASK };
+    });
+    return {
+        ...stored.recipe,
+        steps,
+        username: secrets.username || '',
+        password: secrets.password ? MASK : '',
+        cookies: mask(secrets.cookies),
+        headers: mask(secrets.headers),
+        error: stored.error,
+        updatedAt: stored.updatedAt
+    };
+}
+
+/**
+ * The text a fill step types, with {{username}} and {{password}} replaced
+ */
+function fillValue(value, recipe) {
+    return value.replace(PLACEHOLDER_PATTERN, (match, field) => recipe[field] || '');
+}
+
+module.exports = {
+    STEP_ACTIONS,
+    normalizeCaptureRecipe,
+    resolveCaptureRecipe,
+    describeCaptureRecipe,
+    fillValue
+};
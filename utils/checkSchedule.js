@@ -0,0 +1,55 @@
+/**
+ * Check Schedule Module
+ * Validates how often and how patiently an app is checked (PUT /api/apps/:id/schedule).
+ * Fields left out fall back to scanIntervalMs and scanning.timeoutMs.
+ */
+
+const LIMITS = {
+    intervalMs: { min: 10 * 1000, max: 24 * 60 * 60 * 1000, label: 'Interval' },
+    timeoutMs: { min: 500, max: 60 * 1000, label: 'Timeout' }
+};
+
+/**
+ * Validate a check schedule
+ * @param {Object|null} input - { intervalMs, timeoutMs }, either may be null
+ * @returns {Object|null} Schedule to store, or null when both use the defaults
+ */
+function normalizeCheckSchedule(input) {
+    if (input === null) return null;
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('Schedule must be an object or null');
+    }
+
+    const schedule = {};
+    for (const [field, { min, max, label }] of Object.entries(LIMITS)) {
+        const value = input[field];
+        if (value === undefined || value === null || value === '') continue;
+        const ms = Number(value);
+        if (!Number.isInteger(ms) || ms < min || ms > max) {
+            throw new Error(`${label} must be between ${min} and ${max} ms`);
+        }
+        schedule[field] = ms;
+    }
+
+    if (schedule.intervalMs && schedule.timeoutMs && schedule.timeoutMs >= schedule.intervalMs) {
+        throw new Error('Timeout must be shorter than the interval');
+    }
+    return Object.keys(schedule).length > 0 ? schedule : null;
+}
+
+/**
+ * Parse the check_schedule column
+ */
+function parseCheckSchedule(value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return null;
+    }
+}
+
+module.exports = {
+    normalizeCheckSchedule,
+    parseCheckSchedule
+};
@@ -0,0 +1,99 @@
+/**
+ * Cron Module
+ * Parses five-field cron expressions ("minute hour day-of-month month day-of-week")
+ * and finds the next time one fires, in server local time
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+const ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+// No expression skips more than a few years (29 February on a Monday at worst)
+const MAX_SEARCH_MINUTES = 8 * 366 * 24 * 60;
+
+/**
+ * Parse one field: "*", "5", "1-5", "*\/15", "10-40/10" or a comma list of those
+ * @returns {{values: Set<number>, any: boolean}}
+ */
+function parseField(text, { name, min, max }) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) {
+            throw new Error(`Invalid ${name} "${part}"`);
+        }
+        const from = match[1] === '*' ? min : parseInt(match[2], 10);
+        const to = match[1] === '*' ? max : (match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? max : from));
+        const step = match[4] ? parseInt(match[4], 10) : 1;
+        if (from < min || to > max || from > to || step < 1) {
+            throw new Error(`Invalid ${name} "${part}" (allowed: ${min}-${max})`);
+        }
+        for (let value = from; value <= to; value += step) {
+            values.add(value);
+        }
+    }
+    return { values, any: text === '*' };
+}
+
+/**
+ * Parse a cron expression (or @hourly, @daily, @weekly, @monthly)
+ * @returns {{expression: string, next: function(Date): Date}} next() gives the first
+ *          matching minute after the given time
+ */
+function parseCron(expression) {
+    const text = String(expression || '').trim();
+    const fields = (ALIASES[text] || text).split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error(`Cron expression "${text}" must have five fields: minute hour day-of-month month day-of-week`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseField(field, FIELDS[i]));
+    // 7 is Sunday too
+    if (weekdays.values.has(7)) weekdays.values.add(0);
+
+    // As in cron, a restricted day of month and day of week match either
+    const dayMatches = (date) => {
+        const inMonth = days.values.has(date.getDate());
+        const inWeek = weekdays.values.has(date.getDay());
+        if (days.any || weekdays.any) return inMonth && inWeek;
+        return inMonth || inWeek;
+    };
+
+    return {
+        expression: text,
+        next(after = new Date()) {
+            const date = new Date(after);
+            date.setSeconds(0, 0);
+            for (let i = 0; i < MAX_SEARCH_MINUTES; i++) {
+                date.setMinutes(date.getMinutes() + 1);
+                if (!months.values.has(date.getMonth() + 1)) {
+                    date.setMonth(date.getMonth() + 1, 1);
+                    date.setHours(0, -1);
+                } else if (!dayMatches(date)) {
+                    date.setDate(date.getDate() + 1);
+                    date.setHours(0, -1);
+                } else if (!hours.values.has(date.getHours())) {
+                    date.setHours(date.getHours() + 1, -1);
+                } else if (minutes.values.has(date.getMinutes())) {
+                    return new Date(date);
+                }
+            }
+            throw new Error(`Cron expression "${text}" never fires`);
+        }
+    };
+}
+
+module.exports = {
+    parseCron
+};
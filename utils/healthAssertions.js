@@ -0,0 +1,250 @@
+/**
+ * Health Assertion Module
+ * Validates per-app HTTP check definitions and evaluates responses against them
+ */
+
+const ALLOWED_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'OPTIONS'];
+
+// Applied to apps without their own definition: any answer below 500 counts as healthy,
+// so a login wall (401/403) stays green but a crashed backend (502) does not.
+const DEFAULT_HEALTH_CHECK = {
+    path: null,
+    method: 'GET',
+    headers: {},
+    expectedStatus: ['200-499'],
+    bodyContains: null,
+    bodyRegex: null,
+    jsonAssertions: [],
+    maxLatencyMs: null
+};
+
+/**
+ * Parse one expected-status entry: 200, "200", "200-299" or "2xx"
+ * @param {number|string} entry - Status code, range or class
+ * @returns {{min: number, max: number}} Inclusive range
+ */
+function parseStatusRange(entry) {
+    const value = String(entry).trim().toLowerCase();
+    let match = value.match(/^([1-5])xx$/);
+    if (match) {
+        const base = parseInt(match[1], 10) * 100;
+        return { min: base, max: base + 99 };
+    }
+    match = value.match(/^(\d{3})(?:\s*-\s*(\d{3}))?$/);
+    if (!match) {
+        throw new Error(`Invalid expected status "${entry}"`);
+    }
+    const min = parseInt(match[1], 10);
+    const max = match[2] ? parseInt(match[2], 10) : min;
+    if (min < 100 || max > 599 || min > max) {
+        throw new Error(`Invalid expected status "${entry}"`);
+    }
+    return { min, max };
+}
+
+/**
+ * Split a JSON path like "$.data.items[0].status" into keys
+ * @param {string} jsonPath - Dot/bracket path, optionally starting with "$"
+ * @returns {Array<string|number>} Path segments
+ */
+function parseJsonPath(jsonPath) {
+    const trimmed = String(jsonPath).trim().replace(/^\$\.?/, '');
+    if (trimmed === '') return [];
+
+    const segments = [];
+    const pattern = /([^.[\]]+)|\[(\d+)\]/g;
+    let match;
+    while ((match = pattern.exec(trimmed)) !== null) {
+        segments.push(match[2] !== undefined ? parseInt(match[2], 10) : match[1]);
+    }
+    return segments;
+}
+
+/**
+ * Resolve a JSON path against a parsed document
+ * @param {*} document - Parsed JSON body
+ * @param {string} jsonPath - Path to resolve
+ * @returns {{found: boolean, value: *}} Whether the path exists and its value
+ */
+function resolveJsonPath(document, jsonPath) {
+    let current = document;
+    for (const segment of parseJsonPath(jsonPath)) {
+        if (current === null || typeof current !== 'object' || !(segment in current)) {
+            return { found: false, value: undefined };
+        }
+        current = current[segment];
+    }
+    return { found: true, value: current };
+}
+
+/**
+ * Validate and normalize a health check definition from the API.
+ * Empty input (null, {}) clears the definition.
+ * @param {Object|null} input - Raw definition
+ * @returns {Object|null} Normalized definition, or null for "use the default"
+ * @throws {Error} When a field is invalid
+ */
+function normalizeHealthCheck(input) {
+    if (input === null || input === undefined) return null;
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('Health check must be an object');
+    }
+
+    const check = {};
+
+    if (input.path) {
+        const path = String(input.path).trim();
+        if (!path.startsWith('/')) {
+            throw new Error('Health check path must start with "/"');
+        }
+        // "//host/x" (or "/\host/x") resolves to another host, which would get the check headers
+        if (/^\/[\/\\]/.test(path)) {
+            throw new Error('Health check path must not start with "//"');
+        }
+        check.path = path;
+    }
+
+    if (input.method) {
+        const method = String(input.method).toUpperCase();
+        if (!ALLOWED_METHODS.includes(method)) {
+            throw new Error(`Unsupported method "${input.method}"`);
+        }
+        check.method = method;
+    }
+
+    if (input.headers) {
+        if (typeof input.headers !== 'object' || Array.isArray(input.headers)) {
+            throw new Error('Headers must be an object of name/value pairs');
+        }
+        check.headers = {};
+        for (const [name, value] of Object.entries(input.headers)) {
+            check.headers[String(name).trim()] = String(value);
+        }
+    }
+
+    if (input.expectedStatus !== undefined && input.expectedStatus !== null && input.expectedStatus !== '') {
+        const entries = Array.isArray(input.expectedStatus)
+            ? input.expectedStatus
+            : String(input.expectedStatus).split(',');
+        check.expectedStatus = entries.map(e => String(e).trim()).filter(Boolean);
+        check.expectedStatus.forEach(parseStatusRange);
+    }
+
+    if (input.bodyContains) {
+        check.bodyContains = String(input.bodyContains);
+    }
+
+    if (input.bodyRegex) {
+        try {
+            new RegExp(input.bodyRegex);
+        } catch (e) {
+            throw new Error(`Invalid body regex: ${e.message}`);
+        }
+        check.bodyRegex = String(input.bodyRegex);
+    }
+
+    if (input.jsonAssertions) {
+        if (!Array.isArray(input.jsonAssertions)) {
+            throw new Error('JSON assertions must be an array');
+        }
+        check.jsonAssertions = input.jsonAssertions.map(assertion => {
+            if (!assertion || !assertion.path) {
+                throw new Error('Each JSON assertion needs a path');
+            }
+            const normalized = { path: String(assertion.path).trim() };
+            if (assertion.equals !== undefined) normalized.equals = assertion.equals;
+            return normalized;
+        });
+    }
+
+    if (input.maxLatencyMs !== undefined && input.maxLatencyMs !== null && input.maxLatencyMs !== '') {
+        const maxLatencyMs = parseInt(input.maxLatencyMs, 10);
+        if (isNaN(maxLatencyMs) || maxLatencyMs <= 0) {
+            throw new Error('Max latency must be a positive number of milliseconds');
+        }
+        check.maxLatencyMs = maxLatencyMs;
+    }
+
+    return Object.keys(check).length > 0 ? check : null;
+}
+
+/**
+ * Parse a definition stored in the database, falling back to null on bad JSON
+ * @param {string|null} stored - JSON text from the apps.health_check column
+ * @returns {Object|null} Definition or null
+ */
+function parseHealthCheck(stored) {
+    if (!stored) return null;
+    try {
+        return JSON.parse(stored);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Merge a definition with the defaults
+ * @param {Object|null} healthCheck - Stored definition
+ * @returns {Object} Complete definition
+ */
+function resolveHealthCheck(healthCheck) {
+    return { ...DEFAULT_HEALTH_CHECK, ...(healthCheck || {}) };
+}
+
+/**
+ * Evaluate a response against a definition
+ * @param {Object} healthCheck - Complete definition (see resolveHealthCheck)
+ * @param {Object} response - { statusCode, body, responseTime }
+ * @returns {string[]} Human-readable failures; empty when every assertion passed
+ */
+function evaluateHealthCheck(healthCheck, { statusCode, body, responseTime }) {
+    const failures = [];
+    const text = typeof body === 'string' ? body : (body ? JSON.stringify(body) : '');
+
+    const ranges = healthCheck.expectedStatus.map(parseStatusRange);
+    if (!ranges.some(r => statusCode >= r.min && statusCode <= r.max)) {
+        failures.push(`Status ${statusCode} not in ${healthCheck.expectedStatus.join(', ')}`);
+    }
+
+    if (healthCheck.maxLatencyMs && responseTime > healthCheck.maxLatencyMs) {
+        failures.push(`Response took ${responseTime}ms (max ${healthCheck.maxLatencyMs}ms)`);
+    }
+
+    if (healthCheck.bodyContains && !text.includes(healthCheck.bodyContains)) {
+        failures.push(`Body does not contain "${healthCheck.bodyContains}"`);
+    }
+
+    if (healthCheck.bodyRegex && !new RegExp(healthCheck.bodyRegex).test(text)) {
+        failures.push(`Body does not match /${healthCheck.bodyRegex}/`);
+    }
+
+    if (healthCheck.jsonAssertions.length > 0) {
+        let document;
+        try {
+            document = typeof body === 'string' ? JSON.parse(body) : body;
+        } catch (e) {
+            failures.push('Body is not valid JSON');
+            return failures;
+        }
+
+        for (const assertion of healthCheck.jsonAssertions) {
+            const { found, value } = resolveJsonPath(document, assertion.path);
+            if (!found) {
+                failures.push(`${assertion.path} is missing`);
+            } else if (assertion.equals !== undefined && String(value) !== String(assertion.equals)) {
+                failures.push(`${assertion.path} is ${JSON.stringify(value)}, expected ${JSON.stringify(assertion.equals)}`);
+            }
+        }
+    }
+
+    return failures;
+}
+
+module.exports = {
+    DEFAULT_HEALTH_CHECK,
+    normalizeHealthCheck,
+    parseHealthCheck,
+    resolveHealthCheck,
+    evaluateHealthCheck,
+    resolveJsonPath
+};
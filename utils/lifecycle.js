@@ -0,0 +1,129 @@
+/**
+ * Lifecycle Module
+ * Validates the start/stop/restart definition attached to an app and checks it
+ * against the server-side allow-list (config.actions.allow)
+ */
+
+const LIFECYCLE_TYPES = ['shell', 'systemd', 'docker'];
+const ACTIONS = ['start', 'stop', 'restart'];
+
+const MAX_COMMAND_LENGTH = 1000;
+
+// systemd unit names: letters, digits and :-_.\@ followed by a unit type suffix
+const UNIT_PATTERN = /^[\w:.\\@-]+\.(service|socket|target|timer)$/;
+const CONTAINER_PATTERN = /^[\w][\w.-]*$/;
+
+// Shell operators "*" does not match, so an allowed command cannot be chained with another
+const WILDCARD = '[^;&|`$()<>\\n]*';
+
+/**
+ * Whether a value matches an allow-list pattern, where "*" matches any run of characters
+ * other than shell operators
+ */
+function matchesPattern(value, pattern) {
+    const regex = String(pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join(WILDCARD);
+    return new RegExp(`^${regex}$`).test(value);
+}
+
+/**
+ * Validate a lifecycle definition
+ * @param {Object|null} input - { type: 'shell', start, stop, restart } | { type: 'systemd', unit } | { type: 'docker', container }
+ * @returns {Object|null} Definition to store, or null to remove it
+ */
+function normalizeLifecycle(input) {
+    if (input === null) return null;
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('Lifecycle must be an object or null');
+    }
+    if (!LIFECYCLE_TYPES.includes(input.type)) {
+        throw new Error(`Lifecycle type must be one of: ${LIFECYCLE_TYPES.join(', ')}`);
+    }
+
+    if (input.type === 'shell') {
+        const commands = {};
+        for (const action of ACTIONS) {
+            const command = input[action] === null || input[action] === undefined ? '' : String(input[action]).trim();
+            if (command.length > MAX_COMMAND_LENGTH) {
+                throw new Error(`The ${action} command must be at most ${MAX_COMMAND_LENGTH} characters`);
+            }
+            if (command) commands[action] = command;
+        }
+        if (!commands.start && !commands.stop) {
+            throw new Error('A shell lifecycle needs at least a start or a stop command');
+        }
+        return { type: 'shell', ...commands };
+    }
+
+    if (input.type === 'systemd') {
+        const unit = String(input.unit || '').trim();
+        if (!UNIT_PATTERN.test(unit)) {
+            throw new Error('Unit must be a systemd unit name such as "myapp.service"');
+        }
+        return { type: 'systemd', unit };
+    }
+
+    // Docker: without a container the one the app was discovered in is used
+    const container = String(input.container || '').trim();
+    if (container && !CONTAINER_PATTERN.test(container)) {
+        throw new Error('Container must be a container name or ID');
+    }
+    return { type: 'docker', container: container || null };
+}
+
+/**
+ * Actions a lifecycle supports; shell restart falls back to stop + start
+ */
+function availableActions(lifecycle) {
+    if (!lifecycle) return [];
+    if (lifecycle.type !== 'shell') return ACTIONS;
+    return ACTIONS.filter(action => lifecycle[action] || (action === 'restart' && lifecycle.start && lifecycle.stop));
+}
+
+/**
+ * Throw unless the allow-list permits the lifecycle's target
+ * @param {Object} lifecycle - Normalized definition
+ * @param {string|null} container - Container name or ID a docker lifecycle resolves to
+ * @param {Object} allow - { commands: [], systemdUnits: [], containers: [] } patterns
+ */
+function assertAllowed(lifecycle, container, allow = {}) {
+    const permitted = (value, patterns) => (patterns || []).some(pattern => matchesPattern(value, pattern));
+
+    if (lifecycle.type === 'shell') {
+        for (const action of ACTIONS) {
+            if (lifecycle[action] && !permitted(lifecycle[action], allow.commands)) {
+                throw new Error(`The ${action} command is not in the server's allow-list (actions.allow.commands)`);
+            }
+        }
+    } else if (lifecycle.type === 'systemd') {
+        if (!permitted(lifecycle.unit, allow.systemdUnits)) {
+            throw new Error(`Unit ${lifecycle.unit} is not in the server's allow-list (actions.allow.systemdUnits)`);
+        }
+    } else if (!container) {
+        throw new Error('No container given and the app is not linked to a Docker container');
+    } else if (!permitted(container, allow.containers)) {
+        throw new Error(`Container ${container} is not in the server's allow-list (actions.allow.containers)`);
+    }
+}
+
+/**
+ * Parse the lifecycle column
+ */
+function parseLifecycle(value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return null;
+    }
+}
+
+module.exports = {
+    ACTIONS,
+    availableActions,
+    normalizeLifecycle,
+    assertAllowed,
+    parseLifecycle
+};
@@ -0,0 +1,117 @@
+/**
+ * Maintenance Field Module
+ * Validates maintenance window requests (POST /api/maintenance)
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Days between occurrences of a repeated window
+const RECURRENCES = { none: null, daily: 1, weekly: 7 };
+
+const MAX_TITLE_LENGTH = 100;
+const DEFAULT_TITLE = 'Maintenance';
+
+// A one-off window may last up to 30 days
+const MAX_DURATION_MS = 30 * DAY_MS;
+
+function normalizeId(value, label) {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id <= 0) {
+        throw new Error(`${label} must be a positive integer`);
+    }
+    return id;
+}
+
+/**
+ * Parse a time given as an ISO string (with or without zone; without one it is server local time)
+ */
+function normalizeTime(value, label) {
+    const time = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+    if (!time || Number.isNaN(time.getTime())) {
+        throw new Error(`${label} must be a date and time, e.g. 2024-05-04T22:00`);
+    }
+    return time;
+}
+
+/**
+ * Validate a maintenance window
+ * @param {Object} input - Request body ({ title, appId | groupId, startsAt, endsAt | durationMinutes,
+ *                         recurrence: none|daily|weekly, repeatUntil }); startsAt defaults to now
+ * @returns {Object} Column values (title, app_id, group_id, starts_at, ends_at, recurrence, repeat_until)
+ */
+function normalizeMaintenanceWindow(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('Request body must be an object');
+    }
+
+    const title = input.title === null || input.title === undefined ? '' : String(input.title).trim();
+    if (title.length > MAX_TITLE_LENGTH) {
+        throw new Error(`Title must be at most ${MAX_TITLE_LENGTH} characters`);
+    }
+
+    const hasApp = input.appId !== undefined && input.appId !== null;
+    const hasGroup = input.groupId !== undefined && input.groupId !== null;
+    if (hasApp === hasGroup) {
+        throw new Error('A maintenance window needs either an appId or a groupId');
+    }
+
+    const recurrence = input.recurrence === undefined || input.recurrence === null ? 'none' : input.recurrence;
+    if (!Object.prototype.hasOwnProperty.call(RECURRENCES, recurrence)) {
+        throw new Error(`Recurrence must be one of: ${Object.keys(RECURRENCES).join(', ')}`);
+    }
+
+    const startsAt = input.startsAt === undefined || input.startsAt === null || input.startsAt === ''
+        ? new Date()
+        : normalizeTime(input.startsAt, 'Start');
+
+    let endsAt;
+    if (input.durationMinutes !== undefined && input.durationMinutes !== null && input.durationMinutes !== '') {
+        const minutes = Number(input.durationMinutes);
+        if (!Number.isInteger(minutes) || minutes < 1) {
+            throw new Error('Duration must be a whole number of minutes');
+        }
+        endsAt = new Date(startsAt.getTime() + minutes * MINUTE_MS);
+    } else if (input.endsAt !== undefined && input.endsAt !== null && input.endsAt !== '') {
+        endsAt = normalizeTime(input.endsAt, 'End');
+    } else {
+        throw new Error('Give an end time (endsAt) or a duration (durationMinutes)');
+    }
+
+    const duration = endsAt - startsAt;
+    if (duration <= 0) {
+        throw new Error('The window must end after it starts');
+    }
+    const periodDays = RECURRENCES[recurrence];
+    if (periodDays ? duration >= periodDays * DAY_MS : duration > MAX_DURATION_MS) {
+        throw new Error(periodDays
+            ? `A ${recurrence} window must be shorter than ${periodDays === 1 ? 'a day' : 'a week'}`
+            : 'A maintenance window can last at most 30 days');
+    }
+    if (!periodDays && endsAt <= new Date()) {
+        throw new Error('The window is already over');
+    }
+
+    let repeatUntil = null;
+    if (periodDays && input.repeatUntil !== undefined && input.repeatUntil !== null && input.repeatUntil !== '') {
+        repeatUntil = normalizeTime(input.repeatUntil, 'Repeat until');
+        if (repeatUntil <= startsAt) {
+            throw new Error('Repeat until must be after the first start');
+        }
+    }
+
+    return {
+        title: title || DEFAULT_TITLE,
+        app_id: hasApp ? normalizeId(input.appId, 'App ID') : null,
+        group_id: hasGroup ? normalizeId(input.groupId, 'Group ID') : null,
+        starts_at: startsAt.toISOString(),
+        ends_at: endsAt.toISOString(),
+        recurrence,
+        repeat_until: repeatUntil ? repeatUntil.toISOString() : null
+    };
+}
+
+module.exports = {
+    RECURRENCES,
+    normalizeMaintenanceWindow
+};
@@ -218,6 +218,96 @@ function isLocalhostUrl(url) {
            url.includes('docker.internal');
 }
 
+// Largest CIDR range we are willing to expand (a /22). Guards against a typo like /8 turning into 16M probes.
+const MAX_CIDR_HOSTS = 1024;
+
+/**
+ * Parse a dotted IPv4 address into an unsigned 32-bit integer
+ * @param {string} ip - IPv4 address
+ * @returns {number|null} Integer value or null if not a valid IPv4 address
+ */
+function ipv4ToInt(ip) {
+    const parts = String(ip).split('.');
+    if (parts.length !== 4) return null;
+
+    let value = 0;
+    for (const part of parts) {
+        if (!/^\d{1,3}$/.test(part) || parseInt(part, 10) > 255) return null;
+        value = value * 256 + parseInt(part, 10);
+    }
+    return value;
+}
+
+/**
+ * Convert an unsigned 32-bit integer back to dotted IPv4 notation
+ * @param {number} value - Integer IPv4 value
+ * @returns {string} IPv4 address
+ */
+function intToIpv4(value) {
+    return [24, 16, 8, 0].map(shift => Math.floor(value / 2 ** shift) % 256).join('.');
+}
+
+/**
+ * Expand a host specification into individual hosts.
+ * Accepts a hostname, an IPv4 address or an IPv4 CIDR range (e.g. 192.168.1.0/28).
+ * Network and broadcast addresses are skipped for prefixes shorter than /31.
+ * @param {string} spec - Host, IP or CIDR range
+ * @param {number} maxHosts - Refuse ranges that expand to more hosts than this
+ * @returns {string[]} List of hosts
+ * @throws {Error} If the CIDR range is malformed or too large
+ */
+function expandHostSpec(spec, maxHosts = MAX_CIDR_HOSTS) {
+    const value = String(spec || '').trim();
+    if (!value) throw new Error('Empty host specification');
+    if (!value.includes('/')) return [value];
+
+    const [base, prefixText] = value.split('/');
+    const baseInt = ipv4ToInt(base);
+    const prefix = parseInt(prefixText, 10);
+    if (baseInt === null || !/^\d{1,2}$/.test(prefixText) || prefix > 32) {
+        throw new Error(`Invalid CIDR range: ${value}`);
+    }
+
+    const size = 2 ** (32 - prefix);
+    const network = baseInt - (baseInt % size);
+    const first = prefix < 31 ? network + 1 : network;
+    const last = prefix < 31 ? network + size - 2 : network + size - 1;
+
+    if (last - first + 1 > maxHosts) {
+        throw new Error(`CIDR range ${value} expands to ${last - first + 1} hosts (max ${maxHosts})`);
+    }
+
+    const hosts = [];
+    for (let ip = first; ip <= last; ip++) {
+        hosts.push(intToIpv4(ip));
+    }
+    return hosts;
+}
+
+/**
+ * Extract the hostname from a URL
+ * @param {string} url - URL to parse
+ * @returns {string|null} Hostname or null if the URL is invalid
+ */
+function getHostFromUrl(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Check whether a URL is served over HTTP/HTTPS.
+ * Fingerprinted services are stored with their own scheme (redis://, ssh://, ...)
+ * and must not be sent to browsers or axios.
+ * @param {string} url - URL to check
+ * @returns {boolean} True for http:// and https:// URLs
+ */
+function isHttpUrl(url) {
+    return /^https?:\/\//i.test(url || '');
+}
+
 module.exports = {
     getNetworkInterfaces,
     getLANIpAddress,
@@ -226,5 +316,8 @@ module.exports = {
     convertAppUrl,
     convertAppsUrls,
     isLocalhostUrl,
-    isDockerContainer
+    isDockerContainer,
+    expandHostSpec,
+    getHostFromUrl,
+    isHttpUrl
 };
@@ -0,0 +1,95 @@
+/**
+ * Port Field Module
+ * Validates port registry requests (POST /api/ports/reserve, PUT /api/ports/projects/:id)
+ */
+
+const TEXT_FIELDS = {
+    name: 50,
+    owner: 100,
+    description: 500
+};
+
+/**
+ * Validate an optional free-text field
+ * @returns {string|null} Trimmed value, or null when empty
+ */
+function normalizeOptionalText(field, value) {
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    if (text.length > TEXT_FIELDS[field]) {
+        throw new Error(`${field.charAt(0).toUpperCase() + field.slice(1)} must be at most ${TEXT_FIELDS[field]} characters`);
+    }
+    return text || null;
+}
+
+/**
+ * Validate a project ID: 1-99, given as a number or a string like "07"
+ * @returns {string} Two-digit project ID
+ */
+function normalizeProjectId(value) {
+    const id = Number(value);
+    if (value === '' || value === null || !Number.isInteger(id) || id < 1 || id > 99) {
+        throw new Error('Project ID must be a number from 1 to 99');
+    }
+    return String(id).padStart(2, '0');
+}
+
+/**
+ * Validate a reservation request
+ * @param {Object} input - Request body ({ role, projectId, projectName, owner, description, claim })
+ * @param {string[]} roles - Role names of the port convention
+ * @returns {{role: string, projectId: (string|null), projectName: (string|null), owner: (string|null), description: (string|null), claim: boolean}}
+ *          projectId is null when the next free project should be used
+ */
+function normalizeReservation(input, roles) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('Request body must be an object');
+    }
+
+    const role = input.role === null || input.role === undefined ? '' : String(input.role).trim().toLowerCase();
+    if (!roles.includes(role)) {
+        throw new Error(`Role must be one of: ${roles.join(', ')}`);
+    }
+
+    return {
+        role,
+        projectId: input.projectId === undefined || input.projectId === null ? null : normalizeProjectId(input.projectId),
+        projectName: normalizeOptionalText('name', input.projectName),
+        owner: normalizeOptionalText('owner', input.owner),
+        description: normalizeOptionalText('description', input.description),
+        claim: input.claim === true
+    };
+}
+
+/**
+ * Validate a project update. Only fields present in the input are changed.
+ * @returns {Object} Column values to write (name, owner, description)
+ */
+function normalizeProject(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('Request body must be an object');
+    }
+
+    const project = {};
+    if (input.name !== undefined) {
+        project.name = normalizeOptionalText('name', input.name);
+        if (!project.name) {
+            throw new Error('Project name cannot be empty');
+        }
+    }
+    for (const field of ['owner', 'description']) {
+        if (input[field] !== undefined) {
+            project[field] = normalizeOptionalText(field, input[field]);
+        }
+    }
+
+    if (Object.keys(project).length === 0) {
+        throw new Error('No project fields given');
+    }
+    return project;
+}
+
+module.exports = {
+    normalizeProjectId,
+    normalizeReservation,
+    normalizeProject
+};
@@ -0,0 +1,83 @@
+/**
+ * Secret Box Module
+ * Encrypts secrets before they are stored in the database (AES-256-GCM).
+ * The key is derived from the WAM_SECRET_KEY environment variable when it is set;
+ * otherwise it is read from `screenshot.secretKeyPath` (default data/secret.key),
+ * which is created with a random key on first use. Losing the key makes stored
+ * secrets unreadable, so keep it with backups of the database.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config.json');
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+const KEY_PATH = path.resolve(__dirname, '..', (config.screenshot && config.screenshot.secretKeyPath) || 'data/secret.key');
+
+let key = null;
+
+function loadKey() {
+    if (key) return key;
+
+    if (process.env.WAM_SECRET_KEY) {
+        key = crypto.createHash('sha256').update(process.env.WAM_SECRET_KEY).digest();
+        return key;
+    }
+
+    try {
+        key = Buffer.from(fs.readFileSync(KEY_PATH, 'utf8').trim(), 'hex');
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        key = crypto.randomBytes(32);
+        fs.mkdirSync(path.dirname(KEY_PATH), { recursive: true });
+        // wx: never overwrite a key another process wrote in the meantime
+        fs.writeFileSync(KEY_PATH, key.toString('hex'), { mode: 0o600, flag: 'wx' });
+        console.log(`[SecretBox] Created secret key ${KEY_PATH}`);
+    }
+    if (key.length !== 32) {
+        key = null;
+        throw new Error(`Secret key ${KEY_PATH} must hold 64 hex characters`);
+    }
+    return key;
+}
+
+/**
+ * Encrypt a JSON-serializable value
+ * @returns {string} "v1.<iv>.<tag>.<ciphertext>", base64url encoded
+ */
+function seal(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, loadKey(), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    return [VERSION, iv, cipher.getAuthTag(), data]
+        .map(part => typeof part === 'string' ? part : part.toString('base64url'))
+        .join('.');
+}
+
+/**
+ * Decrypt what seal() returned
+ * @throws {Error} When the text was sealed with another key or was tampered with
+ */
+function open(sealed) {
+    const [version, iv, tag, data] = String(sealed).split('.');
+    if (version !== VERSION || !data) {
+        throw new Error('Unknown secret format');
+    }
+    const secretKey = loadKey();
+    try {
+        const decipher = crypto.createDecipheriv(ALGORITHM, secretKey, Buffer.from(iv, 'base64url'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+        const text = Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]).toString('utf8');
+        return JSON.parse(text);
+    } catch (e) {
+        throw new Error('Stored secret cannot be decrypted (was the secret key changed?)');
+    }
+}
+
+module.exports = {
+    seal,
+    open
+};
@@ -0,0 +1,209 @@
+/**
+ * SMTP Client Module
+ * Minimal SMTP sender for alert emails: plain, implicit TLS (port 465) or
+ * STARTTLS, with optional AUTH PLAIN/LOGIN. One message per connection.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Line-oriented reader for SMTP replies. Multi-line replies ("250-...")
+ * are collected until the final "250 ..." line.
+ */
+class ReplyReader {
+    constructor(socket) {
+        this.buffer = '';
+        this.lines = [];
+        this.waiting = null;
+        this.error = null;
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        socket.on('data', (chunk) => {
+            this.buffer += chunk.toString('utf8');
+            let index;
+            while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+                this.lines.push(this.buffer.slice(0, index));
+                this.buffer = this.buffer.slice(index + 2);
+            }
+            this.flush();
+        });
+        socket.on('error', (error) => this.fail(error));
+        socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+    }
+
+    fail(error) {
+        if (!this.error) this.error = error;
+        if (this.waiting) {
+            const { reject } = this.waiting;
+            this.waiting = null;
+            reject(this.error);
+        }
+    }
+
+    flush() {
+        if (!this.waiting) return;
+        const last = this.lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+        if (last === -1) return;
+
+        const replyLines = this.lines.splice(0, last + 1);
+        const code = parseInt(replyLines[last].slice(0, 3), 10);
+        const { resolve } = this.waiting;
+        this.waiting = null;
+        resolve({ code, lines: replyLines.map(line => line.slice(4)) });
+    }
+
+    read() {
+        return new Promise((resolve, reject) => {
+            if (this.error) return reject(this.error);
+            this.waiting = { resolve, reject };
+            this.flush();
+        });
+    }
+}
+
+/**
+ * Connect, either in clear text or with implicit TLS
+ */
+function connect({ host, port, secure, rejectUnauthorized, timeout }) {
+    return new Promise((resolve, reject) => {
+        const socket = secure
+            ? tls.connect({ host, port, servername: host, rejectUnauthorized })
+            : net.connect({ host, port });
+        socket.setTimeout(timeout, () => socket.destroy(new Error('SMTP timeout')));
+        socket.once(secure ? 'secureConnect' : 'connect', () => resolve(socket));
+        socket.once('error', reject);
+    });
+}
+
+/**
+ * Upgrade a clear-text socket after STARTTLS
+ */
+function upgrade(socket, { host, rejectUnauthorized, timeout }) {
+    return new Promise((resolve, reject) => {
+        socket.removeAllListeners('data');
+        socket.removeAllListeners('error');
+        socket.removeAllListeners('close');
+        const secureSocket = tls.connect({ socket, servername: host, rejectUnauthorized });
+        secureSocket.setTimeout(timeout, () => secureSocket.destroy(new Error('SMTP timeout')));
+        secureSocket.once('secureConnect', () => resolve(secureSocket));
+        secureSocket.once('error', reject);
+    });
+}
+
+/**
+ * Encode a header value as RFC 2047 UTF-8 when it is not plain ASCII
+ */
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value)
+        ? value
+        : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Build the RFC 5322 message. Lines starting with "." are dot-stuffed.
+ */
+function buildMessage({ from, to, subject, text }) {
+    const headers = [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@${os.hostname()}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit'
+    ];
+    const body = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+    return `${headers.join('\r\n')}\r\n\r\n${body}\r\n.\r\n`;
+}
+
+/**
+ * Extract the bare address from "Name <addr@host>"
+ */
+function bareAddress(address) {
+    const match = address.match(/<([^>]+)>/);
+    return match ? match[1] : address.trim();
+}
+
+/**
+ * Send one email.
+ * @param {Object} transport - { host, port, secure, starttls, user, pass, rejectUnauthorized, timeoutMs }
+ * @param {Object} mail - { from, to: string|string[], subject, text }
+ * @returns {Promise<{accepted: string[]}>} Recipients the server accepted
+ */
+async function sendMail(transport, mail) {
+    const options = {
+        host: transport.host || 'localhost',
+        port: transport.port || (transport.secure ? 465 : 25),
+        secure: !!transport.secure,
+        rejectUnauthorized: transport.rejectUnauthorized !== false,
+        timeout: transport.timeoutMs || DEFAULT_TIMEOUT_MS
+    };
+    const recipients = Array.isArray(mail.to) ? mail.to : String(mail.to).split(',').map(r => r.trim()).filter(Boolean);
+    if (recipients.length === 0) {
+        throw new Error('No email recipients');
+    }
+
+    let socket = await connect(options);
+    let reader = new ReplyReader(socket);
+
+    const command = async (line, expected) => {
+        if (line !== null) socket.write(`${line}\r\n`);
+        const reply = await reader.read();
+        if (!expected.includes(reply.code)) {
+            throw new Error(`SMTP ${line ? line.split(' ')[0] : 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    };
+
+    try {
+        await command(null, [220]);
+        let ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+
+        const supportsStartTls = ehlo.lines.some(line => /^STARTTLS/i.test(line));
+        if (!options.secure && (transport.starttls || (transport.starttls !== false && supportsStartTls))) {
+            await command('STARTTLS', [220]);
+            socket = await upgrade(socket, options);
+            reader = new ReplyReader(socket);
+            ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+        }
+
+        if (transport.user) {
+            const authLine = ehlo.lines.find(line => /^AUTH/i.test(line)) || '';
+            if (/PLAIN/i.test(authLine) || !/LOGIN/i.test(authLine)) {
+                const token = Buffer.from(`\u0000${transport.user}\u0000${transport.pass || ''}`).toString('base64');
+                await command(`AUTH PLAIN ${token}`, [235]);
+            } else {
+                await command('AUTH LOGIN', [334]);
+                await command(Buffer.from(transport.user).toString('base64'), [334]);
+                await command(Buffer.from(transport.pass || '').toString('base64'), [235]);
+            }
+        }
+
+        await command(`MAIL FROM:<${bareAddress(mail.from)}>`, [250]);
+        const accepted = [];
+        for (const recipient of recipients) {
+            await command(`RCPT TO:<${bareAddress(recipient)}>`, [250, 251]);
+            accepted.push(recipient);
+        }
+        await command('DATA', [354]);
+        socket.write(buildMessage({ ...mail, to: recipients }));
+        await command(null, [250]);
+        socket.write('QUIT\r\n');
+
+        return { accepted };
+    } finally {
+        socket.end();
+    }
+}
+
+module.exports = {
+    sendMail
+};
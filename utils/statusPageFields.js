@@ -0,0 +1,106 @@
+/**
+ * Status Page Field Module
+ * Validates status page definitions (POST /api/status-pages, PUT /api/status-pages/:id)
+ */
+
+// Lowercase letters, digits and inner dashes, so the slug is safe in /status/<slug>
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,48}[a-z0-9])?$/;
+
+const ITEM_TYPES = ['app', 'group'];
+const MAX_ITEMS = 100;
+
+const TEXT_FIELDS = {
+    title: 100,
+    description: 500,
+    notice: 1000,
+    name: 100
+};
+
+/**
+ * Validate an optional free-text field
+ * @returns {string|null} Trimmed value, or null when empty
+ */
+function normalizeOptionalText(field, value) {
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    if (text.length > TEXT_FIELDS[field]) {
+        throw new Error(`${field.charAt(0).toUpperCase() + field.slice(1)} must be at most ${TEXT_FIELDS[field]} characters`);
+    }
+    return text || null;
+}
+
+function normalizeSlug(value) {
+    const slug = value === null || value === undefined ? '' : String(value).trim().toLowerCase();
+    if (!SLUG_PATTERN.test(slug)) {
+        throw new Error('Slug must be 1-50 lowercase letters, digits or dashes (not at the start or end)');
+    }
+    return slug;
+}
+
+/**
+ * Validate the apps and groups a page lists: [{ type: 'app'|'group', id, name? }].
+ * name replaces the app's or group's own name on the public page.
+ */
+function normalizeItems(value) {
+    if (!Array.isArray(value) || value.length === 0 || value.length > MAX_ITEMS) {
+        throw new Error(`Items must be a list of 1-${MAX_ITEMS} apps or groups`);
+    }
+
+    const seen = new Set();
+    return value.map((item) => {
+        if (!item || typeof item !== 'object' || !ITEM_TYPES.includes(item.type)) {
+            throw new Error(`Every item needs a type (${ITEM_TYPES.join(' or ')}) and an id`);
+        }
+        const id = Number(item.id);
+        if (!Number.isInteger(id) || id <= 0) {
+            throw new Error('Item IDs must be positive integers');
+        }
+        const key = `${item.type}:${id}`;
+        if (seen.has(key)) {
+            throw new Error(`The ${item.type} with ID ${id} is listed twice`);
+        }
+        seen.add(key);
+        return { type: item.type, id, name: normalizeOptionalText('name', item.name) };
+    });
+}
+
+/**
+ * Validate a status page definition
+ * @param {Object} input - Request body ({ slug, title, description, notice, items })
+ * @param {boolean} [partial=false] - Allow omitting fields (updates)
+ * @returns {Object} Column values to write (slug, title, description, notice, items)
+ */
+function normalizeStatusPage(input, partial = false) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('Request body must be an object');
+    }
+
+    const page = {};
+    if (input.slug !== undefined || !partial) {
+        page.slug = normalizeSlug(input.slug);
+    }
+    if (input.title !== undefined || !partial) {
+        page.title = normalizeOptionalText('title', input.title);
+        if (!page.title) {
+            throw new Error('Title cannot be empty');
+        }
+    }
+    if (input.description !== undefined) {
+        page.description = normalizeOptionalText('description', input.description);
+    }
+    if (input.notice !== undefined) {
+        page.notice = normalizeOptionalText('notice', input.notice);
+    }
+    if (input.items !== undefined || !partial) {
+        page.items = normalizeItems(input.items);
+    }
+
+    if (Object.keys(page).length === 0) {
+        throw new Error('No status page fields given');
+    }
+    return page;
+}
+
+module.exports = {
+    normalizeSlug,
+    normalizeStatusPage
+};